@@ -1,6 +1,17 @@
 import { EditorManager } from './src/editors/editor-manager.js';
-import { FileSystemAdapter, openFileByPath } from './src/fs/filesystem-adapter.js';
+import { FileSystemAdapter, moveEntry, openFileByPath } from './src/fs/filesystem-adapter.js';
 import { createTrashManager } from './src/fs/trash-manager.js';
+import { createSearchIndex } from './src/search/search-index.js';
+import { createVersionHistory } from './src/storage/version-history.js';
+import {
+  configureWikiLinks,
+  parseWikiLink,
+  createWikiLinkResolver,
+  toWikiLinkFilePath,
+} from './src/links/wiki-links.js';
+import { rewriteLinksAfterMove, applyMoves } from './src/links/link-rewriter.js';
+import { resolveMarkdownHref } from './src/links/backlinks.js';
+import { configureImageAssets, clearImageUrls } from './src/links/image-assets.js';
 import { GitHubAdapter } from './src/fs/github-adapter.js';
 import {
   brandHighlightStyle,
@@ -16,8 +27,9 @@ import {
 } from './src/editors/source-view.js';
 import { createAutosaveManager, animateAutosaveLabel } from './src/editor/autosave.js';
 import { createFileSyncManager } from './src/storage/file-sync.js';
+import { hasConflictMarkers } from './src/utils/three-way-merge.js';
 import { appState } from './src/state/app-state.js';
-import { debounce } from './src/utils/helpers.js';
+import { debounce, escapeHtml } from './src/utils/helpers.js';
 import { updateBreadcrumb as updateBreadcrumbCore } from './src/ui/breadcrumb.js';
 import {
   addToHistory,
@@ -32,11 +44,18 @@ import {
   hideFilePicker,
   initFilePickerResize,
   openFileFromPicker,
+  openFileAtPath,
   newFile,
   setupFilePickerClickAway,
   quickFileCreate,
+  createOrOpenFile,
+  goToLine,
 } from './src/ui/file-picker.js';
-import { initKeyboardManager, updateEditorBlurState } from './src/ui/keyboard-manager.js';
+import {
+  initKeyboardManager,
+  registerShortcutHandler,
+  updateEditorBlurState,
+} from './src/ui/keyboard-manager.js';
 import { initThemeManager, toggleTheme } from './src/ui/theme-manager.js';
 import { initVersionManager, performVersionCheck } from './src/ui/version-manager.js';
 import { showWelcomePrompt, showResumePrompt, showWorkdirPrompt } from './src/ui/prompt-manager.js';
@@ -46,6 +65,7 @@ import {
   loadTempChanges as loadTempChangesCore,
   clearTempChanges as clearTempChangesCore,
   hasTempChanges as hasTempChangesCore,
+  moveTempChanges as moveTempChangesCore,
 } from './core.js';
 import {
   loadSessionFile,
@@ -56,6 +76,12 @@ import {
   addCommentToSession,
   updateCommentInSession,
   deleteCommentFromSession,
+  movePathsInSession,
+  saveOpenTabsToSession,
+  getChatsFromSession,
+  saveChatToSession,
+  deleteChatFromSession,
+  getWorkspaceId,
 } from './src/storage/session-manager.js';
 import { getUserId, getUserDisplayName } from './src/storage/user-manager.js';
 import { createAnchor, findAnchorPosition } from './src/utils/text-anchor.js';
@@ -63,7 +89,26 @@ import { validateAllComments } from './src/utils/comment-validator.js';
 import { CommentToolbar } from './src/ui/comment-toolbar.js';
 import { CommentPanel } from './src/ui/comment-panel.js';
 import { SettingsPanel } from './src/ui/settings-panel.js';
-import { improveText } from './src/services/ai-service.js';
+import { ContentSearchPanel } from './src/ui/content-search-panel.js';
+import { CommandPalette } from './src/ui/command-palette.js';
+import { keybindingRegistry } from './src/state/keybinding-registry.js';
+import { FindReplacePanel } from './src/ui/find-replace-panel.js';
+import { BacklinksPanel } from './src/ui/backlinks-panel.js';
+import { HistoryPanel } from './src/ui/history-panel.js';
+import { AIChatPanel } from './src/ui/ai-chat-panel.js';
+import { AISuggestion } from './src/ui/ai-suggestion.js';
+import { DiffPanel } from './src/ui/diff-panel.js';
+import { conflictMarkerExtension } from './src/editors/conflict-markers.js';
+import { getSymbols, hasSymbolOutline } from './src/editor/symbol-outline.js';
+import { exportHtml, saveHtmlFile, printHtml } from './src/export/html-export.js';
+import {
+  editorKeymapExtension,
+  applyKeymapMode,
+  setKeymapSaveHandler,
+} from './src/editors/editor-keymap.js';
+import { createTabManager, PANES } from './src/editors/tab-manager.js';
+import { TabBar } from './src/ui/tab-bar.js';
+import { improveText, chat as chatWithAI } from './src/services/ai-service.js';
 import {
   EditorView,
   keymap,
@@ -159,16 +204,249 @@ const updateBreadcrumb = () => {
     saveFocusState: () => appState.focusManager.saveFocusState(),
     saveTempChanges,
   });
+  // Tabs show the same unsaved state as the breadcrumb
+  renderTabs();
 };
 // Expose for file-picker module
 window.updateBreadcrumb = updateBreadcrumb;
 
+// Open files keep their editors in tabs; the open file's state lives in appState as before
+const tabManager = createTabManager({
+  panes: {
+    main: document.getElementById('editor'),
+    split: document.getElementById('editor-split'),
+  },
+  captureState: () => ({
+    editorManager: appState.editorManager,
+    editorView: appState.editorView,
+    isDirty: appState.isDirty,
+    originalContent: appState.originalContent,
+    lastKnownModified: fileSyncManager.getLastKnownModified(),
+    theme: document.documentElement.getAttribute('data-theme'),
+  }),
+  applyState: (slot) => {
+    const { state, file } = slot;
+    appState.editorManager = state.editorManager || null;
+    appState.editorView = state.editorView || null;
+    appState.isDirty = Boolean(state.isDirty);
+    appState.originalContent = state.originalContent ?? '';
+
+    // Empty slots keep the folder the user is browsing
+    if (file) {
+      appState.currentFileHandle = file.fileHandle;
+      appState.currentFilename = file.filename;
+      appState.currentPath = [...file.dirPath];
+      appState.currentDirHandle = file.dirHandle;
+    }
+
+    fileSyncManager.trackFile(appState.originalContent, state.lastKnownModified ?? null);
+    appState.focusManager?.setEditors(appState.editorManager, appState.editorView);
+  },
+  destroyState: (state) => {
+    state.editorManager?.destroy();
+    state.editorView?.destroy();
+  },
+  onChange: () => {
+    renderTabs();
+    debouncedSaveOpenTabs();
+  },
+});
+
+const tabBar = new TabBar({
+  element: document.getElementById('tab-bar'),
+  onSelect: (id) => selectTab(id),
+  onClose: (id) => closeTab(id),
+  onToggleSplit: () => toggleSplit(),
+});
+
+const renderTabs = () => {
+  const activeTab = tabManager.getActiveTab();
+  tabBar.render({
+    tabs: tabManager.getTabs().map((tab) => ({
+      id: tab.id,
+      path: tab.path,
+      filename: tab.filename,
+      isDirty: tab === activeTab ? appState.isDirty : Boolean(tab.state.isDirty),
+      isActive: tab === activeTab,
+      isVisible: tabManager.getPaneOf(tab) !== null,
+    })),
+    splitOpen: tabManager.splitOpen,
+    canSplit: tabManager.canSplit(),
+  });
+};
+
+// Remember the open tabs so they reopen with the workspace (not while a workspace opens,
+// which would save its tabs before they're restored)
+let isRestoringTabs = false;
+const debouncedSaveOpenTabs = debounce(() => {
+  if (appState.rootDirHandle && !isRestoringTabs) {
+    saveOpenTabsToSession(tabManager.getTabs().map((tab) => tab.path)).catch((err) =>
+      console.error('[Tabs] Failed to save open tabs:', err)
+    );
+  }
+}, 500);
+
+// Refresh the UI for the file that just became current; tabs restored from the session
+// are read from disk the first time they're shown
+const showActiveTab = async () => {
+  const tab = tabManager.getActiveTab();
+  if (tab && !tab.loaded) {
+    if (!(await openFileAtPath(tab.path))) {
+      showFileReloadNotification(`Could not find: ${tab.filename}`);
+      tabManager.closeTab(tab.id);
+      await showActiveTab();
+    }
+    return;
+  }
+
+  if (!tab) {
+    appState.currentFileHandle = null;
+    appState.currentFilename = '';
+    if (!appState.editorManager && !appState.editorView) {
+      await initEditor('', 'untitled');
+    }
+  } else if (
+    tab.state.theme &&
+    tab.state.theme !== document.documentElement.getAttribute('data-theme')
+  ) {
+    // The theme changed while the tab was in the background
+    const { isDirty, originalContent } = appState;
+    await initEditor(getEditorContent(), appState.currentFilename);
+    appState.isDirty = isDirty;
+    appState.originalContent = originalContent;
+  }
+
+  // The file may have been written while the tab was in the background (e.g. by find and
+  // replace or a link update after a move): reload it, or merge it with unsaved edits
+  if (tab) {
+    await fileSyncManager.checkForExternalChanges({ force: true });
+  }
+
+  updateBreadcrumb();
+  updateTOC();
+  updateRichToggleButton();
+  updateLogoState();
+  refreshCommentDecorations();
+  if (isMarkdownFile(appState.currentFilename)) {
+    updateSuggestedLinks();
+    updateBacklinks();
+  }
+  addToHistory();
+  appState.focusManager.focusEditor({ delay: 50, reason: 'tab-switched' });
+};
+
+const selectTab = async (id) => {
+  const tab = tabManager.getTabById(id);
+  if (!tab || tab === tabManager.getActiveTab()) {
+    return;
+  }
+
+  if (appState.isDirty && appState.currentFileHandle) {
+    saveTempChanges();
+  }
+  hideFilePicker();
+  tabManager.activate(tab);
+  await showActiveTab();
+};
+
+// Switch to the tab of a file that is already open instead of reading it from disk again
+const switchToTab = async (path) => {
+  const tab = tabManager.getTab(path);
+  if (!tab || !tab.loaded || tab === tabManager.getActiveTab()) {
+    return false;
+  }
+
+  await selectTab(tab.id);
+  return true;
+};
+window.switchToTab = switchToTab; // Expose for file-picker module
+
+const closeTab = async (id) => {
+  const tab = tabManager.getTabById(id);
+  if (!tab) {
+    return;
+  }
+
+  const isDirty = tab === tabManager.getActiveTab() ? appState.isDirty : tab.state.isDirty;
+  if (isDirty) {
+    if (!window.confirm(`"${tab.filename}" has unsaved changes. Close it anyway?`)) {
+      return;
+    }
+    clearTempChanges([appState.rootDirHandle.name, ...tab.path.split('/')].join('/'));
+  }
+
+  const wasActive = tab === tabManager.getActiveSlot();
+  tabManager.closeTab(id);
+  if (wasActive || !tabManager.getActiveTab()) {
+    await showActiveTab();
+  }
+  if (!appState.currentFileHandle && appState.currentDirHandle) {
+    await showFilePicker(appState.currentDirHandle);
+  }
+};
+
+// Close the tabs of a deleted file, or of every file in a deleted folder
+const closeTabsAt = (path) => {
+  const tabs = tabManager
+    .getTabs()
+    .filter((tab) => tab.path === path || tab.path.startsWith(`${path}/`));
+  if (tabs.length === 0) {
+    return false;
+  }
+
+  const closesActive = tabs.includes(tabManager.getActiveTab());
+  tabs.forEach((tab) => tabManager.closeTab(tab.id));
+  if (closesActive) {
+    showActiveTab().catch((err) => console.error('[Tabs] Failed to show tab:', err));
+  }
+  return true;
+};
+
+const toggleSplit = async () => {
+  if (appState.isDirty && appState.currentFileHandle) {
+    saveTempChanges();
+  }
+  const active = tabManager.getActiveSlot();
+  tabManager.toggleSplit();
+  if (tabManager.getActiveSlot() !== active) {
+    await showActiveTab();
+  }
+};
+
+// Editing or clicking in a pane makes its file the current one
+PANES.forEach((paneName) => {
+  const pane = tabManager.panes[paneName].element;
+  pane?.addEventListener('focusin', () => {
+    if (paneName === tabManager.activePane) {
+      return;
+    }
+    if (appState.isDirty && appState.currentFileHandle) {
+      saveTempChanges();
+    }
+    tabManager.focusPane(paneName);
+    showActiveTab().catch((err) => console.error('[Tabs] Failed to show tab:', err));
+  });
+});
+
 // Initialize editor (EditorManager for markdown, CodeMirror for other files)
 const initEditor = async (initialContent = '', filename = 'untitled') => {
+  // Workspace files open in their own tab; this parks the previous file's editor in its tab
+  // and makes the file's tab (with its editors, if it had any) current
+  const editorContainer = tabManager.prepareEditor(
+    appState.rootDirHandle ? getRelativeFilePath() : null,
+    {
+      fileHandle: appState.currentFileHandle,
+      filename: appState.currentFilename,
+      dirPath: [...appState.currentPath],
+      dirHandle: appState.currentDirHandle,
+    }
+  );
+
   // Store original content for undo detection
   appState.originalContent = initialContent;
 
-  // Clear old editors
+  // Clear old editors, and any AI suggestion for their text
+  aiSuggestion?.reject();
   if (appState.editorManager) {
     appState.editorManager.destroy();
     appState.editorManager = null;
@@ -178,7 +456,6 @@ const initEditor = async (initialContent = '', filename = 'untitled') => {
     appState.editorView = null;
   }
 
-  const editorContainer = document.getElementById('editor');
   editorContainer.innerHTML = ''; // Clear container
 
   // onChange callback for content changes
@@ -205,10 +482,11 @@ const initEditor = async (initialContent = '', filename = 'untitled') => {
     // Save session state on content change
     debouncedSaveEditorState();
 
-    // Update TOC if in WYSIWYG mode for markdown files
+    // Update TOC if in WYSIWYG mode for markdown files, or the outline of code files
     if (
-      isMarkdownFile(appState.currentFilename) &&
-      appState.editorManager?.getMode() === 'wysiwyg'
+      (isMarkdownFile(appState.currentFilename) &&
+        appState.editorManager?.getMode() === 'wysiwyg') ||
+      hasCodeOutline()
     ) {
       debouncedUpdateTOC();
     }
@@ -236,10 +514,11 @@ const initEditor = async (initialContent = '', filename = 'untitled') => {
     // Initialize TOC and suggested links for markdown files
     updateTOC();
     await updateSuggestedLinks();
+    updateBacklinks();
   } else {
     // Use CodeMirror directly for non-markdown files
-    await initCodeMirrorEditor(initialContent, filename, handleContentChange);
-    updateTOC(); // Hide TOC for non-markdown files
+    await initCodeMirrorEditor(initialContent, filename, handleContentChange, editorContainer);
+    updateTOC(); // Show the symbol outline, or hide the sidebar for plain text
   }
 
   appState.isDirty = false;
@@ -324,7 +603,8 @@ window.quickFileCreate = quickFileCreate;
 const initCodeMirrorEditor = async (
   initialContent = '',
   filename = 'untitled',
-  onChange = null
+  onChange = null,
+  parent = document.getElementById('editor')
 ) => {
   // Use appropriate highlight style based on current theme
   const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
@@ -334,6 +614,7 @@ const initCodeMirrorEditor = async (
   const hasFileOpen = appState.currentFileHandle !== null;
 
   const extensions = [
+    editorKeymapExtension(), // Vim or Emacs bindings, before the other keymaps
     lineNumbers(),
     EditorView.lineWrapping,
     highlightActiveLineGutter(),
@@ -353,6 +634,7 @@ const initCodeMirrorEditor = async (
     highlightSelectionMatches(),
     commentDecorationField,
     commentClickHandler(),
+    conflictMarkerExtension(),
     keymap.of([
       ...closeBracketsKeymap,
       ...defaultKeymap,
@@ -362,30 +644,7 @@ const initCodeMirrorEditor = async (
       ...completionKeymap,
       ...lintKeymap,
       indentWithTab,
-      {
-        key: 'Mod-s',
-        run: () => {
-          saveFile();
-          return true;
-        },
-      },
-      {
-        key: 'Mod-Shift-o',
-        run: () => {
-          openFolder();
-          return true;
-        },
-      },
-      {
-        key: 'Mod-n',
-        run: () => {
-          // Only allow new file if workspace is open
-          if (appState.currentDirHandle) {
-            newFile();
-          }
-          return true;
-        },
-      },
+      // App shortcuts (save, new file, ...) are handled by the keyboard manager
     ]),
     EditorView.updateListener.of((update) => {
       if (update.docChanged) {
@@ -426,7 +685,7 @@ const initCodeMirrorEditor = async (
 
   appState.editorView = new EditorView({
     state: startState,
-    parent: document.getElementById('editor'),
+    parent,
   });
 
   // Add getSelection method to CodeMirror editor for comment system compatibility
@@ -626,6 +885,8 @@ const toggleRichMode = async () => {
     return;
   }
 
+  // Positions of a pending AI suggestion don't carry over to the other mode
+  aiSuggestion?.reject();
   await appState.editorManager.toggleMode();
 
   // Save mode preference to localStorage
@@ -635,6 +896,7 @@ const toggleRichMode = async () => {
   updateRichToggleButton();
   updateTOC(); // Update TOC after mode change
   await updateSuggestedLinks(); // Update suggested links after mode change
+  updateBacklinks();
 
   // Refresh comment decorations after mode change
   setTimeout(() => {
@@ -666,6 +928,10 @@ const buildHeadingTree = (headings) => {
   return root.children;
 };
 
+// Whether the open file is a code file with a symbol outline
+const hasCodeOutline = () =>
+  !appState.editorManager && !!appState.editorView && hasSymbolOutline(appState.editorView.state);
+
 // Render TOC tree with collapsible sections
 const renderTOCTree = (nodes, depth = 0) => {
   if (!nodes || nodes.length === 0) return '';
@@ -682,11 +948,15 @@ const renderTOCTree = (nodes, depth = 0) => {
       const childrenHtml =
         hasChildren && !node.collapsed ? renderTOCTree(node.children, depth + 1) : '';
 
+      const text = escapeHtml(node.text);
+      const kind = node.kind ? `<span class="toc-kind">${node.kind}</span>` : '';
+
       return `
         <div class="toc-item-container" tabindex="-1">
           <div class="toc-item" style="padding-left: ${indent}px" data-pos="${node.pos}" data-heading-id="${node.id}" data-level="${node.level}" tabindex="-1">
             ${chevron}
-            <span class="toc-text" title="${node.text}" tabindex="-1">${node.text}</span>
+            <span class="toc-text" title="${text}" tabindex="-1">${text}</span>
+            ${kind}
           </div>
           ${childrenHtml}
         </div>
@@ -702,6 +972,13 @@ const updateTOC = () => {
   const tocContent = document.getElementById('toc-content');
   const markdownSidebar = document.getElementById('markdown-sidebar');
 
+  if (hasCodeOutline()) {
+    updateSymbolOutline();
+    return;
+  }
+  markdownSidebar.classList.remove('code-outline');
+  markdownSidebar.querySelector('.toc-title').textContent = 'Contents';
+
   // Only show TOC in WYSIWYG mode for markdown files
   const isWysiwygMode = appState.editorManager && appState.editorManager.getMode() === 'wysiwyg';
   const isMarkdown = isMarkdownFile(appState.currentFilename);
@@ -735,6 +1012,61 @@ const updateTOC = () => {
   attachTOCEventListeners();
 };
 
+// Show the symbols of a code file in the sidebar, in place of the markdown TOC
+const updateSymbolOutline = () => {
+  const tocContent = document.getElementById('toc-content');
+  const markdownSidebar = document.getElementById('markdown-sidebar');
+
+  markdownSidebar.classList.remove('hidden');
+  // Hides the backlinks and related files, which only apply to markdown
+  markdownSidebar.classList.add('code-outline');
+  markdownSidebar.querySelector('.toc-title').textContent = 'Outline';
+
+  const symbols = getSymbols(appState.editorView.state);
+  if (symbols.length === 0) {
+    tocContent.innerHTML = '<p class="toc-empty">No symbols found</p>';
+    return;
+  }
+
+  const tree = buildHeadingTree(
+    symbols.map((symbol) => ({ ...symbol, text: symbol.name, id: `symbol-${symbol.pos}` }))
+  );
+  tocContent.innerHTML = renderTOCTree(tree);
+
+  attachTOCEventListeners();
+};
+
+// Scroll the active editor to the position of a heading, or of a symbol in a code file
+const scrollToHeading = (pos) => {
+  const editor = appState.editorManager?.getActiveEditor();
+  const codeEditor = !appState.editorManager ? appState.editorView : null;
+
+  if (!codeEditor && (!editor || !editor.scrollToPosition)) {
+    console.error('[TOC] Editor or scrollToPosition not available');
+    return;
+  }
+
+  // Block session saves during TOC navigation to prevent scroll reset
+  if (window.blockSessionSave) {
+    clearTimeout(window.blockSessionSave);
+  }
+  window.blockSessionSave = true;
+
+  if (codeEditor) {
+    codeEditor.dispatch({
+      selection: { anchor: pos },
+      effects: EditorView.scrollIntoView(pos, { y: 'start' }),
+    });
+  } else {
+    editor.scrollToPosition(pos);
+  }
+
+  // Re-enable session saves after scroll completes (200ms should be enough)
+  setTimeout(() => {
+    window.blockSessionSave = false;
+  }, 200);
+};
+
 // Attach click handlers to TOC items
 const attachTOCEventListeners = () => {
   const tocItems = document.querySelectorAll('.toc-item');
@@ -761,25 +1093,8 @@ const attachTOCEventListeners = () => {
 
         console.log('[TOC] Scrolling to heading at position:', pos);
 
-        const editor = appState.editorManager?.getActiveEditor();
-
-        if (editor && editor.scrollToPosition) {
-          // Block session saves during TOC navigation to prevent scroll reset
-          if (window.blockSessionSave) {
-            clearTimeout(window.blockSessionSave);
-          }
-          window.blockSessionSave = true;
-
-          // Scroll to the position (focus should be maintained by mousedown prevention)
-          editor.scrollToPosition(pos);
-
-          // Re-enable session saves after scroll completes (200ms should be enough)
-          setTimeout(() => {
-            window.blockSessionSave = false;
-          }, 200);
-        } else {
-          console.error('[TOC] Editor or scrollToPosition not available');
-        }
+        // Focus should be maintained by mousedown prevention
+        scrollToHeading(pos);
       });
     }
   });
@@ -950,6 +1265,27 @@ const updateSuggestedLinks = async () => {
   }
 };
 
+// Update backlinks (notes that link to the current file)
+const updateBacklinks = () => {
+  if (!backlinksPanel) return;
+
+  const backlinksSection = document.getElementById('backlinks');
+
+  // Backlinks live in the markdown sidebar, which is only shown in WYSIWYG mode
+  const isWysiwygMode = appState.editorManager && appState.editorManager.getMode() === 'wysiwyg';
+  const isMarkdown = isMarkdownFile(appState.currentFilename);
+
+  if (!isWysiwygMode || !isMarkdown || !appState.rootDirHandle || !appState.currentFileHandle) {
+    backlinksSection.classList.add('hidden');
+    backlinksPanel.clear();
+    return;
+  }
+
+  backlinksSection.classList.remove('hidden');
+  // Runs in the background so opening the note isn't held up by the workspace scan
+  backlinksPanel.update(getRelativeFilePath());
+};
+
 // Attach click handlers to suggested links
 const attachSuggestedLinksEventListeners = () => {
   const links = document.querySelectorAll('.suggested-link');
@@ -1051,10 +1387,8 @@ const openFolder = async () => {
   hideFilePicker();
 
   try {
-    // Cleanup trash from previous folder before opening new one
-    if (appState.currentDirHandle) {
-      await trashManager.cleanup(appState.currentDirHandle);
-    }
+    // The trash belongs to the previous folder's workspace
+    trashManager.reset();
 
     // Save temp changes if file is dirty
     if (appState.isDirty && appState.currentFileHandle) {
@@ -1064,9 +1398,22 @@ const openFolder = async () => {
     const dirHandle = await FileSystemAdapter.openDirectory();
     if (!dirHandle) return; // User cancelled
 
+    // Tabs belong to the previous folder; the new folder's tabs come from its session
+    isRestoringTabs = true;
+    tabManager.closeAll();
+
     appState.currentDirHandle = dirHandle;
     appState.rootDirHandle = dirHandle; // Set root directory for session file
+    clearImageUrls();
+    aiChatPanel?.reset();
     appState.currentPath = [{ name: dirHandle.name, handle: dirHandle }];
+
+    // Load the workspace search index and refresh it in the background
+    const workspaceId = await getWorkspaceId(dirHandle);
+    searchIndex.open(dirHandle, workspaceId);
+    versionHistory.close();
+    versionHistory.open(workspaceId);
+
     appState.currentFileHandle = null;
     appState.currentFilename = '';
     await initEditor('', 'untitled');
@@ -1099,117 +1446,25 @@ const openFolder = async () => {
     const fileToRestore = urlFile || sessionData.session?.lastOpenFile?.path;
 
     if (fileToRestore) {
-      const lastFile = urlFile
-        ? { path: urlFile } // Don't set editorMode - let it default to 'wysiwyg' for markdown
-        : sessionData.session.lastOpenFile;
-
-      // Set flag to indicate we're restoring from session
-      // Only set this flag when restoring from session data, not URL params
-      // This ensures URL-opened files always default to wysiwyg mode (showing TOC)
-      appState.isRestoringSession = !urlFile;
-
-      // Save editor mode preference to localStorage so initEditor can use it
-      // Only save if we have an explicit editorMode (from session data, not URL params)
-      if (lastFile.editorMode !== undefined && lastFile.editorMode !== null) {
-        const filename = lastFile.path.split('/').pop();
-        localStorage.setItem(`mode_${filename}`, lastFile.editorMode);
-      }
+      // Files from the session reopen where they were left; URL-opened files always default
+      // to wysiwyg mode (showing TOC)
+      fileRestored = await openFileAtPath(fileToRestore, { restoreState: !urlFile });
 
-      const result = await openFileByPath(appState.rootDirHandle, lastFile.path);
-
-      if (result) {
-        // Rebuild currentPath from the session path
-        const pathParts = lastFile.path.split('/').filter((p) => p);
-        pathParts.pop(); // Remove filename
-
-        // Build path array with handles
-        const newPath = [{ name: appState.rootDirHandle.name, handle: appState.rootDirHandle }];
-
-        // Navigate and build path for subdirectories (if any)
-        let currentHandle = appState.rootDirHandle;
-        for (const dirName of pathParts) {
-          try {
-            currentHandle = await currentHandle.getDirectoryHandle(dirName);
-            newPath.push({ name: dirName, handle: currentHandle });
-          } catch (err) {
-            console.error('[Session] Error navigating to directory:', dirName, err);
-            break;
-          }
-        }
-
-        // Update state with correct path
-        appState.currentPath = newPath;
-        appState.currentDirHandle = result.dirHandle;
-
-        // Actually open the file with the retrieved handle
-        await openFileFromPicker(result.fileHandle);
-        fileRestored = true;
-      } else {
+      if (!fileRestored) {
         // File could not be found - show helpful message
-        console.warn('[Session] Could not restore file:', lastFile.path);
+        console.warn('[Session] Could not restore file:', fileToRestore);
         console.warn('[Session] File may not exist in this folder or may have been deleted');
 
         // Show notification to user (if notification system exists)
         if (window.showFileReloadNotification) {
-          window.showFileReloadNotification(`Could not find: ${lastFile.path.split('/').pop()}`);
+          window.showFileReloadNotification(`Could not find: ${fileToRestore.split('/').pop()}`);
         }
       }
-
-      // Clear the flag
-      appState.isRestoringSession = false;
-
-      if (fileRestored) {
-        // Wait for editor to be ready, then restore cursor and scroll
-        setTimeout(async () => {
-          if (appState.editorManager) {
-            // Markdown file - using EditorManager
-            await appState.editorManager.ready();
-
-            // Restore cursor and scroll position
-            if (lastFile.cursorLine !== undefined && lastFile.cursorColumn !== undefined) {
-              appState.editorManager.setCursor(lastFile.cursorLine, lastFile.cursorColumn);
-            }
-            if (lastFile.scrollTop !== undefined) {
-              appState.editorManager.setScrollPosition(lastFile.scrollTop);
-            }
-            appState.editorManager.focus();
-          } else if (appState.editorView) {
-            // Non-markdown file - using CodeMirror
-
-            // Restore cursor position
-            if (lastFile.cursorLine !== undefined && lastFile.cursorColumn !== undefined) {
-              const doc = appState.editorView.state.doc;
-              const targetLine = lastFile.cursorLine + 1; // Convert to 1-based
-
-              // Validate line number is within document bounds
-              if (targetLine >= 1 && targetLine <= doc.lines) {
-                const line = doc.line(targetLine);
-                const pos = line.from + Math.min(lastFile.cursorColumn, line.length);
-                appState.editorView.dispatch({
-                  selection: { anchor: pos, head: pos },
-                });
-              }
-            }
-
-            // Restore scroll position
-            if (lastFile.scrollTop !== undefined) {
-              appState.editorView.scrollDOM.scrollTop = lastFile.scrollTop;
-            }
-            if (lastFile.scrollLeft !== undefined) {
-              appState.editorView.scrollDOM.scrollLeft = lastFile.scrollLeft;
-            }
-            appState.editorView.focus();
-          }
-
-          // Update UI
-          updateRichToggleButton();
-
-          // Mark restoration time to prevent premature saves
-          appState.lastRestorationTime = Date.now();
-        }, 100);
-      }
     }
 
+    tabManager.restoreTabs(sessionData.session?.openTabs || []);
+    isRestoringTabs = false;
+
     addToHistory();
 
     // Update URL params with workdir after folder is opened
@@ -1227,6 +1482,7 @@ const openFolder = async () => {
     updateLogoState(true); // Animate immediately when folder is chosen
     updateNewButtonState();
   } catch (err) {
+    isRestoringTabs = false;
     if (err.name !== 'AbortError') {
       console.error('Error opening folder:', err);
       alert('Error opening folder: ' + err.message);
@@ -1237,13 +1493,73 @@ const openFolder = async () => {
 // Expose openFolder for file-picker module
 window.openFolder = openFolder;
 
+// Put the cursor and scroll back where a file was left, once its editor is ready
+const restoreFileState = (fileState) => {
+  setTimeout(async () => {
+    if (appState.editorManager) {
+      // Markdown file - using EditorManager
+      await appState.editorManager.ready();
+
+      // Restore cursor and scroll position
+      if (fileState.cursorLine !== undefined && fileState.cursorColumn !== undefined) {
+        appState.editorManager.setCursor(fileState.cursorLine, fileState.cursorColumn);
+      }
+      if (fileState.scrollTop !== undefined) {
+        appState.editorManager.setScrollPosition(fileState.scrollTop);
+      }
+      appState.editorManager.focus();
+    } else if (appState.editorView) {
+      // Non-markdown file - using CodeMirror
+
+      // Restore cursor position
+      if (fileState.cursorLine !== undefined && fileState.cursorColumn !== undefined) {
+        const doc = appState.editorView.state.doc;
+        const targetLine = fileState.cursorLine + 1; // Convert to 1-based
+
+        // Validate line number is within document bounds
+        if (targetLine >= 1 && targetLine <= doc.lines) {
+          const line = doc.line(targetLine);
+          const pos = line.from + Math.min(fileState.cursorColumn, line.length);
+          appState.editorView.dispatch({
+            selection: { anchor: pos, head: pos },
+          });
+        }
+      }
+
+      // Restore scroll position
+      if (fileState.scrollTop !== undefined) {
+        appState.editorView.scrollDOM.scrollTop = fileState.scrollTop;
+      }
+      if (fileState.scrollLeft !== undefined) {
+        appState.editorView.scrollDOM.scrollLeft = fileState.scrollLeft;
+      }
+      appState.editorView.focus();
+    }
+
+    // Update UI
+    updateRichToggleButton();
+
+    // Mark restoration time to prevent premature saves
+    appState.lastRestorationTime = Date.now();
+  }, 100);
+};
+// Expose restoreFileState for file-picker module
+window.restoreFileState = restoreFileState;
+
 // Show file picker for a directory
 
 // Create trash manager with callbacks
 const trashManager = createTrashManager({
+  getRootDirHandle: () => appState.rootDirHandle,
   onFileDeleted: (filename) => {
+    const pathParts = appState.currentPath.map((p) => p.name);
+    pathParts.push(filename);
+
+    // Close the tabs of the deleted file (or of the files in a deleted folder)
+    const closedTabs = appState.rootDirHandle && closeTabsAt(pathParts.slice(1).join('/'));
+
     // Handle file deleted - close if currently open
-    if (appState.currentFileHandle && appState.currentFileHandle.name === filename) {
+    if (!closedTabs && appState.currentFileHandle && appState.currentFileHandle.name === filename) {
       appState.currentFileHandle = null;
       appState.currentFilename = '';
       appState.isDirty = false;
@@ -1251,13 +1567,14 @@ const trashManager = createTrashManager({
     }
 
     // Clear temp changes for deleted file
-    const pathParts = appState.currentPath.map((p) => p.name);
-    pathParts.push(filename);
     const filePathKey = pathParts.join('/');
     clearTempChanges(filePathKey);
   },
   onFileRestored: () => {
-    // File restored - no special action needed, refreshFilePicker handles UI
+    // The picker refreshes itself; files restored elsewhere need to be searchable again
+    if (searchIndex.isReady()) {
+      searchIndex.refresh().catch((err) => console.error('[SearchIndex] Refresh failed:', err));
+    }
   },
   refreshFilePicker: async (dirHandle) => {
     await showFilePicker(dirHandle);
@@ -1267,6 +1584,23 @@ const trashManager = createTrashManager({
 // Expose trashManager for file-picker module
 window.trashManager = trashManager;
 
+// Create search index (filename and content search for the open workspace)
+const searchIndex = createSearchIndex({
+  onUpdated: () => {
+    // Files were added or removed, so links may have become (un)resolved
+    if (appState.editorManager) {
+      appState.editorManager.refreshWikiLinks();
+      updateBacklinks();
+    }
+  },
+});
+
+// Expose searchIndex for file-picker module
+window.searchIndex = searchIndex;
+
+// Create version history (snapshots of saved files in the open workspace)
+const versionHistory = createVersionHistory();
+
 // Create autosave manager with callbacks
 const autosaveManager = createAutosaveManager({
   interval: 2000,
@@ -1275,7 +1609,13 @@ const autosaveManager = createAutosaveManager({
     await saveFile();
   },
   shouldSave: () => {
-    return appState.isDirty && appState.currentFileHandle;
+    // Wait while the user merges a change made on disk
+    return (
+      appState.isDirty &&
+      appState.currentFileHandle &&
+      !isResolvingConflict &&
+      !hasConflictMarkers(getEditorContent())
+    );
   },
 });
 
@@ -1410,6 +1750,30 @@ const fileSyncManager = createFileSyncManager({
   onFileReloaded: () => {
     showFileReloadNotification();
   },
+  getLocalContent: () => getEditorContent(),
+  // Only clean merges are applied; overlapping edits are resolved in the diff panel (onConflict)
+  applyMerge: async (result, editorState) => {
+    if (result.content !== getEditorContent()) {
+      await fileSyncManager.callbacks.updateEditorContent(result.content, editorState);
+    }
+
+    // The disk version is now the saved content; anything else is still unsaved
+    appState.originalContent = result.remote;
+    appState.isDirty = result.content !== result.remote;
+
+    const pathKey = getFilePathKey();
+    if (pathKey && appState.isDirty) {
+      saveTempChanges();
+    } else if (pathKey) {
+      clearTempChanges(pathKey);
+    }
+
+    updateBreadcrumb();
+  },
+  onFileMerged: () => {
+    showFileReloadNotification('Merged changes from disk');
+  },
+  onConflict: (diskContent) => resolveExternalChange(diskContent),
   onSyncStart: () => {
     const editorElement = document.getElementById('editor');
     const breadcrumb = document.getElementById('breadcrumb');
@@ -1439,6 +1803,12 @@ const fileSyncManager = createFileSyncManager({
   },
 });
 
+// Poll the open file for changes made by other programs
+fileSyncManager.start();
+
+// Expose fileSyncManager for file-picker and history-manager modules
+window.fileSyncManager = fileSyncManager;
+
 // Comment system variables
 let commentToolbar = null;
 let commentPanel = null;
@@ -1466,125 +1836,732 @@ window.commentPanel = commentPanel;
 // Expose settings panel for testing and toolbar access
 window.settingsPanel = settingsPanel;
 
-// Handle AI text improvement
-async function handleAIImprove(selection) {
-  console.log('[AI] Improving text:', selection);
-
-  const editor = appState.editorManager || appState.editorView;
-  if (!editor) {
+// Content search and find/replace panels
+let contentSearchPanel = null;
+let findReplacePanel = null;
+let backlinksPanel = null;
+let historyPanel = null;
+let aiChatPanel = null;
+let aiSuggestion = null;
+let diffPanel = null;
+let commandPalette = null;
+let isResolvingConflict = false;
+
+// Suggest an AI rewrite of the selection, shown next to it as a diff to accept or reject
+function handleAIImprove(selection) {
+  if (!aiSuggestion || !(appState.editorManager || appState.editorView)) {
     console.error('[AI] Editor not available');
     return;
   }
 
-  // Store selection positions and original text for error recovery
-  const { from, to, text: originalText } = selection;
-
-  // Create abort controller for canceling requests
-  /* global AbortController */
-  const controller = new AbortController();
-  let currentPosition = from;
-  let streamedText = '';
-
+  // Show the suggestion below the selected text
+  let position = null;
   try {
-    // Disable autosave when AI makes edits
-    if (autosaveManager && autosaveManager.isRunning()) {
-      autosaveManager.stop();
-      appState.setAutosaveEnabled(false);
-      console.log('[AI] Autosave disabled during AI operation');
-
-      // Update autosave checkbox UI
-      const autosaveCheckbox = document.getElementById('autosave-checkbox');
-      if (autosaveCheckbox) {
-        autosaveCheckbox.checked = false;
-        // Animate label to show autosave is off
-        animateAutosaveLabel(false);
-      }
+    const windowSelection = window.getSelection();
+    if (windowSelection && windowSelection.rangeCount > 0) {
+      const rect = windowSelection.getRangeAt(0).getBoundingClientRect();
+      position = { x: rect.left, y: rect.bottom + 8 };
     }
+  } catch {
+    // Selection might not be available; the card is centered instead
+  }
 
-    // Apply AI loading decoration (pulsating outline) to keep text visible
-    if (editor.addAILoadingDecoration) {
-      editor.addAILoadingDecoration(from, to);
-    }
+  aiSuggestion.start(selection, position);
+}
+
+// Initialize AI suggestions
+function initAISuggestion() {
+  aiSuggestion = new AISuggestion({
+    improve: improveText,
+    getEditor: () => appState.editorManager || appState.editorView,
+    // Restore any existing comment highlights in the rewritten text
+    onAccept: () => refreshCommentDecorations(),
+  });
+}
+
+// Initialize settings panel
+function initSettingsPanel() {
+  settingsPanel = new SettingsPanel({
+    getEditor: () => appState.editorManager || appState.editorView,
+    onSave: applyKeymapMode,
+  });
+  window.settingsPanel = settingsPanel; // Update window reference
+  console.log('[Settings] Settings panel initialized');
+}
+
+// Open a content search result and jump to the matching line
+const openContentSearchResult = async (result) => {
+  const opened = await openFileAtPath(result.fullPath, { restoreState: false });
+  if (!opened) {
+    showFileReloadNotification(`Could not find: ${result.name}`);
+    return;
+  }
 
-    console.log('[AI] Calling AI service with streaming...');
+  // Line numbers refer to the raw file, so markdown matches are shown in source mode
+  if (appState.editorManager && appState.editorManager.getMode() === 'wysiwyg') {
+    await appState.editorManager.ready();
+    await toggleRichMode();
+  }
 
-    // Track if this is the first chunk to properly replace original selection
-    let isFirstChunk = true;
+  goToLine(result.lineNumber);
+};
 
-    // Streaming callback to update text in real-time
-    const onChunk = (chunk) => {
-      if (!chunk) return;
+// Initialize content search panel
+function initContentSearchPanel() {
+  contentSearchPanel = new ContentSearchPanel({
+    getRootDirHandle: () => appState.rootDirHandle,
+    getSearchIndex: () => searchIndex,
+    getEditor: () => appState.editorManager || appState.editorView,
+    onSelectResult: openContentSearchResult,
+    onOpenReplace: (query) => findReplacePanel?.open(query),
+  });
+  window.contentSearchPanel = contentSearchPanel; // Expose for keyboard shortcut and testing
+}
 
-      streamedText += chunk;
+// Describe the open file so find and replace edits it through the editor (keeps undo working)
+const getOpenFileForReplace = (path = getRelativeFilePath()) => {
+  if (!path || (!appState.editorManager && !appState.editorView)) {
+    return null;
+  }
 
-      // Replace text incrementally during streaming
-      if (editor.replaceRange) {
-        if (isFirstChunk) {
-          // First chunk: replace the original selection (from -> to)
-          editor.replaceRange(from, to, streamedText);
-          isFirstChunk = false;
-        } else {
-          // Subsequent chunks: replace from start to current position
-          editor.replaceRange(from, currentPosition, streamedText);
-        }
-        currentPosition = from + streamedText.length;
+  return {
+    path,
+    getContent: getEditorContent,
+    replaceRange: async (from, to, text) => {
+      // Offsets refer to the raw text, so markdown is edited in source mode
+      if (appState.editorManager && appState.editorManager.getMode() === 'wysiwyg') {
+        await appState.editorManager.ready();
+        await toggleRichMode();
       }
-    };
+      const editor = appState.editorManager || appState.editorView;
+      return editor.replaceRange(from, to, text);
+    },
+  };
+};
 
-    // Call AI service with streaming support
-    const improvedText = await improveText(originalText, onChunk, controller.signal);
+// Report a finished find and replace, offering to undo the changes written to disk
+const handleReplaced = (summary) => {
+  const message = `Replaced ${summary.matchCount} match${summary.matchCount === 1 ? '' : 'es'} in ${summary.fileCount} file${summary.fileCount === 1 ? '' : 's'}`;
 
-    console.log('[AI] Received complete improved text');
+  if (!summary.backupId) {
+    showFileReloadNotification(message);
+    return;
+  }
 
-    // Remove loading decoration
-    if (editor.removeAILoadingDecoration) {
-      editor.removeAILoadingDecoration();
-    }
+  const rootDirHandle = appState.rootDirHandle;
+  trashManager.showUndoSnackbar(null, rootDirHandle, {
+    message,
+    onAction: async () => {
+      await trashManager.restoreBackup(rootDirHandle, summary.backupId);
+      showFileReloadNotification('Replacements undone');
+    },
+  });
+};
 
-    // Final replacement with complete text (in case streaming didn't work)
-    if (editor.replaceRange && streamedText !== improvedText) {
-      editor.replaceRange(from, currentPosition, improvedText);
-    } else if (editor.replaceSelection) {
-      // Fallback for editors without replaceRange
-      editor.replaceSelection(improvedText);
+// Initialize find and replace panel
+function initFindReplacePanel() {
+  findReplacePanel = new FindReplacePanel({
+    getRootDirHandle: () => appState.rootDirHandle,
+    getSearchIndex: () => searchIndex,
+    getOpenFile: getOpenFileForReplace,
+    getEditor: () => appState.editorManager || appState.editorView,
+    backupFiles: (files) => trashManager.backupFiles(appState.rootDirHandle, files),
+    onReplaced: handleReplaced,
+  });
+  window.findReplacePanel = findReplacePanel; // Expose for keyboard shortcut and testing
+}
+
+// Replace the editor content with a saved version, leaving it unsaved so the restore can be undone
+const restoreSnapshot = async (snapshot) => {
+  const openFile = getOpenFileForReplace();
+  if (!openFile || openFile.path !== snapshot.path) {
+    throw new Error(`${snapshot.path} is no longer open`);
+  }
+
+  await openFile.replaceRange(0, openFile.getContent().length, snapshot.content);
+  showFileReloadNotification(
+    `Restored version from ${new Date(snapshot.savedAt).toLocaleString()}`
+  );
+};
+
+// Initialize history panel
+function initHistoryPanel() {
+  historyPanel = new HistoryPanel({
+    getVersionHistory: () => versionHistory,
+    getFilePath: getRelativeFilePath,
+    getContent: getEditorContent,
+    getEditor: () => appState.editorManager || appState.editorView,
+    onRestore: restoreSnapshot,
+  });
+}
+
+// The open file, or the text selected in it, for the AI chat to talk about
+const getChatContext = () => {
+  const editor = appState.editorManager || appState.editorView;
+  if (!editor || !appState.currentFilename) {
+    return null;
+  }
+
+  const path = getRelativeFilePath() || appState.currentFilename;
+  const selection = editor.getSelection ? editor.getSelection() : null;
+  if (selection && selection.text && selection.text.trim().length > 0) {
+    return { path, text: selection.text, isSelection: true };
+  }
+  return { path, text: getEditorContent(), isSelection: false };
+};
+
+const canInsertChatAnswer = () =>
+  !!(appState.editorManager || appState.editorView) &&
+  !appState.isGitHubMode &&
+  !appState.isReadOnly;
+
+// Put an AI chat answer into the open file, after the selection unless it is replaced
+const insertChatAnswer = (text, { replace }) => {
+  const editor = appState.editorManager || appState.editorView;
+  if (!canInsertChatAnswer() || !editor.replaceSelection) {
+    return false;
+  }
+
+  const selection = editor.getSelection ? editor.getSelection() : null;
+  if (selection && !replace && editor.replaceRange) {
+    return editor.replaceRange(selection.to, selection.to, text) !== false;
+  }
+  return editor.replaceSelection(text) !== false;
+};
+
+// AI chat conversations are kept in the workspace's session file
+const loadChats = async () => {
+  if (!appState.rootDirHandle) {
+    return [];
+  }
+  return getChatsFromSession(await loadSessionFile(appState.rootDirHandle));
+};
+
+const updateChatsInSession = async (update) => {
+  if (!appState.rootDirHandle) {
+    return;
+  }
+  const sessionData = await loadSessionFile(appState.rootDirHandle);
+  if (sessionData) {
+    update(sessionData);
+    await saveSessionFile(appState.rootDirHandle, sessionData);
+  }
+};
+
+// Initialize AI chat panel
+function initAIChatPanel() {
+  aiChatPanel = new AIChatPanel({
+    getContext: getChatContext,
+    sendMessage: chatWithAI,
+    loadChats,
+    saveChat: (chat) => updateChatsInSession((sessionData) => saveChatToSession(sessionData, chat)),
+    deleteChat: (chatId) =>
+      updateChatsInSession((sessionData) => deleteChatFromSession(sessionData, chatId)),
+    canInsert: canInsertChatAnswer,
+    onInsert: insertChatAnswer,
+    getEditor: () => appState.editorManager || appState.editorView,
+  });
+}
+
+// Open a note that links to the current file at the linking location
+const openBacklink = async (reference) => {
+  const opened = await openFileAtPath(reference.fullPath, { restoreState: false });
+  if (!opened) {
+    showFileReloadNotification(`Could not find: ${reference.name}`);
+    return;
+  }
+
+  if (appState.editorManager) {
+    await appState.editorManager.ready();
+    appState.editorManager.setAbsoluteCursor(reference.from);
+    appState.editorManager.focus();
+  }
+};
+
+// Initialize backlinks panel
+function initBacklinksPanel() {
+  backlinksPanel = new BacklinksPanel({
+    container: document.getElementById('backlinks-content'),
+    getRootDirHandle: () => appState.rootDirHandle,
+    getSearchIndex: () => searchIndex,
+    onSelect: openBacklink,
+  });
+}
+
+// Open the file a wiki link points to, offering to create it if it doesn't exist
+const openWikiLinkTarget = async (target) => {
+  const { path } = parseWikiLink(target);
+  if (!path || !appState.rootDirHandle) {
+    return;
+  }
+
+  const resolve = createWikiLinkResolver();
+  const resolvedPath = resolve ? resolve(path) : null;
+  if (resolvedPath) {
+    const opened = await openFileAtPath(resolvedPath);
+    if (!opened) {
+      showFileReloadNotification(`Could not find: ${resolvedPath}`);
     }
+    return;
+  }
 
-    // Refresh comment decorations to restore any existing comment highlights
-    refreshCommentDecorations();
+  // New notes are created next to the current file, where the link resolves first
+  const filePath = toWikiLinkFilePath(path);
+  if (!window.confirm(`"${filePath}" doesn't exist yet. Create it?`)) {
+    return;
+  }
 
-    console.log('[AI] Text improvement complete');
-  } catch (error) {
-    console.error('[AI] Text improvement failed:', error);
+  await createOrOpenFile(filePath);
+  searchIndex.refresh().catch((err) => console.error('[SearchIndex] Refresh failed:', err));
+};
+
+configureWikiLinks({
+  getFiles: () =>
+    appState.rootDirHandle && searchIndex.isReady() ? searchIndex.getFilePaths() : null,
+  getCurrentPath: getRelativeFilePath,
+  onOpen: openWikiLinkTarget,
+});
+
+configureImageAssets({
+  getRootHandle: () => appState.rootDirHandle,
+  getCurrentPath: getRelativeFilePath,
+});
+
+// Describe what a move changed, e.g. "Moved to notes/todo.md, updated 2 links in readme.md"
+const describeMove = (newPath, summary) => {
+  let message = `Moved to ${newPath}`;
+  if (summary.matchCount > 0) {
+    const shown = summary.files.slice(0, 3).join(', ');
+    const more = summary.files.length > 3 ? ` and ${summary.files.length - 3} more` : '';
+    message += `, updated ${summary.matchCount} link${summary.matchCount === 1 ? '' : 's'} in ${shown}${more}`;
+  }
+
+  const notUpdated = summary.skipped.length + summary.failed.length;
+  if (notUpdated > 0) {
+    message += ` (${notUpdated} file${notUpdated === 1 ? '' : 's'} could not be updated)`;
+  }
+  return message;
+};
+
+// Path of the file loaded in the editor; the picker clears currentFileHandle while it is browsing
+const getEditorFilePath = async () => {
+  const fileHandle = appState.currentFileHandle || appState.previousFileHandle;
+  if (!fileHandle || !appState.rootDirHandle) {
+    return null;
+  }
+
+  if (typeof appState.rootDirHandle.resolve === 'function') {
+    const parts = await appState.rootDirHandle.resolve(fileHandle);
+    return parts ? parts.join('/') : null;
+  }
+  return getRelativeFilePath();
+};
+
+// Point comments, the last open file and unsaved changes at the moved paths
+const updateSessionAfterMove = async (moves) => {
+  const rootDirHandle = appState.rootDirHandle;
+  const mapPath = (path) => applyMoves(path, moves);
 
-    // Remove loading decoration on error
-    if (editor.removeAILoadingDecoration) {
-      editor.removeAILoadingDecoration();
+  const sessionData = await loadSessionFile(rootDirHandle);
+  if (sessionData && movePathsInSession(sessionData, mapPath)) {
+    await saveSessionFile(rootDirHandle, sessionData);
+  }
+
+  // Saved versions follow their files
+  await versionHistory
+    .movePaths(mapPath)
+    .catch((err) => console.error('[History] Failed to move snapshots:', err));
+
+  appState.getComments().forEach((comment) => {
+    if (comment.fileRelativePath) {
+      comment.fileRelativePath = mapPath(comment.fileRelativePath);
     }
+  });
 
-    // Restore original text if streaming failed partway through
-    if (streamedText && editor.replaceRange) {
-      editor.replaceRange(from, currentPosition, originalText);
+  // Temp changes are keyed by the root folder name followed by the relative path
+  const prefix = `${rootDirHandle.name}/`;
+  moveTempChangesCore((key) =>
+    key.startsWith(prefix) ? prefix + mapPath(key.slice(prefix.length)) : key
+  );
+
+  // Moved files open in background tabs need handles to their new location
+  const activeTab = tabManager.getActiveTab();
+  const movedTabs = tabManager.getTabs().filter((tab) => mapPath(tab.path) !== tab.path);
+  tabManager.movePaths(mapPath);
+  for (const tab of movedTabs) {
+    if (tab.file && tab !== activeTab) {
+      tab.file = await resolveTabFile(tab.path);
+      tab.loaded = tab.file !== null;
     }
+  }
+};
 
-    // Refresh comment decorations to restore any existing comment highlights
-    refreshCommentDecorations();
+// Find a workspace file and the folders leading to it, as a tab stores them
+const resolveTabFile = async (relativePath) => {
+  const rootDirHandle = appState.rootDirHandle;
+  const result = await openFileByPath(rootDirHandle, relativePath);
+  if (!result) {
+    return null;
+  }
 
-    // Show error to user with provider-agnostic message
-    alert(
-      `AI improvement failed: ${error.message}\n\nPlease check your AI provider configuration in Settings.`
-    );
+  const dirPath = [{ name: rootDirHandle.name, handle: rootDirHandle }];
+  let dirHandle = rootDirHandle;
+  for (const name of relativePath.split('/').slice(0, -1)) {
+    dirHandle = await dirHandle.getDirectoryHandle(name);
+    dirPath.push({ name, handle: dirHandle });
+  }
+
+  return {
+    fileHandle: result.fileHandle,
+    filename: result.fileHandle.name,
+    dirPath,
+    dirHandle: result.dirHandle,
+  };
+};
+
+// Rename or move a workspace file or folder and rewrite the links that pointed into it
+const moveWorkspaceEntry = async (oldPath, newPath) => {
+  const rootDirHandle = appState.rootDirHandle;
+  if (!rootDirHandle || oldPath === newPath) {
+    return null;
+  }
+
+  const moves = [{ from: oldPath, to: newPath }];
+  const editorFilePath = await getEditorFilePath();
+  const movesEditorFile =
+    editorFilePath !== null && applyMoves(editorFilePath, moves) !== editorFilePath;
+  if (movesEditorFile && appState.isDirty) {
+    throw new Error('Save your changes before moving the open file');
+  }
+
+  await moveEntry(rootDirHandle, oldPath, newPath);
+
+  // Unsaved edits in the open file are kept by editing it in place; otherwise disk is rewritten
+  // and the file watcher reloads the editor
+  const summary = await rewriteLinksAfterMove(rootDirHandle, moves, {
+    openFile: appState.isDirty && editorFilePath ? getOpenFileForReplace(editorFilePath) : null,
+  });
+  await updateSessionAfterMove(moves);
+
+  if (movesEditorFile) {
+    await openFileAtPath(applyMoves(editorFilePath, moves));
+  } else if (appState.currentDirHandle) {
+    await showFilePicker(appState.currentDirHandle);
   }
+
+  searchIndex.refresh().catch((err) => console.error('[SearchIndex] Refresh failed:', err));
+  showFileReloadNotification(describeMove(newPath, summary));
+  return summary;
+};
+window.moveWorkspaceEntry = moveWorkspaceEntry; // Expose for file-picker module
+
+// Initialize diff panel
+function initDiffPanel() {
+  diffPanel = new DiffPanel({
+    getEditor: () => appState.editorManager || appState.editorView,
+  });
 }
 
-// Initialize settings panel
-function initSettingsPanel() {
-  settingsPanel = new SettingsPanel({
+// Selected text in the open file, for commands that act on a selection
+const getEditorSelection = () => {
+  if (appState.isGitHubMode || appState.isReadOnly) {
+    return null;
+  }
+  const editor = appState.editorManager || appState.editorView;
+  const selection = editor?.getSelection ? editor.getSelection() : null;
+  return selection && selection.text && selection.text.trim().length > 0 ? selection : null;
+};
+
+// Pick a heading of the open markdown file and scroll to it
+const goToHeading = async () => {
+  const editor = appState.editorManager?.getActiveEditor();
+  const headings = editor?.getHeadings ? editor.getHeadings() : [];
+
+  const heading = await commandPalette.pick(
+    headings.map((h) => ({ ...h, title: h.text || 'Untitled', detail: `H${h.level}` })),
+    { placeholder: 'Go to heading', emptyMessage: 'No headings found' }
+  );
+  if (heading) {
+    scrollToHeading(heading.pos);
+  }
+};
+
+// Pick a symbol of the open code file and scroll to it
+const goToSymbol = async () => {
+  const symbols = getSymbols(appState.editorView.state);
+
+  const symbol = await commandPalette.pick(
+    symbols.map((s) => ({ ...s, title: s.name, detail: s.kind })),
+    { placeholder: 'Go to symbol', emptyMessage: 'No symbols found' }
+  );
+  if (symbol) {
+    scrollToHeading(symbol.pos);
+  }
+};
+
+// Read an image linked from the open note, so exports can embed it
+const resolveExportImage = async (src) => {
+  const sourcePath = (await getEditorFilePath()) || appState.currentFilename;
+  const path = appState.rootDirHandle ? resolveMarkdownHref(src, sourcePath) : null;
+  if (!path) {
+    return null;
+  }
+  const opened = await openFileByPath(appState.rootDirHandle, path);
+  return opened ? opened.fileHandle.getFile() : null;
+};
+
+// Render the open note as a standalone HTML document in the current theme
+const renderExport = () =>
+  exportHtml(getEditorContent(), {
+    title: appState.currentFilename.replace(/\.[^.]+$/, ''),
+    theme: document.documentElement.getAttribute('data-theme'),
+    resolveImage: resolveExportImage,
+  });
+
+// Export the open note as an HTML file
+const exportAsHtml = async () => {
+  try {
+    const html = await renderExport();
+    await saveHtmlFile(`${appState.currentFilename.replace(/\.[^.]+$/, '')}.html`, html);
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error('Error exporting HTML:', err);
+      alert('Error exporting HTML: ' + err.message);
+    }
+  }
+};
+
+// Print the open note, so it can be saved as a PDF from the print dialog
+const exportAsPdf = async () => {
+  try {
+    await printHtml(await renderExport());
+  } catch (err) {
+    console.error('Error exporting PDF:', err);
+    alert('Error exporting PDF: ' + err.message);
+  }
+};
+
+// Flip the autosave checkbox, running its change handler
+const toggleAutosave = () => {
+  const autosaveCheckbox = document.getElementById('autosave-checkbox');
+  if (!autosaveCheckbox || autosaveCheckbox.disabled) {
+    return;
+  }
+  autosaveCheckbox.checked = !autosaveCheckbox.checked;
+  autosaveCheckbox.dispatchEvent(new Event('change'));
+};
+
+// What every app action does; titles and keybindings come from the keybinding registry
+const commandHandlers = [
+  {
+    id: 'file.new',
+    isEnabled: () => !!appState.currentDirHandle,
+    run: () => {
+      exitGitHubReader();
+      newFile();
+    },
+  },
+  {
+    id: 'file.openFolder',
+    run: () => openFolder(),
+  },
+  {
+    id: 'file.save',
+    isEnabled: () => !appState.isReadOnly && (!!appState.currentFileHandle || appState.isDirty),
+    run: () => saveFile(),
+  },
+  {
+    id: 'file.toggleAutosave',
+    isEnabled: () => !document.getElementById('autosave-checkbox')?.disabled,
+    run: toggleAutosave,
+  },
+  {
+    id: 'file.exportHtml',
+    isEnabled: () => isMarkdownFile(appState.currentFilename) && !!appState.editorManager,
+    run: exportAsHtml,
+  },
+  {
+    id: 'file.exportPdf',
+    isEnabled: () => isMarkdownFile(appState.currentFilename) && !!appState.editorManager,
+    run: exportAsPdf,
+  },
+  {
+    id: 'view.toggleTheme',
+    run: () => {
+      closeComments();
+      toggleTheme();
+    },
+  },
+  {
+    id: 'view.toggleRichMode',
+    isEnabled: () => isMarkdownFile(appState.currentFilename) && !!appState.editorManager,
+    run: () => toggleRichMode(),
+  },
+  {
+    id: 'editor.goToHeading',
+    isEnabled: () =>
+      isMarkdownFile(appState.currentFilename) &&
+      !!appState.editorManager?.getActiveEditor()?.getHeadings,
+    run: goToHeading,
+  },
+  {
+    id: 'editor.goToSymbol',
+    isEnabled: hasCodeOutline,
+    run: goToSymbol,
+  },
+  {
+    id: 'editor.addComment',
+    isEnabled: () =>
+      !!commentToolbar &&
+      appState.editorManager?.getMode() !== 'wysiwyg' &&
+      getEditorSelection() !== null,
+    run: () => handleAddComment(getEditorSelection()),
+  },
+  {
+    id: 'ai.improve',
+    isEnabled: () => getEditorSelection() !== null,
+    run: () => handleAIImprove(getEditorSelection()),
+  },
+  {
+    id: 'ai.chat',
+    run: () => aiChatPanel?.open(),
+  },
+  {
+    id: 'search.inFiles',
+    isEnabled: () => !!appState.rootDirHandle,
+    run: () => contentSearchPanel?.open(),
+  },
+  {
+    id: 'search.replaceInFiles',
+    isEnabled: () => !!appState.rootDirHandle,
+    run: () => findReplacePanel?.open(),
+  },
+  {
+    id: 'app.openSettings',
+    run: () => settingsPanel?.open(),
+  },
+];
+
+// Commands listed in the command palette
+const getCommands = () =>
+  commandHandlers.map((command) => ({
+    ...command,
+    title: keybindingRegistry.getAction(command.id).title,
+    keybinding: keybindingRegistry.get(command.id),
+  }));
+
+// Run app actions from their keyboard shortcuts (search and the palette are built in)
+commandHandlers.forEach(({ id, isEnabled, run }) => {
+  registerShortcutHandler(id, () => {
+    if (isEnabled && !isEnabled()) {
+      return false;
+    }
+    run();
+  });
+});
+
+// Save from the editor keymaps (:w in Vim, C-x C-s in Emacs) like the save shortcut
+setKeymapSaveHandler(() => {
+  const save = commandHandlers.find((command) => command.id === 'file.save');
+  if (save.isEnabled()) {
+    save.run();
+  }
+});
+
+// Initialize command palette
+function initCommandPalette() {
+  commandPalette = new CommandPalette({
+    getCommands,
     getEditor: () => appState.editorManager || appState.editorView,
   });
-  window.settingsPanel = settingsPanel; // Update window reference
-  console.log('[Settings] Settings panel initialized');
+  window.commandPalette = commandPalette; // Expose for keyboard shortcut and testing
 }
 
+// The open file changed on disk while it had unsaved edits: let the user merge the two versions
+const resolveExternalChange = async (diskContent) => {
+  const path = getRelativeFilePath();
+  const bufferContent = getEditorContent();
+
+  // The disk already has the edits (e.g. saved from another window)
+  if (diskContent === bufferContent) {
+    appState.originalContent = diskContent;
+    appState.isDirty = false;
+    fileSyncManager.updateLastModifiedLocal(null);
+    const pathKey = getFilePathKey();
+    if (pathKey) {
+      clearTempChanges(pathKey);
+    }
+    updateBreadcrumb();
+    return;
+  }
+
+  isResolvingConflict = true;
+  fileSyncManager.pause();
+  const finish = () => {
+    isResolvingConflict = false;
+    fileSyncManager.resume();
+  };
+
+  diffPanel.open({
+    title: 'File changed on disk',
+    description: `${appState.currentFilename} was changed outside hotnote while you were editing`,
+    original: diskContent,
+    modified: bufferContent,
+    originalLabel: 'On disk',
+    modifiedLabel: 'Your changes',
+    filename: appState.currentFilename,
+    saveLabel: 'Save merged',
+    onSave: async (merged) => {
+      const openFile = getOpenFileForReplace();
+      if (!openFile || openFile.path !== path) {
+        throw new Error(`${path} is no longer open`);
+      }
+
+      // Edit through the editor so the merge can be undone, then write it even if it
+      // matches the content the file was opened with
+      if (merged !== openFile.getContent()) {
+        await openFile.replaceRange(0, openFile.getContent().length, merged);
+      }
+      finish();
+      appState.isDirty = true;
+      await saveFile();
+    },
+    // Keeping the edits unsaved means the next save overwrites the disk version
+    onCancel: finish,
+  });
+};
+
+// Compare two workspace files; the open file is compared with its unsaved edits
+const compareWorkspaceFiles = async (leftPath, rightPath) => {
+  const rootDirHandle = appState.rootDirHandle;
+  if (!rootDirHandle) {
+    return;
+  }
+
+  const editorFilePath = await getEditorFilePath();
+  const readContent = async (path) => {
+    if (path === editorFilePath && appState.isDirty) {
+      return { content: getEditorContent(), label: `${path} (unsaved)` };
+    }
+    const opened = await openFileByPath(rootDirHandle, path);
+    if (!opened) {
+      throw new Error(`Could not find: ${path}`);
+    }
+    return { content: await FileSystemAdapter.readFile(opened.fileHandle), label: path };
+  };
+
+  const [left, right] = await Promise.all([readContent(leftPath), readContent(rightPath)]);
+  diffPanel.open({
+    title: 'Compare Files',
+    original: left.content,
+    modified: right.content,
+    originalLabel: left.label,
+    modifiedLabel: right.label,
+    filename: rightPath,
+  });
+};
+window.compareWorkspaceFiles = compareWorkspaceFiles; // Expose for file-picker module
+
 // Initialize comment system
 function initCommentSystem() {
   // Skip initialization if in GitHub read-only mode
@@ -1934,8 +2911,21 @@ const saveFile = async () => {
   }
 
   try {
+    // Merge changes other programs made to the file first, so they aren't overwritten
+    if (appState.currentFileHandle && !(await fileSyncManager.syncBeforeSave())) {
+      return;
+    }
+
     const content = getEditorContent();
 
+    // Autosave waits for conflict markers to be resolved; a manual save asks first
+    if (
+      hasConflictMarkers(content) &&
+      !window.confirm(`"${appState.currentFilename}" still has conflict markers. Save anyway?`)
+    ) {
+      return;
+    }
+
     // If no file handle exists, prompt for save location
     if (!appState.currentFileHandle) {
       appState.currentFileHandle = await FileSystemAdapter.saveFilePicker(
@@ -1953,13 +2943,21 @@ const saveFile = async () => {
 
     appState.isDirty = false;
 
-    // Update original content to the saved content
+    // Update original content to the saved content, keeping the replaced one for the history
+    const previousContent = appState.originalContent;
     appState.originalContent = content;
 
     // Update file modification tracking
     const metadata = await FileSystemAdapter.getFileMetadata(appState.currentFileHandle);
-    fileSyncManager.updateLastKnownModified(metadata.lastModified);
-    fileSyncManager.updateLastModifiedLocal(null); // Clear since we just saved
+    fileSyncManager.trackFile(content, metadata.lastModified);
+
+    // Keep the search index current without waiting for the next refresh
+    searchIndex.updateFile(getRelativeFilePath(), appState.currentFileHandle);
+
+    // Snapshot the saved content (runs in the background)
+    versionHistory
+      .capture(getRelativeFilePath(), content, previousContent)
+      .catch((err) => console.error('[History] Snapshot failed:', err));
 
     // Clear temp changes after successful save
     const pathKey = getFilePathKey();
@@ -2143,6 +3141,21 @@ document.getElementById('new-btn').addEventListener('click', () => {
 
   newFile();
 });
+document.getElementById('search-btn').addEventListener('click', () => {
+  if (contentSearchPanel) {
+    contentSearchPanel.open();
+  }
+});
+document.getElementById('history-btn').addEventListener('click', () => {
+  if (historyPanel) {
+    historyPanel.open();
+  }
+});
+document.getElementById('ai-chat-btn').addEventListener('click', () => {
+  if (aiChatPanel) {
+    aiChatPanel.open();
+  }
+});
 document.getElementById('settings-btn').addEventListener('click', () => {
   if (settingsPanel) {
     settingsPanel.open();
@@ -2262,6 +3275,7 @@ window.addEventListener('popstate', async (event) => {
     getFilePathKey,
     restoreEditorState: (state) => appState.focusManager._restoreEditorState(state),
     isMarkdownFile,
+    trackFile: (content, lastModified) => fileSyncManager.trackFile(content, lastModified),
   };
 
   try {
@@ -2301,6 +3315,14 @@ initThemeManager();
 
 // Initialize settings panel
 initSettingsPanel();
+initContentSearchPanel();
+initFindReplacePanel();
+initBacklinksPanel();
+initHistoryPanel();
+initAIChatPanel();
+initAISuggestion();
+initDiffPanel();
+initCommandPalette();
 
 // Initialize blur state
 updateEditorBlurState();
@@ -2404,11 +3426,12 @@ async function initGitHubReader(githubUrl) {
 
     // Initialize editor with content in readonly mode
     if (isMarkdownFile(filename)) {
-      // Clear the editor container first
-      const editorContainer = document.getElementById('editor');
+      // Clear the editor container first (remote files don't open in tabs)
+      const editorContainer = tabManager.prepareEditor(null);
       editorContainer.innerHTML = '';
 
       // Destroy existing editors
+      aiSuggestion?.reject();
       if (appState.editorManager) {
         appState.editorManager.destroy();
         appState.editorManager = null;
@@ -2624,13 +3647,6 @@ if ('serviceWorker' in navigator && import.meta.env.PROD) {
     console.error('Error setting up version management:', err);
   }
 
-  // Cleanup trash on window close
-  window.addEventListener('beforeunload', async () => {
-    if (appState.currentDirHandle) {
-      await trashManager.cleanup(appState.currentDirHandle);
-    }
-  });
-
   // Add window focus listener for multi-instance detection
   window.addEventListener('focus', async () => {
     // Check for version updates when tab regains focus
@@ -27,6 +27,25 @@ export const clearTempChanges = (key) => {
   localStorage.removeItem(TEMP_STORAGE_PREFIX + key);
 };
 
+// Move temp changes to new keys (e.g. after files were renamed)
+export const moveTempChanges = (mapKey) => {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const storageKey = localStorage.key(i);
+    if (storageKey.startsWith(TEMP_STORAGE_PREFIX)) {
+      keys.push(storageKey.slice(TEMP_STORAGE_PREFIX.length));
+    }
+  }
+
+  keys.forEach((key) => {
+    const newKey = mapKey(key);
+    if (newKey !== key) {
+      localStorage.setItem(TEMP_STORAGE_PREFIX + newKey, loadTempChanges(key));
+      clearTempChanges(key);
+    }
+  });
+};
+
 // Check if file has temp changes
 export const hasTempChanges = (key) => {
   return localStorage.getItem(TEMP_STORAGE_PREFIX + key) !== null;
@@ -0,0 +1,153 @@
+/**
+ * Symbol Outline
+ * Builds the outline of a code file (functions, classes, keys, selectors) from the
+ * CodeMirror syntax tree, for the sidebar and the "Go to Symbol" picker
+ */
+
+import { ensureSyntaxTree, syntaxTree, language } from '@codemirror/language';
+
+// Outlines stop here so huge data files don't flood the sidebar
+const MAX_SYMBOLS = 2000;
+
+// How long to wait for the parser to reach the end of the document
+const PARSE_TIMEOUT = 200;
+
+/**
+ * Symbol nodes of each language by syntax node name
+ * - kind: shown next to the symbol
+ * - name: child node holding the symbol's name (omitted: the text before the Block child)
+ * - value: only a symbol when it has one of these children (e.g. `const f = () => {}`)
+ */
+const javascriptSymbols = {
+  FunctionDeclaration: { kind: 'function', name: 'VariableDefinition' },
+  ClassDeclaration: { kind: 'class', name: 'VariableDefinition' },
+  MethodDeclaration: { kind: 'method', name: 'PropertyDefinition' },
+  VariableDeclaration: {
+    kind: 'function',
+    name: 'VariableDefinition',
+    value: ['ArrowFunction', 'FunctionExpression'],
+  },
+  InterfaceDeclaration: { kind: 'interface', name: 'TypeDefinition' },
+  TypeAliasDeclaration: { kind: 'type', name: 'TypeDefinition' },
+  EnumDeclaration: { kind: 'enum', name: 'TypeDefinition' },
+};
+
+const SYMBOL_NODES = {
+  javascript: javascriptSymbols,
+  typescript: javascriptSymbols,
+  python: {
+    FunctionDefinition: { kind: 'function', name: 'VariableName' },
+    ClassDefinition: { kind: 'class', name: 'VariableName' },
+  },
+  go: {
+    FunctionDecl: { kind: 'function', name: 'DefName' },
+    MethodDecl: { kind: 'method', name: 'FieldName' },
+    TypeSpec: { kind: 'type', name: 'DefName' },
+  },
+  rust: {
+    FunctionItem: { kind: 'function', name: 'BoundIdentifier' },
+    StructItem: { kind: 'struct', name: 'TypeIdentifier' },
+    EnumItem: { kind: 'enum', name: 'TypeIdentifier' },
+    TraitItem: { kind: 'trait', name: 'TypeIdentifier' },
+    ImplItem: { kind: 'impl', name: 'TypeIdentifier' },
+    ModItem: { kind: 'module', name: 'BoundIdentifier' },
+  },
+  json: {
+    Property: { kind: 'key', name: 'PropertyName' },
+  },
+  yaml: {
+    Pair: { kind: 'key', name: 'Key' },
+  },
+  css: {
+    RuleSet: { kind: 'selector' },
+    MediaStatement: { kind: 'at-rule' },
+  },
+};
+
+/**
+ * Get the symbol nodes of the editor's language
+ * @param {EditorState} state - Editor state
+ * @returns {Object|null} Null when the language has no outline
+ */
+const getSymbolNodes = (state) => SYMBOL_NODES[state.facet(language)?.name] || null;
+
+/**
+ * Check whether the editor's language has a symbol outline
+ * @param {EditorState} state - Editor state
+ * @returns {boolean}
+ */
+export function hasSymbolOutline(state) {
+  return getSymbolNodes(state) !== null;
+}
+
+/**
+ * Get the name of a symbol node
+ * @param {EditorState} state - Editor state
+ * @param {SyntaxNode} node - Symbol node
+ * @param {Object} spec - Symbol spec of the node type
+ * @returns {string|null} Null when the node isn't a named symbol
+ */
+const getSymbolName = (state, node, spec) => {
+  if (spec.value && !spec.value.some((type) => node.getChild(type))) {
+    return null;
+  }
+
+  if (!spec.name) {
+    // Selectors and at-rules: everything before the block
+    const block = node.getChild('Block');
+    const text = state.doc.sliceString(node.from, block ? block.from : node.to);
+    return text.replace(/\s+/g, ' ').trim() || null;
+  }
+
+  const nameNode = node.getChild(spec.name);
+  if (!nameNode) {
+    return null;
+  }
+  // JSON and YAML keys may be quoted
+  return state.doc.sliceString(nameNode.from, nameNode.to).replace(/^(["'])(.*)\1$/, '$2');
+};
+
+/**
+ * Build the outline of a code file
+ * Levels follow nesting (a method inside a class is one level deeper), like heading levels,
+ * so the outline renders with the same tree as the markdown TOC.
+ * @param {EditorState} state - Editor state
+ * @returns {Array<{name: string, kind: string, level: number, pos: number}>}
+ */
+export function getSymbols(state) {
+  const symbolNodes = getSymbolNodes(state);
+  if (!symbolNodes) {
+    return [];
+  }
+
+  const tree = ensureSyntaxTree(state, state.doc.length, PARSE_TIMEOUT) || syntaxTree(state);
+  const symbols = [];
+  // End positions of the symbols enclosing the current node
+  const open = [];
+
+  tree.iterate({
+    enter: (nodeRef) => {
+      if (symbols.length >= MAX_SYMBOLS) {
+        return false;
+      }
+
+      const spec = symbolNodes[nodeRef.name];
+      if (!spec) {
+        return undefined;
+      }
+
+      while (open.length > 0 && open[open.length - 1] <= nodeRef.from) {
+        open.pop();
+      }
+
+      const name = getSymbolName(state, nodeRef.node, spec);
+      if (name) {
+        symbols.push({ name, kind: spec.kind, level: open.length + 1, pos: nodeRef.from });
+        open.push(nodeRef.to);
+      }
+      return undefined;
+    },
+  });
+
+  return symbols;
+}
@@ -0,0 +1,122 @@
+import { Decoration, ViewPlugin, WidgetType } from '@codemirror/view';
+import { findConflicts } from '../utils/three-way-merge.js';
+
+/**
+ * Conflict markers for the source and code editors
+ * Highlights the sections left by a merge with changes on disk and adds buttons
+ * to keep either side, or both
+ */
+
+const RESOLUTIONS = [
+  { label: 'Keep yours', pick: (conflict) => conflict.local },
+  { label: 'Keep disk', pick: (conflict) => conflict.remote },
+  { label: 'Keep both', pick: (conflict) => conflict.local + conflict.remote },
+];
+
+/**
+ * Replace the conflict around a position with one of its resolutions
+ * @param {EditorView} view - Editor view
+ * @param {number} pos - Position inside the conflict
+ * @param {Function} pick - Returns the replacement text for the conflict
+ * @returns {boolean} Whether a conflict was resolved
+ */
+export function resolveConflictAt(view, pos, pick) {
+  const conflict = findConflicts(view.state.doc.toString()).find(
+    ({ from, to }) => from <= pos && pos <= to
+  );
+  if (!conflict) return false;
+
+  view.dispatch({
+    changes: { from: conflict.from, to: conflict.to, insert: pick(conflict) },
+    selection: { anchor: conflict.from },
+    userEvent: 'input.resolve',
+  });
+  return true;
+}
+
+class ConflictActionsWidget extends WidgetType {
+  eq() {
+    return true;
+  }
+
+  toDOM(view) {
+    const actions = document.createElement('span');
+    actions.className = 'cm-conflict-actions';
+
+    RESOLUTIONS.forEach(({ label, pick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'cm-conflict-action';
+      button.textContent = label;
+      // Resolve on mousedown so the click doesn't move the cursor first
+      button.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        resolveConflictAt(view, view.posAtDOM(actions), pick);
+      });
+      actions.appendChild(button);
+    });
+
+    return actions;
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
+const markerLine = Decoration.line({ class: 'cm-conflict-marker' });
+const localLine = Decoration.line({ class: 'cm-conflict-local' });
+const remoteLine = Decoration.line({ class: 'cm-conflict-remote' });
+const actionsWidget = Decoration.widget({ widget: new ConflictActionsWidget(), side: 1 });
+
+/**
+ * Build the conflict decorations for the whole document
+ * @param {EditorView} view - Editor view
+ * @returns {DecorationSet}
+ */
+const buildConflictDecorations = (view) => {
+  const { doc } = view.state;
+  const ranges = [];
+
+  // Decorate every line starting in [from, to)
+  const decorateLines = (decoration, from, to) => {
+    for (let pos = from; pos < to; pos = doc.lineAt(pos).to + 1) {
+      ranges.push(decoration.range(pos));
+    }
+  };
+
+  for (const conflict of findConflicts(doc.toString())) {
+    const startLine = doc.lineAt(conflict.from);
+    ranges.push(markerLine.range(startLine.from));
+    ranges.push(actionsWidget.range(startLine.to));
+    decorateLines(localLine, startLine.to + 1, conflict.separator);
+    ranges.push(markerLine.range(conflict.separator));
+    decorateLines(remoteLine, doc.lineAt(conflict.separator).to + 1, conflict.end);
+    ranges.push(markerLine.range(conflict.end));
+  }
+
+  return Decoration.set(ranges, true);
+};
+
+const conflictDecorations = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.decorations = buildConflictDecorations(view);
+    }
+
+    update(update) {
+      if (update.docChanged) {
+        this.decorations = buildConflictDecorations(update.view);
+      }
+    }
+  },
+  { decorations: (plugin) => plugin.decorations }
+);
+
+/**
+ * Conflict marker extensions
+ * @returns {Extension[]}
+ */
+export function conflictMarkerExtension() {
+  return [conflictDecorations];
+}
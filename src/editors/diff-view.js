@@ -0,0 +1,176 @@
+import { EditorView, lineNumbers } from '@codemirror/view';
+import { EditorState } from '@codemirror/state';
+import { syntaxHighlighting } from '@codemirror/language';
+import { MergeView, unifiedMergeView, getChunks, updateOriginalDoc } from '@codemirror/merge';
+import {
+  getLanguageExtension,
+  brandHighlightStyle,
+  brandHighlightStyleDark,
+} from '../editor/language-support.js';
+
+/**
+ * Diff View
+ * Compares two versions of a text, side by side or inline, on top of CodeMirror's merge view.
+ * The modified side is the result: with merge controls, hunks of the original can be taken
+ * into it, and (unless read-only) it can be edited directly.
+ */
+
+export const DIFF_MODES = ['side-by-side', 'inline'];
+
+// Keep a few lines of context around each change and fold the rest
+const COLLAPSE_UNCHANGED = { margin: 3, minSize: 4 };
+
+export class DiffView {
+  /**
+   * @param {Object} options - Diff options
+   * @param {HTMLElement} options.parent - Element the view is rendered into
+   * @param {string} options.original - Original text (disk version, older snapshot, left file)
+   * @param {string} options.modified - Modified text (editor buffer, current content, right file)
+   * @param {string} options.filename - File name used to pick syntax highlighting
+   * @param {string} options.mode - 'side-by-side' or 'inline'
+   * @param {boolean} options.mergeControls - Show per-hunk controls to take or keep changes
+   * @param {boolean} options.readOnly - Prevent editing the modified side
+   * @param {Object} options.phrases - Labels for the merge controls (e.g. {Accept: 'Keep mine'})
+   * @param {Function} options.onChange - Called with the modified text after each edit or merged hunk
+   */
+  constructor(options = {}) {
+    this.parent = options.parent;
+    this.original = options.original || '';
+    this.filename = options.filename || '';
+    this.mode = DIFF_MODES.includes(options.mode) ? options.mode : 'side-by-side';
+    this.mergeControls = options.mergeControls || false;
+    this.readOnly = options.readOnly || false;
+    this.phrases = options.phrases || {};
+    this.onChange = options.onChange || null;
+
+    this.mergeView = null;
+    this.view = null;
+
+    this.render(options.modified || '');
+  }
+
+  /**
+   * Extensions shared by both sides
+   */
+  getExtensions() {
+    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+    return [
+      lineNumbers(),
+      getLanguageExtension(this.filename),
+      syntaxHighlighting(isDark ? brandHighlightStyleDark : brandHighlightStyle),
+      EditorView.lineWrapping,
+      EditorState.phrases.of(this.phrases),
+    ];
+  }
+
+  /**
+   * Extensions for the modified side
+   */
+  getModifiedExtensions() {
+    const extensions = [
+      ...this.getExtensions(),
+      EditorView.updateListener.of((update) => {
+        // Keeping a hunk inline changes the original instead of the modified text
+        const originalChanged = update.transactions.some((tr) =>
+          tr.effects.some((effect) => effect.is(updateOriginalDoc))
+        );
+        if ((update.docChanged || originalChanged) && this.onChange) {
+          this.onChange(update.state.doc.toString());
+        }
+      }),
+    ];
+    if (this.readOnly) {
+      extensions.push(EditorState.readOnly.of(true), EditorView.editable.of(false));
+    }
+    return extensions;
+  }
+
+  /**
+   * Build the view for the current mode
+   * @param {string} modified - Modified text
+   */
+  render(modified) {
+    if (this.mode === 'inline') {
+      this.view = new EditorView({
+        parent: this.parent,
+        state: EditorState.create({
+          doc: modified,
+          extensions: [
+            ...this.getModifiedExtensions(),
+            unifiedMergeView({
+              original: this.original,
+              mergeControls: this.mergeControls,
+              collapseUnchanged: COLLAPSE_UNCHANGED,
+            }),
+          ],
+        }),
+      });
+      return;
+    }
+
+    const readOnlyOriginal = [EditorState.readOnly.of(true), EditorView.editable.of(false)];
+    this.mergeView = new MergeView({
+      parent: this.parent,
+      a: { doc: this.original, extensions: [...this.getExtensions(), ...readOnlyOriginal] },
+      b: { doc: modified, extensions: this.getModifiedExtensions() },
+      revertControls: this.mergeControls ? 'a-to-b' : undefined,
+      collapseUnchanged: COLLAPSE_UNCHANGED,
+    });
+    this.view = this.mergeView.b;
+  }
+
+  /**
+   * Switch between side-by-side and inline, keeping the merged text
+   * @param {string} mode - 'side-by-side' or 'inline'
+   */
+  setMode(mode) {
+    if (!DIFF_MODES.includes(mode) || mode === this.mode) {
+      return;
+    }
+
+    const modified = this.getContent();
+    this.destroyViews();
+    this.mode = mode;
+    this.render(modified);
+  }
+
+  /**
+   * Get the modified text, including any hunks taken from the original
+   * @returns {string}
+   */
+  getContent() {
+    return this.view.state.doc.toString();
+  }
+
+  /**
+   * Count the hunks where the two sides still differ
+   * @returns {number}
+   */
+  getChangeCount() {
+    if (this.mergeView) {
+      return this.mergeView.chunks.length;
+    }
+    return getChunks(this.view.state)?.chunks.length ?? 0;
+  }
+
+  /**
+   * Destroy the editors of the current mode
+   */
+  destroyViews() {
+    if (this.mergeView) {
+      this.mergeView.destroy();
+    } else if (this.view) {
+      this.view.destroy();
+    }
+    this.mergeView = null;
+    this.view = null;
+  }
+
+  /**
+   * Remove the view from the page
+   */
+  destroy() {
+    this.destroyViews();
+    this.onChange = null;
+  }
+}
@@ -0,0 +1,94 @@
+import { Compartment } from '@codemirror/state';
+import { ViewPlugin } from '@codemirror/view';
+import { vim, Vim } from '@replit/codemirror-vim';
+import { emacs, EmacsHandler } from '@replit/codemirror-emacs';
+import { settingsManager } from '../state/settings-manager.js';
+
+/**
+ * Editor keymap modes for the source and code editors
+ * Adds optional Vim or Emacs bindings, chosen in settings and switched in every open
+ * editor when the setting changes
+ */
+
+export const KEYMAP_MODES = [
+  { value: 'default', label: 'Default' },
+  { value: 'vim', label: 'Vim' },
+  { value: 'emacs', label: 'Emacs' },
+];
+
+const keymapCompartment = new Compartment();
+
+// Open editors, so a new keymap mode applies without reopening files
+const openViews = new Set();
+
+// Called by :w in Vim and C-x C-s in Emacs
+let saveHandler = null;
+
+Vim.defineEx('write', 'w', () => saveHandler?.());
+EmacsHandler.addCommands({ save: () => saveHandler?.() });
+EmacsHandler.bindKey('C-x C-s', 'save');
+
+/**
+ * Set what saving from the editor keymaps does
+ * @param {Function|null} handler - Saves the current file
+ */
+export function setKeymapSaveHandler(handler) {
+  saveHandler = handler;
+}
+
+/**
+ * Get the keymap mode stored in settings
+ * @returns {string} 'default', 'vim' or 'emacs'
+ */
+export function getKeymapMode() {
+  const mode = settingsManager.getSetting('keymap');
+  return KEYMAP_MODES.some((option) => option.value === mode) ? mode : 'default';
+}
+
+/**
+ * Extensions of a keymap mode
+ * Vim shows its mode (--NORMAL--, --INSERT--, ...) in a status panel below the editor.
+ * @param {string} mode - Keymap mode
+ * @returns {Extension}
+ */
+const keymapModeExtension = (mode) => {
+  if (mode === 'vim') {
+    return vim({ status: true });
+  }
+  if (mode === 'emacs') {
+    return emacs();
+  }
+  return [];
+};
+
+const trackOpenViews = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.view = view;
+      openViews.add(view);
+    }
+
+    destroy() {
+      openViews.delete(this.view);
+    }
+  }
+);
+
+/**
+ * Keymap extensions of an editor, using the mode stored in settings
+ * Must come before the editor's other keymaps so the mode's bindings take precedence.
+ * @returns {Extension[]}
+ */
+export function editorKeymapExtension() {
+  return [keymapCompartment.of(keymapModeExtension(getKeymapMode())), trackOpenViews];
+}
+
+/**
+ * Switch every open editor to the keymap mode stored in settings
+ */
+export function applyKeymapMode() {
+  const extension = keymapModeExtension(getKeymapMode());
+  openViews.forEach((view) => {
+    view.dispatch({ effects: keymapCompartment.reconfigure(extension) });
+  });
+}
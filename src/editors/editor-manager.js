@@ -164,6 +164,20 @@ export class EditorManager {
     }
   }
 
+  /**
+   * Set cursor position by absolute character offset in the raw markdown
+   * @param {number} offset - Absolute character offset
+   */
+  setAbsoluteCursor(offset) {
+    if (!this.currentEditor) return;
+
+    if (this.currentMode === 'source') {
+      this.currentEditor.setAbsoluteCursor(offset);
+    } else {
+      this.currentEditor.setAbsoluteCursor(offset, this.currentEditor.getContent());
+    }
+  }
+
   /**
    * Get scroll position
    */
@@ -217,6 +231,19 @@ export class EditorManager {
     return this.currentEditor.getSelection();
   }
 
+  /**
+   * Get the text between two positions
+   * @param {number} from - Start position
+   * @param {number} to - End position
+   * @returns {string|null} Text, or null if the positions are outside the document
+   */
+  getTextRange(from, to) {
+    if (!this.currentEditor || !this.currentEditor.getTextRange) {
+      return null;
+    }
+    return this.currentEditor.getTextRange(from, to);
+  }
+
   /**
    * Replace the current selection with new text
    * @param {string} text - Text to insert
@@ -254,6 +281,15 @@ export class EditorManager {
     return this.currentEditor.getDocumentText();
   }
 
+  /**
+   * Re-check wiki links against the workspace files
+   */
+  refreshWikiLinks() {
+    if (this.currentEditor && this.currentEditor.refreshWikiLinks) {
+      this.currentEditor.refreshWikiLinks();
+    }
+  }
+
   /**
    * Add AI loading decoration to text range
    * @param {number} from - Start position
@@ -0,0 +1,66 @@
+import { EditorView } from '@codemirror/view';
+import {
+  getImageFiles,
+  canSaveImages,
+  saveImage,
+  formatImageMarkdown,
+} from '../links/image-assets.js';
+
+/**
+ * Images for the source editor
+ * Pasted and dropped images are saved to the note's image folder and linked as markdown
+ */
+
+/**
+ * Save images and insert their markdown
+ * @param {EditorView} view - Editor view
+ * @param {File[]} files - Images
+ * @param {number} pos - Where to insert them
+ */
+const insertImages = async (view, files, pos) => {
+  const links = [];
+  for (const file of files) {
+    try {
+      links.push(formatImageMarkdown(await saveImage(file)));
+    } catch (err) {
+      console.error('[Images] Could not save image:', err);
+      alert(`Could not save image: ${err.message}`);
+    }
+  }
+
+  if (links.length > 0 && view.dom.isConnected) {
+    const from = Math.min(pos, view.state.doc.length);
+    const insert = links.join('\n');
+    view.dispatch({
+      changes: { from, insert },
+      selection: { anchor: from + insert.length },
+      scrollIntoView: true,
+    });
+  }
+};
+
+/**
+ * Image paste and drop handling for the source editor
+ * @returns {Extension}
+ */
+export function imagePasteExtension() {
+  return EditorView.domEventHandlers({
+    paste: (event, view) => {
+      const files = getImageFiles(event.clipboardData);
+      if (files.length === 0 || !canSaveImages()) return false;
+
+      event.preventDefault();
+      insertImages(view, files, view.state.selection.main.head);
+      return true;
+    },
+    drop: (event, view) => {
+      const files = getImageFiles(event.dataTransfer);
+      if (files.length === 0 || !canSaveImages()) return false;
+
+      event.preventDefault();
+      const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+      insertImages(view, files, pos ?? view.state.selection.main.head);
+      return true;
+    },
+  });
+}
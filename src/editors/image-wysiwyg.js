@@ -0,0 +1,117 @@
+import { $prose } from '@milkdown/utils';
+import { Plugin, PluginKey } from '@milkdown/prose/state';
+import {
+  getImageFiles,
+  canSaveImages,
+  saveImage,
+  isLocalImage,
+  resolveImageUrl,
+} from '../links/image-assets.js';
+
+/**
+ * Images for the WYSIWYG editor
+ * Pasted and dropped images are saved to the note's image folder and linked, and images
+ * with relative links are loaded from the workspace
+ */
+
+const imageAssetsKey = new PluginKey('imageAssets');
+
+/**
+ * Save images and insert them into the document
+ * @param {EditorView} view - ProseMirror view
+ * @param {File[]} files - Images
+ * @param {number} pos - Where to insert them
+ */
+const insertImages = async (view, files, pos) => {
+  const imageType = view.state.schema.nodes.image;
+  const nodes = [];
+  for (const file of files) {
+    try {
+      const { href, alt } = await saveImage(file);
+      nodes.push(imageType.create({ src: href, alt }));
+    } catch (err) {
+      console.error('[Images] Could not save image:', err);
+      alert(`Could not save image: ${err.message}`);
+    }
+  }
+
+  if (nodes.length > 0 && !view.isDestroyed) {
+    const insertAt = Math.min(pos, view.state.doc.content.size);
+    view.dispatch(view.state.tr.insert(insertAt, nodes).scrollIntoView());
+  }
+};
+
+/**
+ * Image node view that loads relative images from the workspace
+ * @param {Node} node - Image node
+ * @returns {NodeView}
+ */
+const createImageView = (node) => {
+  const dom = document.createElement('img');
+  let src = null;
+
+  const update = (updated) => {
+    if (updated.type !== node.type) {
+      return false;
+    }
+
+    dom.alt = updated.attrs.alt;
+    if (updated.attrs.title) {
+      dom.title = updated.attrs.title;
+    } else {
+      dom.removeAttribute('title');
+    }
+
+    if (updated.attrs.src !== src) {
+      src = updated.attrs.src;
+      dom.setAttribute('data-src', src);
+      if (!isLocalImage(src)) {
+        dom.src = src;
+      } else {
+        // Relative paths would load from the app's URL, so wait for the workspace file
+        dom.removeAttribute('src');
+        const requested = src;
+        resolveImageUrl(requested).then((url) => {
+          if (src === requested) {
+            dom.src = url || requested;
+          }
+        });
+      }
+    }
+    return true;
+  };
+
+  update(node);
+  return { dom, update };
+};
+
+export const imageAssets = $prose(
+  () =>
+    new Plugin({
+      key: imageAssetsKey,
+      props: {
+        nodeViews: {
+          image: createImageView,
+        },
+        handlePaste(view, event) {
+          const files = getImageFiles(event.clipboardData);
+          if (files.length === 0 || !canSaveImages()) {
+            return false;
+          }
+          event.preventDefault();
+          insertImages(view, files, view.state.selection.from);
+          return true;
+        },
+        handleDrop(view, event) {
+          const files = getImageFiles(event.dataTransfer);
+          if (files.length === 0 || !canSaveImages()) {
+            return false;
+          }
+          event.preventDefault();
+          const dropPos = view.posAtCoords({ left: event.clientX, top: event.clientY });
+          insertImages(view, files, dropPos ? dropPos.pos : view.state.selection.from);
+          return true;
+        },
+      },
+    })
+);
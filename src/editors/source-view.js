@@ -30,6 +30,10 @@ import {
   closeBracketsKeymap,
 } from '@codemirror/autocomplete';
 import { lintKeymap } from '@codemirror/lint';
+import { wikiLinkExtension, refreshWikiLinksEffect } from './wiki-link-source.js';
+import { imagePasteExtension } from './image-source.js';
+import { conflictMarkerExtension } from './conflict-markers.js';
+import { editorKeymapExtension } from './editor-keymap.js';
 
 // Brand-themed syntax highlighting (light mode)
 const brandHighlightStyle = HighlightStyle.define([
@@ -155,6 +159,7 @@ export class SourceView {
     const highlightStyle = isDark ? brandHighlightStyleDark : brandHighlightStyle;
 
     const extensions = [
+      editorKeymapExtension(), // Vim or Emacs bindings, before the other keymaps
       lineNumbers(),
       EditorView.lineWrapping, // Add line wrapping like regular CodeMirror
       highlightActiveLineGutter(),
@@ -174,6 +179,9 @@ export class SourceView {
       highlightSelectionMatches(),
       commentDecorationField,
       commentClickHandler(),
+      wikiLinkExtension(),
+      imagePasteExtension(),
+      conflictMarkerExtension(),
       markdown({
         base: markdownLanguage,
       }),
@@ -283,6 +291,58 @@ export class SourceView {
     return this.view.state.doc.lines;
   }
 
+  /**
+   * Extract the markdown headings of the document, skipping fenced code blocks
+   * Returns array of {level, text, id, pos}, like WYSIWYGView.getHeadings
+   */
+  getHeadings() {
+    const headings = [];
+    const doc = this.view.state.doc;
+    let fence = null;
+
+    for (let i = 1; i <= doc.lines; i++) {
+      const line = doc.line(i);
+
+      const fenceMatch = /^\s{0,3}(`{3,}|~{3,})/.exec(line.text);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+          fence = null;
+        }
+        continue;
+      }
+      if (fence) {
+        continue;
+      }
+
+      const match = /^\s{0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/.exec(line.text);
+      if (match) {
+        const text = match[2] || '';
+        const id = text
+          .toLowerCase()
+          .replace(/[^\w\s-]/g, '')
+          .replace(/\s+/g, '-');
+        headings.push({
+          level: match[1].length,
+          text,
+          id: `heading-${id}-${line.from}`,
+          pos: line.from,
+        });
+      }
+    }
+
+    return headings;
+  }
+
+  /**
+   * Move the cursor to a position and scroll it into view
+   * @param {number} pos - Absolute character offset in the document
+   */
+  scrollToPosition(pos) {
+    this.setAbsoluteCursor(pos);
+  }
+
   /**
    * Get scroll position
    */
@@ -348,6 +408,20 @@ export class SourceView {
     };
   }
 
+  /**
+   * Get the text between two positions
+   * @param {number} from - Start position
+   * @param {number} to - End position
+   * @returns {string|null} Text, or null if the positions are outside the document
+   */
+  getTextRange(from, to) {
+    if (!this.view || from < 0 || to > this.view.state.doc.length || from > to) {
+      return null;
+    }
+
+    return this.view.state.doc.sliceString(from, to);
+  }
+
   /**
    * Replace the current selection with new text
    * @param {string} text - Text to insert
@@ -411,6 +485,17 @@ export class SourceView {
     return this.view.state.doc.toString();
   }
 
+  /**
+   * Re-check wiki links against the workspace files (e.g. after files were added)
+   */
+  refreshWikiLinks() {
+    if (!this.view) return;
+
+    this.view.dispatch({
+      effects: refreshWikiLinksEffect.of(null),
+    });
+  }
+
   /**
    * Add a comment decoration to the editor
    * @param {string} commentId - Comment ID
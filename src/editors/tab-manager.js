@@ -0,0 +1,437 @@
+/**
+ * Tab Manager
+ * Keeps several workspace files open at once. Every tab owns its editor element, so a
+ * tab in the background keeps its editor (content, cursor and undo history) alive, and
+ * up to two tabs are shown side by side in the main and split panes.
+ *
+ * The app only ever works with one open file: activating a tab captures the app's state
+ * into the previous tab and applies the tab's own state (see the callbacks).
+ */
+
+export const PANES = ['main', 'split'];
+
+export class TabManager {
+  /**
+   * @param {Object} options - Tab options
+   * @param {Object} options.panes - Pane elements by name ({main, split})
+   * @param {Function} options.captureState - Returns the app's state of the open file
+   *   (editors, dirty state, ...), stored in the tab that is about to be hidden
+   * @param {Function} options.applyState - Makes a tab (or a pane's empty slot) the open file
+   * @param {Function} options.destroyState - Destroys the editors of a captured state
+   * @param {Function} options.onChange - Called when tabs are opened, closed or switched
+   */
+  constructor(options = {}) {
+    this.nextId = 1;
+    this.tabs = [];
+    this.activePane = 'main';
+    this.splitOpen = false;
+
+    // Each pane shows one tab, or its empty slot when no file is open in it
+    this.panes = {};
+    PANES.forEach((name) => {
+      this.panes[name] = {
+        element: options.panes?.[name] || null,
+        slot: null,
+        empty: this.createSlot(null),
+      };
+    });
+
+    this.callbacks = {
+      captureState: options.captureState || (() => ({})),
+      applyState: options.applyState || (() => {}),
+      destroyState: options.destroyState || (() => {}),
+      onChange: options.onChange || (() => {}),
+    };
+  }
+
+  /**
+   * Create a tab, or an empty slot when path is null
+   * @param {string|null} path - Path of the file relative to the workspace root
+   * @returns {Object} Slot with its editor element
+   */
+  createSlot(path) {
+    const element = document.createElement('div');
+    element.className = 'editor-tab';
+
+    return {
+      id: `tab-${this.nextId++}`,
+      path,
+      filename: path ? path.split('/').pop() : '',
+      element,
+      // Whether the file has been read into the tab's editor (restored tabs load lazily)
+      loaded: false,
+      // File identity set by the app when the file is loaded ({fileHandle, dirPath, ...})
+      file: null,
+      // App state captured while the tab is in the background
+      state: {},
+      scrollTop: 0,
+      scrollLeft: 0,
+      lastActive: 0,
+    };
+  }
+
+  /**
+   * Get the open tabs in tab bar order
+   * @returns {Array<Object>}
+   */
+  getTabs() {
+    return this.tabs;
+  }
+
+  /**
+   * Find the tab of a file
+   * @param {string} path - Path relative to the workspace root
+   * @returns {Object|null}
+   */
+  getTab(path) {
+    return this.tabs.find((tab) => tab.path === path) || null;
+  }
+
+  /**
+   * Find a tab by id
+   * @param {string} id - Tab id
+   * @returns {Object|null}
+   */
+  getTabById(id) {
+    return this.tabs.find((tab) => tab.id === id) || null;
+  }
+
+  /**
+   * Get the tab or empty slot shown in the active pane
+   * @returns {Object|null}
+   */
+  getActiveSlot() {
+    return this.panes[this.activePane].slot;
+  }
+
+  /**
+   * Get the tab shown in the active pane
+   * @returns {Object|null} Null when no file is open in the active pane
+   */
+  getActiveTab() {
+    const slot = this.getActiveSlot();
+    return slot && slot.path !== null ? slot : null;
+  }
+
+  /**
+   * Get the name of the pane showing a tab
+   * @param {Object} slot - Tab or empty slot
+   * @returns {string|null}
+   */
+  getPaneOf(slot) {
+    return PANES.find((name) => this.panes[name].slot === slot) || null;
+  }
+
+  /**
+   * Add a tab after the active one, without showing it
+   * @param {string} path - Path relative to the workspace root
+   * @returns {Object} The new tab
+   */
+  addTab(path) {
+    const tab = this.createSlot(path);
+    const active = this.getActiveTab();
+    const index = active ? this.tabs.indexOf(active) + 1 : this.tabs.length;
+    this.tabs.splice(index, 0, tab);
+    return tab;
+  }
+
+  /**
+   * Put a tab's element in a pane, taking it out of the pane it was shown in
+   * The pane's scroll position is kept per tab
+   * @param {Object} slot - Tab or empty slot
+   * @param {string} paneName - Pane to show it in
+   */
+  show(slot, paneName) {
+    const pane = this.panes[paneName];
+    if (pane.slot === slot) {
+      return;
+    }
+
+    const otherPane = this.getPaneOf(slot);
+    if (otherPane) {
+      this.hide(otherPane);
+      this.show(this.panes[otherPane].empty, otherPane);
+    }
+    if (pane.slot) {
+      this.hide(paneName);
+    }
+
+    pane.slot = slot;
+    if (pane.element) {
+      pane.element.appendChild(slot.element);
+      pane.element.scrollTop = slot.scrollTop;
+      pane.element.scrollLeft = slot.scrollLeft;
+    }
+  }
+
+  /**
+   * Take the shown tab's element out of a pane
+   * @param {string} paneName - Pane name
+   */
+  hide(paneName) {
+    const pane = this.panes[paneName];
+    const slot = pane.slot;
+    if (!slot) {
+      return;
+    }
+
+    if (pane.element) {
+      slot.scrollTop = pane.element.scrollTop;
+      slot.scrollLeft = pane.element.scrollLeft;
+    }
+    slot.element.remove();
+    pane.slot = null;
+  }
+
+  /**
+   * Make a tab (or empty slot) the open file, shown in a pane
+   * @param {Object} slot - Tab or empty slot
+   * @param {string} paneName - Pane to show it in (defaults to the pane already showing it,
+   *   then the active pane)
+   */
+  activate(slot, paneName = this.getPaneOf(slot) || this.activePane) {
+    const current = this.getActiveSlot();
+    if (current === slot && paneName === this.activePane) {
+      slot.lastActive = Date.now();
+      this.callbacks.onChange();
+      return;
+    }
+
+    if (current) {
+      current.state = this.callbacks.captureState();
+    }
+
+    this.show(slot, paneName);
+    this.activePane = paneName;
+    slot.lastActive = Date.now();
+    this.callbacks.applyState(slot);
+    this.callbacks.onChange();
+  }
+
+  /**
+   * Get the element the editor of a file is created in, activating its tab first
+   * Opening a file that has no tab yet adds one; a null path (no file open, or a file
+   * outside the workspace) uses the active pane's empty slot.
+   * @param {string|null} path - Path relative to the workspace root
+   * @param {Object} file - File identity stored in the tab ({fileHandle, dirPath, ...})
+   * @returns {HTMLElement}
+   */
+  prepareEditor(path, file = null) {
+    if (path === null) {
+      const slot = this.panes[this.activePane].empty;
+      this.activate(slot, this.activePane);
+      return slot.element;
+    }
+
+    const tab = this.getTab(path) || this.addTab(path);
+    tab.file = file;
+    tab.loaded = true;
+    this.activate(tab);
+    return tab.element;
+  }
+
+  /**
+   * Get the most recently used tab that isn't shown in another pane
+   * @param {Array<Object>} exclude - Tabs to skip
+   * @returns {Object|null}
+   */
+  getRecentTab(exclude = []) {
+    return (
+      this.tabs
+        .filter((tab) => !exclude.includes(tab))
+        .filter((tab) => this.getPaneOf(tab) === null)
+        .sort((a, b) => b.lastActive - a.lastActive)[0] || null
+    );
+  }
+
+  /**
+   * Close a tab, destroying its editor
+   * A pane showing it switches to the most recently used tab, or closes when it is the
+   * split pane and no other tab is left to show.
+   * @param {string} id - Tab id
+   * @returns {boolean} Whether the tab was open
+   */
+  closeTab(id) {
+    const tab = this.getTabById(id);
+    if (!tab) {
+      return false;
+    }
+
+    const paneName = this.getPaneOf(tab);
+    if (paneName) {
+      const next = this.getRecentTab([tab]);
+      if (paneName === 'split' && !next) {
+        this.closeSplit();
+      } else if (paneName === this.activePane) {
+        this.activate(next || this.panes[paneName].empty, paneName);
+      } else {
+        this.show(next || this.panes[paneName].empty, paneName);
+      }
+    }
+
+    this.tabs = this.tabs.filter((t) => t !== tab);
+    this.callbacks.destroyState(tab.state);
+    tab.state = {};
+    tab.element.remove();
+
+    if (this.splitOpen && this.getTabs().length < 2) {
+      this.closeSplit();
+    }
+
+    this.callbacks.onChange();
+    return true;
+  }
+
+  /**
+   * Close every tab, e.g. when another workspace is opened
+   * Leaves the main pane's empty slot as the open file.
+   */
+  closeAll() {
+    const current = this.getActiveSlot();
+    if (current) {
+      current.state = this.callbacks.captureState();
+    }
+
+    if (this.splitOpen) {
+      this.splitOpen = false;
+      this.panes.split.element?.classList.add('hidden');
+    }
+    PANES.forEach((name) => this.hide(name));
+
+    this.tabs.forEach((tab) => {
+      this.callbacks.destroyState(tab.state);
+      tab.element.remove();
+    });
+    this.tabs = [];
+
+    this.activePane = 'main';
+    this.show(this.panes.main.empty, 'main');
+    this.callbacks.applyState(this.panes.main.empty);
+    this.callbacks.onChange();
+  }
+
+  /**
+   * Check whether the split pane can be opened
+   * @returns {boolean}
+   */
+  canSplit() {
+    return this.getActiveTab() !== null && this.tabs.length >= 2;
+  }
+
+  /**
+   * Show the active tab in the split pane, next to the tab used before it
+   * @returns {boolean} Whether the split pane opened
+   */
+  openSplit() {
+    if (this.splitOpen || !this.canSplit()) {
+      return false;
+    }
+
+    const current = this.getActiveTab();
+    const previous = this.getRecentTab([current]);
+    if (!previous) {
+      return false;
+    }
+
+    this.splitOpen = true;
+    this.panes.split.element?.classList.remove('hidden');
+
+    this.activate(previous, 'main');
+    if (previous.loaded) {
+      this.activate(current, 'split');
+    } else {
+      // The previous tab loads into the main pane, which stays active
+      this.show(current, 'split');
+      this.callbacks.onChange();
+    }
+    return true;
+  }
+
+  /**
+   * Close the split pane; its tab stays open in the tab bar
+   */
+  closeSplit() {
+    if (!this.splitOpen) {
+      return;
+    }
+
+    if (this.activePane === 'split') {
+      const main = this.panes.main.slot;
+      this.activate(
+        main && main.path !== null ? main : this.getRecentTab() || this.panes.main.empty,
+        'main'
+      );
+    }
+
+    this.hide('split');
+    this.splitOpen = false;
+    this.panes.split.element?.classList.add('hidden');
+    this.callbacks.onChange();
+  }
+
+  /**
+   * Toggle the split pane
+   */
+  toggleSplit() {
+    if (this.splitOpen) {
+      this.closeSplit();
+    } else {
+      this.openSplit();
+    }
+  }
+
+  /**
+   * Make a pane active, e.g. when its editor gets focus
+   * @param {string} paneName - Pane name
+   */
+  focusPane(paneName) {
+    const slot = this.panes[paneName]?.slot;
+    if (paneName !== this.activePane && slot) {
+      this.activate(slot, paneName);
+    }
+  }
+
+  /**
+   * Add tabs for files that aren't open yet; they load when first activated
+   * Tabs follow the given order, so a restored session keeps its tab order.
+   * @param {Array<string>} paths - Paths relative to the workspace root
+   */
+  restoreTabs(paths) {
+    const unique = [...new Set(paths)];
+    const restored = unique.map((path) => this.getTab(path) || this.createSlot(path));
+    const others = this.tabs.filter((tab) => !restored.includes(tab));
+    this.tabs = [...restored, ...others];
+    this.callbacks.onChange();
+  }
+
+  /**
+   * Point tabs at the new paths of moved files
+   * @param {Function} mapPath - Returns the new path for a path (or the same path)
+   * @returns {boolean} True if any tab moved
+   */
+  movePaths(mapPath) {
+    let changed = false;
+    this.tabs.forEach((tab) => {
+      const newPath = mapPath(tab.path);
+      if (newPath !== tab.path) {
+        tab.path = newPath;
+        tab.filename = newPath.split('/').pop();
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.callbacks.onChange();
+    }
+    return changed;
+  }
+}
+
+/**
+ * Create a tab manager instance
+ * @param {Object} options - Configuration options
+ * @returns {TabManager}
+ */
+export function createTabManager(options = {}) {
+  return new TabManager(options);
+}
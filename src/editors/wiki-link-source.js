@@ -0,0 +1,127 @@
+import { EditorView, Decoration, ViewPlugin } from '@codemirror/view';
+import { EditorState, StateEffect } from '@codemirror/state';
+import {
+  findWikiLinks,
+  createWikiLinkResolver,
+  openWikiLink,
+  getWorkspaceLinkCompletions,
+} from '../links/wiki-links.js';
+
+/**
+ * Wiki links for the source editor
+ * Highlights [[links]], opens them on Cmd/Ctrl+click and completes workspace paths after [[
+ */
+
+// Dispatched to re-check links after the workspace files change (exported for reuse in source-view.js)
+export const refreshWikiLinksEffect = StateEffect.define();
+
+/**
+ * Build link decorations for the visible part of the document
+ * @param {EditorView} view - Editor view
+ * @returns {DecorationSet}
+ */
+const buildWikiLinkDecorations = (view) => {
+  const resolve = createWikiLinkResolver();
+  const { doc } = view.state;
+  const ranges = [];
+
+  for (const { from, to } of view.visibleRanges) {
+    const start = doc.lineAt(from).from;
+    const text = doc.sliceString(start, doc.lineAt(to).to);
+
+    for (const link of findWikiLinks(text)) {
+      // Links are only flagged as unresolved once the workspace file list is known
+      const unresolved = resolve !== null && link.path !== '' && resolve(link.path) === null;
+      ranges.push(
+        Decoration.mark({
+          class: unresolved ? 'wiki-link wiki-link-unresolved' : 'wiki-link',
+          attributes: {
+            'data-wiki-target': link.target,
+            title: unresolved
+              ? `${link.path} doesn't exist yet (Cmd/Ctrl+click to create)`
+              : `${link.target} (Cmd/Ctrl+click to open)`,
+          },
+        }).range(start + link.from, start + link.to)
+      );
+    }
+  }
+
+  return Decoration.set(ranges, true);
+};
+
+const wikiLinkDecorations = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.decorations = buildWikiLinkDecorations(view);
+    }
+
+    update(update) {
+      const refreshed = update.transactions.some((tr) =>
+        tr.effects.some((effect) => effect.is(refreshWikiLinksEffect))
+      );
+      if (update.docChanged || update.viewportChanged || refreshed) {
+        this.decorations = buildWikiLinkDecorations(update.view);
+      }
+    }
+  },
+  { decorations: (plugin) => plugin.decorations }
+);
+
+// Cmd/Ctrl+click opens a link; a plain click keeps placing the cursor for editing
+const wikiLinkClickHandler = EditorView.domEventHandlers({
+  mousedown: (event) => {
+    if (!(event.metaKey || event.ctrlKey) || event.button !== 0) return false;
+
+    const link = event.target.closest?.('.wiki-link');
+    if (!link) return false;
+
+    event.preventDefault();
+    openWikiLink(link.getAttribute('data-wiki-target'));
+    return true;
+  },
+});
+
+/**
+ * Autocomplete workspace paths after [[
+ * @param {CompletionContext} context - Completion context
+ * @returns {CompletionResult|null}
+ */
+export const wikiLinkCompletionSource = (context) => {
+  const match = context.matchBefore(/\[\[[^[\]|\n]*/);
+  if (!match) return null;
+
+  const from = match.from + 2;
+  const options = getWorkspaceLinkCompletions(match.text.slice(2)).map(({ path, target }) => ({
+    label: target,
+    detail: path === target ? undefined : path.slice(target.length),
+    type: 'file',
+    apply: (view, _completion, applyFrom, applyTo) => {
+      // closeBrackets may already have inserted the closing brackets
+      const after = view.state.doc.sliceString(applyTo, applyTo + 2);
+      const closing = after === ']]' ? 2 : after.startsWith(']') ? 1 : 0;
+      const insert = `${target}]]`;
+
+      view.dispatch({
+        changes: { from: applyFrom, to: applyTo + closing, insert },
+        selection: { anchor: applyFrom + insert.length },
+      });
+    },
+  }));
+
+  if (options.length === 0) return null;
+
+  // Options are already ranked against the workspace, so skip the built-in filter
+  return { from, options, filter: false };
+};
+
+/**
+ * Wiki link extensions for the source editor
+ * @returns {Extension[]}
+ */
+export function wikiLinkExtension() {
+  return [
+    wikiLinkDecorations,
+    wikiLinkClickHandler,
+    EditorState.languageData.of(() => [{ autocomplete: wikiLinkCompletionSource }]),
+  ];
+}
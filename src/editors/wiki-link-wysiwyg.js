@@ -0,0 +1,345 @@
+import { $nodeSchema, $remark, $inputRule, $prose } from '@milkdown/utils';
+import { Plugin, PluginKey } from '@milkdown/prose/state';
+import { Decoration, DecorationSet } from '@milkdown/prose/view';
+import { InputRule } from '@milkdown/prose/inputrules';
+import {
+  findWikiLinks,
+  formatWikiLink,
+  parseWikiLink,
+  createWikiLinkResolver,
+  openWikiLink,
+  getWorkspaceLinkCompletions,
+} from '../links/wiki-links.js';
+
+/**
+ * Wiki links for the WYSIWYG editor
+ * [[links]] are parsed into inline wiki_link nodes so Milkdown writes them back unescaped
+ */
+
+// Plugin key for unresolved link decorations and the autocomplete dropdown
+export const wikiLinkKey = new PluginKey('wikiLinks');
+
+// Markdown node types whose text is left alone
+const SKIPPED_PARENTS = new Set(['link', 'linkReference', 'definition']);
+
+/**
+ * Split [[links]] out of mdast text nodes
+ * @param {Object} node - mdast node
+ */
+const splitWikiLinks = (node) => {
+  if (!node.children || SKIPPED_PARENTS.has(node.type)) return;
+
+  node.children = node.children.flatMap((child) => {
+    if (child.type !== 'text') {
+      splitWikiLinks(child);
+      return [child];
+    }
+
+    const links = findWikiLinks(child.value);
+    if (links.length === 0) return [child];
+
+    const parts = [];
+    let offset = 0;
+    for (const link of links) {
+      if (link.from > offset) {
+        parts.push({ type: 'text', value: child.value.slice(offset, link.from) });
+      }
+      parts.push({
+        type: 'wikiLink',
+        value: child.value.slice(link.from, link.to),
+        data: { target: link.target, alias: link.alias },
+      });
+      offset = link.to;
+    }
+    if (offset < child.value.length) {
+      parts.push({ type: 'text', value: child.value.slice(offset) });
+    }
+    return parts;
+  });
+};
+
+// Parses [[links]] and writes wikiLink nodes back verbatim
+export const remarkWikiLink = $remark(
+  'remarkWikiLink',
+  () =>
+    function () {
+      const data = this.data();
+      data.toMarkdownExtensions = data.toMarkdownExtensions || [];
+      data.toMarkdownExtensions.push({ handlers: { wikiLink: (node) => node.value } });
+
+      return splitWikiLinks;
+    }
+);
+
+// Inline atom node rendered as a clickable link
+export const wikiLinkSchema = $nodeSchema('wiki_link', () => ({
+  group: 'inline',
+  inline: true,
+  atom: true,
+  selectable: true,
+  attrs: {
+    target: { default: '' },
+    alias: { default: '' },
+  },
+  parseDOM: [
+    {
+      tag: 'span[data-wiki-link]',
+      getAttrs: (dom) => ({
+        target: dom.getAttribute('data-wiki-link'),
+        alias: dom.getAttribute('data-wiki-alias') || '',
+      }),
+    },
+  ],
+  toDOM: (node) => [
+    'span',
+    {
+      class: 'wiki-link',
+      'data-wiki-link': node.attrs.target,
+      'data-wiki-alias': node.attrs.alias,
+      title: node.attrs.target,
+    },
+    node.attrs.alias || node.attrs.target,
+  ],
+  leafText: (node) => node.attrs.alias || node.attrs.target,
+  parseMarkdown: {
+    match: ({ type }) => type === 'wikiLink',
+    runner: (state, node, type) => {
+      state.addNode(type, { target: node.data.target, alias: node.data.alias });
+    },
+  },
+  toMarkdown: {
+    match: (node) => node.type.name === 'wiki_link',
+    runner: (state, node) => {
+      state.addNode('wikiLink', undefined, formatWikiLink(node.attrs.target, node.attrs.alias));
+    },
+  },
+}));
+
+// Typing the closing ]] of a link turns it into a wiki_link node
+export const wikiLinkInputRule = $inputRule(
+  (ctx) =>
+    new InputRule(/\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]$/, (state, match, start, end) => {
+      const { target, alias } = parseWikiLink(match[1], match[2]);
+      return state.tr.replaceWith(start, end, wikiLinkSchema.type(ctx).create({ target, alias }));
+    })
+);
+
+/**
+ * Mark wiki_link nodes whose target doesn't exist
+ * @param {Node} doc - ProseMirror document
+ * @returns {DecorationSet}
+ */
+const buildUnresolvedDecorations = (doc) => {
+  const resolve = createWikiLinkResolver();
+  if (!resolve) return DecorationSet.empty;
+
+  const decorations = [];
+  doc.descendants((node, pos) => {
+    if (node.type.name !== 'wiki_link') return;
+
+    const { path } = parseWikiLink(node.attrs.target);
+    if (path && resolve(path) === null) {
+      decorations.push(
+        Decoration.node(pos, pos + node.nodeSize, {
+          class: 'wiki-link-unresolved',
+          title: `${path} doesn't exist yet (click to create)`,
+        })
+      );
+    }
+  });
+
+  return DecorationSet.create(doc, decorations);
+};
+
+/**
+ * Find a partially typed [[link before the cursor
+ * @param {EditorState} state - Editor state
+ * @returns {{query: string, from: number, to: number}|null}
+ */
+export const findLinkQuery = (state) => {
+  const { selection } = state;
+  if (!selection.empty) return null;
+
+  const { $from } = selection;
+  if ($from.parent.type.spec.code || $from.marks().some((mark) => mark.type.spec.code)) {
+    return null;
+  }
+
+  const textBefore = $from.parent.textBetween(
+    Math.max(0, $from.parentOffset - 200),
+    $from.parentOffset,
+    null,
+    '\ufffc'
+  );
+  const match = /\[\[([^[\]|\n\ufffc]*)$/.exec(textBefore);
+  if (!match) return null;
+
+  return { query: match[1], from: $from.pos - match[0].length, to: $from.pos };
+};
+
+/**
+ * Dropdown of workspace files shown while typing [[
+ */
+class WikiLinkSuggestions {
+  constructor(view, ctx) {
+    this.view = view;
+    this.ctx = ctx;
+    this.items = [];
+    this.activeIndex = 0;
+    this.range = null;
+    this.dismissedAt = null;
+
+    this.element = document.createElement('ul');
+    this.element.className = 'wiki-link-suggestions hidden';
+    this.element.setAttribute('role', 'listbox');
+    this.element.setAttribute('data-testid', 'wiki-link-suggestions');
+    // Keep focus in the editor while picking a suggestion
+    this.element.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      const item = e.target.closest('.wiki-link-suggestion');
+      if (item) {
+        this.select(Number(item.dataset.index));
+      }
+    });
+    document.body.appendChild(this.element);
+
+    this.handleBlur = () => this.hide();
+    view.dom.addEventListener('blur', this.handleBlur);
+  }
+
+  update(view) {
+    this.view = view;
+    const linkQuery = view.editable ? findLinkQuery(view.state) : null;
+
+    // Escape hides the dropdown until a new [[ is typed
+    if (!linkQuery || linkQuery.from === this.dismissedAt) {
+      if (!linkQuery) this.dismissedAt = null;
+      this.hide();
+      return;
+    }
+
+    this.items = getWorkspaceLinkCompletions(linkQuery.query);
+    if (this.items.length === 0) {
+      this.hide();
+      return;
+    }
+
+    if (linkQuery.query !== this.range?.query) {
+      this.activeIndex = 0;
+    }
+    this.range = linkQuery;
+    this.render();
+
+    const coords = view.coordsAtPos(linkQuery.from);
+    this.element.style.left = `${coords.left}px`;
+    this.element.style.top = `${coords.bottom + 4}px`;
+  }
+
+  render() {
+    this.element.innerHTML = '';
+    this.items.forEach((item, index) => {
+      const li = document.createElement('li');
+      li.className = 'wiki-link-suggestion';
+      li.dataset.index = String(index);
+      li.setAttribute('role', 'option');
+      li.classList.toggle('active', index === this.activeIndex);
+      li.textContent = item.target;
+      this.element.appendChild(li);
+    });
+    this.element.classList.remove('hidden');
+  }
+
+  isVisible() {
+    return !this.element.classList.contains('hidden');
+  }
+
+  hide() {
+    this.element.classList.add('hidden');
+    this.items = [];
+    this.range = null;
+    this.activeIndex = 0;
+  }
+
+  select(index) {
+    const item = this.items[index];
+    if (!item || !this.range) return;
+
+    const { state, dispatch } = this.view;
+    const node = wikiLinkSchema.type(this.ctx).create({ target: item.target, alias: '' });
+    dispatch(state.tr.replaceWith(this.range.from, this.range.to, node).scrollIntoView());
+    this.hide();
+    this.view.focus();
+  }
+
+  handleKeyDown(event) {
+    if (!this.isVisible()) return false;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        this.activeIndex = (this.activeIndex + 1) % this.items.length;
+        this.render();
+        return true;
+      case 'ArrowUp':
+        this.activeIndex = (this.activeIndex - 1 + this.items.length) % this.items.length;
+        this.render();
+        return true;
+      case 'Enter':
+      case 'Tab':
+        this.select(this.activeIndex);
+        return true;
+      case 'Escape':
+        this.dismissedAt = this.range.from;
+        this.hide();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  destroy() {
+    this.view.dom.removeEventListener('blur', this.handleBlur);
+    this.element.remove();
+  }
+}
+
+// Unresolved link styling, click-to-open and [[ autocomplete
+export const wikiLinkPlugin = $prose((ctx) => {
+  let suggestions = null;
+
+  return new Plugin({
+    key: wikiLinkKey,
+    state: {
+      init(_, state) {
+        return buildUnresolvedDecorations(state.doc);
+      },
+      apply(tr, set) {
+        if (tr.docChanged || tr.getMeta(wikiLinkKey) === 'refresh') {
+          return buildUnresolvedDecorations(tr.doc);
+        }
+        return set;
+      },
+    },
+    view(view) {
+      suggestions = new WikiLinkSuggestions(view, ctx);
+      return suggestions;
+    },
+    props: {
+      decorations(state) {
+        return this.getState(state);
+      },
+      handleKeyDown(_view, event) {
+        return suggestions ? suggestions.handleKeyDown(event) : false;
+      },
+      handleClickOn(_view, _pos, node, _nodePos, event) {
+        if (node.type.name !== 'wiki_link' || event.button !== 0) return false;
+
+        event.preventDefault();
+        openWikiLink(node.attrs.target);
+        return true;
+      },
+    },
+  });
+});
+
+// All wiki link plugins, in the order Milkdown needs them
+export const wikiLinks = [remarkWikiLink, wikiLinkSchema, wikiLinkInputRule, wikiLinkPlugin].flat();
@@ -8,6 +8,8 @@ import { $prose } from '@milkdown/utils';
 import { TextSelection, Plugin, PluginKey } from '@milkdown/prose/state';
 import { Decoration, DecorationSet } from '@milkdown/prose/view';
 import { markdownOffsetToRendered, renderedOffsetToMarkdown } from './position-converter.js';
+import { wikiLinks, wikiLinkKey } from './wiki-link-wysiwyg.js';
+import { imageAssets } from './image-wysiwyg.js';
 
 // Plugin key for comment decorations
 const commentDecorationKey = new PluginKey('commentDecorations');
@@ -136,6 +138,8 @@ export class WYSIWYGView {
         .use(listener)
         .use(history)
         .use(createCommentDecorationPlugin())
+        .use(wikiLinks)
+        .use(imageAssets)
         .create();
 
       // Set readonly mode using ProseMirror's editable property
@@ -376,12 +380,19 @@ export class WYSIWYGView {
     }
   }
 
+  /**
+   * Get the scrollable element, which is the editor pane (#editor or the split pane),
+   * not .milkdown
+   */
+  getScroller() {
+    return this.container?.closest?.('.editor-pane') || document.getElementById('editor');
+  }
+
   /**
    * Get scroll position
    */
   getScrollPosition() {
-    // The scrollable element is #editor, not .milkdown
-    const scroller = document.getElementById('editor');
+    const scroller = this.getScroller();
     return scroller ? scroller.scrollTop : 0;
   }
 
@@ -389,8 +400,7 @@ export class WYSIWYGView {
    * Set scroll position
    */
   setScrollPosition(scrollTop) {
-    // The scrollable element is #editor, not .milkdown
-    const scroller = document.getElementById('editor');
+    const scroller = this.getScroller();
     if (scroller) {
       scroller.scrollTop = scrollTop;
     }
@@ -526,8 +536,7 @@ export class WYSIWYGView {
         // Scroll to the position using coordsAtPos which gives us the exact coordinates
         try {
           const coords = view.coordsAtPos(safePos);
-          // The scrollable element is #editor, not .milkdown
-          const scroller = document.getElementById('editor');
+          const scroller = this.getScroller();
 
           console.log('[WYSIWYGView] Scroller element:', scroller);
           console.log('[WYSIWYGView] Scroller scrollTop before:', scroller?.scrollTop);
@@ -613,6 +622,31 @@ export class WYSIWYGView {
     }
   }
 
+  /**
+   * Get the text between two positions
+   * @param {number} from - Start position
+   * @param {number} to - End position
+   * @returns {string|null} Text, or null if the positions are outside the document
+   */
+  getTextRange(from, to) {
+    if (!this.editor) {
+      return null;
+    }
+
+    try {
+      return this.editor.action((ctx) => {
+        const { doc } = ctx.get(editorViewCtx).state;
+        if (from < 0 || to > doc.content.size || from > to) {
+          return null;
+        }
+        return doc.textBetween(from, to, '\n');
+      });
+    } catch (error) {
+      console.error('[WYSIWYGView] Error getting text:', error);
+      return null;
+    }
+  }
+
   /**
    * Replace the current selection with new text
    * @param {string} text - Text to insert
@@ -691,6 +725,22 @@ export class WYSIWYGView {
     }
   }
 
+  /**
+   * Re-check wiki links against the workspace files (e.g. after files were added)
+   */
+  refreshWikiLinks() {
+    if (!this.editor) return;
+
+    try {
+      this.editor.action((ctx) => {
+        const view = ctx.get(editorViewCtx);
+        view.dispatch(view.state.tr.setMeta(wikiLinkKey, 'refresh'));
+      });
+    } catch (error) {
+      console.error('[WYSIWYGView] Error refreshing wiki links:', error);
+    }
+  }
+
   /**
    * Apply comment decorations to the editor
    * @param {Array} comments - Array of comments with positions
@@ -0,0 +1,412 @@
+/**
+ * HTML Export
+ * Renders markdown notes (GFM tables, task lists, highlighted code blocks) into a
+ * self-contained HTML document styled like the app's theme, and prints them for PDF export
+ */
+
+import { micromark } from 'micromark';
+import { gfm, gfmHtml } from 'micromark-extension-gfm';
+import { highlightCode, classHighlighter } from '@lezer/highlight';
+import { getLanguageExtension } from '../editor/language-support.js';
+import { FileSystemAdapter } from '../fs/filesystem-adapter.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+// Code fence languages named differently from the file extensions of language support
+const LANGUAGE_ALIASES = {
+  javascript: 'js',
+  typescript: 'ts',
+  python: 'py',
+  rust: 'rs',
+  golang: 'go',
+  shell: 'sh',
+  zsh: 'sh',
+  ruby: 'rb',
+  yml: 'yaml',
+  'c++': 'cpp',
+  markdown: 'md',
+};
+
+// Fewer headings than this don't get a table of contents
+const MIN_TOC_HEADINGS = 2;
+
+const EXPORT_CSS = `
+:root {
+  --bg: #fff;
+  --bg-code: #f3f3f3;
+  --text: #333;
+  --text-secondary: #777;
+  --border: #e0e0e0;
+  --link: #7b3ff2;
+  --tok-keyword: #a65580;
+  --tok-operator: #7a65ad;
+  --tok-name: #5a9cb8;
+  --tok-comment: #999;
+}
+
+[data-theme='dark'] {
+  --bg: #1a1a1a;
+  --bg-code: #2a2a2a;
+  --text: #e0e0e0;
+  --text-secondary: #999;
+  --border: #3a3a3a;
+  --link: #9357ff;
+  --tok-keyword: #e8bcd4;
+  --tok-operator: #c8bce8;
+  --tok-name: #b8e5f2;
+  --tok-comment: #888;
+}
+
+* { box-sizing: border-box; }
+
+body {
+  margin: 0;
+  background: var(--bg);
+  color: var(--text);
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Noto Sans', Helvetica, Arial, sans-serif,
+    'Apple Color Emoji', 'Segoe UI Emoji';
+  font-size: 1rem;
+  line-height: 1.6;
+}
+
+.note { max-width: 50rem; margin: 0 auto; padding: 2rem 1.5rem 4rem; }
+
+h1, h2, h3, h4, h5, h6 { font-weight: 600; line-height: 1.3; margin: 1.5rem 0 0.75rem; }
+h1 { font-size: 2em; }
+h2 { font-size: 1.5em; }
+h3 { font-size: 1.25em; }
+h4, h5, h6 { font-size: 1em; }
+p { margin: 0.5rem 0; }
+ul, ol { margin: 0.5rem 0; padding-left: 2rem; }
+li { margin: 0.25rem 0; }
+li:has(> input[type='checkbox']) { list-style: none; margin-left: -1.5rem; }
+input[type='checkbox'] { margin: 0 0.4rem 0 0; }
+a { color: var(--link); }
+em { font-style: italic; }
+img { max-width: 100%; }
+hr { border: none; border-top: 1px solid var(--border); margin: 1.5rem 0; }
+
+blockquote {
+  border-left: 4px solid var(--border);
+  margin: 0.5rem 0;
+  padding-left: 1rem;
+  color: var(--text-secondary);
+}
+
+code, pre {
+  font-family: 'MesloLGS NF', 'Meslo LG', Menlo, Monaco, 'Courier New', monospace;
+  font-size: 0.9em;
+}
+
+code { background: var(--bg-code); padding: 0.125rem 0.25rem; border-radius: 3px; }
+pre { background: var(--bg-code); padding: 1rem; border-radius: 4px; overflow-x: auto; }
+pre code { background: none; padding: 0; font-size: 1em; }
+
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; }
+th, td { border: 1px solid var(--border); padding: 0.5rem; text-align: left; }
+th { background: var(--bg-code); font-weight: 600; }
+
+.toc { border-bottom: 1px solid var(--border); margin-bottom: 2rem; padding-bottom: 1rem; }
+.toc-title {
+  font-size: 0.75rem;
+  font-weight: 600;
+  letter-spacing: 0.08em;
+  text-transform: uppercase;
+  color: var(--text-secondary);
+  margin: 0 0 0.5rem;
+}
+.toc ol { list-style: none; margin: 0; padding-left: 0; }
+.toc ol ol { padding-left: 1.25rem; }
+.toc a { color: var(--text); text-decoration: none; }
+.toc a:hover { color: var(--link); }
+
+.sr-only {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  overflow: hidden;
+  clip-path: inset(50%);
+}
+
+.tok-keyword, .tok-className, .tok-typeName, .tok-namespace, .tok-macroName { color: var(--tok-keyword); }
+.tok-operator, .tok-number, .tok-bool, .tok-atom, .tok-literal { color: var(--tok-operator); }
+.tok-variableName, .tok-propertyName, .tok-string, .tok-meta, .tok-url { color: var(--tok-name); }
+.tok-comment { color: var(--tok-comment); font-style: italic; }
+
+@media print {
+  :root, [data-theme='dark'] {
+    --bg: #fff;
+    --bg-code: #f5f5f5;
+    --text: #000;
+    --text-secondary: #555;
+    --border: #ccc;
+    --link: #000;
+    --tok-keyword: #a65580;
+    --tok-operator: #7a65ad;
+    --tok-name: #3d7a94;
+    --tok-comment: #777;
+  }
+
+  @page { margin: 2cm; }
+
+  body { font-size: 11pt; }
+  .note { max-width: none; padding: 0; }
+  h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+  pre, blockquote, table, img, tr { break-inside: avoid; }
+  pre { white-space: pre-wrap; overflow-wrap: anywhere; }
+  .note > :not(.toc) a[href^='http']::after { content: ' (' attr(href) ')'; font-size: 0.85em; }
+  .toc { break-after: page; border-bottom: none; }
+}
+`;
+
+/**
+ * Get the parser of a code block's language
+ * @param {string} lang - Language of the code fence (e.g. 'js' or 'python')
+ * @returns {Parser|null}
+ */
+const getCodeParser = (lang) => {
+  const name = lang.toLowerCase();
+  const support = getLanguageExtension(`code.${LANGUAGE_ALIASES[name] || name}`);
+  return support.language?.parser || support.parser || null;
+};
+
+/**
+ * Highlight a code block in place with tok-* classes
+ * @param {HTMLElement} codeEl - <code> element of the block
+ */
+const highlightCodeBlock = (codeEl) => {
+  const lang = /language-(\S+)/.exec(codeEl.className)?.[1];
+  const parser = lang && getCodeParser(lang);
+  if (!parser) {
+    return;
+  }
+
+  const code = codeEl.textContent;
+  const fragment = document.createDocumentFragment();
+  highlightCode(
+    code,
+    parser.parse(code),
+    classHighlighter,
+    (text, classes) => {
+      if (!classes) {
+        fragment.appendChild(document.createTextNode(text));
+        return;
+      }
+      const span = document.createElement('span');
+      span.className = classes;
+      span.textContent = text;
+      fragment.appendChild(span);
+    },
+    () => fragment.appendChild(document.createTextNode('\n'))
+  );
+  codeEl.replaceChildren(fragment);
+};
+
+/**
+ * Give every heading a unique id for links from the table of contents
+ * @param {HTMLElement} root - Rendered document
+ * @returns {Array<{level: number, text: string, id: string}>} The headings in order
+ */
+const addHeadingIds = (root) => {
+  // Ids already in the document, such as those of footnotes
+  const used = new Set([...root.querySelectorAll('[id]')].map((el) => el.id));
+  const headings = [];
+
+  // The footnotes heading is only there for screen readers
+  root.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((heading) => {
+    if (heading.classList.contains('sr-only')) {
+      return;
+    }
+
+    const text = heading.textContent.trim();
+    const slug =
+      text
+        .toLowerCase()
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-') || 'section';
+
+    let id = slug;
+    for (let n = 1; used.has(id); n++) {
+      id = `${slug}-${n}`;
+    }
+    used.add(id);
+
+    heading.id = id;
+    headings.push({ level: Number(heading.tagName[1]), text, id });
+  });
+
+  return headings;
+};
+
+/**
+ * Render the table of contents as nested lists
+ * @param {Array<{level: number, text: string, id: string}>} headings - Document headings
+ * @returns {string} HTML, empty when there are too few headings
+ */
+const renderTOC = (headings) => {
+  if (headings.length < MIN_TOC_HEADINGS) {
+    return '';
+  }
+
+  // Levels of the open lists; a deeper heading opens a nested list inside the previous item
+  const levels = [];
+  let html = '';
+  headings.forEach(({ level, text, id }) => {
+    if (levels.length === 0 || level > levels[levels.length - 1]) {
+      html += '<ol>';
+      levels.push(level);
+    } else {
+      while (levels.length > 1 && level < levels[levels.length - 1]) {
+        html += '</li></ol>';
+        levels.pop();
+      }
+      html += '</li>';
+    }
+    html += `<li><a href="#${id}">${escapeHtml(text)}</a>`;
+  });
+  html += '</li></ol>'.repeat(levels.length);
+
+  return `<nav class="toc" aria-labelledby="toc-title"><p class="toc-title" id="toc-title">Contents</p>${html}</nav>`;
+};
+
+/**
+ * Read a Blob as a data: URL
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string>}
+ */
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    /* global FileReader */
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/**
+ * Embed images in the document so it doesn't depend on files next to it
+ * @param {HTMLElement} root - Rendered document
+ * @param {Function} resolveImage - Returns a Blob for an image src, or null to keep the src
+ */
+const embedImages = async (root, resolveImage) => {
+  const images = [...root.querySelectorAll('img[src]')];
+  await Promise.all(
+    images.map(async (img) => {
+      try {
+        const blob = await resolveImage(img.getAttribute('src'));
+        if (blob) {
+          img.setAttribute('src', await blobToDataUrl(blob));
+        }
+      } catch (error) {
+        console.warn('[Export] Could not embed image:', img.getAttribute('src'), error);
+      }
+    })
+  );
+};
+
+/**
+ * Render markdown to HTML
+ * Raw HTML in the markdown is escaped, so exported notes can't run scripts.
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown) {
+  return micromark(markdown, { extensions: [gfm()], htmlExtensions: [gfmHtml()] });
+}
+
+/**
+ * Export a markdown note as a standalone HTML document
+ * @param {string} markdown - Markdown source
+ * @param {Object} options - Export options
+ * @param {string} options.title - Document title
+ * @param {string} options.theme - 'light' or 'dark'; printing always uses light colors
+ * @param {Function} options.resolveImage - Async; returns a Blob for an image src to embed it
+ * @returns {Promise<string>} HTML document
+ */
+export async function exportHtml(
+  markdown,
+  { title = 'Untitled', theme = 'light', resolveImage } = {}
+) {
+  const template = document.createElement('template');
+  template.innerHTML = renderMarkdown(markdown);
+  const root = template.content;
+
+  root.querySelectorAll('pre > code').forEach(highlightCodeBlock);
+  const headings = addHeadingIds(root);
+  if (resolveImage) {
+    await embedImages(root, resolveImage);
+  }
+
+  const body = document.createElement('div');
+  body.appendChild(root);
+
+  return `<!doctype html>
+<html lang="en" data-theme="${theme === 'dark' ? 'dark' : 'light'}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="hotnote">
+<title>${escapeHtml(title)}</title>
+<style>${EXPORT_CSS}</style>
+</head>
+<body>
+<main class="note">
+${renderTOC(headings)}
+${body.innerHTML}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Save an exported document, asking where to save it when the browser allows
+ * @param {string} filename - Suggested file name
+ * @param {string} html - HTML document
+ */
+export async function saveHtmlFile(filename, html) {
+  if (window.showSaveFilePicker) {
+    const fileHandle = await FileSystemAdapter.saveFilePicker(filename);
+    await FileSystemAdapter.writeFile(fileHandle, html);
+    return;
+  }
+
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open the print dialog for a document, so it can be saved as a PDF
+ * The document is printed from a hidden frame, leaving the app as it is.
+ * @param {string} html - HTML document
+ * @returns {Promise<void>} Resolves once the print dialog has been opened
+ */
+export function printHtml(html) {
+  document.querySelector('.print-frame')?.remove();
+
+  const frame = document.createElement('iframe');
+  frame.className = 'print-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  frame.setAttribute('tabindex', '-1');
+
+  return new Promise((resolve) => {
+    frame.addEventListener(
+      'load',
+      () => {
+        const printWindow = frame.contentWindow;
+        printWindow.addEventListener('afterprint', () => frame.remove());
+        printWindow.focus();
+        printWindow.print();
+        resolve();
+      },
+      { once: true }
+    );
+
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  });
+}
@@ -109,8 +109,9 @@ export class FocusManager {
       return true;
     }
 
-    // Check if active element is within an editor container
-    const editorContainer = activeElement.closest('#editor');
+    // Check if active element is within an editor container (main or split pane)
+    const editorContainer =
+      activeElement.closest('#editor') || activeElement.closest('#editor-split');
     if (editorContainer) {
       const cmContent = editorContainer.querySelector('.cm-content');
       const proseMirror = editorContainer.querySelector('.ProseMirror');
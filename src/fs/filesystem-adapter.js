@@ -139,6 +139,203 @@ export async function openFileByPath(rootDirHandle, relativePath) {
   }
 }
 
+/**
+ * Get a file or folder by its path relative to the root
+ * @param {FileSystemDirectoryHandle} rootDirHandle - Root directory handle
+ * @param {string} relativePath - Relative path (e.g. "notes/todo.md" or "notes")
+ * @returns {Promise<{handle: FileSystemHandle, parentHandle: FileSystemDirectoryHandle} | null>}
+ */
+export async function getEntryByPath(rootDirHandle, relativePath) {
+  const parts = relativePath.split('/').filter((p) => p);
+  const name = parts.pop();
+  if (!rootDirHandle || !name) return null;
+
+  try {
+    let parentHandle = rootDirHandle;
+    for (const dirName of parts) {
+      parentHandle = await parentHandle.getDirectoryHandle(dirName);
+    }
+
+    for await (const entry of parentHandle.values()) {
+      if (entry.name === name) {
+        return { handle: entry, parentHandle };
+      }
+    }
+  } catch {
+    // A folder on the path doesn't exist
+  }
+  return null;
+}
+
+/**
+ * Copy a file or folder and everything in it
+ * File contents are copied as Blobs, so binary files are kept intact.
+ * @param {FileSystemHandle} handle - File or folder to copy
+ * @param {FileSystemDirectoryHandle} targetDir - Folder to copy into
+ * @param {string} name - Name of the copy (defaults to the original name)
+ * @returns {Promise<FileSystemHandle>} Handle of the copy
+ */
+export async function copyEntry(handle, targetDir, name = handle.name) {
+  if (handle.kind === 'directory') {
+    const copy = await targetDir.getDirectoryHandle(name, { create: true });
+    for await (const entry of handle.values()) {
+      await copyEntry(entry, copy);
+    }
+    return copy;
+  }
+
+  const file = await handle.getFile();
+  const copy = await targetDir.getFileHandle(name, { create: true });
+  const writable = await copy.createWritable();
+  await writable.write(file);
+  await writable.close();
+  return copy;
+}
+
+/**
+ * Look up an entry by name the way the file system does
+ * Unlike comparing names, this finds the entry a case-insensitive file system would use.
+ * @param {FileSystemDirectoryHandle} dirHandle - Folder to look in
+ * @param {string} name - Entry name
+ * @returns {Promise<FileSystemHandle|null>}
+ */
+async function lookupEntry(dirHandle, name) {
+  for (const lookup of ['getFileHandle', 'getDirectoryHandle']) {
+    try {
+      return await dirHandle[lookup](name);
+    } catch {
+      // Not there, or not of this kind
+    }
+  }
+  return null;
+}
+
+/**
+ * Move or rename a file or folder within the workspace
+ * Uses FileSystemHandle.move() where the browser supports it, otherwise copies the entry and
+ * removes the original. Missing folders on the new path are created.
+ * @param {FileSystemDirectoryHandle} rootDirHandle - Root directory handle
+ * @param {string} fromPath - Current path relative to the root (e.g. "notes/todo.md")
+ * @param {string} toPath - New path relative to the root
+ * @returns {Promise<FileSystemHandle>} Handle of the entry at its new location
+ */
+export async function moveEntry(rootDirHandle, fromPath, toPath) {
+  const source = await getEntryByPath(rootDirHandle, fromPath);
+  if (!source) {
+    throw new Error(`Not found: ${fromPath}`);
+  }
+  const { handle, parentHandle } = source;
+
+  const parts = toPath.split('/').filter((p) => p);
+  const name = parts.pop();
+  if (!name) {
+    throw new Error('A name is required');
+  }
+  if (handle.kind === 'directory' && `${parts.join('/')}/`.startsWith(`${fromPath}/`)) {
+    throw new Error('A folder cannot be moved into itself');
+  }
+
+  // Never overwrite another entry. Check before creating any folder, so a refused move
+  // leaves nothing behind. A case-only rename finds the entry itself here.
+  let targetDir = rootDirHandle;
+  for (const dirName of parts) {
+    targetDir = targetDir?.kind === 'directory' ? await lookupEntry(targetDir, dirName) : null;
+  }
+  const existing = targetDir?.kind === 'directory' ? await lookupEntry(targetDir, name) : null;
+  const isSameEntry = existing ? await existing.isSameEntry(handle) : false;
+  if (existing && !isSameEntry) {
+    throw new Error(`${toPath} already exists`);
+  }
+
+  targetDir = rootDirHandle;
+  for (const dirName of parts) {
+    targetDir = await targetDir.getDirectoryHandle(dirName, { create: true });
+  }
+
+  if (typeof handle.move === 'function') {
+    await handle.move(targetDir, name);
+    return handle;
+  }
+
+  if (isSameEntry) {
+    // Copying onto the entry itself and removing the original would delete it, so go
+    // through a temporary name
+    const tempName = `.${handle.name}.${Date.now()}.moving`;
+    const temp = await copyEntry(handle, parentHandle, tempName);
+    await parentHandle.removeEntry(handle.name, { recursive: true });
+    const newHandle = await copyEntry(temp, targetDir, name);
+    await parentHandle.removeEntry(tempName, { recursive: true });
+    return newHandle;
+  }
+
+  const newHandle = await copyEntry(handle, targetDir, name);
+  await parentHandle.removeEntry(handle.name, { recursive: true });
+  return newHandle;
+}
+
+/**
+ * List every folder in the workspace (hidden folders are skipped)
+ * @param {FileSystemDirectoryHandle} rootDirHandle - Root directory handle
+ * @param {number} maxDepth - Maximum recursion depth
+ * @returns {Promise<string[]>} Folder paths relative to the root, sorted
+ */
+export async function listFolderPaths(rootDirHandle, maxDepth = 10) {
+  const folders = [];
+
+  const traverse = async (dirHandle, path, depth) => {
+    if (depth > maxDepth) return;
+
+    let entries;
+    try {
+      entries = await FileSystemAdapter.listDirectory(dirHandle);
+    } catch (err) {
+      console.warn(`Cannot access directory: ${path}`, err);
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.kind !== 'directory' || entry.name.startsWith('.')) continue;
+      const entryPath = path ? `${path}/${entry.name}` : entry.name;
+      folders.push(entryPath);
+      await traverse(entry, entryPath, depth + 1);
+    }
+  };
+
+  await traverse(rootDirHandle, '', 0);
+  return folders.sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * List every file in the workspace, whatever its type, size or depth (hidden folders are skipped)
+ * @param {FileSystemDirectoryHandle} rootDirHandle - Root directory handle
+ * @returns {Promise<string[]>} File paths relative to the root, sorted
+ */
+export async function listFilePaths(rootDirHandle) {
+  const files = [];
+
+  const traverse = async (dirHandle, path) => {
+    let entries;
+    try {
+      entries = await FileSystemAdapter.listDirectory(dirHandle);
+    } catch (err) {
+      console.warn(`Cannot access directory: ${path}`, err);
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path ? `${path}/${entry.name}` : entry.name;
+      if (entry.kind === 'file') {
+        files.push(entryPath);
+      } else if (!entry.name.startsWith('.')) {
+        await traverse(entry, entryPath);
+      }
+    }
+  };
+
+  await traverse(rootDirHandle, '');
+  return files.sort((a, b) => a.localeCompare(b));
+}
+
 /**
  * Navigate to a subdirectory
  * @param {FileSystemDirectoryHandle} parentHandle - Parent directory
@@ -1,60 +1,215 @@
+import { copyEntry, getEntryByPath, moveEntry } from './filesystem-adapter.js';
+
 /**
  * Trash Management System
- * Handles file deletion with undo functionality
+ * Handles file and folder deletion with undo functionality
  */
 
+// Folder holding trashed entries, and the manifest listing where they came from
+const TRASH_DIR_NAME = '.trash';
+const MANIFEST_NAME = '.manifest.json';
+
+/**
+ * Get the total size of a file or folder
+ * @param {FileSystemHandle} handle - File or folder
+ * @returns {Promise<number>} Size in bytes
+ */
+const getEntrySize = async (handle) => {
+  if (handle.kind === 'file') {
+    const file = await handle.getFile();
+    return file.size;
+  }
+
+  let size = 0;
+  for await (const entry of handle.values()) {
+    size += await getEntrySize(entry);
+  }
+  return size;
+};
+
+/**
+ * Find a name that isn't taken in a directory, e.g. "todo (2).md"
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory to check
+ * @param {string} name - Preferred name
+ * @returns {Promise<string>}
+ */
+const getAvailableName = async (dirHandle, name) => {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  for (let i = 2; ; i++) {
+    const candidate = `${base} (${i})${extension}`;
+    if (!(await getEntryByPath(dirHandle, candidate))) {
+      return candidate;
+    }
+  }
+};
+
 /**
  * TrashManager - Manages file deletion and restoration via a .trash directory
+ * The trash lives in the workspace root when getRootDirHandle provides one.
  */
 export class TrashManager {
   constructor(options = {}) {
     this.trashDirHandle = null;
+    this.getRootDirHandle = options.getRootDirHandle || (() => null);
     this.callbacks = {
       onFileDeleted: options.onFileDeleted || (() => {}),
       onFileRestored: options.onFileRestored || (() => {}),
       refreshFilePicker: options.refreshFilePicker || (() => {}),
     };
+    // Manifest changes waiting to run, one after the other (see updateManifest)
+    this.manifestQueue = Promise.resolve();
   }
 
   /**
-   * Move a file to trash
-   * @param {FileSystemDirectoryHandle} currentDirHandle - Current directory
-   * @param {FileSystemFileHandle} fileHandle - File to delete
+   * Get the trash directory, creating it if needed
+   * @param {FileSystemDirectoryHandle} currentDirHandle - Used when no workspace root is open
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.create - Create the directory if it doesn't exist
+   * @returns {Promise<FileSystemDirectoryHandle|null>} Null if it doesn't exist and create is false
+   */
+  async getTrashDir(currentDirHandle, { create = true } = {}) {
+    if (!this.trashDirHandle) {
+      const baseDirHandle = this.getRootDirHandle() || currentDirHandle;
+      if (!baseDirHandle) {
+        return null;
+      }
+
+      try {
+        this.trashDirHandle = await baseDirHandle.getDirectoryHandle(TRASH_DIR_NAME, { create });
+      } catch (err) {
+        if (create) throw err;
+        return null;
+      }
+    }
+    return this.trashDirHandle;
+  }
+
+  /**
+   * Read the trash manifest
+   * @param {FileSystemDirectoryHandle} trashDirHandle - Trash directory
+   * @returns {Promise<{items: Array<Object>}>} Trashed items (see moveToTrash)
+   */
+  async readManifest(trashDirHandle) {
+    try {
+      const manifestHandle = await trashDirHandle.getFileHandle(MANIFEST_NAME);
+      const file = await manifestHandle.getFile();
+      const manifest = JSON.parse(await file.text());
+      return { items: Array.isArray(manifest.items) ? manifest.items : [] };
+    } catch {
+      // No manifest yet, or it can't be read
+      return { items: [] };
+    }
+  }
+
+  /**
+   * Write the trash manifest
+   * @param {FileSystemDirectoryHandle} trashDirHandle - Trash directory
+   * @param {{items: Array<Object>}} manifest - Manifest to write
+   * @returns {Promise<void>}
+   */
+  async writeManifest(trashDirHandle, manifest) {
+    const manifestHandle = await trashDirHandle.getFileHandle(MANIFEST_NAME, { create: true });
+    const writable = await manifestHandle.createWritable();
+    await writable.write(JSON.stringify(manifest, null, 2));
+    await writable.close();
+  }
+
+  /**
+   * Read, change and write the manifest
+   * Changes run one at a time, so deletes close together (e.g. of several selected files)
+   * don't drop each other's items.
+   * @param {FileSystemDirectoryHandle} trashDirHandle - Trash directory
+   * @param {Function} update - Called with the manifest to change it in place
+   * @returns {Promise<void>}
+   */
+  updateManifest(trashDirHandle, update) {
+    const change = this.manifestQueue.then(async () => {
+      const manifest = await this.readManifest(trashDirHandle);
+      update(manifest);
+      await this.writeManifest(trashDirHandle, manifest);
+    });
+    // A failed change doesn't stop the ones queued after it
+    this.manifestQueue = change.catch(() => {});
+    return change;
+  }
+
+  /**
+   * Remove an item from the manifest
+   * @param {FileSystemDirectoryHandle} trashDirHandle - Trash directory
+   * @param {string} id - Id of the item
    * @returns {Promise<void>}
    */
-  async moveToTrash(currentDirHandle, fileHandle) {
+  async removeFromManifest(trashDirHandle, id) {
+    await this.updateManifest(trashDirHandle, (manifest) => {
+      manifest.items = manifest.items.filter((i) => i.id !== id);
+    });
+  }
+
+  /**
+   * Find a trashed item and its entry in the trash
+   * @param {FileSystemDirectoryHandle} trashDirHandle - Trash directory
+   * @param {string} idOrName - Item id, or a name to restore the latest item with that name
+   * @returns {Promise<{item: Object, handle: FileSystemHandle}|null>}
+   */
+  async findTrashedItem(trashDirHandle, idOrName) {
+    const { items } = await this.readManifest(trashDirHandle);
+    const item =
+      items.find((i) => i.id === idOrName) ||
+      items.filter((i) => i.name === idOrName).sort((a, b) => b.deletedAt - a.deletedAt)[0];
+    if (!item) {
+      return null;
+    }
+
+    const trashed = await getEntryByPath(trashDirHandle, `${item.id}/${item.name}`);
+    return trashed ? { item, handle: trashed.handle } : null;
+  }
+
+  /**
+   * Move a file or folder to trash
+   * Each item gets its own folder in the trash, so items with the same name never overwrite
+   * each other. Folders are moved with everything in them, and file contents are copied as Blobs.
+   * @param {FileSystemDirectoryHandle} currentDirHandle - Directory containing the entry
+   * @param {FileSystemHandle} fileHandle - File or folder to delete
+   * @param {Object} options - Trash options
+   * @param {string} options.path - Path of the entry relative to the workspace root (for restoring)
+   * @returns {Promise<Object>} Trash item with id, name, path, kind, size and deletedAt
+   */
+  async moveToTrash(currentDirHandle, fileHandle, { path = fileHandle?.name } = {}) {
     if (!currentDirHandle || !fileHandle) {
       throw new Error('Directory handle and file handle are required');
     }
 
     try {
-      // Create .trash folder if it doesn't exist
-      if (!this.trashDirHandle) {
-        this.trashDirHandle = await currentDirHandle.getDirectoryHandle('.trash', {
-          create: true,
-        });
-      }
+      const trashDirHandle = await this.getTrashDir(currentDirHandle);
+      const item = {
+        id: `trash-${crypto.randomUUID()}`,
+        name: fileHandle.name,
+        path,
+        kind: fileHandle.kind,
+        size: await getEntrySize(fileHandle),
+        deletedAt: Date.now(),
+      };
 
-      // Read file contents
-      const file = await fileHandle.getFile();
-      const contents = await file.text();
+      const itemDirHandle = await trashDirHandle.getDirectoryHandle(item.id, { create: true });
+      await copyEntry(fileHandle, itemDirHandle);
 
-      // Create file in trash with same name
-      const trashFileHandle = await this.trashDirHandle.getFileHandle(fileHandle.name, {
-        create: true,
+      // Delete from original location
+      await currentDirHandle.removeEntry(fileHandle.name, {
+        recursive: fileHandle.kind === 'directory',
       });
-      const writable = await trashFileHandle.createWritable();
-      await writable.write(contents);
-      await writable.close();
 
-      // Delete from original location
-      await currentDirHandle.removeEntry(fileHandle.name);
+      await this.updateManifest(trashDirHandle, (manifest) => manifest.items.push(item));
 
       // Notify callback
       this.callbacks.onFileDeleted(fileHandle.name);
 
       // Refresh the file picker
       await this.callbacks.refreshFilePicker(currentDirHandle);
+
+      return item;
     } catch (err) {
       console.error('Error moving file to trash:', err);
       throw new Error('Error deleting file: ' + err.message);
@@ -62,9 +217,9 @@ export class TrashManager {
   }
 
   /**
-   * Restore a file from trash
-   * @param {FileSystemDirectoryHandle} currentDirHandle - Current directory
-   * @param {string} filename - Name of file to restore
+   * Restore a file or folder from trash into a directory
+   * @param {FileSystemDirectoryHandle} currentDirHandle - Directory to restore into
+   * @param {string} filename - Item id, or the name of the latest item with that name
    * @returns {Promise<void>}
    */
   async restoreFromTrash(currentDirHandle, filename) {
@@ -77,24 +232,18 @@ export class TrashManager {
         throw new Error('Trash directory not initialized');
       }
 
-      // Read file from trash
-      const trashFileHandle = await this.trashDirHandle.getFileHandle(filename);
-      const file = await trashFileHandle.getFile();
-      const contents = await file.text();
-
-      // Restore to original location
-      const restoredFileHandle = await currentDirHandle.getFileHandle(filename, {
-        create: true,
-      });
-      const writable = await restoredFileHandle.createWritable();
-      await writable.write(contents);
-      await writable.close();
+      const trashed = await this.findTrashedItem(this.trashDirHandle, filename);
+      if (!trashed) {
+        throw new Error(`${filename} is not in the trash`);
+      }
 
-      // Delete from trash
-      await this.trashDirHandle.removeEntry(filename);
+      // Restore to original location, then delete from trash
+      await copyEntry(trashed.handle, currentDirHandle);
+      await this.trashDirHandle.removeEntry(trashed.item.id, { recursive: true });
+      await this.removeFromManifest(this.trashDirHandle, trashed.item.id);
 
       // Notify callback
-      this.callbacks.onFileRestored(filename);
+      this.callbacks.onFileRestored(trashed.item.name);
 
       // Refresh the file picker
       await this.callbacks.refreshFilePicker(currentDirHandle);
@@ -104,15 +253,242 @@ export class TrashManager {
     }
   }
 
+  /**
+   * Restore a trashed file or folder to the path it was deleted from
+   * Missing parent folders are created again. When something now exists at that path,
+   * resolveConflict decides whether to restore under a new name, overwrite it, or cancel.
+   * @param {FileSystemDirectoryHandle} rootDirHandle - Workspace root directory
+   * @param {string} id - Id of the item in the trash (from listTrash)
+   * @param {Object} options - Restore options
+   * @param {Function} options.resolveConflict - Called with the item when its path is taken;
+   *   resolves to 'rename', 'overwrite' or 'cancel'. Without it, a conflict is an error.
+   * @returns {Promise<string|null>} Path the item was restored to, or null if cancelled
+   */
+  async restoreItem(rootDirHandle, id, { resolveConflict = null } = {}) {
+    if (!rootDirHandle || !id) {
+      throw new Error('Root directory handle and id are required');
+    }
+
+    try {
+      const trashDirHandle = await this.getTrashDir(rootDirHandle, { create: false });
+      const trashed = trashDirHandle && (await this.findTrashedItem(trashDirHandle, id));
+      if (!trashed) {
+        throw new Error(`${id} is not in the trash`);
+      }
+      const { item } = trashed;
+
+      const parts = item.path.split('/').filter((p) => p);
+      let restoredName = parts.pop();
+      let overwrite = false;
+      let targetDir = rootDirHandle;
+      for (const dirName of parts) {
+        targetDir = await targetDir.getDirectoryHandle(dirName, { create: true });
+      }
+
+      if (await getEntryByPath(targetDir, restoredName)) {
+        if (!resolveConflict) {
+          throw new Error(`${item.path} already exists`);
+        }
+
+        const choice = await resolveConflict(item);
+        if (choice === 'rename') {
+          restoredName = await getAvailableName(targetDir, restoredName);
+        } else if (choice === 'overwrite') {
+          overwrite = true;
+        } else {
+          return null;
+        }
+      }
+
+      if (overwrite) {
+        // Copy next to the existing entry first, so it is only replaced once the copy succeeded
+        const tempName = `.${restoredName}.${Date.now()}.restoring`;
+        try {
+          await copyEntry(trashed.handle, targetDir, tempName);
+        } catch (err) {
+          await targetDir.removeEntry(tempName, { recursive: true }).catch(() => {});
+          throw err;
+        }
+        await targetDir.removeEntry(restoredName, { recursive: true });
+        await moveEntry(rootDirHandle, [...parts, tempName].join('/'), item.path);
+      } else {
+        await copyEntry(trashed.handle, targetDir, restoredName);
+      }
+      await trashDirHandle.removeEntry(item.id, { recursive: true });
+      await this.removeFromManifest(trashDirHandle, item.id);
+
+      const restoredPath = [...parts, restoredName].join('/');
+      this.callbacks.onFileRestored(restoredPath);
+      return restoredPath;
+    } catch (err) {
+      console.error('Error restoring item from trash:', err);
+      throw new Error('Error restoring file: ' + err.message);
+    }
+  }
+
+  /**
+   * List the items in the trash, most recently deleted first
+   * Backups made by backupFiles are listed too, with kind 'backup' and the paths of their files.
+   * @returns {Promise<Array<Object>>} Items with id, name, path, kind, size and deletedAt
+   */
+  async listTrash() {
+    const trashDirHandle = await this.getTrashDir(null, { create: false });
+    if (!trashDirHandle) {
+      return [];
+    }
+
+    const { items } = await this.readManifest(trashDirHandle);
+    return items.sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * Permanently delete everything in the trash, including backups made by backupFiles
+   * @returns {Promise<number>} Number of items deleted
+   */
+  async emptyTrash() {
+    try {
+      const trashDirHandle = await this.getTrashDir(null, { create: false });
+      if (!trashDirHandle) {
+        return 0;
+      }
+
+      const { items } = await this.readManifest(trashDirHandle);
+      for (const item of items) {
+        await trashDirHandle.removeEntry(item.id, { recursive: true }).catch(() => {});
+      }
+      // Items trashed meanwhile stay listed
+      const emptied = new Set(items.map((item) => item.id));
+      await this.updateManifest(trashDirHandle, (manifest) => {
+        manifest.items = manifest.items.filter((item) => !emptied.has(item.id));
+      });
+
+      return items.length;
+    } catch (err) {
+      console.error('Error emptying trash:', err);
+      throw new Error('Error emptying trash: ' + err.message);
+    }
+  }
+
+  /**
+   * Back up files before they are modified in place
+   * Copies are written to .trash/<backupId>/ in the workspace root, mirroring their relative paths,
+   * and the backup is listed in the trash so it can be restored or emptied like deleted files.
+   * @param {FileSystemDirectoryHandle} rootDirHandle - Workspace root directory
+   * @param {Array<{path: string, content: string}>} files - Files to back up (paths relative to root)
+   * @returns {Promise<string>} Backup id used to restore the files
+   */
+  async backupFiles(rootDirHandle, files) {
+    if (!rootDirHandle || !files) {
+      throw new Error('Root directory handle and files are required');
+    }
+
+    try {
+      const rootTrashHandle = await rootDirHandle.getDirectoryHandle(TRASH_DIR_NAME, {
+        create: true,
+      });
+      const backupId = `backup-${crypto.randomUUID()}`;
+      const backupDirHandle = await rootTrashHandle.getDirectoryHandle(backupId, { create: true });
+
+      for (const { path, content } of files) {
+        const parts = path.split('/').filter((p) => p);
+        const filename = parts.pop();
+
+        let dirHandle = backupDirHandle;
+        for (const dirName of parts) {
+          dirHandle = await dirHandle.getDirectoryHandle(dirName, { create: true });
+        }
+
+        const backupFileHandle = await dirHandle.getFileHandle(filename, { create: true });
+        const writable = await backupFileHandle.createWritable();
+        await writable.write(content);
+        await writable.close();
+      }
+
+      const paths = files.map(({ path }) => path);
+      const item = {
+        id: backupId,
+        name: `Before replacing in ${paths.length === 1 ? '1 file' : `${paths.length} files`}`,
+        path: paths.join(', '),
+        kind: 'backup',
+        files: paths,
+        size: files.reduce((total, { content }) => total + new Blob([content]).size, 0),
+        deletedAt: Date.now(),
+      };
+      await this.updateManifest(rootTrashHandle, (manifest) => manifest.items.push(item));
+
+      return backupId;
+    } catch (err) {
+      console.error('Error backing up files:', err);
+      throw new Error('Error backing up files: ' + err.message);
+    }
+  }
+
+  /**
+   * Restore files from a backup created by backupFiles
+   * @param {FileSystemDirectoryHandle} rootDirHandle - Workspace root directory
+   * @param {string} backupId - Backup id returned by backupFiles
+   * @returns {Promise<string[]>} Relative paths of the restored files
+   */
+  async restoreBackup(rootDirHandle, backupId) {
+    if (!rootDirHandle || !backupId) {
+      throw new Error('Root directory handle and backup id are required');
+    }
+
+    try {
+      const rootTrashHandle = await rootDirHandle.getDirectoryHandle(TRASH_DIR_NAME);
+      const backupDirHandle = await rootTrashHandle.getDirectoryHandle(backupId);
+      const restored = [];
+
+      const restoreDir = async (sourceDir, targetDir, path) => {
+        for await (const entry of sourceDir.values()) {
+          const entryPath = path ? `${path}/${entry.name}` : entry.name;
+
+          if (entry.kind === 'directory') {
+            const targetSubDir = await targetDir.getDirectoryHandle(entry.name, { create: true });
+            await restoreDir(entry, targetSubDir, entryPath);
+            continue;
+          }
+
+          const file = await entry.getFile();
+          const contents = await file.text();
+          const targetFileHandle = await targetDir.getFileHandle(entry.name, { create: true });
+          const writable = await targetFileHandle.createWritable();
+          await writable.write(contents);
+          await writable.close();
+          restored.push(entryPath);
+        }
+      };
+
+      await restoreDir(backupDirHandle, rootDirHandle, '');
+
+      // Delete the backup once everything is back in place
+      await rootTrashHandle.removeEntry(backupId, { recursive: true });
+      await this.removeFromManifest(rootTrashHandle, backupId);
+
+      // Files were restored in place, so the picker listing doesn't need a refresh
+      restored.forEach((path) => this.callbacks.onFileRestored(path));
+
+      return restored;
+    } catch (err) {
+      console.error('Error restoring backup:', err);
+      throw new Error('Error restoring backup: ' + err.message);
+    }
+  }
+
   /**
    * Show an undo snackbar notification
    * @param {string} filename - Name of deleted file
    * @param {FileSystemDirectoryHandle} currentDirHandle - Current directory
-   * @param {Object} options - Snackbar options
+   * @param {Object} options - Snackbar options (message, duration, actionText, onAction)
    * @returns {void}
    */
   showUndoSnackbar(filename, currentDirHandle, options = {}) {
-    const { message = `Deleted ${filename}`, duration = 10000, actionText = 'UNDO' } = options;
+    const {
+      message = `Deleted ${filename}`,
+      duration = 10000,
+      actionText = 'UNDO',
+      onAction = () => this.restoreFromTrash(currentDirHandle, filename),
+    } = options;
 
     // Remove existing snackbar if any
     const existingSnackbar = document.querySelector('.snackbar');
@@ -134,7 +510,7 @@ export class TrashManager {
     undoBtn.textContent = actionText;
     undoBtn.addEventListener('click', async () => {
       try {
-        await this.restoreFromTrash(currentDirHandle, filename);
+        await onAction();
         snackbar.remove();
       } catch (err) {
         console.error('Error in undo:', err);
@@ -179,7 +555,7 @@ export class TrashManager {
   async cleanup(currentDirHandle) {
     try {
       if (this.trashDirHandle && currentDirHandle) {
-        await currentDirHandle.removeEntry('.trash', { recursive: true });
+        await currentDirHandle.removeEntry(TRASH_DIR_NAME, { recursive: true });
         this.trashDirHandle = null;
       }
     } catch (err) {
@@ -0,0 +1,183 @@
+import { findWikiLinks, resolveWikiLink, normalizeWorkspacePath } from './wiki-links.js';
+import { createSnippet } from '../search/content-search.js';
+import { isMarkdownFile } from '../editor/language-support.js';
+
+/**
+ * Backlinks
+ * Finds markdown links and [[wiki links]] in other notes that point at a file
+ */
+
+// Matches [text](href) and [text](<href with spaces> "title"), including images
+const MARKDOWN_LINK_PATTERN = /(!?)\[([^\]\n]*)\]\(\s*(<[^>\n]+>|[^\s)]+)(?:\s+"[^"\n]*")?\s*\)/dg;
+
+// Matches reference definitions like [id]: path/to/file.md "title"
+const LINK_DEFINITION_PATTERN = /^ {0,3}\[([^\]\n]+)\]:[ \t]*(<[^>\n]+>|\S+)/dgm;
+
+// Longest reference context shown in the panel
+const MAX_CONTEXT_LENGTH = 200;
+
+/**
+ * Find inline markdown links and reference definitions
+ * @param {string} text - Markdown text
+ * @param {Object} options - Search options
+ * @param {boolean} options.images - Include image links
+ * @returns {Array<{from: number, to: number, href: string, hrefFrom: number, hrefTo: number}>} Links in document order;
+ *   hrefFrom/hrefTo span the destination as written, including any angle brackets
+ */
+export const findMarkdownLinks = (text, { images = false } = {}) => {
+  const toLink = (match, group) => {
+    const [hrefFrom, hrefTo] = match.indices[group];
+    return {
+      from: match.index,
+      to: match.index + match[0].length,
+      href: match[group].replace(/^<|>$/g, ''),
+      hrefFrom,
+      hrefTo,
+    };
+  };
+
+  const links = [];
+  for (const match of text.matchAll(MARKDOWN_LINK_PATTERN)) {
+    if (match[1] === '!' && !images) continue;
+    links.push(toLink(match, 3));
+  }
+  for (const match of text.matchAll(LINK_DEFINITION_PATTERN)) {
+    links.push(toLink(match, 2));
+  }
+  return links.sort((a, b) => a.from - b.from);
+};
+
+/**
+ * Resolve a markdown link href to a workspace path
+ * @param {string} href - Link destination
+ * @param {string} sourcePath - Path of the file containing the link
+ * @returns {string|null} Path relative to the workspace root, or null for external or in-page links
+ */
+export const resolveMarkdownHref = (href, sourcePath) => {
+  // External URLs (http:, mailto:, ...) and in-page anchors don't point at workspace files
+  if (!href || href.startsWith('#') || /^[a-z][a-z0-9+.-]*:/i.test(href)) {
+    return null;
+  }
+
+  let path = href.replace(/[?#].*$/, '');
+  try {
+    path = decodeURI(path);
+  } catch {
+    // Keep malformed escapes as written
+  }
+
+  if (path.startsWith('/')) {
+    return normalizeWorkspacePath(path);
+  }
+
+  const sourceDir = sourcePath.split('/').slice(0, -1).join('/');
+  return normalizeWorkspacePath(sourceDir ? `${sourceDir}/${path}` : path);
+};
+
+/**
+ * Get the sentence around a link, trimmed for display
+ * @param {string} content - File content
+ * @param {number} from - Link start offset
+ * @param {number} to - Link end offset
+ * @returns {{text: string, matches: Array<{start: number, end: number}>}} Context with the link highlighted
+ */
+export const getReferenceContext = (content, from, to) => {
+  const lineStart = content.lastIndexOf('\n', from - 1) + 1;
+  let lineEnd = content.indexOf('\n', to);
+  if (lineEnd === -1) lineEnd = content.length;
+
+  // Sentence boundaries are ., ! or ? followed by whitespace
+  const before = content.slice(lineStart, from);
+  const boundaries = [...before.matchAll(/[.!?]\s+/g)];
+  const lastBoundary = boundaries[boundaries.length - 1];
+  let start = lastBoundary ? lineStart + lastBoundary.index + lastBoundary[0].length : lineStart;
+
+  const afterMatch = /[.!?](?=\s|$)/.exec(content.slice(to, lineEnd));
+  const end = afterMatch ? to + afterMatch.index + 1 : lineEnd;
+
+  // Leave out list markers, heading hashes and quote markers at the start of the line
+  if (start === lineStart) {
+    const marker = /^\s*(?:[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+|#{1,6}\s+|>\s*)?/.exec(
+      content.slice(lineStart, from)
+    );
+    start += marker[0].length;
+  }
+
+  const sentence = content.slice(start, end).replace(/\r$/, '');
+  return createSnippet(sentence, [{ start: from - start, end: to - start }], MAX_CONTEXT_LENGTH);
+};
+
+/**
+ * Find the references to a file in one note
+ * @param {string} content - Note content
+ * @param {string} sourcePath - Path of the note
+ * @param {string} targetPath - Path of the linked file
+ * @param {Set<string>} filePaths - Workspace file paths (used to resolve wiki links)
+ * @returns {Array<Object>} References with from, to, lineNumber and context, in document order
+ */
+export const findReferences = (content, sourcePath, targetPath, filePaths) => {
+  const references = [];
+
+  for (const link of findWikiLinks(content)) {
+    if (link.path && resolveWikiLink(link.path, filePaths, sourcePath) === targetPath) {
+      references.push(link);
+    }
+  }
+
+  for (const link of findMarkdownLinks(content)) {
+    if (resolveMarkdownHref(link.href, sourcePath) === targetPath) {
+      references.push(link);
+    }
+  }
+
+  return references
+    .sort((a, b) => a.from - b.from)
+    .map(({ from, to }) => ({
+      from,
+      to,
+      lineNumber: content.slice(0, from).split('\n').length,
+      context: getReferenceContext(content, from, to),
+    }));
+};
+
+/**
+ * Find every note that links to a file
+ * @param {AsyncIterable<Object>} files - Text files ({name, path, fullPath, content}) to scan
+ * @param {string} targetPath - Path of the linked file
+ * @param {Object} options - Search options
+ * @param {Iterable<string>} options.filePaths - Workspace file paths (used to resolve wiki links)
+ * @param {AbortSignal} options.signal - Optional signal to stop early
+ * @yields {Object} Notes with name, path, fullPath and references
+ */
+export const findBacklinks = async function* (
+  files,
+  targetPath,
+  { filePaths = [], signal = null } = {}
+) {
+  const fileSet = new Set(filePaths);
+  fileSet.add(targetPath);
+
+  for await (const file of files) {
+    if (signal?.aborted) return;
+    if (file.fullPath === targetPath || !isMarkdownFile(file.name)) continue;
+
+    const references = findReferences(file.content, file.fullPath, targetPath, fileSet);
+    if (references.length > 0) {
+      yield { name: file.name, path: file.path, fullPath: file.fullPath, references };
+    }
+  }
+};
+
+/**
+ * Pick a word every file linking to the target must contain, for narrowing down index searches
+ * @param {string} targetPath - Path of the linked file
+ * @returns {string} Longest word of the file name, or '' if it has none
+ */
+export const getBacklinkKeyword = (targetPath) => {
+  const name = targetPath
+    .split('/')
+    .pop()
+    .replace(/\.[^.]+$/, '');
+  const words = name.match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+};
@@ -0,0 +1,206 @@
+import { normalizeWorkspacePath } from './wiki-links.js';
+import { resolveMarkdownHref } from './backlinks.js';
+import { openFileByPath } from '../fs/filesystem-adapter.js';
+import { settingsManager } from '../state/settings-manager.js';
+
+/**
+ * Image Assets
+ * Saves pasted and dropped images into an assets folder next to the note and resolves
+ * relative image links to the workspace files, so the editors can show them.
+ * Both editors share this module; app.js wires it to the workspace with configureImageAssets.
+ */
+
+// Folder for new images, relative to the note (a leading / makes it relative to the workspace)
+export const DEFAULT_IMAGE_FOLDER = 'assets';
+
+// File extensions of images without a usable name (pasted screenshots)
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif',
+  'image/bmp': 'bmp',
+};
+
+// Browsers name pasted screenshots image.png
+const CLIPBOARD_IMAGE_NAME = /^image\.[a-z]+$/i;
+
+// Characters that aren't allowed in file names on some systems
+const UNSAFE_NAME_CHARACTERS = /[\\/:*?"<>|#[\]()]/g;
+
+const handlers = {
+  getRootHandle: () => null,
+  getCurrentPath: () => null,
+};
+
+// Object URLs of workspace images by path, shared by every open editor
+const imageUrls = new Map();
+
+/**
+ * Connect image assets to the workspace
+ * @param {Object} options - Workspace hooks
+ * @param {Function} options.getRootHandle - Returns the workspace folder handle, or null when no workspace is open
+ * @param {Function} options.getCurrentPath - Returns the path of the open file relative to the workspace root
+ */
+export const configureImageAssets = (options = {}) => {
+  Object.assign(handlers, options);
+};
+
+/**
+ * Get the image folder stored in settings
+ * @returns {string}
+ */
+export const getImageFolder = () => {
+  const folder = settingsManager.getSetting('imageFolder');
+  const trimmed = typeof folder === 'string' ? folder.trim().replace(/\/+$/, '') : '';
+  return trimmed || DEFAULT_IMAGE_FOLDER;
+};
+
+/**
+ * Get the images of a paste or drop
+ * @param {DataTransfer|null} dataTransfer - Clipboard or drag data
+ * @returns {File[]}
+ */
+export const getImageFiles = (dataTransfer) =>
+  [...(dataTransfer?.files || [])].filter((file) => file.type.startsWith('image/'));
+
+/**
+ * Check whether images can be saved next to the open note
+ * @returns {boolean}
+ */
+export const canSaveImages = () => !!handlers.getRootHandle() && !!handlers.getCurrentPath();
+
+/**
+ * Name a new image file
+ * Pasted screenshots get a timestamp, dropped files keep their name.
+ * @param {File} file - Image
+ * @param {Date} date - When the image was added
+ * @returns {string}
+ */
+export const getImageName = (file, date = new Date()) => {
+  const name = (file.name || '').trim().replace(UNSAFE_NAME_CHARACTERS, '').replace(/\s+/g, '-');
+  if (name && !CLIPBOARD_IMAGE_NAME.test(name)) {
+    return name;
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp =
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `image-${stamp}.${IMAGE_EXTENSIONS[file.type] || 'png'}`;
+};
+
+/**
+ * Find a name that isn't taken in a folder, adding -1, -2, ... before the extension
+ * @param {FileSystemDirectoryHandle} dirHandle - Folder
+ * @param {string} name - Preferred name
+ * @returns {Promise<string>}
+ */
+const findFreeName = async (dirHandle, name) => {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  for (let i = 0; ; i++) {
+    const candidate = i === 0 ? name : `${base}-${i}${extension}`;
+    try {
+      await dirHandle.getFileHandle(candidate);
+    } catch {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * Save an image into the image folder of the open note
+ * Missing folders are created and existing images are never overwritten.
+ * @param {File} file - Image
+ * @returns {Promise<{path: string, href: string, alt: string}>} Workspace path of the image,
+ *   its link from the note and alt text
+ */
+export const saveImage = async (file) => {
+  const rootDirHandle = handlers.getRootHandle();
+  const currentPath = handlers.getCurrentPath();
+  if (!rootDirHandle || !currentPath) {
+    throw new Error('Open a folder to add images');
+  }
+
+  const folder = getImageFolder();
+  const noteDir = currentPath.split('/').slice(0, -1).join('/');
+  const folderPath = normalizeWorkspacePath(
+    folder.startsWith('/') || !noteDir ? folder : `${noteDir}/${folder}`
+  );
+  if (folderPath === null) {
+    throw new Error(`The image folder ${folder} is outside the workspace`);
+  }
+
+  let dirHandle = rootDirHandle;
+  for (const name of folderPath.split('/').filter((part) => part)) {
+    dirHandle = await dirHandle.getDirectoryHandle(name, { create: true });
+  }
+
+  const name = await findFreeName(dirHandle, getImageName(file));
+  const fileHandle = await dirHandle.getFileHandle(name, { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write(file);
+  await writable.close();
+
+  const path = folderPath ? `${folderPath}/${name}` : name;
+  const href = encodeURI(`${folder}/${name}`);
+  return { path, href, alt: name.replace(/\.[^.]+$/, '') };
+};
+
+/**
+ * Format a saved image as markdown
+ * @param {{href: string, alt: string}} image - Saved image
+ * @returns {string}
+ */
+export const formatImageMarkdown = ({ href, alt }) => `![${alt}](${href})`;
+
+/**
+ * Check whether an image source points at a workspace file
+ * @param {string} src - Image source
+ * @returns {boolean}
+ */
+export const isLocalImage = (src) =>
+  !!src && !src.startsWith('#') && !src.startsWith('//') && !/^[a-z][a-z0-9+.-]*:/i.test(src);
+
+/**
+ * Get a URL the browser can load for an image linked from the open note
+ * @param {string} src - Image source as written in the markdown
+ * @returns {Promise<string|null>} Object URL of the workspace file, or null when the source
+ *   isn't a workspace file or can't be read
+ */
+export const resolveImageUrl = async (src) => {
+  const rootDirHandle = handlers.getRootHandle();
+  if (!rootDirHandle || !isLocalImage(src)) {
+    return null;
+  }
+
+  const path = resolveMarkdownHref(src, handlers.getCurrentPath() || '');
+  if (!path) {
+    return null;
+  }
+
+  if (!imageUrls.has(path)) {
+    const url = openFileByPath(rootDirHandle, path).then(async (opened) =>
+      opened ? URL.createObjectURL(await opened.fileHandle.getFile()) : null
+    );
+    imageUrls.set(path, url);
+    // Try again next time, e.g. once the image has been added
+    url.then((resolved) => resolved || imageUrls.delete(path)).catch(() => imageUrls.delete(path));
+  }
+  return imageUrls.get(path).catch(() => null);
+};
+
+/**
+ * Forget the resolved images, e.g. when another workspace is opened
+ */
+export const clearImageUrls = () => {
+  for (const url of imageUrls.values()) {
+    url.then((resolved) => resolved && URL.revokeObjectURL(resolved)).catch(() => {});
+  }
+  imageUrls.clear();
+};
@@ -0,0 +1,229 @@
+import { findWikiLinks, resolveWikiLink, formatWikiLink, toWikiLinkTarget } from './wiki-links.js';
+import { findMarkdownLinks, resolveMarkdownHref } from './backlinks.js';
+import { walkTextFiles } from '../search/content-search.js';
+import { listFilePaths } from '../fs/filesystem-adapter.js';
+import { replaceInWorkspace } from '../search/find-replace.js';
+import { isMarkdownFile } from '../editor/language-support.js';
+
+/**
+ * Link Rewriter
+ * Keeps markdown links, image references and [[wiki links]] pointing at the right files
+ * after files are renamed or moved within the workspace
+ */
+
+/**
+ * Get the path of a file after a set of moves
+ * A move of a folder applies to everything inside it.
+ * @param {string} path - Path relative to the workspace root
+ * @param {Array<{from: string, to: string}>} moves - Moved files and folders
+ * @returns {string}
+ */
+export const applyMoves = (path, moves) => {
+  for (const { from, to } of moves) {
+    if (path === from) return to;
+    if (path.startsWith(`${from}/`)) return to + path.slice(from.length);
+  }
+  return path;
+};
+
+/**
+ * Get the path a file had before a set of moves
+ * @param {string} path - Path relative to the workspace root
+ * @param {Array<{from: string, to: string}>} moves - Moved files and folders
+ * @returns {string}
+ */
+export const revertMoves = (path, moves) =>
+  applyMoves(
+    path,
+    moves.map(({ from, to }) => ({ from: to, to: from }))
+  );
+
+/**
+ * Get the relative link from one file to another
+ * @param {string} sourcePath - Path of the file containing the link
+ * @param {string} targetPath - Path of the linked file
+ * @returns {string} Relative path (e.g. "../img/logo.png")
+ */
+export const getRelativeLinkPath = (sourcePath, targetPath) => {
+  const fromParts = sourcePath.split('/').slice(0, -1);
+  const toParts = targetPath.split('/');
+
+  let common = 0;
+  while (
+    common < fromParts.length &&
+    common < toParts.length - 1 &&
+    fromParts[common] === toParts[common]
+  ) {
+    common++;
+  }
+
+  return [...fromParts.slice(common).map(() => '..'), ...toParts.slice(common)].join('/');
+};
+
+/**
+ * Write a markdown link destination for a new target, keeping the style of the original
+ * @param {string} rawHref - Destination as written, including any angle brackets
+ * @param {string} targetPath - New target path relative to the workspace root
+ * @param {string} sourcePath - Path of the file containing the link
+ * @returns {string}
+ */
+const formatMovedHref = (rawHref, targetPath, sourcePath) => {
+  const isBracketed = rawHref.startsWith('<');
+  const href = isBracketed ? rawHref.slice(1, -1) : rawHref;
+  const suffix = /[?#].*$/.exec(href)?.[0] || '';
+  const hrefPath = href.slice(0, href.length - suffix.length);
+
+  let path;
+  if (hrefPath.startsWith('/')) {
+    path = `/${targetPath}`;
+  } else {
+    path = getRelativeLinkPath(sourcePath, targetPath);
+    if (hrefPath.startsWith('./') && !path.startsWith('.')) {
+      path = `./${path}`;
+    }
+  }
+
+  if (isBracketed) {
+    return `<${path}${suffix}>`;
+  }
+
+  // Escape the new path if the old one was escaped, or if it can't be written as is
+  let wasEscaped = false;
+  try {
+    wasEscaped = decodeURI(hrefPath) !== hrefPath;
+  } catch {
+    // Malformed escapes were left as written
+  }
+  if (wasEscaped || /[\s()<>]/.test(path)) {
+    path = encodeURI(path).replace(/\(/g, '%28').replace(/\)/g, '%29');
+  }
+
+  return `${path}${suffix}`;
+};
+
+/**
+ * Pick a wiki link path that resolves to a target, preferring the style of the original
+ * @param {string} linkPath - Path part of the original link
+ * @param {string} targetPath - New target path relative to the workspace root
+ * @param {string} sourcePath - Path of the file containing the link
+ * @param {Iterable<string>} files - Workspace file paths after the move
+ * @returns {string}
+ */
+const formatMovedWikiPath = (linkPath, targetPath, sourcePath, files) => {
+  const format = (path) => (/\.(md|markdown)$/i.test(linkPath) ? path : toWikiLinkTarget(path));
+
+  const name = format(targetPath.split('/').pop());
+  const fromRoot = format(targetPath);
+  const relative = format(getRelativeLinkPath(sourcePath, targetPath));
+  const candidates = linkPath.includes('/')
+    ? [fromRoot, relative, name]
+    : [name, fromRoot, relative];
+
+  return (
+    candidates.find((candidate) => resolveWikiLink(candidate, files, sourcePath) === targetPath) ||
+    fromRoot
+  );
+};
+
+/**
+ * Find the edits that keep the links in one note pointing at the right files after a move
+ * @param {string} content - Note content
+ * @param {Object} options - Rewrite options
+ * @param {string} options.sourcePath - Path of the note after the move
+ * @param {string} options.oldSourcePath - Path of the note before the move (defaults to sourcePath)
+ * @param {Array<{from: string, to: string}>} options.moves - Moved files and folders
+ * @param {Iterable<string>} options.oldFiles - Workspace file paths before the move
+ * @param {Iterable<string>} options.newFiles - Workspace file paths after the move
+ * @returns {Array<Object>} Edits with from, to, lineNumber, matchText and replacementText, in document order
+ */
+export const findLinkRewrites = (
+  content,
+  { sourcePath, oldSourcePath = sourcePath, moves, oldFiles = [], newFiles = [] }
+) => {
+  const rewrites = [];
+  const addRewrite = (from, to, replacementText) => {
+    rewrites.push({
+      from,
+      to,
+      lineNumber: content.slice(0, from).split('\n').length,
+      matchText: content.slice(from, to),
+      replacementText,
+    });
+  };
+
+  for (const link of findMarkdownLinks(content, { images: true })) {
+    const oldTarget = resolveMarkdownHref(link.href, oldSourcePath);
+    if (oldTarget === null) continue;
+
+    const newTarget = applyMoves(oldTarget, moves);
+    if (resolveMarkdownHref(link.href, sourcePath) === newTarget) continue;
+
+    const rawHref = content.slice(link.hrefFrom, link.hrefTo);
+    addRewrite(link.hrefFrom, link.hrefTo, formatMovedHref(rawHref, newTarget, sourcePath));
+  }
+
+  const oldFileSet = new Set(oldFiles);
+  const newFileSet = new Set(newFiles);
+  for (const link of findWikiLinks(content)) {
+    if (!link.path) continue;
+
+    const oldTarget = resolveWikiLink(link.path, oldFileSet, oldSourcePath);
+    if (oldTarget === null) continue;
+
+    const newTarget = applyMoves(oldTarget, moves);
+    if (resolveWikiLink(link.path, newFileSet, sourcePath) === newTarget) continue;
+
+    const path = formatMovedWikiPath(link.path, newTarget, sourcePath, newFileSet);
+    const target = link.heading ? `${path}#${link.heading}` : path;
+    addRewrite(link.from, link.to, formatWikiLink(target, link.alias));
+  }
+
+  return rewrites.sort((a, b) => a.from - b.from);
+};
+
+/**
+ * Rewrite the links across the workspace after files were moved on disk
+ * Only markdown notes are updated. The open file is edited through its editor when given.
+ * @param {FileSystemDirectoryHandle} rootDirHandle - Workspace root directory
+ * @param {Array<{from: string, to: string}>} moves - Moved files and folders (paths relative to the root)
+ * @param {Object} options - Rewrite options
+ * @param {Object} options.openFile - Open file ({path, getContent, replaceRange}) or null
+ * @returns {Promise<Object>} Summary with fileCount, matchCount, files, skipped and failed
+ */
+export const rewriteLinksAfterMove = async (rootDirHandle, moves, { openFile = null } = {}) => {
+  // Links may point at any file (e.g. images), however large or deep
+  const newFiles = await listFilePaths(rootDirHandle);
+  const oldFiles = newFiles.map((path) => revertMoves(path, moves));
+
+  // Only notes that can be read as text are rewritten
+  const notes = [];
+  for await (const file of walkTextFiles(rootDirHandle, { maxDepth: Infinity })) {
+    if (isMarkdownFile(file.name)) {
+      notes.push(file);
+    }
+  }
+
+  const results = [];
+  for (const note of notes) {
+    const isOpen = openFile !== null && openFile.path === note.fullPath;
+    const content = isOpen ? openFile.getContent() : note.content;
+    const matches = findLinkRewrites(content, {
+      sourcePath: note.fullPath,
+      oldSourcePath: revertMoves(note.fullPath, moves),
+      moves,
+      oldFiles,
+      newFiles,
+    });
+
+    if (matches.length > 0) {
+      results.push({ ...note, content, isOpen, matches });
+    }
+  }
+
+  const summary = await replaceInWorkspace(results, { openFile });
+  const notUpdated = new Set([...summary.skipped, ...summary.failed]);
+  return {
+    ...summary,
+    files: results.map((r) => r.fullPath).filter((path) => !notUpdated.has(path)),
+  };
+};
@@ -0,0 +1,208 @@
+import { fuzzyMatch, calculateRelevance } from '../search/fuzzy-search.js';
+
+/**
+ * Wiki Links
+ * Parses and resolves [[target]] / [[target|alias]] links between workspace files.
+ * Both editors share this module; app.js wires it to the workspace with configureWikiLinks.
+ */
+
+// Matches [[target]], [[target|alias]] and [[target#heading]]
+export const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/g;
+
+// Maximum number of autocomplete suggestions
+const MAX_COMPLETIONS = 20;
+
+const MARKDOWN_EXTENSION = /\.(md|markdown)$/i;
+
+const handlers = {
+  getFiles: () => null,
+  getCurrentPath: () => null,
+  onOpen: () => {},
+};
+
+/**
+ * Connect wiki links to the workspace
+ * @param {Object} options - Workspace hooks
+ * @param {Function} options.getFiles - Returns workspace file paths, or null when no workspace is open
+ * @param {Function} options.getCurrentPath - Returns the path of the open file relative to the workspace root
+ * @param {Function} options.onOpen - Called with the link target when a link is clicked
+ */
+export const configureWikiLinks = (options = {}) => {
+  Object.assign(handlers, options);
+};
+
+/**
+ * Split the inside of a wiki link into its parts
+ * @param {string} target - Link target, possibly with a #heading
+ * @param {string} alias - Optional display text
+ * @returns {{target: string, path: string, heading: string, alias: string}}
+ */
+export const parseWikiLink = (target, alias = '') => {
+  const trimmed = target.trim();
+  const hashIndex = trimmed.indexOf('#');
+  return {
+    target: trimmed,
+    path: hashIndex === -1 ? trimmed : trimmed.slice(0, hashIndex).trim(),
+    heading: hashIndex === -1 ? '' : trimmed.slice(hashIndex + 1).trim(),
+    alias: alias.trim(),
+  };
+};
+
+/**
+ * Find every wiki link in a text
+ * @param {string} text - Text to scan
+ * @returns {Array<Object>} Links with from, to, target, path, heading and alias
+ */
+export const findWikiLinks = (text) => {
+  const links = [];
+  for (const match of text.matchAll(WIKI_LINK_PATTERN)) {
+    links.push({
+      from: match.index,
+      to: match.index + match[0].length,
+      ...parseWikiLink(match[1], match[2]),
+    });
+  }
+  return links;
+};
+
+/**
+ * Format a wiki link as markdown
+ * @param {string} target - Link target
+ * @param {string} alias - Optional display text
+ * @returns {string}
+ */
+export const formatWikiLink = (target, alias = '') =>
+  alias && alias !== target ? `[[${target}|${alias}]]` : `[[${target}]]`;
+
+/**
+ * Get the link target for a workspace path (markdown extensions are left out)
+ * @param {string} path - Path relative to the workspace root
+ * @returns {string}
+ */
+export const toWikiLinkTarget = (path) => path.replace(MARKDOWN_EXTENSION, '');
+
+/**
+ * Get the file path a link points to, adding .md when the target has no extension
+ * @param {string} linkPath - Path part of a link target
+ * @returns {string}
+ */
+export const toWikiLinkFilePath = (linkPath) => {
+  const name = linkPath.split('/').pop();
+  return name.includes('.') ? linkPath : `${linkPath}.md`;
+};
+
+/**
+ * Normalize a workspace-relative path, resolving . and .. segments
+ * @param {string} path - Path to normalize
+ * @returns {string|null} Normalized path, or null if it leaves the workspace
+ */
+export const normalizeWorkspacePath = (path) => {
+  const parts = [];
+  for (const part of path.split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') {
+      if (parts.length === 0) return null;
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts.join('/');
+};
+
+/**
+ * Resolve a link to a workspace file
+ * Tries the folder of the current file, then the workspace root, then a unique filename match anywhere
+ * @param {string} linkPath - Path part of a link target
+ * @param {Iterable<string>} files - Workspace file paths
+ * @param {string|null} currentPath - Path of the file containing the link
+ * @returns {string|null} Resolved path, or null if no file matches
+ */
+export const resolveWikiLink = (linkPath, files, currentPath = null) => {
+  if (!linkPath) return null;
+
+  const fileSet = files instanceof Set ? files : new Set(files);
+  const currentDir = currentPath ? currentPath.split('/').slice(0, -1).join('/') : '';
+  const filePath = toWikiLinkFilePath(linkPath);
+
+  const candidates = [currentDir ? `${currentDir}/${filePath}` : filePath, filePath];
+  for (const candidate of candidates) {
+    const normalized = normalizeWorkspacePath(candidate);
+    if (normalized && fileSet.has(normalized)) {
+      return normalized;
+    }
+  }
+
+  // Fall back to a unique match on the end of the path ([[todo]] -> notes/todo.md)
+  if (!filePath.startsWith('.')) {
+    const suffix = `/${filePath}`.toLowerCase();
+    const matches = [...fileSet].filter((path) => `/${path}`.toLowerCase().endsWith(suffix));
+    if (matches.length === 1) {
+      return matches[0];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create a resolver for the open file using a single snapshot of the workspace files
+ * @returns {Function|null} (linkPath) => resolved path or null; null when no workspace is open
+ */
+export const createWikiLinkResolver = () => {
+  const files = handlers.getFiles();
+  if (!files) return null;
+
+  const fileSet = new Set(files);
+  const currentPath = handlers.getCurrentPath();
+  return (linkPath) => resolveWikiLink(linkPath, fileSet, currentPath);
+};
+
+/**
+ * Open a link through the configured workspace hook
+ * @param {string} target - Link target
+ */
+export const openWikiLink = (target) => {
+  handlers.onOpen(target);
+};
+
+/**
+ * Rank workspace files as completions for a partially typed link
+ * @param {string} query - Text typed after [[
+ * @param {Iterable<string>} files - Workspace file paths
+ * @param {number} maxResults - Maximum number of completions
+ * @returns {Array<{path: string, target: string}>} Completions, best first
+ */
+export const getWikiLinkCompletions = (query, files, maxResults = MAX_COMPLETIONS) => {
+  const trimmed = query.trim();
+  const results = [];
+
+  for (const path of files) {
+    const target = toWikiLinkTarget(path);
+    if (!fuzzyMatch(target, trimmed)) continue;
+
+    const name = target.split('/').pop();
+    const depth = path.split('/').length - 1;
+    // Prefer filename matches, and notes over other files
+    const relevance =
+      Math.max(
+        calculateRelevance(name, trimmed, depth),
+        calculateRelevance(target, trimmed, depth)
+      ) + (MARKDOWN_EXTENSION.test(path) ? 50 : 0);
+
+    results.push({ path, target, relevance });
+  }
+
+  results.sort((a, b) => b.relevance - a.relevance || a.path.localeCompare(b.path));
+  return results.slice(0, maxResults).map(({ path, target }) => ({ path, target }));
+};
+
+/**
+ * Get completions for a partially typed link from the configured workspace files
+ * @param {string} query - Text typed after [[
+ * @returns {Array<{path: string, target: string}>}
+ */
+export const getWorkspaceLinkCompletions = (query) => {
+  const files = handlers.getFiles();
+  return files ? getWikiLinkCompletions(query, files) : [];
+};
@@ -140,6 +140,7 @@ export const urlParamToPath = (param) => {
  * @param {Function} callbacks.getFilePathKey - Get file path key
  * @param {Function} callbacks.restoreEditorState - Restore editor state
  * @param {Function} callbacks.isMarkdownFile - Check if file is markdown
+ * @param {Function} callbacks.trackFile - Track the loaded content and modification time
  */
 export const goBack = async ({
   saveTempChanges,
@@ -152,6 +153,7 @@ export const goBack = async ({
   getFilePathKey,
   restoreEditorState,
   isMarkdownFile,
+  trackFile,
 } = {}) => {
   if (appState.historyIndex <= 0) return;
 
@@ -183,6 +185,10 @@ export const goBack = async ({
     if (initEditor) {
       await initEditor(fileContent, appState.currentFilename);
     }
+    // Track the file once its editor is current (opening it parks the previous file's tab)
+    if (trackFile) {
+      trackFile(fileContent, file.lastModified);
+    }
 
     // If we have temp changes, apply them
     if (tempContent !== null) {
@@ -245,6 +251,7 @@ export const goForward = async (callbacks = {}) => {
     getFilePathKey,
     restoreEditorState,
     isMarkdownFile,
+    trackFile,
   } = callbacks;
 
   // Save temp changes if file is dirty
@@ -275,6 +282,10 @@ export const goForward = async (callbacks = {}) => {
     if (initEditor) {
       await initEditor(fileContent, appState.currentFilename);
     }
+    // Track the file once its editor is current (opening it parks the previous file's tab)
+    if (trackFile) {
+      trackFile(fileContent, file.lastModified);
+    }
 
     // If we have temp changes, apply them
     if (tempContent !== null) {
@@ -0,0 +1,275 @@
+import { FileSystemAdapter } from '../fs/filesystem-adapter.js';
+
+/**
+ * Content Search
+ * Streams matching lines from every text file under a directory
+ */
+
+// Files larger than this are skipped (most likely generated or binary data)
+export const MAX_SEARCHABLE_FILE_SIZE = 1024 * 1024;
+
+// Longest snippet shown for a matching line before it gets trimmed around the match
+const MAX_SNIPPET_LENGTH = 160;
+
+// Extensions that are never treated as text, even if they decode cleanly
+const BINARY_EXTENSIONS = new Set([
+  'png',
+  'jpg',
+  'jpeg',
+  'gif',
+  'webp',
+  'ico',
+  'bmp',
+  'tiff',
+  'pdf',
+  'zip',
+  'tar',
+  'gz',
+  'rar',
+  '7z',
+  'mp3',
+  'mp4',
+  'mov',
+  'avi',
+  'wav',
+  'ogg',
+  'woff',
+  'woff2',
+  'ttf',
+  'otf',
+  'eot',
+  'exe',
+  'dll',
+  'so',
+  'dylib',
+  'class',
+  'jar',
+  'wasm',
+  'psd',
+  'sqlite',
+  'db',
+]);
+
+/**
+ * Check whether a file should be searched based on its name
+ * @param {string} filename - Filename to check
+ * @returns {boolean} True if the file is likely to be text
+ */
+export const isSearchableFile = (filename) => {
+  if (!filename || filename.startsWith('.')) return false;
+  if (!filename.includes('.')) return true;
+
+  const ext = filename.split('.').pop().toLowerCase();
+  return !BINARY_EXTENSIONS.has(ext);
+};
+
+/**
+ * Build a global RegExp for a search query
+ * @param {string} query - Search query (literal text or regular expression source)
+ * @param {Object} options - Search options
+ * @param {boolean} options.regex - Treat query as a regular expression
+ * @param {boolean} options.caseSensitive - Match case exactly
+ * @returns {RegExp} Global regular expression
+ * @throws {Error} If the query is not a valid regular expression
+ */
+export const buildSearchPattern = (query, { regex = false, caseSensitive = false } = {}) => {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const flags = caseSensitive ? 'g' : 'gi';
+
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`Invalid regular expression: ${err.message}`);
+  }
+};
+
+/**
+ * Find all matches of a pattern in a single line
+ * @param {string} line - Line of text
+ * @param {RegExp} pattern - Global regular expression
+ * @returns {Array<{start: number, end: number}>} Match ranges within the line
+ */
+export const findMatchesInLine = (line, pattern) => {
+  const matches = [];
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    // Zero-length matches (e.g. /^/) would loop forever without advancing
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return matches;
+};
+
+/**
+ * Search text content line by line
+ * @param {string} content - Text to search
+ * @param {RegExp} pattern - Global regular expression
+ * @returns {Array<{lineNumber: number, lineText: string, matches: Array}>} Matching lines (1-based line numbers)
+ */
+export const searchTextContent = (content, pattern) => {
+  const results = [];
+  const lines = content.split(/\r?\n/);
+
+  lines.forEach((lineText, index) => {
+    const matches = findMatchesInLine(lineText, pattern);
+    if (matches.length > 0) {
+      results.push({ lineNumber: index + 1, lineText, matches });
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Create a display snippet for a matching line, trimmed around the first match
+ * @param {string} lineText - Full line text
+ * @param {Array<{start: number, end: number}>} matches - Match ranges within the line
+ * @param {number} maxLength - Maximum snippet length
+ * @returns {{text: string, matches: Array<{start: number, end: number}>}} Snippet with shifted ranges
+ */
+export const createSnippet = (lineText, matches, maxLength = MAX_SNIPPET_LENGTH) => {
+  const leadingWhitespace = lineText.length - lineText.trimStart().length;
+  let start = leadingWhitespace;
+  let end = lineText.trimEnd().length;
+
+  if (end - start > maxLength && matches.length > 0) {
+    // Keep some context before the first match
+    start = Math.max(start, matches[0].start - Math.floor(maxLength / 4));
+    end = Math.min(end, start + maxLength);
+  } else if (end - start > maxLength) {
+    end = start + maxLength;
+  }
+
+  const prefix = start > leadingWhitespace ? '…' : '';
+  const suffix = end < lineText.trimEnd().length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + lineText.slice(start, end) + suffix,
+    matches: matches
+      .filter((m) => m.start < end && m.end > start)
+      .map((m) => ({
+        start: Math.max(m.start, start) + offset,
+        end: Math.min(m.end, end) + offset,
+      })),
+  };
+};
+
+/**
+ * Check whether decoded file content looks like binary data
+ * @param {string} content - Decoded file content
+ * @returns {boolean} True if content contains NUL characters
+ */
+const looksBinary = (content) => content.slice(0, 8000).includes('\u0000');
+
+/**
+ * Walk every searchable text file under a directory
+ * Files in a directory are visited (alphabetically) before its subdirectories,
+ * hidden entries are skipped, and binary or oversized files are ignored.
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory to walk
+ * @param {Object} options - Walk options
+ * @param {number} options.maxDepth - Maximum recursion depth
+ * @param {AbortSignal} options.signal - Optional signal to stop the walk early
+ * @yields {Object} Files with name, path, fullPath, handle, content
+ */
+export const walkTextFiles = async function* (dirHandle, { maxDepth = 10, signal = null } = {}) {
+  const traverse = async function* (currentDir, currentPath = '', depth = 0) {
+    if (depth > maxDepth || signal?.aborted) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = await FileSystemAdapter.listDirectory(currentDir);
+    } catch (err) {
+      console.warn(`Cannot access directory: ${currentPath}`, err);
+      return;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (signal?.aborted) return;
+      if (entry.kind !== 'file' || !isSearchableFile(entry.name)) continue;
+
+      const entryPath = currentPath ? `${currentPath}/${entry.name}` : entry.name;
+
+      let content;
+      try {
+        const file = await entry.getFile();
+        if (file.size > MAX_SEARCHABLE_FILE_SIZE) continue;
+
+        content = await file.text();
+        if (looksBinary(content)) continue;
+      } catch (err) {
+        console.warn(`Cannot read file: ${entryPath}`, err);
+        continue;
+      }
+
+      yield { name: entry.name, path: currentPath, fullPath: entryPath, handle: entry, content };
+    }
+
+    for (const entry of entries) {
+      if (signal?.aborted) return;
+      if (entry.kind !== 'directory' || entry.name.startsWith('.')) continue;
+
+      const entryPath = currentPath ? `${currentPath}/${entry.name}` : entry.name;
+      yield* traverse(entry, entryPath, depth + 1);
+    }
+  };
+
+  yield* traverse(dirHandle);
+};
+
+/**
+ * Recursive content search with async generator and result limits
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory to search
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {boolean} options.regex - Treat query as a regular expression
+ * @param {boolean} options.caseSensitive - Match case exactly
+ * @param {number} options.maxDepth - Maximum recursion depth
+ * @param {number} options.maxResults - Maximum number of matching lines to return
+ * @param {AbortSignal} options.signal - Optional signal to stop the search early
+ * @param {AsyncIterable<Object>} options.files - Text files to search instead of walking dirHandle (e.g. from the search index)
+ * @yields {Object} Matching lines with name, path, fullPath, handle, lineNumber, lineText, matches
+ */
+export const searchFileContents = async function* (
+  dirHandle,
+  query,
+  {
+    regex = false,
+    caseSensitive = false,
+    maxDepth = 10,
+    maxResults = 500,
+    signal = null,
+    files = null,
+  } = {}
+) {
+  if (!query) return;
+
+  const pattern = buildSearchPattern(query, { regex, caseSensitive });
+  let resultCount = 0;
+
+  for await (const file of files || walkTextFiles(dirHandle, { maxDepth, signal })) {
+    if (signal?.aborted) return;
+
+    for (const line of searchTextContent(file.content, pattern)) {
+      yield {
+        name: file.name,
+        path: file.path,
+        fullPath: file.fullPath,
+        handle: file.handle,
+        ...line,
+      };
+      resultCount++;
+      if (resultCount >= maxResults) return;
+    }
+  }
+};
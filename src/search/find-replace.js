@@ -0,0 +1,244 @@
+import { FileSystemAdapter } from '../fs/filesystem-adapter.js';
+import { buildSearchPattern, walkTextFiles } from './content-search.js';
+
+/**
+ * Find and Replace
+ * Finds matches across the workspace, previews replacements and applies them in one batch
+ */
+
+/**
+ * Expand a replacement string for a regular expression match
+ * Supports $&, $1-$99, $<name> and $$ like String.prototype.replace
+ * @param {string} replacement - Replacement template
+ * @param {RegExpExecArray} match - Match result
+ * @returns {string} Expanded replacement text
+ */
+export const expandReplacement = (replacement, match) =>
+  replacement.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, groupName) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match[0];
+    if (groupName !== undefined) {
+      return match.groups?.[groupName] ?? '';
+    }
+
+    const index = parseInt(ref, 10);
+    if (index > 0 && index < match.length) {
+      return match[index] ?? '';
+    }
+    return token;
+  });
+
+/**
+ * Find every match in a text and compute its replacement
+ * Lines are matched one at a time like content search, so ^ and $ anchor to line boundaries
+ * and both panels find the same matches for a query.
+ * @param {string} content - Text to search
+ * @param {string} query - Search query
+ * @param {string} replacement - Replacement text (may reference capture groups in regex mode)
+ * @param {Object} options - Search options
+ * @param {boolean} options.regex - Treat query as a regular expression
+ * @param {boolean} options.caseSensitive - Match case exactly
+ * @returns {Array<Object>} Matches with id, from, to, lineNumber, lineText, column, matchText, replacementText
+ */
+export const findReplaceMatches = (content, query, replacement, options = {}) => {
+  if (!query) return [];
+
+  const pattern = buildSearchPattern(query, options);
+  const matches = [];
+  let lineStart = 0;
+
+  content.split('\n').forEach((rawLine, index) => {
+    const lineText = rawLine.replace(/\r$/, '');
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(lineText)) !== null) {
+      // Zero-length matches (e.g. /^/) would loop forever without advancing
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+
+      const from = lineStart + match.index;
+      matches.push({
+        id: matches.length,
+        from,
+        to: from + match[0].length,
+        lineNumber: index + 1,
+        lineText,
+        column: match.index,
+        matchText: match[0],
+        replacementText: options.regex ? expandReplacement(replacement, match) : replacement,
+      });
+    }
+
+    lineStart += rawLine.length + 1;
+  });
+
+  return matches;
+};
+
+/**
+ * Apply a set of matches to a text
+ * @param {string} content - Original text
+ * @param {Array<Object>} matches - Matches from findReplaceMatches to apply
+ * @returns {string} Text with the replacements applied
+ */
+export const applyReplacements = (content, matches) => {
+  const sorted = [...matches].sort((a, b) => b.from - a.from);
+  return sorted.reduce(
+    (text, m) => text.slice(0, m.from) + m.replacementText + text.slice(m.to),
+    content
+  );
+};
+
+/**
+ * Build the before/after preview for a single match
+ * Only the match's line is shown; a multi-line replacement is shown up to its first line break
+ * @param {Object} match - Match from findReplaceMatches
+ * @returns {{before: string, after: string, removed: {start: number, end: number}, added: {start: number, end: number}}}
+ */
+export const createMatchPreview = (match) => {
+  const start = match.column;
+  const end = Math.min(start + match.matchText.length, match.lineText.length);
+  const replacementLine = match.replacementText.split('\n')[0];
+  const after = match.lineText.slice(0, start) + replacementLine + match.lineText.slice(end);
+
+  return {
+    before: match.lineText,
+    after,
+    removed: { start, end },
+    added: { start, end: start + replacementLine.length },
+  };
+};
+
+/**
+ * Find matches across the workspace, one result per file
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory to search
+ * @param {string} query - Search query
+ * @param {string} replacement - Replacement text
+ * @param {Object} options - Search options
+ * @param {boolean} options.regex - Treat query as a regular expression
+ * @param {boolean} options.caseSensitive - Match case exactly
+ * @param {Object} options.openFile - Open file ({path, getContent}) whose editor content is searched instead of disk
+ * @param {number} options.maxDepth - Maximum recursion depth
+ * @param {AbortSignal} options.signal - Optional signal to stop the search early
+ * @param {AsyncIterable<Object>} options.files - Text files to search instead of walking dirHandle (e.g. from the search index)
+ * @yields {Object} Files with name, path, fullPath, handle, content, isOpen, matches
+ */
+export const findInWorkspace = async function* (
+  dirHandle,
+  query,
+  replacement,
+  {
+    regex = false,
+    caseSensitive = false,
+    openFile = null,
+    maxDepth = 10,
+    signal = null,
+    files = null,
+  } = {}
+) {
+  if (!query) return;
+
+  // Fail fast on an invalid pattern before touching the file system
+  buildSearchPattern(query, { regex, caseSensitive });
+
+  for await (const file of files || walkTextFiles(dirHandle, { maxDepth, signal })) {
+    if (signal?.aborted) return;
+
+    const isOpen = openFile !== null && openFile.path === file.fullPath;
+
+    // The open file may have unsaved edits, so preview against the editor content
+    const content = isOpen ? openFile.getContent() : file.content;
+    const matches = findReplaceMatches(content, query, replacement, { regex, caseSensitive });
+
+    if (matches.length > 0) {
+      yield { ...file, content, isOpen, matches };
+    }
+  }
+};
+
+/**
+ * Apply previewed replacements across the workspace in one batch
+ * Files on disk are backed up before being written, and skipped if they changed since the preview;
+ * files that can't be read or written are listed as failed and the rest are still replaced.
+ * The open file is edited last, through its editor (one replaceRange per match) so undo keeps working.
+ * @param {Array<Object>} fileResults - Results from findInWorkspace with only the matches to apply
+ * @param {Object} options - Apply options
+ * @param {Object} options.openFile - Open file ({path, getContent, replaceRange}) or null; replaceRange may be async
+ * @param {Function} options.backupFiles - Async function receiving [{path, content}] before any write
+ * @returns {Promise<Object>} Summary with fileCount, matchCount, skipped, failed and backupId
+ */
+export const replaceInWorkspace = async (fileResults, { openFile = null, backupFiles = null }) => {
+  const summary = { fileCount: 0, matchCount: 0, skipped: [], failed: [], backupId: null };
+  const diskWrites = [];
+  let openResult = null;
+
+  for (const result of fileResults) {
+    if (result.matches.length === 0) continue;
+
+    if (result.isOpen) {
+      if (!openFile || openFile.getContent() !== result.content) {
+        summary.skipped.push(result.fullPath);
+      } else {
+        openResult = result;
+      }
+      continue;
+    }
+
+    // A file deleted or unreadable since the preview is reported; the others still get replaced
+    let currentContent;
+    try {
+      currentContent = await FileSystemAdapter.readFile(result.handle);
+    } catch (err) {
+      console.error(`Error reading ${result.fullPath}:`, err);
+      summary.failed.push(result.fullPath);
+      continue;
+    }
+    if (currentContent !== result.content) {
+      summary.skipped.push(result.fullPath);
+      continue;
+    }
+
+    diskWrites.push(result);
+  }
+
+  if (diskWrites.length > 0 && backupFiles) {
+    summary.backupId = await backupFiles(
+      diskWrites.map((r) => ({ path: r.fullPath, content: r.content }))
+    );
+  }
+
+  for (const result of diskWrites) {
+    try {
+      await FileSystemAdapter.writeFile(
+        result.handle,
+        applyReplacements(result.content, result.matches)
+      );
+      summary.fileCount++;
+      summary.matchCount += result.matches.length;
+    } catch (err) {
+      console.error(`Error replacing in ${result.fullPath}:`, err);
+      summary.failed.push(result.fullPath);
+    }
+  }
+
+  // The open file is edited last, so nothing has changed yet if the backup fails
+  if (openResult) {
+    // Apply from the end so earlier offsets stay valid
+    const sorted = [...openResult.matches].sort((a, b) => b.from - a.from);
+    try {
+      for (const m of sorted) {
+        await openFile.replaceRange(m.from, m.to, m.replacementText);
+      }
+      summary.fileCount++;
+      summary.matchCount += openResult.matches.length;
+    } catch (err) {
+      console.error(`Error replacing in ${openResult.fullPath}:`, err);
+      summary.failed.push(openResult.fullPath);
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,580 @@
+import { FileSystemAdapter, openFileByPath } from '../fs/filesystem-adapter.js';
+import { fuzzyMatch, calculateRelevance } from './fuzzy-search.js';
+import { isSearchableFile, MAX_SEARCHABLE_FILE_SIZE } from './content-search.js';
+
+/**
+ * Search Index
+ * Background index of workspace files (paths, sizes, lastModified and content tokens)
+ * persisted in IndexedDB so quick-open and content search don't re-walk the directory tree
+ */
+
+const DB_NAME = 'hotnote-search-index';
+const DB_VERSION = 1;
+const FILES_STORE = 'files';
+
+// Maximum directory depth indexed below the workspace root
+const MAX_INDEX_DEPTH = 20;
+
+// Entries processed between yields to the event loop while refreshing
+const REFRESH_BATCH_SIZE = 50;
+
+// How long a refresh is considered fresh enough to skip another walk
+const DEFAULT_MAX_AGE = 30000;
+
+// Tokens longer than this are almost always hashes or minified code
+const MAX_TOKEN_LENGTH = 64;
+
+/**
+ * Split text into unique lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Unique tokens
+ */
+export const tokenize = (text) => {
+  const tokens = new Set();
+  for (const [word] of text.toLowerCase().matchAll(/[\p{L}\p{N}_]+/gu)) {
+    if (word.length <= MAX_TOKEN_LENGTH) {
+      tokens.add(word);
+    }
+  }
+  return [...tokens];
+};
+
+/**
+ * Check whether a literal query could match a file with the given tokens
+ * The first and last query words may be cut off mid-word, every word in between must match exactly
+ * @param {Set<string>} tokens - Tokens of the file
+ * @param {string} query - Literal search query
+ * @returns {boolean} False only if the file definitely doesn't contain the query
+ */
+export const couldContainQuery = (tokens, query) => {
+  const words = query.toLowerCase().match(/[\p{L}\p{N}_]+/gu);
+  if (!words) return true;
+
+  const last = words.length - 1;
+  return words.every((word, i) => {
+    if (tokens.has(word)) return true;
+    if (i > 0 && i < last) return false;
+
+    for (const token of tokens) {
+      if (
+        last === 0 ? token.includes(word) : i === 0 ? token.endsWith(word) : token.startsWith(word)
+      ) {
+        return true;
+      }
+    }
+    return false;
+  });
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+/**
+ * Create an index store backed by IndexedDB
+ * Records are keyed by id and looked up per workspace through a secondary index
+ * @param {string} dbName - Database name
+ * @returns {Object} Store with getAll, putMany and deleteMany
+ */
+export const createIndexedDBStore = (dbName = DB_NAME) => {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      /* global indexedDB */
+      const request = indexedDB.open(dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(FILES_STORE, { keyPath: 'id' });
+        store.createIndex('workspace', 'workspace');
+      };
+      dbPromise = promisifyRequest(request);
+    }
+    return dbPromise;
+  };
+
+  return {
+    async getAll(workspace) {
+      const db = await openDatabase();
+      const transaction = db.transaction(FILES_STORE, 'readonly');
+      return promisifyRequest(
+        transaction.objectStore(FILES_STORE).index('workspace').getAll(workspace)
+      );
+    },
+
+    async putMany(records) {
+      if (records.length === 0) return;
+      const db = await openDatabase();
+      const transaction = db.transaction(FILES_STORE, 'readwrite');
+      const store = transaction.objectStore(FILES_STORE);
+      records.forEach((record) => store.put(record));
+      await transactionDone(transaction);
+    },
+
+    async deleteMany(ids) {
+      if (ids.length === 0) return;
+      const db = await openDatabase();
+      const transaction = db.transaction(FILES_STORE, 'readwrite');
+      const store = transaction.objectStore(FILES_STORE);
+      ids.forEach((id) => store.delete(id));
+      await transactionDone(transaction);
+    },
+  };
+};
+
+/**
+ * Create an in-memory index store (used when IndexedDB is unavailable, and in tests)
+ * @returns {Object} Store with getAll, putMany and deleteMany
+ */
+export const createMemoryStore = () => {
+  const records = new Map();
+
+  return {
+    async getAll(workspace) {
+      return [...records.values()]
+        .filter((record) => record.workspace === workspace)
+        .map((record) => ({ ...record }));
+    },
+
+    async putMany(newRecords) {
+      newRecords.forEach((record) => records.set(record.id, { ...record }));
+    },
+
+    async deleteMany(ids) {
+      ids.forEach((id) => records.delete(id));
+    },
+  };
+};
+
+/**
+ * Order records like a directory walk: by name within a directory, and the files of a
+ * directory before those of its subdirectories
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {number}
+ */
+const compareWalkOrder = (a, b) => {
+  const aDirs = a.dirPath ? a.dirPath.split('/') : [];
+  const bDirs = b.dirPath ? b.dirPath.split('/') : [];
+
+  for (let i = 0; i < Math.min(aDirs.length, bDirs.length); i++) {
+    const order = aDirs[i].localeCompare(bDirs[i]);
+    if (order !== 0) return order;
+  }
+  return aDirs.length - bDirs.length || a.name.localeCompare(b.name);
+};
+
+/**
+ * SearchIndex - Keeps an incrementally refreshed index of one workspace
+ */
+export class SearchIndex {
+  constructor(options = {}) {
+    this.store =
+      options.store ||
+      (typeof indexedDB !== 'undefined' ? createIndexedDBStore() : createMemoryStore());
+    this.callbacks = {
+      onUpdated: options.onUpdated || (() => {}),
+    };
+
+    this.rootDirHandle = null;
+    this.workspace = null;
+    this.records = new Map(); // relative path -> record
+    this.handles = new Map(); // relative path -> handle seen during the last refresh
+    this.tokenSets = new WeakMap(); // record -> Set of its tokens, built on first content search
+    this.ready = false;
+
+    // Bumped on every open/close so work for a previous workspace is discarded
+    this.generation = 0;
+    this.refreshPromise = null;
+    this.lastRefreshed = 0;
+  }
+
+  /**
+   * Open the index for a workspace
+   * Loads the persisted index, then refreshes it in the background
+   * The index is only ready once that first refresh has finished, so a stale persisted
+   * index is never served; until then callers walk the files themselves.
+   * @param {FileSystemDirectoryHandle} rootDirHandle - Workspace root directory
+   * @param {string} workspaceId - Stable id of the workspace (folder names aren't unique)
+   * @returns {Promise<void>} Resolves once the persisted index is loaded
+   */
+  async open(rootDirHandle, workspaceId = rootDirHandle.name) {
+    this.close();
+
+    const generation = this.generation;
+    this.rootDirHandle = rootDirHandle;
+    this.workspace = workspaceId;
+
+    try {
+      const stored = await this.store.getAll(this.workspace);
+      if (generation !== this.generation) return;
+
+      // Lets the first refresh skip files that haven't changed
+      stored.forEach((record) => this.records.set(record.path, record));
+    } catch (err) {
+      console.warn('[SearchIndex] Could not load persisted index:', err);
+    }
+
+    // Don't block opening the folder on a full refresh
+    this.refresh().catch((err) => console.error('[SearchIndex] Refresh failed:', err));
+  }
+
+  /**
+   * Close the current workspace index
+   */
+  close() {
+    this.generation++;
+    this.rootDirHandle = null;
+    this.workspace = null;
+    this.records.clear();
+    this.handles.clear();
+    this.ready = false;
+    this.refreshPromise = null;
+    this.lastRefreshed = 0;
+  }
+
+  /**
+   * Check whether the index can serve searches
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.ready;
+  }
+
+  /**
+   * Bring the index up to date with the file system
+   * Only files whose size or lastModified changed are read again
+   * Concurrent calls share the same refresh
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.rootDirHandle) {
+      return Promise.resolve();
+    }
+    if (!this.refreshPromise) {
+      const generation = this.generation;
+      this.refreshPromise = this.performRefresh(generation).finally(() => {
+        if (generation === this.generation) {
+          this.refreshPromise = null;
+        }
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Refresh in the background unless the index was refreshed recently
+   * @param {number} maxAge - Milliseconds a previous refresh stays fresh
+   */
+  refreshIfStale(maxAge = DEFAULT_MAX_AGE) {
+    if (Date.now() - this.lastRefreshed < maxAge) {
+      return;
+    }
+    this.refresh().catch((err) => console.error('[SearchIndex] Refresh failed:', err));
+  }
+
+  /**
+   * Walk the workspace and update changed records
+   * @param {number} generation - Generation the refresh belongs to
+   */
+  async performRefresh(generation) {
+    const rootDirHandle = this.rootDirHandle;
+    const seen = new Set();
+    const handles = new Map();
+    const changed = [];
+    let processed = 0;
+
+    const walk = async (dirHandle, dirPath, depth) => {
+      if (depth > MAX_INDEX_DEPTH) return;
+
+      let entries;
+      try {
+        entries = await FileSystemAdapter.listDirectory(dirHandle);
+      } catch (err) {
+        console.warn(`[SearchIndex] Cannot access directory: ${dirPath}`, err);
+        return;
+      }
+
+      for (const entry of entries) {
+        if (generation !== this.generation) return;
+        if (entry.name.startsWith('.')) continue;
+
+        const path = dirPath ? `${dirPath}/${entry.name}` : entry.name;
+        seen.add(path);
+        handles.set(path, entry);
+
+        const record = await this.indexEntry(entry, path, dirPath, depth);
+        if (record) {
+          changed.push(record);
+        }
+
+        // Give the UI a chance to run during large refreshes
+        if (++processed % REFRESH_BATCH_SIZE === 0) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        if (entry.kind === 'directory') {
+          await walk(entry, path, depth + 1);
+        }
+      }
+    };
+
+    await walk(rootDirHandle, '', 0);
+    if (generation !== this.generation) return;
+
+    const removed = [...this.records.keys()].filter((path) => !seen.has(path));
+    const firstRefresh = this.lastRefreshed === 0;
+
+    changed.forEach((record) => this.records.set(record.path, record));
+    removed.forEach((path) => this.records.delete(path));
+    this.handles = handles;
+    this.ready = true;
+    this.lastRefreshed = Date.now();
+
+    try {
+      await this.store.putMany(changed);
+      await this.store.deleteMany(removed.map((path) => this.getRecordId(path)));
+    } catch (err) {
+      console.warn('[SearchIndex] Could not persist index:', err);
+    }
+
+    // The first refresh always reports, so listeners learn the file list is complete
+    if (firstRefresh || changed.length > 0 || removed.length > 0) {
+      this.callbacks.onUpdated({ changed: changed.length, removed: removed.length });
+    }
+  }
+
+  /**
+   * Build a record for an entry if it is new or changed
+   * @param {FileSystemHandle} entry - File or directory handle
+   * @param {string} path - Path relative to the workspace root
+   * @param {string} dirPath - Parent directory path relative to the workspace root
+   * @param {number} depth - Depth below the workspace root (0 = root entries)
+   * @returns {Promise<Object|null>} New record, or null if the existing record is current
+   */
+  async indexEntry(entry, path, dirPath, depth) {
+    const existing = this.records.get(path);
+    const base = {
+      id: this.getRecordId(path),
+      workspace: this.workspace,
+      path,
+      dirPath,
+      name: entry.name,
+      kind: entry.kind,
+      depth,
+    };
+
+    if (entry.kind === 'directory') {
+      return existing && existing.kind === 'directory' ? null : base;
+    }
+
+    let metadata;
+    try {
+      metadata = await FileSystemAdapter.getFileMetadata(entry);
+    } catch (err) {
+      console.warn(`[SearchIndex] Cannot read metadata: ${path}`, err);
+      return null;
+    }
+
+    if (
+      existing &&
+      existing.kind === 'file' &&
+      existing.size === metadata.size &&
+      existing.lastModified === metadata.lastModified
+    ) {
+      return null;
+    }
+
+    let tokens = null;
+    if (isSearchableFile(entry.name) && metadata.size <= MAX_SEARCHABLE_FILE_SIZE) {
+      try {
+        const content = await FileSystemAdapter.readFile(entry);
+        if (!content.slice(0, 8000).includes('\u0000')) {
+          tokens = tokenize(content);
+        }
+      } catch (err) {
+        console.warn(`[SearchIndex] Cannot read file: ${path}`, err);
+      }
+    }
+
+    return { ...base, size: metadata.size, lastModified: metadata.lastModified, tokens };
+  }
+
+  /**
+   * Re-index a single file, e.g. after it was saved
+   * @param {string} path - Path relative to the workspace root
+   * @param {FileSystemFileHandle} fileHandle - File handle
+   * @returns {Promise<void>}
+   */
+  async updateFile(path, fileHandle) {
+    if (!this.rootDirHandle || !path) return;
+
+    const generation = this.generation;
+    const parts = path.split('/');
+    parts.pop();
+    const dirPath = parts.join('/');
+
+    const record = await this.indexEntry(fileHandle, path, dirPath, parts.length);
+    if (!record || generation !== this.generation) return;
+
+    this.records.set(path, record);
+    this.handles.set(path, fileHandle);
+    try {
+      await this.store.putMany([record]);
+    } catch (err) {
+      console.warn('[SearchIndex] Could not persist index:', err);
+    }
+  }
+
+  /**
+   * Build the store id for a path in the current workspace
+   * @param {string} path - Path relative to the workspace root
+   * @returns {string}
+   */
+  getRecordId(path) {
+    return `${this.workspace}/${path}`;
+  }
+
+  /**
+   * Paths of every indexed file, relative to the workspace root
+   * @returns {string[]}
+   */
+  getFilePaths() {
+    const paths = [];
+    for (const record of this.records.values()) {
+      if (record.kind === 'file') {
+        paths.push(record.path);
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Fuzzy filename search served from the index
+   * Results match the shape of recursiveSearchFiles, relative to basePath
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {string} options.basePath - Directory to search, relative to the workspace root
+   * @param {number} options.maxDepth - Maximum depth below basePath
+   * @param {number} options.maxResults - Maximum number of results
+   * @returns {Array<Object>} Results with name, path, fullPath, kind, depth, relevance
+   */
+  searchFiles(query, { basePath = '', maxDepth = 10, maxResults = 100 } = {}) {
+    const prefix = basePath ? `${basePath}/` : '';
+    const baseDepth = basePath ? basePath.split('/').length : 0;
+    const results = [];
+
+    for (const record of this.records.values()) {
+      if (prefix && !record.path.startsWith(prefix)) continue;
+
+      const depth = record.depth - baseDepth;
+      if (depth > maxDepth || !fuzzyMatch(record.name, query)) continue;
+
+      const fullPath = record.path.slice(prefix.length);
+      results.push({
+        name: record.name,
+        path: record.dirPath.slice(prefix.length),
+        fullPath,
+        kind: record.kind,
+        depth,
+        relevance: calculateRelevance(record.name, query, depth),
+      });
+    }
+
+    results.sort((a, b) => {
+      if (b.relevance !== a.relevance) return b.relevance - a.relevance;
+      if (a.depth !== b.depth) return a.depth - b.depth;
+      return a.fullPath.localeCompare(b.fullPath);
+    });
+
+    return results.slice(0, maxResults);
+  }
+
+  /**
+   * Text files that could contain a query, read from disk
+   * Literal queries are narrowed down with the token index; regular expressions check every text file
+   * The index is refreshed first, so files changed outside the app since the last refresh are
+   * found too; unchanged files only cost a metadata read.
+   * Yields the same shape as walkTextFiles so it can feed content search and find/replace
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {boolean} options.regex - Whether the query is a regular expression
+   * @param {AbortSignal} options.signal - Optional signal to stop early
+   * @yields {Object} Files with name, path, fullPath, handle, content
+   */
+  async *textFiles(query, { regex = false, signal = null } = {}) {
+    const rootDirHandle = this.rootDirHandle;
+    const generation = this.generation;
+
+    try {
+      await this.refresh();
+    } catch (err) {
+      console.warn('[SearchIndex] Searching without a refresh:', err);
+    }
+    if (signal?.aborted || generation !== this.generation) return;
+
+    // Same order as a directory walk: files of a directory before its subdirectories
+    const candidates = [...this.records.values()]
+      .filter((record) => record.kind === 'file' && record.tokens)
+      .filter((record) => {
+        if (regex) return true;
+        if (!this.tokenSets.has(record)) {
+          this.tokenSets.set(record, new Set(record.tokens));
+        }
+        return couldContainQuery(this.tokenSets.get(record), query);
+      })
+      .sort(compareWalkOrder);
+
+    for (const record of candidates) {
+      if (signal?.aborted) return;
+
+      try {
+        let handle = this.handles.get(record.path);
+        if (!handle) {
+          const result = await openFileByPath(rootDirHandle, record.path);
+          if (!result) continue;
+          handle = result.fileHandle;
+          this.handles.set(record.path, handle);
+        }
+
+        const content = await FileSystemAdapter.readFile(handle);
+        yield {
+          name: record.name,
+          path: record.dirPath,
+          fullPath: record.path,
+          handle,
+          content,
+        };
+      } catch (err) {
+        console.warn(`[SearchIndex] Cannot read indexed file: ${record.path}`, err);
+      }
+    }
+  }
+}
+
+/**
+ * Create a SearchIndex instance
+ * @param {Object} options - Configuration options
+ * @returns {SearchIndex}
+ */
+export function createSearchIndex(options = {}) {
+  return new SearchIndex(options);
+}
@@ -1,11 +1,18 @@
 /**
  * AI Service
- * Handles communication with Ollama for text improvement
- * Hotnote uses Ollama for local-first, privacy-preserving AI features
+ * Handles communication with the configured AI provider for text improvement
+ * Hotnote uses local servers (Ollama or OpenAI-compatible ones such as llama.cpp, LM Studio
+ * and vLLM) for local-first, privacy-preserving AI features
  */
 
 import { getSettings } from '../state/settings-manager.js';
 import { OllamaProvider } from './providers/ollama-provider.js';
+import { OpenAIProvider } from './providers/openai-provider.js';
+
+export const AI_PROVIDERS = [
+  { value: OllamaProvider.PROVIDER_NAME, label: 'Ollama' },
+  { value: OpenAIProvider.PROVIDER_NAME, label: 'OpenAI-compatible (llama.cpp, LM Studio, vLLM)' },
+];
 
 /**
  * Extract comments from text
@@ -52,18 +59,54 @@ export function extractCommentsFromText(text) {
 }
 
 /**
- * Create Ollama provider instance based on settings
+ * Get the provider class for a provider name, Ollama by default
+ */
+function getProviderClass(providerName) {
+  return providerName === OpenAIProvider.PROVIDER_NAME ? OpenAIProvider : OllamaProvider;
+}
+
+/**
+ * Create the provider chosen in settings
+ * Ollama's endpoint and model are stored at the top level of the settings, the
+ * OpenAI-compatible server's under settings.openai.
  */
 function createProvider(settings) {
-  const config = {
-    endpoint: settings.endpoint,
-    model: settings.model,
+  const shared = {
     systemPrompt: settings.systemPrompt,
     temperature: settings.temperature,
     topP: settings.topP,
   };
 
-  return new OllamaProvider(config);
+  if (settings.provider === OpenAIProvider.PROVIDER_NAME) {
+    const { endpoint, apiKey, model } = settings.openai || {};
+    return new OpenAIProvider({ ...shared, endpoint, apiKey, model });
+  }
+
+  return new OllamaProvider({
+    ...shared,
+    endpoint: settings.endpoint,
+    model: settings.model,
+  });
+}
+
+/**
+ * List the models a provider's server offers
+ * @param {string} providerName - Provider name (see AI_PROVIDERS)
+ * @param {Object} config - Endpoint and API key to ask
+ * @param {AbortSignal} signal - Optional AbortSignal for canceling the request
+ * @returns {Promise<Array<{value: string, label: string, detail?: string}>>}
+ */
+export async function fetchModels(providerName, config, signal = null) {
+  return getProviderClass(providerName).fetchModels(config, signal);
+}
+
+/**
+ * Get the models to offer when the server can't be asked
+ * @param {string} providerName - Provider name (see AI_PROVIDERS)
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getFallbackModels(providerName) {
+  return getProviderClass(providerName).getAvailableModels();
 }
 
 /**
@@ -106,6 +149,54 @@ export async function improveText(text, onChunk = null, signal = null) {
   }
 }
 
+// Characters of the note sent along with a chat; longer notes are cut off
+export const CHAT_CONTEXT_LIMIT = 20000;
+
+const CHAT_INSTRUCTIONS =
+  'You are a writing assistant inside a markdown editor. Answer questions about the text below ' +
+  'and help the user write. When asked to write or rewrite text, reply with only that text so ' +
+  'it can be inserted into the note.';
+
+/**
+ * Build the messages of a chat, starting with the note or selection it is about
+ * @param {Array<{role: string, content: string}>} messages - Conversation so far
+ * @param {Object|null} context - Open file, or null when no file is open
+ * @param {string} context.path - Path of the file
+ * @param {string} context.text - Selected text, or the whole file
+ * @param {boolean} context.isSelection - Whether text is a selection
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildChatMessages(messages, context) {
+  let system = CHAT_INSTRUCTIONS;
+  if (context && context.text) {
+    const truncated = context.text.length > CHAT_CONTEXT_LIMIT;
+    const text = truncated ? context.text.slice(0, CHAT_CONTEXT_LIMIT) : context.text;
+    const source = context.isSelection
+      ? `Text selected in ${context.path}`
+      : `Contents of ${context.path}`;
+    system += `\n\n${source}${truncated ? ' (cut off)' : ''}:\n\n${text}`;
+  }
+
+  return [
+    { role: 'system', content: system },
+    ...messages.map(({ role, content }) => ({ role, content })),
+  ];
+}
+
+/**
+ * Chat with the provider chosen in settings about the open note
+ * @param {Array<{role: string, content: string}>} messages - Conversation so far, ending with
+ *   the user's question
+ * @param {Object|null} context - Open file (see buildChatMessages)
+ * @param {Function} onChunk - Optional callback for streaming chunks: (chunk: string) => void
+ * @param {AbortSignal} signal - Optional AbortSignal for canceling the request
+ * @returns {Promise<string>} - Complete answer
+ */
+export async function chat(messages, context, onChunk = null, signal = null) {
+  const provider = createProvider(getSettings());
+  return provider.chat(buildChatMessages(messages, context), onChunk, signal);
+}
+
 /**
  * DEPRECATED: Compatibility exports for tests
  * These are kept for backward compatibility with existing tests
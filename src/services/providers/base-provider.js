@@ -3,7 +3,46 @@
  * Abstract base class that all AI providers must implement
  */
 
+/**
+ * Read a streamed response body line by line
+ * Lines may end in "\n" or "\r\n" (servers sending events may use either).
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onLine - Called with each line, without its line ending
+ * @param {Function} onData - Called whenever data arrives
+ */
+export async function readLines(body, onLine, onData) {
+  /* global TextDecoder */
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const emit = (line) => onLine(line.endsWith('\r') ? line.slice(0, -1) : line);
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    onData();
+
+    // A chunk can end partway through a line; keep the rest for the next one
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(emit);
+  }
+
+  const rest = buffer + decoder.decode();
+  if (rest) {
+    emit(rest);
+  }
+}
+
 export class BaseProvider {
+  // Server name used in error messages
+  static SERVER_NAME = 'AI server';
+  static TIMEOUT = 30000; // 30 seconds without any data from the server
+  static LIST_TIMEOUT = 10000; // Listing models or testing the connection
+
   /**
    * @param {Object} config - Provider configuration
    * @param {string} config.apiKey - API key for the provider (if required)
@@ -31,6 +70,154 @@ export class BaseProvider {
     throw new Error('improveText() must be implemented by provider');
   }
 
+  /**
+   * Send chat messages and stream the answer
+   * @param {Array<{role: string, content: string}>} _messages - Chat messages
+   * @param {Function} _onChunk - Callback for streaming chunks: (chunk: string) => void
+   * @param {AbortSignal} _signal - AbortSignal for canceling the request
+   * @returns {Promise<string>} - Complete answer
+   */
+  async chat(_messages, _onChunk, _signal) {
+    throw new Error('chat() must be implemented by provider');
+  }
+
+  /**
+   * Send a request whose answer is streamed, passing each line of the answer to onLine
+   * The request is cancelled when signal aborts, or times out when the server sends nothing
+   * for TIMEOUT milliseconds.
+   * @param {string} endpoint - Server URL, for error messages
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} signal - AbortSignal for canceling the request
+   * @param {Function} onLine - Called with each line of the response
+   */
+  async streamRequest(endpoint, url, options, signal, onLine) {
+    const { SERVER_NAME, TIMEOUT } = this.constructor;
+
+    // Aborted by the caller's signal or when the server goes quiet
+    /* global AbortController */
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    if (signal?.aborted) {
+      cancel();
+    }
+
+    let timedOut = false;
+    let timeoutId = null;
+    const resetTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, TIMEOUT);
+    };
+
+    try {
+      resetTimeout();
+      const response = await fetch(url, { ...options, signal: controller.signal });
+
+      if (!response.ok) {
+        throw this.handleAPIError(response.status);
+      }
+
+      await readLines(response.body, onLine, resetTimeout);
+    } catch (error) {
+      if (error.name === 'AbortError' && timedOut) {
+        throw new Error(`Request timeout - ${SERVER_NAME} took too long to respond`);
+      }
+
+      if (error instanceof TypeError && error.message.includes('fetch')) {
+        throw new Error(
+          `Cannot connect to ${SERVER_NAME} at ${endpoint}. Please verify the server is running and the endpoint URL is correct.`
+        );
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+      // Closes the response if reading stopped early (e.g. onLine threw), so the server stops too
+      controller.abort();
+    }
+  }
+
+  /**
+   * Send a short request, such as listing models, and read its JSON answer
+   * @param {string} endpoint - Server URL, for error messages
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} signal - Optional AbortSignal for canceling the request
+   * @returns {Promise<Object>}
+   */
+  static async requestJson(endpoint, url, options = {}, signal = null) {
+    /* global AbortController */
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    if (signal?.aborted) {
+      cancel();
+    }
+
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.LIST_TIMEOUT);
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(this.describeStatus(response.status, endpoint));
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError' && timedOut) {
+        throw new Error(`${this.SERVER_NAME} at ${endpoint} didn't answer in time.`);
+      }
+
+      if (error instanceof TypeError && error.message.includes('fetch')) {
+        throw new Error(
+          `Cannot connect to ${this.SERVER_NAME} at ${endpoint}. Please verify the server is running and the endpoint URL is correct.`
+        );
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Explain an unsuccessful response to a short request
+   * @param {number} status - HTTP status
+   * @param {string} endpoint - Server URL
+   * @returns {string}
+   */
+  static describeStatus(status, endpoint) {
+    return `Unexpected response from ${this.SERVER_NAME} at ${endpoint} (HTTP ${status}).`;
+  }
+
+  /**
+   * List the models the server offers
+   * @param {Object} _config - Endpoint and credentials to ask
+   * @param {AbortSignal} _signal - Optional AbortSignal for canceling the request
+   * @returns {Promise<Array<{value: string, label: string, detail?: string}>>}
+   */
+  static async fetchModels(_config, _signal) {
+    throw new Error('fetchModels() must be implemented by provider');
+  }
+
+  /**
+   * Create the error for an unsuccessful response
+   * @param {number} status - HTTP status
+   * @returns {Error}
+   */
+  handleAPIError(status) {
+    return new Error(`${this.constructor.SERVER_NAME} error: ${status}`);
+  }
+
   /**
    * Validate provider configuration
    * @param {Object} _config - Configuration to validate
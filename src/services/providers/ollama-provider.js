@@ -9,7 +9,7 @@ export class OllamaProvider extends BaseProvider {
   static PROVIDER_NAME = 'ollama';
   static DEFAULT_ENDPOINT = 'http://localhost:11434';
   static DEFAULT_MODEL = 'llama2';
-  static TIMEOUT = 30000; // 30 seconds
+  static SERVER_NAME = 'Ollama server';
 
   static MODELS = [
     { value: 'llama2', label: 'Llama 2' },
@@ -23,6 +23,8 @@ export class OllamaProvider extends BaseProvider {
 
   /**
    * Improve text using Ollama API
+   * The answer is streamed as newline-delimited JSON and each piece is passed to onChunk as
+   * it arrives.
    */
   async improveText(text, comments, onChunk, signal) {
     const { endpoint, model, systemPrompt, temperature, topP } = this.config;
@@ -37,59 +39,99 @@ export class OllamaProvider extends BaseProvider {
     const requestBody = {
       model: model || OllamaProvider.DEFAULT_MODEL,
       prompt: fullPrompt,
-      stream: false, // Using non-streaming for simplicity, can enable later
+      stream: true,
       options: {
         temperature: temperature ?? 0.7,
         top_p: topP ?? 0.9,
       },
     };
 
-    const timeoutId = setTimeout(() => {
-      if (!signal.aborted) {
-        signal.abort();
-      }
-    }, OllamaProvider.TIMEOUT);
-
-    try {
-      const response = await fetch(`${normalizedEndpoint}/api/generate`, {
+    let improvedText = '';
+    await this.streamRequest(
+      normalizedEndpoint,
+      `${normalizedEndpoint}/api/generate`,
+      {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(requestBody),
-        signal,
-      });
-
-      clearTimeout(timeoutId);
+      },
+      signal,
+      (line) => {
+        if (line.trim() === '') {
+          return;
+        }
 
-      if (!response.ok) {
-        throw this.handleAPIError(response.status, model);
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(`Ollama error: ${data.error}`);
+        }
+        if (data.response) {
+          improvedText += data.response;
+          if (onChunk) {
+            onChunk(data.response);
+          }
+        }
       }
+    );
 
-      const data = await response.json();
-      const improvedText = data.response;
+    return improvedText;
+  }
 
-      // Call onChunk with full response for consistency with other providers
-      if (onChunk && improvedText) {
-        onChunk(improvedText);
-      }
+  /**
+   * Send chat messages and stream the answer (POST /api/chat)
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Function} onChunk - Callback for streaming chunks: (chunk: string) => void
+   * @param {AbortSignal} signal - AbortSignal for canceling the request
+   * @returns {Promise<string>} - Complete answer
+   */
+  async chat(messages, onChunk, signal) {
+    const { endpoint, model, temperature, topP } = this.config;
+    const normalizedEndpoint = (endpoint || OllamaProvider.DEFAULT_ENDPOINT).replace(/\/+$/, '');
 
-      return improvedText;
-    } catch (error) {
-      clearTimeout(timeoutId);
+    const requestBody = {
+      model: model || OllamaProvider.DEFAULT_MODEL,
+      messages,
+      stream: true,
+      options: {
+        temperature: temperature ?? 0.7,
+        top_p: topP ?? 0.9,
+      },
+    };
 
-      if (error.name === 'AbortError') {
-        throw new Error('Request timeout - Ollama server took too long to respond');
-      }
+    let answer = '';
+    await this.streamRequest(
+      normalizedEndpoint,
+      `${normalizedEndpoint}/api/chat`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(requestBody),
+      },
+      signal,
+      (line) => {
+        if (line.trim() === '') {
+          return;
+        }
 
-      if (error instanceof TypeError && error.message.includes('fetch')) {
-        throw new Error(
-          `Cannot connect to Ollama server at ${normalizedEndpoint}. Please verify the server is running and the endpoint URL is correct.`
-        );
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(`Ollama error: ${data.error}`);
+        }
+        const content = data.message?.content;
+        if (content) {
+          answer += content;
+          if (onChunk) {
+            onChunk(content);
+          }
+        }
       }
+    );
 
-      throw error;
-    }
+    return answer;
   }
 
   /**
@@ -123,17 +165,79 @@ export class OllamaProvider extends BaseProvider {
   /**
    * Handle API errors
    */
-  handleAPIError(status, model) {
+  handleAPIError(status) {
     switch (status) {
       case 404:
         return new Error(
-          `Model "${model}" not found. Please check that the model is installed on your Ollama server (run: ollama list)`
+          `Model "${this.config.model || OllamaProvider.DEFAULT_MODEL}" not found. Please check that the model is installed on your Ollama server (run: ollama list)`
         );
       default:
         return new Error(`Ollama API error: ${status}`);
     }
   }
 
+  /**
+   * List the models installed on the server (GET /api/tags)
+   * @param {Object} config - Endpoint
+   * @param {AbortSignal} signal - Optional AbortSignal for canceling the request
+   * @returns {Promise<Array<{value: string, label: string, detail: string}>>}
+   */
+  static async fetchModels(config, signal = null) {
+    const endpoint = (config.endpoint || OllamaProvider.DEFAULT_ENDPOINT).replace(/\/+$/, '');
+    const data = await OllamaProvider.requestJson(endpoint, `${endpoint}/api/tags`, {}, signal);
+    return (data.models || [])
+      .map((model) => ({
+        value: model.name,
+        label: model.name,
+        detail: OllamaProvider.describeModel(model),
+      }))
+      .sort((a, b) => a.value.localeCompare(b.value));
+  }
+
+  /**
+   * Summarize an installed model, e.g. "8.0B · Q4_K_M · 4.9 GB"
+   * @param {Object} model - Model from /api/tags
+   * @returns {string}
+   */
+  static describeModel(model) {
+    const { parameter_size: parameterSize, quantization_level: quantization } = model.details || {};
+    const parts = [parameterSize, quantization];
+    if (typeof model.size === 'number' && model.size > 0) {
+      parts.push(OllamaProvider.formatSize(model.size));
+    }
+    return parts.filter((part) => part).join(' · ');
+  }
+
+  /**
+   * Format a download size in bytes
+   * @param {number} bytes - Size
+   * @returns {string}
+   */
+  static formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1000 && unit < units.length - 1) {
+      size /= 1000;
+      unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+  }
+
+  /**
+   * Explain an unsuccessful response to a short request
+   */
+  static describeStatus(status, endpoint) {
+    switch (status) {
+      case 403:
+        return `Ollama at ${endpoint} refused the request. Allow this page's origin with the OLLAMA_ORIGINS environment variable.`;
+      case 404:
+        return `No Ollama API at ${endpoint} (GET /api/tags was not found). Please check the endpoint URL.`;
+      default:
+        return super.describeStatus(status, endpoint);
+    }
+  }
+
   /**
    * Validate Ollama configuration
    */
@@ -178,7 +282,7 @@ export class OllamaProvider extends BaseProvider {
   }
 
   /**
-   * Get available models
+   * Get common models, offered when the server can't be asked
    */
   static getAvailableModels() {
     return OllamaProvider.MODELS;
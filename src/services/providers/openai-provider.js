@@ -0,0 +1,220 @@
+/**
+ * OpenAI-Compatible Provider
+ * Implements AI text improvement using servers speaking the OpenAI chat completions API
+ * (llama.cpp server, LM Studio, vLLM, ...)
+ */
+
+import { BaseProvider } from './base-provider.js';
+
+export class OpenAIProvider extends BaseProvider {
+  static PROVIDER_NAME = 'openai';
+  static DEFAULT_ENDPOINT = 'http://localhost:8080';
+  static DEFAULT_MODEL = '';
+  static SERVER_NAME = 'OpenAI-compatible server';
+
+  /**
+   * Get the base URL of the API, accepting endpoints with or without /v1
+   * @param {string} endpoint - Configured endpoint
+   * @returns {string}
+   */
+  static getApiUrl(endpoint) {
+    const normalized = (endpoint || OpenAIProvider.DEFAULT_ENDPOINT).replace(/\/+$/, '');
+    return normalized.endsWith('/v1') ? normalized : `${normalized}/v1`;
+  }
+
+  /**
+   * Request headers, with the API key when one is configured
+   * @param {string} apiKey - API key
+   * @returns {Object}
+   */
+  static getHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Improve text using the chat completions API
+   */
+  async improveText(text, comments, onChunk, signal) {
+    const { systemPrompt } = this.config;
+
+    const messages = [];
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+    messages.push({ role: 'user', content: this.buildPrompt(text, comments, systemPrompt) });
+
+    return this.chat(messages, onChunk, signal);
+  }
+
+  /**
+   * Send chat messages and stream the answer
+   * The answer is streamed as server-sent events and each piece is passed to onChunk as it
+   * arrives.
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Function} onChunk - Callback for streaming chunks: (chunk: string) => void
+   * @param {AbortSignal} signal - AbortSignal for canceling the request
+   * @returns {Promise<string>} - Complete answer
+   */
+  async chat(messages, onChunk, signal) {
+    const { endpoint, apiKey, model, temperature, topP } = this.config;
+    const apiUrl = OpenAIProvider.getApiUrl(endpoint);
+
+    const requestBody = {
+      model: model || OpenAIProvider.DEFAULT_MODEL,
+      messages,
+      stream: true,
+      temperature: temperature ?? 0.7,
+      top_p: topP ?? 0.9,
+    };
+
+    let answer = '';
+    let finished = false;
+    await this.streamRequest(
+      apiUrl,
+      `${apiUrl}/chat/completions`,
+      {
+        method: 'POST',
+        headers: OpenAIProvider.getHeaders(apiKey),
+        body: JSON.stringify(requestBody),
+      },
+      signal,
+      (line) => {
+        // Events are "data: {...}" lines; comments and other fields are skipped
+        const match = line.match(/^data:\s?(.*)$/);
+        if (!match || finished) {
+          return;
+        }
+        if (match[1].trim() === '[DONE]') {
+          finished = true;
+          return;
+        }
+
+        const data = JSON.parse(match[1]);
+        if (data.error) {
+          throw new Error(`Server error: ${data.error.message || data.error}`);
+        }
+        const content = data.choices?.[0]?.delta?.content;
+        if (content) {
+          answer += content;
+          if (onChunk) {
+            onChunk(content);
+          }
+        }
+      }
+    );
+
+    return answer;
+  }
+
+  /**
+   * Handle API errors
+   */
+  handleAPIError(status) {
+    switch (status) {
+      case 401:
+      case 403:
+        return new Error('The server rejected the API key. Please check it in Settings.');
+      case 404:
+        return new Error(
+          `Model "${this.config.model}" or the chat completions API was not found. Please check the endpoint URL and model name.`
+        );
+      default:
+        return new Error(`OpenAI-compatible API error: ${status}`);
+    }
+  }
+
+  /**
+   * List the models the server offers (GET /v1/models)
+   * @param {Object} config - Endpoint and API key
+   * @param {AbortSignal} signal - Optional AbortSignal for canceling the request
+   * @returns {Promise<Array<{value: string, label: string}>>}
+   */
+  static async fetchModels(config, signal = null) {
+    const apiUrl = OpenAIProvider.getApiUrl(config.endpoint);
+    const data = await OpenAIProvider.requestJson(
+      apiUrl,
+      `${apiUrl}/models`,
+      { headers: OpenAIProvider.getHeaders(config.apiKey) },
+      signal
+    );
+    return (data.data || [])
+      .map((model) => ({ value: model.id, label: model.id }))
+      .sort((a, b) => a.value.localeCompare(b.value));
+  }
+
+  /**
+   * Explain an unsuccessful response to a short request
+   */
+  static describeStatus(status, endpoint) {
+    switch (status) {
+      case 401:
+      case 403:
+        return 'The server rejected the API key. Please check it in Settings.';
+      case 404:
+        return `No OpenAI-compatible API at ${endpoint} (GET /models was not found)`;
+      default:
+        return super.describeStatus(status, endpoint);
+    }
+  }
+
+  /**
+   * Validate OpenAI-compatible configuration
+   */
+  static validateConfig(config) {
+    const errors = [];
+
+    if (!config.endpoint || typeof config.endpoint !== 'string' || config.endpoint.trim() === '') {
+      errors.push('Endpoint URL is required');
+    } else {
+      try {
+        const url = new URL(config.endpoint);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          errors.push('Endpoint URL must use HTTP or HTTPS');
+        }
+      } catch {
+        errors.push('Invalid endpoint URL');
+      }
+    }
+
+    if (!config.model || typeof config.model !== 'string' || config.model.trim() === '') {
+      errors.push('Model is required');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Get provider name
+   */
+  static getProviderName() {
+    return OpenAIProvider.PROVIDER_NAME;
+  }
+
+  /**
+   * Get default model
+   */
+  static getDefaultModel() {
+    return OpenAIProvider.DEFAULT_MODEL;
+  }
+
+  /**
+   * Get available models (loaded from the server with fetchModels)
+   */
+  static getAvailableModels() {
+    return [];
+  }
+
+  /**
+   * Get default endpoint
+   */
+  static getDefaultEndpoint() {
+    return OpenAIProvider.DEFAULT_ENDPOINT;
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Keybinding Registry
+ * Keyboard shortcuts of the app's actions: their defaults and the user's overrides,
+ * persisted with the other settings through settingsManager.
+ *
+ * Keybindings use CodeMirror's notation: modifiers then the key, joined by '-'
+ * (e.g. 'Mod-Shift-p'). Mod is Cmd on macOS and Ctrl elsewhere. A null keybinding
+ * disables the shortcut.
+ */
+
+import { settingsManager } from './settings-manager.js';
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+/**
+ * Keybinding of quick file creation that triggers on typing a filename character
+ * (a letter, digit, '/' or '.') outside the editor and inputs
+ */
+export const TYPE_TO_TRIGGER = 'Typing';
+
+// Modifiers in the order they are written
+const MODIFIER_ORDER = ['Mod', 'Ctrl', 'Meta', 'Alt', 'Shift'];
+
+// Keys that are only modifiers, ignored when recording a keybinding
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'OS'];
+
+/**
+ * Actions that can have a keyboard shortcut, in the order they are listed in settings
+ */
+export const ACTIONS = [
+  {
+    id: 'file.quickCreate',
+    title: 'Quick Create or Find File',
+    defaultKeybinding: TYPE_TO_TRIGGER,
+  },
+  { id: 'file.new', title: 'New File', defaultKeybinding: 'Mod-n' },
+  { id: 'file.openFolder', title: 'Open Folder', defaultKeybinding: 'Mod-Shift-o' },
+  { id: 'file.save', title: 'Save File', defaultKeybinding: 'Mod-s' },
+  { id: 'file.exportHtml', title: 'Export as HTML', defaultKeybinding: null },
+  { id: 'file.exportPdf', title: 'Export as PDF', defaultKeybinding: null },
+  { id: 'file.toggleAutosave', title: 'Toggle Autosave', defaultKeybinding: null },
+  { id: 'view.toggleTheme', title: 'Toggle Theme', defaultKeybinding: null },
+  { id: 'view.toggleRichMode', title: 'Toggle Rich Mode', defaultKeybinding: null },
+  { id: 'editor.goToHeading', title: 'Go to Heading', defaultKeybinding: null },
+  { id: 'editor.goToSymbol', title: 'Go to Symbol', defaultKeybinding: null },
+  { id: 'editor.addComment', title: 'Add Comment', defaultKeybinding: null },
+  { id: 'ai.improve', title: 'Improve Selection with AI', defaultKeybinding: null },
+  { id: 'ai.chat', title: 'Chat with AI', defaultKeybinding: null },
+  { id: 'search.inFiles', title: 'Search in Files', defaultKeybinding: 'Mod-Shift-f' },
+  { id: 'search.replaceInFiles', title: 'Replace in Files', defaultKeybinding: 'Mod-Shift-h' },
+  { id: 'app.commandPalette', title: 'Command Palette', defaultKeybinding: 'Mod-Shift-p' },
+  { id: 'app.openSettings', title: 'Open Settings', defaultKeybinding: null },
+];
+
+/**
+ * Normalize a key name: single characters are lowercase, the space bar is 'Space'
+ * @param {string} key - Key name
+ * @returns {string}
+ */
+const normalizeKey = (key) => {
+  if (key === ' ') {
+    return 'Space';
+  }
+  return key.length === 1 ? key.toLowerCase() : key;
+};
+
+/**
+ * Normalize a keybinding so equal shortcuts compare equal
+ * Modifiers are sorted and named the way the platform reports them (Ctrl is Mod outside
+ * macOS, Cmd is Mod on macOS).
+ * @param {string|null} keybinding - Keybinding to normalize
+ * @param {boolean} isMac - Whether Mod is Cmd
+ * @returns {string|null}
+ */
+export const normalizeKeybinding = (keybinding, isMac = IS_MAC) => {
+  if (!keybinding || keybinding === TYPE_TO_TRIGGER) {
+    return keybinding || null;
+  }
+
+  // Split on '-' but keep a trailing '-' key (e.g. 'Mod--')
+  const parts = keybinding.split(/-(?!$)/);
+  const key = parts.pop();
+
+  const modifiers = new Set(
+    parts.map((part) => {
+      const modifier = { Cmd: 'Meta', Control: 'Ctrl', Option: 'Alt' }[part] || part;
+      if ((isMac && modifier === 'Meta') || (!isMac && modifier === 'Ctrl')) {
+        return 'Mod';
+      }
+      return modifier;
+    })
+  );
+
+  const sorted = MODIFIER_ORDER.filter((modifier) => modifiers.has(modifier));
+  return [...sorted, normalizeKey(key)].join('-');
+};
+
+/**
+ * Get the keybinding of a keydown event
+ * @param {KeyboardEvent} event - Keydown event
+ * @param {boolean} isMac - Whether Mod is Cmd
+ * @returns {string|null} Null for a modifier key on its own
+ */
+export const eventToKeybinding = (event, isMac = IS_MAC) => {
+  if (!event.key || MODIFIER_KEYS.includes(event.key)) {
+    return null;
+  }
+
+  // Alt (Option on macOS) changes the character typed, so letters and digits come
+  // from the physical key instead
+  let key = event.key;
+  if (event.altKey && /^(Key[A-Z]|Digit[0-9])$/.test(event.code || '')) {
+    key = event.code.slice(-1);
+  }
+
+  const modifiers = [];
+  if (isMac ? event.metaKey : event.ctrlKey) modifiers.push('Mod');
+  if (isMac ? event.ctrlKey : event.metaKey) modifiers.push(isMac ? 'Ctrl' : 'Meta');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+
+  return normalizeKeybinding([...modifiers, key].join('-'), isMac);
+};
+
+/**
+ * Check whether a keydown event types a character that triggers quick file creation
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {boolean}
+ */
+export const isTypeToTriggerKey = (event) =>
+  /^[a-zA-Z0-9/.]$/.test(event.key) && !event.ctrlKey && !event.metaKey && !event.altKey;
+
+/**
+ * Check whether a keybinding can be used as a shortcut
+ * Without Ctrl, Cmd or Alt a shortcut would fire while typing, so only function keys
+ * may go without one.
+ * @param {string} keybinding - Keybinding to check
+ * @returns {boolean}
+ */
+export const isValidKeybinding = (keybinding) => {
+  if (keybinding === TYPE_TO_TRIGGER) {
+    return true;
+  }
+
+  const parts = keybinding.split(/-(?!$)/);
+  const key = parts.pop();
+  return parts.some((modifier) => modifier !== 'Shift') || /^F([1-9]|1[0-9]|2[0-4])$/.test(key);
+};
+
+/**
+ * Format a keybinding for display
+ * @param {string|null} keybinding - Keybinding to format
+ * @param {boolean} isMac - Whether to use macOS modifier symbols
+ * @returns {string} e.g. 'Ctrl+Shift+P' or '⌘⇧P'
+ */
+export const formatKeybinding = (keybinding, isMac = IS_MAC) => {
+  if (!keybinding) {
+    return '';
+  }
+  if (keybinding === TYPE_TO_TRIGGER) {
+    return 'Start typing';
+  }
+
+  const names = isMac
+    ? { Mod: '⌘', Cmd: '⌘', Meta: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' }
+    : { Mod: 'Ctrl', Cmd: 'Meta', Meta: 'Meta', Ctrl: 'Ctrl', Alt: 'Alt', Shift: 'Shift' };
+
+  const parts = keybinding.split(/-(?!$)/);
+  const key = parts.pop();
+  const keyName = key.length === 1 ? key.toUpperCase() : key;
+
+  const labels = [...parts.map((modifier) => names[modifier] || modifier), keyName];
+  return labels.join(isMac ? '' : '+');
+};
+
+export class KeybindingRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Array<Object>} options.actions - Actions: {id, title, defaultKeybinding}
+   * @param {boolean} options.isMac - Whether Mod is Cmd
+   */
+  constructor(options = {}) {
+    this.actions = options.actions || ACTIONS;
+    this.isMac = options.isMac ?? IS_MAC;
+
+    // The user's keybindings by action id, loaded from settings when first needed
+    this.overrides = null;
+  }
+
+  /**
+   * Get the actions that can have a shortcut
+   * @returns {Array<Object>}
+   */
+  getActions() {
+    return this.actions;
+  }
+
+  /**
+   * Find an action
+   * @param {string} id - Action id
+   * @returns {Object|null}
+   */
+  getAction(id) {
+    return this.actions.find((action) => action.id === id) || null;
+  }
+
+  /**
+   * Get the user's keybindings, loading them from settings
+   * @returns {Object} Keybindings by action id
+   */
+  getOverrides() {
+    if (!this.overrides) {
+      const stored = settingsManager.getSetting('keybindings');
+      this.overrides = stored && typeof stored === 'object' ? { ...stored } : {};
+    }
+    return this.overrides;
+  }
+
+  /**
+   * Load the user's keybindings from settings again
+   */
+  reload() {
+    this.overrides = null;
+  }
+
+  /**
+   * Get the keybinding of an action
+   * @param {string} id - Action id
+   * @returns {string|null} Null when the action has no shortcut
+   */
+  get(id) {
+    const overrides = this.getOverrides();
+    if (id in overrides) {
+      return overrides[id];
+    }
+    return this.getAction(id)?.defaultKeybinding ?? null;
+  }
+
+  /**
+   * Get the keybindings of every action
+   * @returns {Object} Keybindings by action id
+   */
+  getAll() {
+    const bindings = {};
+    this.actions.forEach((action) => {
+      bindings[action.id] = this.get(action.id);
+    });
+    return bindings;
+  }
+
+  /**
+   * Replace the user's keybindings and save them
+   * Keybindings equal to the default are not stored, so they follow future defaults.
+   * @param {Object} bindings - Keybindings by action id (missing actions use the default)
+   */
+  setBindings(bindings) {
+    const overrides = {};
+    const updates = {};
+
+    this.actions.forEach((action) => {
+      const keybinding = action.id in bindings ? bindings[action.id] : action.defaultKeybinding;
+      if (keybinding !== action.defaultKeybinding) {
+        overrides[action.id] = keybinding;
+      }
+      // Undefined removes an earlier override from the stored settings
+      updates[action.id] = overrides[action.id];
+    });
+
+    settingsManager.update({ keybindings: updates });
+    this.overrides = overrides;
+  }
+
+  /**
+   * Reset every keybinding to its default
+   */
+  reset() {
+    this.setBindings({});
+  }
+
+  /**
+   * Find keybindings used by more than one action
+   * @param {Object} bindings - Keybindings by action id (defaults to the current ones)
+   * @returns {Map<string, Array<string>>} Action ids by conflicting keybinding
+   */
+  findConflicts(bindings = this.getAll()) {
+    const byKeybinding = new Map();
+    Object.entries(bindings).forEach(([id, keybinding]) => {
+      const normalized = normalizeKeybinding(keybinding, this.isMac);
+      if (!normalized || normalized === TYPE_TO_TRIGGER) {
+        return;
+      }
+      byKeybinding.set(normalized, [...(byKeybinding.get(normalized) || []), id]);
+    });
+
+    return new Map([...byKeybinding].filter(([, ids]) => ids.length > 1));
+  }
+
+  /**
+   * Find the actions a keydown event is the shortcut of
+   * Either Ctrl or Cmd works as Mod, so shortcuts work the same with both keyboards.
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {Array<string>} Action ids
+   */
+  match(event) {
+    const keybinding = eventToKeybinding(event, this.isMac);
+    if (!keybinding) {
+      return [];
+    }
+
+    const keybindings = [keybinding];
+    if (event.ctrlKey !== event.metaKey) {
+      keybindings.push(eventToKeybinding(event, !this.isMac));
+    }
+
+    const typing = isTypeToTriggerKey(event);
+    return this.actions
+      .filter((action) => {
+        const bound = this.get(action.id);
+        if (bound === TYPE_TO_TRIGGER) {
+          return typing;
+        }
+        return bound !== null && keybindings.includes(normalizeKeybinding(bound, this.isMac));
+      })
+      .map((action) => action.id);
+  }
+}
+
+/**
+ * Create a keybinding registry instance
+ * @param {Object} options - Configuration options
+ * @returns {KeybindingRegistry}
+ */
+export function createKeybindingRegistry(options = {}) {
+  return new KeybindingRegistry(options);
+}
+
+// Export singleton instance
+export const keybindingRegistry = new KeybindingRegistry();
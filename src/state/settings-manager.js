@@ -55,7 +55,7 @@ export function validateEndpointUrl(url) {
 }
 
 /**
- * Validate and sanitize Ollama settings
+ * Validate and sanitize AI settings
  */
 function validateSettings(settings) {
   const validated = deepMerge({}, settings);
@@ -74,6 +74,17 @@ function validateSettings(settings) {
     validated.model = validated.model.trim();
   }
 
+  // Normalize the OpenAI-compatible server's endpoint and model the same way
+  if (validated.openai && typeof validated.openai === 'object') {
+    const { endpoint, model } = validated.openai;
+    if (typeof endpoint === 'string') {
+      validated.openai.endpoint = endpoint.trim().replace(/\/+$/, '');
+    }
+    if (typeof model === 'string') {
+      validated.openai.model = model.trim();
+    }
+  }
+
   // Clamp temperature to 0-1
   if (typeof validated.temperature === 'number') {
     validated.temperature = clamp(validated.temperature, 0, 1);
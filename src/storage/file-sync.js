@@ -1,9 +1,13 @@
 /**
  * File Sync Manager
  * Handles file synchronization with external changes using polling
- * Implements "last edit wins" conflict resolution strategy
+ * Unsaved edits are three-way merged with the disk version when the content the file was
+ * loaded with is known. Overlapping edits, or any edits when the base isn't known, go to
+ * onConflict when given; otherwise they are marked in the text, or "last edit wins"
  */
 
+import { mergeThreeWay } from '../utils/three-way-merge.js';
+
 /**
  * FileSyncManager - Manages file synchronization with external changes
  */
@@ -15,6 +19,7 @@ export class FileSyncManager {
 
     this.lastKnownModified = null; // Timestamp when file was last loaded/saved
     this.lastModifiedLocal = null; // Timestamp of last local edit
+    this.baseContent = null; // Content of the file when it was last loaded/saved
     this.lastUserActivityTime = Date.now(); // Timestamp of last user interaction
     this.intervalId = null;
     this.isPaused = false;
@@ -28,6 +33,15 @@ export class FileSyncManager {
       getCurrentEditorState: options.getCurrentEditorState || (() => ({})),
       updateEditorContent: options.updateEditorContent || (async () => {}),
       onFileReloaded: options.onFileReloaded || (() => {}),
+      // Optional: merge external changes into unsaved edits (see mergeChanges)
+      // applyMerge(result, editorState) puts result.content in the editor, with
+      // result.remote as the saved content
+      getLocalContent: options.getLocalContent || null,
+      applyMerge: options.applyMerge || null,
+      onFileMerged: options.onFileMerged || (() => {}),
+      // Optional: resolve external changes that can't be merged with unsaved edits
+      // (overlapping edits, or an unknown base content); called with the disk content
+      onConflict: options.onConflict || null,
       onSyncError: options.onSyncError || (() => {}),
       onSyncStart: options.onSyncStart || (() => {}),
       onSyncEnd: options.onSyncEnd || (() => {}),
@@ -106,10 +120,13 @@ export class FileSyncManager {
 
   /**
    * Check file for external changes
+   * @param {Object} options - Check options
+   * @param {boolean} options.force - Check now, even while the user is active or polling is
+   *   paused (e.g. when a file that was in a background tab is shown again)
    * @returns {Promise<void>}
    */
-  async checkForExternalChanges() {
-    if (!this.shouldPollFile()) {
+  async checkForExternalChanges({ force = false } = {}) {
+    if (!force && !this.shouldPollFile()) {
       return;
     }
 
@@ -136,13 +153,49 @@ export class FileSyncManager {
     }
   }
 
+  /**
+   * Merge external changes into unsaved edits before they are written to disk,
+   * so a save never overwrites a version the editor hasn't seen
+   * Runs even while the user is typing, unlike polling
+   * @returns {Promise<boolean>} False when the merge left conflicts to resolve first
+   */
+  async syncBeforeSave() {
+    const fileHandle = this.callbacks.getFileHandle();
+    if (!fileHandle || !this.lastKnownModified || this.baseContent === null || !this.canMerge()) {
+      return true;
+    }
+
+    const metadata = await this.callbacks.getFileMetadata(fileHandle);
+    if (metadata.lastModified <= this.lastKnownModified) {
+      return true;
+    }
+
+    const result = await this.mergeChanges(metadata.lastModified);
+    return !result || result.conflicts === 0;
+  }
+
   /**
    * Reconcile external changes with local changes
-   * Uses "last edit wins" strategy
+   * When the base content is known, the editor has unsaved edits if it differs from it,
+   * and they are merged with the disk content. Otherwise unsaved edits are handed to
+   * onConflict when it is set, or the "last edit wins" strategy applies
    * @param {number} externalModified - External modification timestamp
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|void>} Merge result when unsaved edits were merged
    */
   async reconcileChanges(externalModified) {
+    if (
+      this.baseContent !== null &&
+      this.canMerge() &&
+      this.callbacks.getLocalContent() !== this.baseContent
+    ) {
+      return await this.mergeChanges(externalModified);
+    }
+
+    if (this.lastModifiedLocal && this.callbacks.onConflict) {
+      await this.handleConflict(externalModified);
+      return;
+    }
+
     // Last edit wins: compare timestamps
     if (this.lastModifiedLocal && this.lastModifiedLocal > externalModified) {
       // Our local changes are newer - skip reload
@@ -168,6 +221,7 @@ export class FileSyncManager {
       // Update tracking variables
       this.lastKnownModified = externalModified;
       this.lastModifiedLocal = null; // Clear local timestamp since we just loaded
+      this.baseContent = freshContent;
 
       this.callbacks.onSyncEnd();
       this.callbacks.onFileReloaded(freshContent);
@@ -177,6 +231,103 @@ export class FileSyncManager {
     }
   }
 
+  /**
+   * Check whether the callbacks needed to merge unsaved edits are set
+   * @returns {boolean}
+   */
+  canMerge() {
+    return Boolean(this.callbacks.getLocalContent && this.callbacks.applyMerge);
+  }
+
+  /**
+   * Three-way merge the disk content with unsaved edits, using the content the file
+   * was loaded with as the base
+   * Non-overlapping changes are combined. Overlapping ones go to onConflict when it is set,
+   * leaving the editor untouched; otherwise they are left between conflict markers for the
+   * user to resolve. The disk content becomes the new base.
+   * @param {number} externalModified - External modification timestamp
+   * @returns {Promise<Object|void>} Merge result: content, number of conflicts and remote content
+   */
+  async mergeChanges(externalModified) {
+    try {
+      const fileHandle = this.callbacks.getFileHandle();
+      if (!fileHandle) return;
+
+      this.callbacks.onSyncStart();
+
+      // Capture current editor state BEFORE merging
+      const editorState = this.callbacks.getCurrentEditorState();
+
+      const remoteContent = await this.callbacks.readFile(fileHandle);
+      const localContent = this.callbacks.getLocalContent();
+      const result = {
+        ...mergeThreeWay(this.baseContent, localContent, remoteContent),
+        remote: remoteContent,
+      };
+
+      if (result.conflicts > 0 && this.callbacks.onConflict) {
+        this.baseContent = remoteContent;
+        this.lastKnownModified = externalModified;
+        this.callbacks.onSyncEnd();
+        await this.callbacks.onConflict(remoteContent);
+        return result;
+      }
+
+      // Applied even when the editor text doesn't change, the saved content has
+      await this.callbacks.applyMerge(result, editorState);
+
+      // Update tracking variables
+      this.baseContent = remoteContent;
+      this.lastKnownModified = externalModified;
+      if (result.content === remoteContent) {
+        this.lastModifiedLocal = null; // Nothing left to save
+      }
+
+      this.callbacks.onSyncEnd();
+      if (result.content !== localContent) {
+        this.callbacks.onFileMerged(result);
+      }
+      return result;
+    } catch (err) {
+      console.error('[File Sync] Error merging file:', err);
+      this.callbacks.onSyncError(err);
+    }
+  }
+
+  /**
+   * Let onConflict merge the disk content with unsaved edits
+   * The change counts as seen, so the conflict is only reported once
+   * @param {number} externalModified - External modification timestamp
+   * @returns {Promise<void>}
+   */
+  async handleConflict(externalModified) {
+    try {
+      const fileHandle = this.callbacks.getFileHandle();
+      if (!fileHandle) return;
+
+      const diskContent = await this.callbacks.readFile(fileHandle);
+      this.lastKnownModified = externalModified;
+
+      await this.callbacks.onConflict(diskContent);
+    } catch (err) {
+      console.error('[File Sync] Error resolving conflict:', err);
+      this.callbacks.onSyncError(err);
+    }
+  }
+
+  /**
+   * Track the content and modification time of a file just loaded or saved,
+   * used as the base of later merges
+   * @param {string} content - File content
+   * @param {number} lastModified - Modification timestamp
+   * @returns {void}
+   */
+  trackFile(content, lastModified) {
+    this.baseContent = content;
+    this.lastKnownModified = lastModified;
+    this.lastModifiedLocal = null;
+  }
+
   /**
    * Update last known modified timestamp
    * Call this when saving file to disk
@@ -276,6 +427,7 @@ export class FileSyncManager {
     this.stop();
     this.lastKnownModified = null;
     this.lastModifiedLocal = null;
+    this.baseContent = null;
     this.lastUserActivityTime = Date.now();
     this.isPaused = false;
     this.enabled = true;
@@ -9,6 +9,12 @@ import { debounce } from '../utils/helpers.js';
 // FileSystemAdapter will be passed as dependency to avoid circular imports
 let FileSystemAdapter = null;
 
+// Number of files the session remembers the cursor, scroll and editor mode of
+export const MAX_RECENT_FILES = 20;
+
+// Number of AI chat conversations the session keeps
+export const MAX_CHATS = 20;
+
 /**
  * Initialize the session manager with FileSystemAdapter dependency
  * @param {Object} adapter - The FileSystemAdapter object
@@ -61,6 +67,22 @@ export async function saveSessionFile(dirHandle, sessionData) {
   }
 }
 
+/**
+ * Get the id of a workspace, kept in its session file and created the first time
+ * Unlike the folder name, the id tells apart different folders with the same name, so data
+ * stored in the browser for a workspace (search index, version history) isn't mixed up.
+ * @param {FileSystemDirectoryHandle} dirHandle - Workspace root directory
+ * @returns {Promise<string>} Workspace id
+ */
+export async function getWorkspaceId(dirHandle) {
+  const sessionData = (await loadSessionFile(dirHandle)) || createEmptySession(dirHandle.name);
+  if (!sessionData.workspaceId) {
+    sessionData.workspaceId = `workspace-${crypto.randomUUID()}`;
+    await saveSessionFile(dirHandle, sessionData);
+  }
+  return sessionData.workspaceId;
+}
+
 /**
  * Create empty session object
  * @param {string} folderName - Folder name
@@ -152,6 +174,7 @@ export async function saveEditorStateToSession(getRelativeFilePathFn) {
       scrollLeft: scrollLeft,
       editorMode: editorMode,
     };
+    recordRecentFile(sessionData, sessionData.session.lastOpenFile);
 
     await saveSessionFile(appState.rootDirHandle, sessionData);
   } catch (err) {
@@ -168,6 +191,82 @@ export function createDebouncedSaveEditorState(getRelativeFilePathFn) {
   return debounce(() => saveEditorStateToSession(getRelativeFilePathFn), 2000);
 }
 
+/**
+ * Remember where a file was left and make it the most recently viewed file
+ * Only the last MAX_RECENT_FILES files are kept.
+ * @param {Object} sessionData - Session data object
+ * @param {Object} fileState - Path, cursor, scroll and editor mode of the file
+ * @param {number} viewedAt - When the file was viewed
+ */
+export function recordRecentFile(sessionData, fileState, viewedAt = Date.now()) {
+  const others = getRecentFiles(sessionData).filter((file) => file.path !== fileState.path);
+  sessionData.session.recentFiles = [{ ...fileState, viewedAt }, ...others].slice(
+    0,
+    MAX_RECENT_FILES
+  );
+}
+
+/**
+ * Get the recently viewed files, most recent first
+ * @param {Object|null} sessionData - Session data object
+ * @returns {Array<Object>} Path, cursor, scroll, editor mode and viewedAt of each file
+ */
+export function getRecentFiles(sessionData) {
+  const recentFiles = sessionData?.session?.recentFiles;
+  if (Array.isArray(recentFiles)) {
+    return recentFiles;
+  }
+
+  // Older sessions only remember the last open file
+  const lastOpenFile = sessionData?.session?.lastOpenFile;
+  return lastOpenFile?.path ? [lastOpenFile] : [];
+}
+
+/**
+ * Get where a file was left
+ * @param {Object|null} sessionData - Session data object
+ * @param {string} filePath - Relative file path
+ * @returns {Object|null} Cursor, scroll and editor mode of the file
+ */
+export function getRecentFile(sessionData, filePath) {
+  return getRecentFiles(sessionData).find((file) => file.path === filePath) || null;
+}
+
+/**
+ * Forget a recently viewed file, e.g. one that no longer exists
+ * @param {Object} sessionData - Session data object
+ * @param {string} filePath - Relative file path
+ * @returns {boolean} True if the file was removed
+ */
+export function removeRecentFile(sessionData, filePath) {
+  const recentFiles = getRecentFiles(sessionData);
+  if (!recentFiles.some((file) => file.path === filePath)) {
+    return false;
+  }
+
+  sessionData.session.recentFiles = recentFiles.filter((file) => file.path !== filePath);
+  return true;
+}
+
+/**
+ * Save the paths of the open tabs to the session file
+ * @param {Array<string>} openTabs - Paths relative to the workspace root, in tab order
+ * @returns {Promise<void>}
+ */
+export async function saveOpenTabsToSession(openTabs) {
+  if (!appState.rootDirHandle) {
+    return;
+  }
+
+  let sessionData = await loadSessionFile(appState.rootDirHandle);
+  if (!sessionData) {
+    sessionData = createEmptySession(appState.rootDirHandle.name);
+  }
+
+  sessionData.session.openTabs = openTabs;
+  await saveSessionFile(appState.rootDirHandle, sessionData);
+}
+
 /**
  * Add a comment to the session
  * @param {Object} sessionData - Session data object
@@ -233,6 +332,58 @@ export function deleteCommentFromSession(sessionData, commentId) {
   return true;
 }
 
+/**
+ * Point session data at the new paths of moved files
+ * Comments keep following their file, and the last open file, recent files and open tabs are
+ * restored from their new location
+ * @param {Object} sessionData - Session data object
+ * @param {Function} mapPath - Returns the new path for a relative file path (or the same path)
+ * @returns {boolean} True if anything changed
+ */
+export function movePathsInSession(sessionData, mapPath) {
+  let changed = false;
+
+  (sessionData.comments || []).forEach((comment) => {
+    if (!comment.fileRelativePath) return;
+    const newPath = mapPath(comment.fileRelativePath);
+    if (newPath !== comment.fileRelativePath) {
+      comment.fileRelativePath = newPath;
+      changed = true;
+    }
+  });
+
+  const recentFiles = sessionData.session?.recentFiles;
+  if (Array.isArray(recentFiles)) {
+    recentFiles.forEach((file) => {
+      const newPath = mapPath(file.path);
+      if (newPath !== file.path) {
+        file.path = newPath;
+        changed = true;
+      }
+    });
+  }
+
+  const openTabs = sessionData.session?.openTabs;
+  if (Array.isArray(openTabs)) {
+    const newTabs = openTabs.map(mapPath);
+    if (newTabs.some((path, i) => path !== openTabs[i])) {
+      sessionData.session.openTabs = newTabs;
+      changed = true;
+    }
+  }
+
+  const lastOpenFile = sessionData.session?.lastOpenFile;
+  if (lastOpenFile?.path) {
+    const newPath = mapPath(lastOpenFile.path);
+    if (newPath !== lastOpenFile.path) {
+      lastOpenFile.path = newPath;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
 /**
  * Get all comments for a specific file
  * @param {Object} sessionData - Session data object
@@ -246,3 +397,39 @@ export function getCommentsForFile(sessionData, filePath) {
 
   return sessionData.comments.filter((c) => c.fileRelativePath === filePath);
 }
+
+/**
+ * Get the saved AI chat conversations, most recently updated first
+ * @param {Object|null} sessionData - Session data object
+ * @returns {Array<Object>} Conversations with id, title, updatedAt and messages
+ */
+export function getChatsFromSession(sessionData) {
+  return Array.isArray(sessionData?.chats) ? sessionData.chats : [];
+}
+
+/**
+ * Save an AI chat conversation and make it the most recently updated one
+ * Only the last MAX_CHATS conversations are kept.
+ * @param {Object} sessionData - Session data object
+ * @param {Object} chat - Conversation with id, title, updatedAt and messages
+ */
+export function saveChatToSession(sessionData, chat) {
+  const others = getChatsFromSession(sessionData).filter((c) => c.id !== chat.id);
+  sessionData.chats = [chat, ...others].slice(0, MAX_CHATS);
+}
+
+/**
+ * Delete an AI chat conversation from the session
+ * @param {Object} sessionData - Session data object
+ * @param {string} chatId - ID of the conversation to delete
+ * @returns {boolean} True if deleted successfully, false if the conversation was not found
+ */
+export function deleteChatFromSession(sessionData, chatId) {
+  const chats = getChatsFromSession(sessionData);
+  if (!chats.some((c) => c.id === chatId)) {
+    return false;
+  }
+
+  sessionData.chats = chats.filter((c) => c.id !== chatId);
+  return true;
+}
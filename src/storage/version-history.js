@@ -0,0 +1,282 @@
+/**
+ * Version History
+ * Local snapshots of every saved file, persisted in IndexedDB per workspace,
+ * so earlier versions can be compared with the editor and restored
+ */
+
+const DB_NAME = 'hotnote-history';
+const DB_VERSION = 1;
+const SNAPSHOTS_STORE = 'snapshots';
+
+// Saves closer together than this update the latest snapshot instead of adding one
+const DEFAULT_MIN_INTERVAL = 5 * 60 * 1000;
+
+// Retention limits per file
+const DEFAULT_MAX_SNAPSHOTS = 50;
+const DEFAULT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the key snapshots of one file are stored under
+ * @param {string} workspace - Workspace id
+ * @param {string} path - File path relative to the workspace root
+ * @returns {string}
+ */
+const getFileKey = (workspace, path) => `${workspace}/${path}`;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+/**
+ * Create a snapshot store backed by IndexedDB
+ * Snapshots are keyed by id and looked up per file through a secondary index
+ * @param {string} dbName - Database name
+ * @returns {Object} Store with getAll, getAllUnder, put and deleteMany
+ */
+export const createIndexedDBHistoryStore = (dbName = DB_NAME) => {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      /* global indexedDB */
+      const request = indexedDB.open(dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+        store.createIndex('fileKey', 'fileKey');
+      };
+      dbPromise = promisifyRequest(request);
+    }
+    return dbPromise;
+  };
+
+  return {
+    async getAll(fileKey) {
+      const db = await openDatabase();
+      const transaction = db.transaction(SNAPSHOTS_STORE, 'readonly');
+      return promisifyRequest(
+        transaction.objectStore(SNAPSHOTS_STORE).index('fileKey').getAll(fileKey)
+      );
+    },
+
+    async getAllUnder(prefix) {
+      const db = await openDatabase();
+      const transaction = db.transaction(SNAPSHOTS_STORE, 'readonly');
+      /* global IDBKeyRange */
+      return promisifyRequest(
+        transaction
+          .objectStore(SNAPSHOTS_STORE)
+          .index('fileKey')
+          .getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`))
+      );
+    },
+
+    async put(snapshot) {
+      const db = await openDatabase();
+      const transaction = db.transaction(SNAPSHOTS_STORE, 'readwrite');
+      transaction.objectStore(SNAPSHOTS_STORE).put(snapshot);
+      await transactionDone(transaction);
+    },
+
+    async deleteMany(ids) {
+      if (ids.length === 0) return;
+      const db = await openDatabase();
+      const transaction = db.transaction(SNAPSHOTS_STORE, 'readwrite');
+      const store = transaction.objectStore(SNAPSHOTS_STORE);
+      ids.forEach((id) => store.delete(id));
+      await transactionDone(transaction);
+    },
+  };
+};
+
+/**
+ * Create an in-memory snapshot store (used when IndexedDB is unavailable, and in tests)
+ * @returns {Object} Store with getAll, getAllUnder, put and deleteMany
+ */
+export const createMemoryHistoryStore = () => {
+  const snapshots = new Map();
+
+  return {
+    async getAll(fileKey) {
+      return [...snapshots.values()]
+        .filter((snapshot) => snapshot.fileKey === fileKey)
+        .map((snapshot) => ({ ...snapshot }));
+    },
+
+    async getAllUnder(prefix) {
+      return [...snapshots.values()]
+        .filter((snapshot) => snapshot.fileKey.startsWith(prefix))
+        .map((snapshot) => ({ ...snapshot }));
+    },
+
+    async put(snapshot) {
+      snapshots.set(snapshot.id, { ...snapshot });
+    },
+
+    async deleteMany(ids) {
+      ids.forEach((id) => snapshots.delete(id));
+    },
+  };
+};
+
+/**
+ * VersionHistory - Captures and lists snapshots of the files in one workspace
+ */
+export class VersionHistory {
+  constructor(options = {}) {
+    this.store =
+      options.store ||
+      (typeof indexedDB !== 'undefined'
+        ? createIndexedDBHistoryStore()
+        : createMemoryHistoryStore());
+    this.minInterval = options.minInterval ?? DEFAULT_MIN_INTERVAL;
+    this.maxSnapshots = options.maxSnapshots ?? DEFAULT_MAX_SNAPSHOTS;
+    this.maxAge = options.maxAge ?? DEFAULT_MAX_AGE;
+    this.now = options.now || (() => Date.now());
+
+    this.workspace = null;
+  }
+
+  /**
+   * Use the history of a workspace
+   * @param {string} workspace - Workspace id (see getWorkspaceId), so folders with the same
+   *   name keep their own history
+   */
+  open(workspace) {
+    this.workspace = workspace;
+  }
+
+  /**
+   * Stop recording history until a workspace is opened again
+   */
+  close() {
+    this.workspace = null;
+  }
+
+  /**
+   * Record the content of a file after it was saved
+   * Saves within minInterval of the latest snapshot update it, so a burst of autosaves
+   * keeps a single snapshot. The content the save replaced is recorded first when the history
+   * doesn't have it yet (the file as it was before its first save here, or as changed outside
+   * the app). Snapshots past the retention limits are removed.
+   * @param {string} path - File path relative to the workspace root
+   * @param {string} content - Saved content
+   * @param {string|null} previousContent - Content of the file before the save (an empty file,
+   *   such as one just created, isn't recorded)
+   * @returns {Promise<Object|null>} The new or updated snapshot, or null if nothing changed
+   */
+  async capture(path, content, previousContent = null) {
+    if (!this.workspace || !path) {
+      return null;
+    }
+
+    const fileKey = getFileKey(this.workspace, path);
+    const snapshots = await this.store.getAll(fileKey);
+    snapshots.sort((a, b) => b.savedAt - a.savedAt);
+
+    const now = this.now();
+    const latest = snapshots[0];
+    if (latest && latest.content === content) {
+      return null;
+    }
+
+    const createSnapshot = (snapshotContent, time) => ({
+      id: `${fileKey}@${time}`,
+      fileKey,
+      path,
+      content: snapshotContent,
+      size: snapshotContent.length,
+      createdAt: time,
+      savedAt: time,
+    });
+
+    // Recorded just before the save, so it lists as the older version and isn't updated by it
+    const keepsPrevious =
+      !!previousContent && previousContent !== content && latest?.content !== previousContent;
+    if (keepsPrevious) {
+      const previous = createSnapshot(previousContent, now - 1);
+      await this.store.put(previous);
+      snapshots.unshift(previous);
+    }
+
+    let snapshot;
+    if (!keepsPrevious && latest && now - latest.createdAt < this.minInterval) {
+      snapshot = { ...latest, content, size: content.length, savedAt: now };
+    } else {
+      snapshot = createSnapshot(content, now);
+      snapshots.unshift(snapshot);
+    }
+    await this.store.put(snapshot);
+
+    // The newest snapshot is always kept, whatever its age
+    const expired = snapshots
+      .slice(1)
+      .filter((s, i) => i + 1 >= this.maxSnapshots || now - s.savedAt > this.maxAge);
+    await this.store.deleteMany(expired.map((s) => s.id));
+
+    return snapshot;
+  }
+
+  /**
+   * List the snapshots of a file, newest first
+   * @param {string} path - File path relative to the workspace root
+   * @returns {Promise<Array<Object>>} Snapshots with id, path, content, size and savedAt
+   */
+  async list(path) {
+    if (!this.workspace || !path) {
+      return [];
+    }
+
+    const snapshots = await this.store.getAll(getFileKey(this.workspace, path));
+    return snapshots.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Keep the history of files that were moved or renamed
+   * @param {Function} mapPath - Returns the new path of a file (the same path if it didn't move)
+   * @returns {Promise<number>} Number of snapshots moved
+   */
+  async movePaths(mapPath) {
+    if (!this.workspace) {
+      return 0;
+    }
+
+    const snapshots = await this.store.getAllUnder(getFileKey(this.workspace, ''));
+    const moved = snapshots.filter((snapshot) => mapPath(snapshot.path) !== snapshot.path);
+    for (const snapshot of moved) {
+      const path = mapPath(snapshot.path);
+      const fileKey = getFileKey(this.workspace, path);
+      await this.store.put({ ...snapshot, id: `${fileKey}@${snapshot.createdAt}`, fileKey, path });
+    }
+    await this.store.deleteMany(moved.map((snapshot) => snapshot.id));
+
+    return moved.length;
+  }
+}
+
+/**
+ * Create a VersionHistory instance
+ * @param {Object} options - Configuration options
+ * @returns {VersionHistory}
+ */
+export function createVersionHistory(options = {}) {
+  return new VersionHistory(options);
+}
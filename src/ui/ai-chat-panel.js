@@ -0,0 +1,581 @@
+/**
+ * AI Chat Panel
+ * Side panel for chatting with the configured AI provider about the open note or selection,
+ * inserting answers into the editor and coming back to earlier conversations
+ */
+
+// Length of conversation titles taken from the first question
+const TITLE_LENGTH = 60;
+
+/**
+ * Create an empty conversation
+ * @returns {{id: string, title: string, updatedAt: number, messages: Array}}
+ */
+const createChat = () => ({
+  id: `chat-${crypto.randomUUID()}`,
+  title: '',
+  updatedAt: Date.now(),
+  messages: [],
+});
+
+/**
+ * Title a conversation after its first question
+ * @param {string} question - First question
+ * @returns {string}
+ */
+export const createChatTitle = (question) => {
+  const firstLine = question.trim().split('\n')[0].trim();
+  return firstLine.length > TITLE_LENGTH
+    ? `${firstLine.slice(0, TITLE_LENGTH - 1).trimEnd()}…`
+    : firstLine;
+};
+
+export class AIChatPanel {
+  constructor(options = {}) {
+    this.panel = null;
+    this.overlay = null;
+    this.statusEl = null;
+    this.conversationSelect = null;
+    this.newButton = null;
+    this.deleteButton = null;
+    this.messagesEl = null;
+    this.input = null;
+    this.sendButton = null;
+    this.isOpen = false;
+    this.getContext = options.getContext || (() => null);
+    this.sendMessage = options.sendMessage || null;
+    this.loadChats = options.loadChats || (async () => []);
+    this.saveChat = options.saveChat || (async () => {});
+    this.deleteChat = options.deleteChat || (async () => {});
+    this.canInsert = options.canInsert || (() => false);
+    this.onInsert = options.onInsert || null;
+    this.getEditor = options.getEditor || null;
+
+    // Saved conversations of the workspace, most recent first, and the one shown
+    this.chats = [];
+    this.chat = null;
+
+    // Open file or selection the conversation is about, captured when the panel opens
+    this.context = null;
+
+    // Aborts the answer being streamed
+    this.controller = null;
+
+    // Each load gets an id so a slow load can't replace a newer one
+    this.loadId = 0;
+  }
+
+  /**
+   * Create the chat panel DOM structure
+   */
+  create() {
+    // Create overlay
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'settings-overlay';
+    this.overlay.addEventListener('click', () => this.close());
+
+    // Create panel
+    this.panel = document.createElement('div');
+    this.panel.className = 'settings-panel ai-chat-panel';
+    this.panel.setAttribute('data-testid', 'ai-chat-panel');
+    this.panel.addEventListener('click', (e) => e.stopPropagation());
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+
+    const title = document.createElement('h2');
+    title.textContent = 'AI Chat';
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'settings-close-button';
+    closeButton.innerHTML = '&times;';
+    closeButton.setAttribute('aria-label', 'Close chat');
+    closeButton.addEventListener('click', () => this.close());
+
+    header.appendChild(title);
+    header.appendChild(closeButton);
+
+    // Conversation picker
+    const toolbar = document.createElement('div');
+    toolbar.className = 'ai-chat-toolbar';
+
+    this.conversationSelect = document.createElement('select');
+    this.conversationSelect.className = 'settings-input settings-select ai-chat-conversations';
+    this.conversationSelect.setAttribute('aria-label', 'Conversation');
+    this.conversationSelect.setAttribute('data-testid', 'ai-chat-conversations');
+    this.conversationSelect.addEventListener('change', () =>
+      this.showChat(this.chats.find((chat) => chat.id === this.conversationSelect.value))
+    );
+
+    this.newButton = this.createToolbarButton('add_comment', 'New conversation', () =>
+      this.showChat(null)
+    );
+    this.deleteButton = this.createToolbarButton('delete', 'Delete conversation', () =>
+      this.removeChat()
+    );
+
+    toolbar.appendChild(this.conversationSelect);
+    toolbar.appendChild(this.newButton);
+    toolbar.appendChild(this.deleteButton);
+
+    // Status line (what the chat is about, errors)
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'content-search-status ai-chat-status';
+    this.statusEl.setAttribute('data-testid', 'ai-chat-status');
+
+    // Messages
+    this.messagesEl = document.createElement('div');
+    this.messagesEl.className = 'ai-chat-messages';
+    this.messagesEl.setAttribute('data-testid', 'ai-chat-messages');
+
+    // Question box
+    const compose = document.createElement('div');
+    compose.className = 'settings-footer ai-chat-compose';
+
+    this.input = document.createElement('textarea');
+    this.input.className = 'settings-input ai-chat-input';
+    this.input.placeholder = 'Ask about this note (Enter to send, Shift+Enter for a new line)';
+    this.input.rows = 3;
+    this.input.setAttribute('aria-label', 'Message');
+    this.input.setAttribute('data-testid', 'ai-chat-input');
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+        e.preventDefault();
+        this.send();
+      }
+    });
+
+    this.sendButton = document.createElement('button');
+    this.sendButton.className = 'settings-save-button';
+    this.sendButton.setAttribute('data-testid', 'ai-chat-send');
+    this.sendButton.addEventListener('click', () => {
+      if (this.controller) {
+        this.controller.abort();
+      } else {
+        this.send();
+      }
+    });
+
+    compose.appendChild(this.input);
+    compose.appendChild(this.sendButton);
+
+    // Assemble panel
+    this.panel.appendChild(header);
+    this.panel.appendChild(toolbar);
+    this.panel.appendChild(this.statusEl);
+    this.panel.appendChild(this.messagesEl);
+    this.panel.appendChild(compose);
+
+    this.updateControls();
+
+    return this;
+  }
+
+  /**
+   * Create an icon button for the conversation toolbar
+   * @param {string} icon - Material symbol name
+   * @param {string} label - Button label
+   * @param {Function} onClick - Click handler
+   */
+  createToolbarButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'content-search-toggle';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<span class="material-symbols-outlined">${icon}</span>`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Update the status line
+   * @param {string} message - Status message
+   * @param {boolean} isError - Whether to style the message as an error
+   */
+  setStatus(message, isError = false) {
+    this.statusEl.textContent = message;
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Say what the questions are about
+   */
+  showContext() {
+    const context = this.context;
+    if (!context) {
+      this.setStatus('No file open; questions are sent without a note');
+    } else if (context.isSelection) {
+      this.setStatus(`About the selection in ${context.path}`);
+    } else {
+      this.setStatus(`About ${context.path}`);
+    }
+  }
+
+  /**
+   * Load the workspace's conversations
+   */
+  async load() {
+    const loadId = ++this.loadId;
+
+    let chats;
+    try {
+      chats = await this.loadChats();
+    } catch (err) {
+      console.error('[AI Chat] Failed to load conversations:', err);
+      chats = [];
+    }
+
+    if (loadId !== this.loadId) {
+      return;
+    }
+
+    this.chats = chats || [];
+    this.renderConversations();
+  }
+
+  /**
+   * Fill the conversation picker
+   * A new conversation is listed until its first question is saved.
+   */
+  renderConversations() {
+    this.conversationSelect.innerHTML = '';
+
+    const chats = this.chats.some((chat) => chat.id === this.chat.id)
+      ? this.chats
+      : [this.chat, ...this.chats];
+    chats.forEach((chat) => {
+      const option = document.createElement('option');
+      option.value = chat.id;
+      option.textContent = chat.title || 'New conversation';
+      this.conversationSelect.appendChild(option);
+    });
+    this.conversationSelect.value = this.chat.id;
+  }
+
+  /**
+   * Show a conversation
+   * @param {Object|null} chat - Saved conversation, or null to start a new one
+   */
+  showChat(chat) {
+    if (this.controller) {
+      return;
+    }
+
+    this.chat = chat || createChat();
+    this.renderConversations();
+    this.renderMessages();
+    this.showContext();
+    this.updateControls();
+    this.input.focus();
+  }
+
+  /**
+   * Delete the conversation shown and start a new one
+   */
+  async removeChat() {
+    const chat = this.chat;
+    if (this.controller || chat.messages.length === 0) {
+      return;
+    }
+
+    this.chats = this.chats.filter((saved) => saved.id !== chat.id);
+    this.showChat(null);
+
+    try {
+      await this.deleteChat(chat.id);
+    } catch (err) {
+      console.error('[AI Chat] Failed to delete conversation:', err);
+      this.setStatus(`Could not delete the conversation: ${err.message}`, true);
+    }
+  }
+
+  /**
+   * Render the messages of the conversation shown
+   */
+  renderMessages() {
+    this.messagesEl.innerHTML = '';
+
+    if (this.chat.messages.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'ai-chat-empty';
+      empty.textContent = this.context?.isSelection
+        ? 'Ask a question about the selected text, or ask for a rewrite'
+        : 'Ask a question about this note, or ask for new text to insert';
+      this.messagesEl.appendChild(empty);
+      return;
+    }
+
+    this.chat.messages.forEach((message) => {
+      this.messagesEl.appendChild(this.createMessage(message));
+    });
+    this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+  }
+
+  /**
+   * Create the element of a message; answers get buttons to use them in the note
+   * @param {{role: string, content: string}} message - Message
+   * @returns {HTMLElement}
+   */
+  createMessage(message) {
+    const item = document.createElement('div');
+    item.className = `ai-chat-message ${message.role}`;
+    item.setAttribute('data-testid', 'ai-chat-message');
+
+    const text = document.createElement('div');
+    text.className = 'ai-chat-message-text';
+    text.textContent = message.content;
+    item.appendChild(text);
+
+    if (message.role === 'assistant') {
+      const actions = document.createElement('div');
+      actions.className = 'ai-chat-message-actions';
+      actions.appendChild(
+        this.createInsertButton('Insert at cursor', () => this.insert(message.content, false))
+      );
+      if (this.context?.isSelection) {
+        actions.appendChild(
+          this.createInsertButton('Replace selection', () => this.insert(message.content, true))
+        );
+      }
+      item.appendChild(actions);
+    }
+
+    return item;
+  }
+
+  /**
+   * Create a button that puts an answer into the note
+   * @param {string} label - Button label
+   * @param {Function} onClick - Click handler
+   */
+  createInsertButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ai-chat-insert';
+    button.textContent = label;
+    button.disabled = !this.onInsert || !this.canInsert();
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Put an answer into the note and go back to the editor
+   * @param {string} text - Answer
+   * @param {boolean} replace - Whether to replace the selection instead of inserting at the cursor
+   */
+  insert(text, replace) {
+    if (!this.onInsert || !this.onInsert(text, { replace })) {
+      this.setStatus('Could not insert the answer into the note', true);
+      return;
+    }
+    this.close();
+  }
+
+  /**
+   * Enable the controls that can be used right now
+   */
+  updateControls() {
+    const busy = !!this.controller;
+    this.sendButton.textContent = busy ? 'Stop' : 'Send';
+    this.conversationSelect.disabled = busy;
+    this.newButton.disabled = busy;
+    this.deleteButton.disabled = busy || !this.chat || this.chat.messages.length === 0;
+  }
+
+  /**
+   * Send the question typed in the message box and stream the answer into the conversation
+   * The conversation is saved once the answer is complete, or when it is stopped, unless the
+   * panel was reset for another workspace in the meantime.
+   */
+  async send() {
+    const question = this.input.value.trim();
+    if (!question || this.controller || !this.sendMessage) {
+      return;
+    }
+
+    const chat = this.chat;
+    this.input.value = '';
+    chat.messages.push({ role: 'user', content: question });
+    if (!chat.title) {
+      chat.title = createChatTitle(question);
+    }
+    this.renderMessages();
+    this.renderConversations();
+    this.showContext();
+
+    // Show the answer as it arrives; it joins the conversation once there is some
+    const answer = { role: 'assistant', content: '' };
+    const answerEl = this.createMessage(answer);
+    answerEl.classList.add('streaming');
+    this.messagesEl.appendChild(answerEl);
+    const answerText = answerEl.querySelector('.ai-chat-message-text');
+
+    /* global AbortController */
+    const controller = new AbortController();
+    this.controller = controller;
+    this.updateControls();
+
+    try {
+      const content = await this.sendMessage(
+        [...chat.messages],
+        this.context,
+        (chunk) => {
+          answer.content += chunk;
+          answerText.textContent = answer.content;
+          this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+        },
+        controller.signal
+      );
+      answer.content = content || answer.content;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('[AI Chat] Request failed:', error);
+        this.setStatus(error.message, true);
+      }
+    } finally {
+      this.controller = null;
+    }
+
+    // Another workspace was opened meanwhile; the conversation belongs to the previous one
+    if (this.chat !== chat) {
+      return;
+    }
+
+    if (answer.content) {
+      chat.messages.push(answer);
+    }
+    chat.updatedAt = Date.now();
+    this.chats = [chat, ...this.chats.filter((saved) => saved.id !== chat.id)];
+    if (this.panel) {
+      this.renderMessages();
+      this.renderConversations();
+      this.updateControls();
+    }
+
+    try {
+      await this.saveChat(chat);
+    } catch (err) {
+      console.error('[AI Chat] Failed to save conversation:', err);
+      if (this.statusEl) {
+        this.setStatus(`Could not save the conversation: ${err.message}`, true);
+      }
+    }
+  }
+
+  /**
+   * Forget the conversations shown, e.g. when another workspace is opened
+   */
+  reset() {
+    this.controller?.abort();
+    this.loadId++;
+    this.chats = [];
+    this.chat = null;
+  }
+
+  /**
+   * Open the chat panel about the open file or selection
+   */
+  open() {
+    if (this.isOpen) {
+      return;
+    }
+
+    if (!this.panel) {
+      this.create();
+    }
+
+    // The context is read before the editor loses focus
+    this.context = this.getContext();
+
+    // Blur the editor when the panel opens
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.getActiveEditor) {
+        const activeEditor = editor.getActiveEditor();
+        if (activeEditor && activeEditor.view && activeEditor.view.dom) {
+          activeEditor.view.dom.blur();
+        }
+      }
+    }
+
+    document.body.appendChild(this.overlay);
+    document.body.appendChild(this.panel);
+
+    this.isOpen = true;
+
+    if (!this.chat) {
+      this.chat = createChat();
+    }
+    this.renderConversations();
+    this.renderMessages();
+    this.showContext();
+    this.updateControls();
+    this.input.focus();
+
+    // Always reload, the session file may have changed since the panel was last open
+    this.load();
+
+    // Handle ESC key
+    this.escHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      }
+    };
+    document.addEventListener('keydown', this.escHandler, true);
+  }
+
+  /**
+   * Close the chat panel, stopping an answer being streamed
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.controller?.abort();
+    this.loadId++;
+
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+
+    this.isOpen = false;
+
+    // Remove ESC handler
+    if (this.escHandler) {
+      document.removeEventListener('keydown', this.escHandler, true);
+      this.escHandler = null;
+    }
+
+    // Restore focus to the editor when the panel closes
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.focus) {
+        editor.focus();
+      }
+    }
+  }
+
+  /**
+   * Destroy the panel
+   */
+  destroy() {
+    this.close();
+    this.panel = null;
+    this.overlay = null;
+    this.statusEl = null;
+    this.conversationSelect = null;
+    this.newButton = null;
+    this.deleteButton = null;
+    this.messagesEl = null;
+    this.input = null;
+    this.sendButton = null;
+  }
+}
@@ -0,0 +1,409 @@
+/**
+ * AI Suggestion
+ *
+ * Shows an AI rewrite of the selected text next to the selection as an inline diff,
+ * with deletions struck through and insertions highlighted. The document is only
+ * changed when the suggestion is accepted.
+ */
+
+import { presentableDiff } from '@codemirror/merge';
+
+// Space kept between the card and the edges of the window
+const VIEWPORT_MARGIN = 16;
+
+/**
+ * Split the difference between two texts into equal, deleted and inserted parts
+ * @param {string} original - Text before the change
+ * @param {string} suggestion - Text after the change
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>} Parts in reading order
+ */
+export const getTextDiff = (original, suggestion) => {
+  const parts = [];
+  const push = (type, text) => {
+    if (text) {
+      parts.push({ type, text });
+    }
+  };
+
+  let posA = 0;
+  presentableDiff(original, suggestion).forEach(({ fromA, toA, fromB, toB }) => {
+    push('equal', original.slice(posA, fromA));
+    push('delete', original.slice(fromA, toA));
+    push('insert', suggestion.slice(fromB, toB));
+    posA = toA;
+  });
+  push('equal', original.slice(posA));
+
+  return parts;
+};
+
+export class AISuggestion {
+  /**
+   * @param {Object} options
+   * @param {Function} options.improve - Requests a rewrite: (text, onChunk, signal) => Promise<string>
+   * @param {Function} options.getEditor - Returns the editor the selection belongs to
+   * @param {Function} options.onAccept - Called after the suggestion replaced the selection
+   */
+  constructor(options = {}) {
+    this.improve = options.improve;
+    this.getEditor = options.getEditor || (() => null);
+    this.onAccept = options.onAccept || null;
+
+    this.card = null;
+    this.bodyEl = null;
+    this.statusEl = null;
+    this.acceptButton = null;
+    this.retryButton = null;
+
+    // Selection being rewritten, and the editor it belongs to
+    this.selection = null;
+    this.editor = null;
+    this.suggestion = null;
+
+    // Aborts the rewrite being streamed
+    this.controller = null;
+
+    // Each request gets an id so a superseded request can't show its answer
+    this.requestId = 0;
+  }
+
+  /**
+   * Create the suggestion card
+   */
+  create() {
+    this.card = document.createElement('div');
+    this.card.className = 'ai-suggestion';
+    this.card.setAttribute('data-testid', 'ai-suggestion');
+    this.card.setAttribute('role', 'dialog');
+    this.card.setAttribute('aria-label', 'AI suggestion');
+
+    // Keep the editor's selection while the buttons are used
+    this.card.addEventListener('mousedown', (e) => {
+      if (e.target.closest('button')) {
+        e.preventDefault();
+      }
+    });
+
+    this.bodyEl = document.createElement('div');
+    this.bodyEl.className = 'ai-suggestion-diff';
+    this.bodyEl.setAttribute('data-testid', 'ai-suggestion-diff');
+
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'ai-suggestion-status';
+    this.statusEl.setAttribute('data-testid', 'ai-suggestion-status');
+
+    const actions = document.createElement('div');
+    actions.className = 'ai-suggestion-actions';
+
+    const rejectButton = this.createButton('Reject', 'ai-suggestion-reject', () => this.reject());
+    this.retryButton = this.createButton('Retry', 'ai-suggestion-retry', () => this.retry());
+    this.acceptButton = this.createButton('Accept', 'ai-suggestion-accept', () => this.accept());
+
+    actions.appendChild(rejectButton);
+    actions.appendChild(this.retryButton);
+    actions.appendChild(this.acceptButton);
+
+    this.card.appendChild(this.bodyEl);
+    this.card.appendChild(this.statusEl);
+    this.card.appendChild(actions);
+  }
+
+  /**
+   * Create a card button
+   * @param {string} label - Button label
+   * @param {string} className - Button class, also used as test id
+   * @param {Function} onClick - Click handler
+   */
+  createButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `ai-suggestion-button ${className}`;
+    button.setAttribute('data-testid', className);
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Check whether a suggestion is shown
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.selection !== null;
+  }
+
+  /**
+   * Ask for a rewrite of a selection and show it next to the selection
+   * A suggestion that is still open is rejected first.
+   * @param {{from: number, to: number, text: string}} selection - Selected text
+   * @param {{x: number, y: number}|null} position - Where to show the card, in viewport coordinates
+   */
+  start(selection, position = null) {
+    if (this.isActive()) {
+      this.reject();
+    }
+
+    if (!this.card) {
+      this.create();
+    }
+
+    this.selection = selection;
+    this.editor = this.getEditor();
+    this.decorateSelection();
+
+    document.body.appendChild(this.card);
+    this.place(position);
+
+    // Handle ESC key
+    this.escHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.reject();
+      }
+    };
+    document.addEventListener('keydown', this.escHandler, true);
+
+    this.request();
+  }
+
+  /**
+   * Position the card below the selection, keeping it inside the window
+   * @param {{x: number, y: number}|null} position - Viewport coordinates
+   */
+  place(position) {
+    const { innerWidth, innerHeight } = window;
+    const width = this.card.offsetWidth;
+    const height = this.card.offsetHeight;
+    const x = position ? position.x : (innerWidth - width) / 2;
+    const y = position ? position.y : innerHeight / 3;
+
+    this.card.style.left = `${Math.max(VIEWPORT_MARGIN, Math.min(x, innerWidth - width - VIEWPORT_MARGIN))}px`;
+    this.card.style.top = `${Math.max(VIEWPORT_MARGIN, Math.min(y, innerHeight - height - VIEWPORT_MARGIN))}px`;
+  }
+
+  /**
+   * Request a rewrite of the selection, streaming it into the card
+   */
+  async request() {
+    const requestId = ++this.requestId;
+    this.controller?.abort();
+
+    /* global AbortController */
+    const controller = new AbortController();
+    this.controller = controller;
+    this.suggestion = null;
+
+    let streamed = '';
+    this.renderStreaming(streamed);
+    this.setStatus('Writing suggestion…');
+    this.updateButtons();
+
+    try {
+      const suggestion = await this.improve(
+        this.selection.text,
+        (chunk) => {
+          if (requestId !== this.requestId) return;
+          streamed += chunk;
+          this.renderStreaming(streamed);
+        },
+        controller.signal
+      );
+      if (requestId !== this.requestId) return;
+
+      this.suggestion = suggestion || streamed;
+      this.renderDiff();
+      this.setStatus(
+        this.suggestion === this.selection.text ? 'No changes suggested' : 'Accept the changes?'
+      );
+    } catch (error) {
+      if (requestId !== this.requestId) return;
+
+      if (error.name !== 'AbortError') {
+        console.error('[AI] Text improvement failed:', error);
+        this.setStatus(
+          `AI improvement failed: ${error.message}. Please check your AI provider configuration in Settings.`,
+          true
+        );
+      }
+    } finally {
+      if (requestId === this.requestId) {
+        this.controller = null;
+        this.updateButtons();
+      }
+    }
+  }
+
+  /**
+   * Show the rewrite received so far
+   * @param {string} text - Streamed text
+   */
+  renderStreaming(text) {
+    this.bodyEl.innerHTML = '';
+    const insertion = document.createElement('ins');
+    insertion.textContent = text;
+    this.bodyEl.appendChild(insertion);
+  }
+
+  /**
+   * Show the complete rewrite as changes to the selected text
+   */
+  renderDiff() {
+    this.bodyEl.innerHTML = '';
+    getTextDiff(this.selection.text, this.suggestion).forEach(({ type, text }) => {
+      const tagName = { equal: 'span', delete: 'del', insert: 'ins' }[type];
+      const part = document.createElement(tagName);
+      part.textContent = text;
+      this.bodyEl.appendChild(part);
+    });
+  }
+
+  /**
+   * Update the status line
+   * @param {string} message - Status message
+   * @param {boolean} isError - Whether to style the message as an error
+   */
+  setStatus(message, isError = false) {
+    this.statusEl.textContent = message;
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Enable the buttons that can be used right now
+   */
+  updateButtons() {
+    const busy = !!this.controller;
+    this.acceptButton.disabled = busy || this.suggestion === null;
+    this.retryButton.disabled = busy;
+  }
+
+  /**
+   * Check whether the selected text is still where it was when the suggestion was requested
+   * Typing, autosave merges and file sync can change the document while the card is open.
+   * @returns {boolean}
+   */
+  isSelectionUnchanged() {
+    if (!this.editor?.getTextRange) {
+      return true;
+    }
+    const { from, to, text } = this.selection;
+    return this.editor.getTextRange(from, to) === text;
+  }
+
+  /**
+   * Highlight the selection being rewritten
+   */
+  decorateSelection() {
+    if (this.editor?.addAILoadingDecoration) {
+      this.editor.addAILoadingDecoration(this.selection.from, this.selection.to);
+    }
+  }
+
+  /**
+   * Replace the selection with the suggestion
+   * Nothing is replaced if the selected text changed in the meantime.
+   */
+  accept() {
+    if (!this.isActive() || this.controller || this.suggestion === null) {
+      return;
+    }
+
+    if (!this.isSelectionUnchanged()) {
+      this.suggestion = null;
+      this.setStatus('The text changed; retry', true);
+      this.updateButtons();
+      return;
+    }
+
+    const { from, to } = this.selection;
+    const editor = this.editor;
+    const suggestion = this.suggestion;
+    this.hide();
+
+    if (editor && suggestion !== this.selection?.text) {
+      if (editor.replaceRange) {
+        editor.replaceRange(from, to, suggestion);
+      } else if (editor.replaceSelection) {
+        editor.replaceSelection(suggestion);
+      }
+    }
+    this.selection = null;
+
+    if (this.onAccept) {
+      this.onAccept(suggestion);
+    }
+    editor?.focus?.();
+  }
+
+  /**
+   * Drop the suggestion, leaving the selected text as it was
+   */
+  reject() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    const editor = this.editor;
+    this.hide();
+    this.selection = null;
+    editor?.focus?.();
+  }
+
+  /**
+   * Ask for another rewrite of the same text
+   * If the text changed since, the text selected now is rewritten instead.
+   */
+  retry() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    if (!this.isSelectionUnchanged()) {
+      const selection = this.editor.getSelection?.();
+      if (!selection) {
+        this.setStatus('Select the text to rewrite and retry', true);
+        return;
+      }
+      this.selection = selection;
+      this.editor.removeAILoadingDecoration?.();
+      this.decorateSelection();
+    }
+
+    this.request();
+  }
+
+  /**
+   * Stop the request and remove the card and the selection highlight
+   */
+  hide() {
+    this.requestId++;
+    this.controller?.abort();
+    this.controller = null;
+
+    if (this.editor?.removeAILoadingDecoration) {
+      this.editor.removeAILoadingDecoration();
+    }
+    this.editor = null;
+
+    if (this.card && this.card.parentNode) {
+      this.card.parentNode.removeChild(this.card);
+    }
+
+    if (this.escHandler) {
+      document.removeEventListener('keydown', this.escHandler, true);
+      this.escHandler = null;
+    }
+  }
+
+  /**
+   * Destroy the card
+   */
+  destroy() {
+    this.hide();
+    this.selection = null;
+    this.card = null;
+    this.bodyEl = null;
+    this.statusEl = null;
+    this.acceptButton = null;
+    this.retryButton = null;
+  }
+}
@@ -0,0 +1,176 @@
+import { findBacklinks, getBacklinkKeyword } from '../links/backlinks.js';
+import { walkTextFiles } from '../search/content-search.js';
+import { createHighlightedText } from './content-search-panel.js';
+
+/**
+ * Backlinks Panel
+ * Lists the notes that link to the current file in the markdown sidebar
+ */
+export class BacklinksPanel {
+  constructor(options = {}) {
+    this.container = options.container;
+    this.getRootDirHandle = options.getRootDirHandle || (() => null);
+    this.getSearchIndex = options.getSearchIndex || null;
+    this.onSelect = options.onSelect || (() => {});
+
+    this.targetPath = null;
+    this.updateId = 0;
+    this.abortController = null;
+  }
+
+  /**
+   * Find and show the backlinks of a file
+   * The previous results stay visible until the new ones are ready
+   * @param {string} targetPath - Path of the file relative to the workspace root
+   * @returns {Promise<void>}
+   */
+  async update(targetPath) {
+    const updateId = ++this.updateId;
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    this.targetPath = targetPath;
+
+    const rootDirHandle = this.getRootDirHandle();
+    if (!targetPath || !rootDirHandle) {
+      this.renderMessage('Open a folder to see backlinks');
+      return;
+    }
+
+    if (this.container.childElementCount === 0) {
+      this.renderMessage('Searching…');
+    }
+
+    /* global AbortController */
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    // Only notes mentioning the file name can link to it, so let the index skip the rest.
+    // Without an index, wiki links are resolved against the target alone.
+    const searchIndex = this.getSearchIndex ? this.getSearchIndex() : null;
+    let files;
+    let filePaths = [];
+    if (searchIndex?.isReady()) {
+      const keyword = getBacklinkKeyword(targetPath);
+      files = searchIndex.textFiles(keyword, { regex: !keyword, signal });
+      filePaths = searchIndex.getFilePaths();
+    } else {
+      files = walkTextFiles(rootDirHandle, { signal });
+    }
+
+    const notes = [];
+    try {
+      for await (const note of findBacklinks(files, targetPath, { filePaths, signal })) {
+        if (updateId !== this.updateId) return;
+        notes.push(note);
+      }
+    } catch (err) {
+      console.error('[Backlinks] Search failed:', err);
+      if (updateId === this.updateId) {
+        this.renderMessage('Error loading backlinks');
+      }
+      return;
+    }
+
+    if (updateId !== this.updateId) return;
+    this.render(notes);
+  }
+
+  /**
+   * Stop any running search and empty the panel
+   */
+  clear() {
+    this.updateId++;
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    this.targetPath = null;
+    this.container.innerHTML = '';
+  }
+
+  /**
+   * Show a single message instead of results
+   * @param {string} message - Message to show
+   */
+  renderMessage(message) {
+    this.container.innerHTML = '';
+    const p = document.createElement('p');
+    p.className = 'backlinks-empty';
+    p.textContent = message;
+    this.container.appendChild(p);
+  }
+
+  /**
+   * Render the linking notes
+   * @param {Array<Object>} notes - Results from findBacklinks
+   */
+  render(notes) {
+    if (notes.length === 0) {
+      this.renderMessage('No backlinks');
+      return;
+    }
+
+    this.container.innerHTML = '';
+    notes.forEach((note) => {
+      this.container.appendChild(this.createNoteGroup(note));
+    });
+  }
+
+  /**
+   * Create the entry for one linking note and its references
+   * @param {Object} note - Note with name, path, fullPath and references
+   */
+  createNoteGroup(note) {
+    const group = document.createElement('div');
+    group.className = 'backlink-note';
+    group.dataset.path = note.fullPath;
+
+    const header = document.createElement('div');
+    header.className = 'backlink-note-header';
+    header.title = note.fullPath;
+
+    const icon = document.createElement('span');
+    icon.className = 'material-symbols-outlined';
+    icon.textContent = 'description';
+
+    const name = document.createElement('span');
+    name.className = 'backlink-note-name';
+    name.textContent = note.name;
+
+    header.appendChild(icon);
+    header.appendChild(name);
+    if (note.path) {
+      const dir = document.createElement('span');
+      dir.className = 'backlink-note-path';
+      dir.textContent = note.path;
+      header.appendChild(dir);
+    }
+    group.appendChild(header);
+
+    note.references.forEach((reference) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'backlink';
+      button.setAttribute('data-testid', 'backlink');
+
+      const text = createHighlightedText(reference.context.text, reference.context.matches);
+      text.className = 'backlink-context';
+      button.appendChild(text);
+
+      button.addEventListener('click', () => {
+        this.onSelect({
+          name: note.name,
+          path: note.path,
+          fullPath: note.fullPath,
+          from: reference.from,
+          to: reference.to,
+          lineNumber: reference.lineNumber,
+        });
+      });
+      group.appendChild(button);
+    });
+
+    return group;
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Command Palette
+ * Overlay listing every app action, filtered with fuzzy matching and run from the keyboard.
+ * Also used as a quick picker for lists such as the headings of the open file.
+ */
+
+import { fuzzyMatch } from '../search/fuzzy-search.js';
+import { formatKeybinding } from '../state/keybinding-registry.js';
+
+export class CommandPalette {
+  /**
+   * @param {Object} options - Palette options
+   * @param {Function} options.getCommands - Returns the commands:
+   *   {id, title, keybinding?, isEnabled?, run}
+   * @param {Function} options.getEditor - Returns the editor to focus when the palette closes
+   */
+  constructor(options = {}) {
+    this.panel = null;
+    this.overlay = null;
+    this.input = null;
+    this.listEl = null;
+    this.isOpen = false;
+    this.getCommands = options.getCommands || (() => []);
+    this.getEditor = options.getEditor || null;
+
+    // What is listed: items, and the callbacks for a chosen item or a cancelled palette
+    this.items = [];
+    this.matches = [];
+    this.selectedIndex = 0;
+    this.onSelect = null;
+    this.onCancel = null;
+  }
+
+  /**
+   * Create the palette DOM structure
+   */
+  create() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'command-palette-overlay';
+    this.overlay.addEventListener('click', () => this.close());
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'command-palette';
+    this.panel.setAttribute('data-testid', 'command-palette');
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.addEventListener('click', (e) => e.stopPropagation());
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.className = 'command-palette-input';
+    this.input.setAttribute('data-testid', 'command-palette-input');
+    this.input.setAttribute('autocomplete', 'off');
+    this.input.setAttribute('spellcheck', 'false');
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-controls', 'command-palette-list');
+    this.input.setAttribute('aria-expanded', 'true');
+    this.input.addEventListener('input', () => this.filter());
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    this.listEl = document.createElement('div');
+    this.listEl.id = 'command-palette-list';
+    this.listEl.className = 'command-palette-list';
+    this.listEl.setAttribute('role', 'listbox');
+    this.listEl.setAttribute('data-testid', 'command-palette-list');
+
+    this.panel.appendChild(this.input);
+    this.panel.appendChild(this.listEl);
+
+    return this;
+  }
+
+  /**
+   * Open the palette with every enabled command
+   */
+  open() {
+    const commands = this.getCommands().filter(
+      (command) => !command.isEnabled || command.isEnabled()
+    );
+
+    this.show({
+      items: commands,
+      placeholder: 'Type a command',
+      onSelect: (command) => command.run(),
+    });
+  }
+
+  /**
+   * Let the user pick one item of a list
+   * @param {Array<Object>} items - Items to list: {title, detail?}
+   * @param {Object} options - Picker options
+   * @param {string} options.placeholder - Input placeholder
+   * @param {string} options.emptyMessage - Shown when nothing matches
+   * @returns {Promise<Object|null>} The chosen item, or null when the palette is dismissed
+   */
+  pick(items, { placeholder = '', emptyMessage } = {}) {
+    return new Promise((resolve) => {
+      this.show({
+        items,
+        placeholder,
+        emptyMessage,
+        onSelect: resolve,
+        onCancel: () => resolve(null),
+      });
+    });
+  }
+
+  /**
+   * Show a list in the palette, replacing what it listed before
+   * @param {Object} view - What to list
+   * @param {Array<Object>} view.items - Items: {title, detail?, keybinding?}
+   * @param {string} view.placeholder - Input placeholder
+   * @param {string} view.emptyMessage - Shown when nothing matches
+   * @param {Function} view.onSelect - Called with the chosen item
+   * @param {Function} view.onCancel - Called when the palette closes without a choice
+   */
+  show({ items, placeholder = '', emptyMessage = 'No matching commands', onSelect, onCancel }) {
+    if (!this.panel) {
+      this.create();
+    }
+
+    // A list that is replaced counts as cancelled
+    const previousCancel = this.onCancel;
+    this.onCancel = null;
+    previousCancel?.();
+
+    this.items = items;
+    this.emptyMessage = emptyMessage;
+    this.onSelect = onSelect || null;
+    this.onCancel = onCancel || null;
+    this.input.placeholder = placeholder;
+    this.input.value = '';
+
+    if (!this.isOpen) {
+      // Blur the editor while the palette is open
+      const activeEditor = this.getEditor?.()?.getActiveEditor?.();
+      activeEditor?.view?.dom?.blur();
+
+      document.body.appendChild(this.overlay);
+      document.body.appendChild(this.panel);
+      this.isOpen = true;
+
+      // Handle ESC key before the app's own Escape handling
+      this.escHandler = (e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          e.preventDefault();
+          this.close();
+        }
+      };
+      document.addEventListener('keydown', this.escHandler, true);
+    }
+
+    this.filter();
+    this.input.focus();
+  }
+
+  /**
+   * List the items matching the current query
+   */
+  filter() {
+    const query = this.input.value.trim();
+    this.matches = this.items.filter((item) => fuzzyMatch(item.title, query));
+    this.selectedIndex = 0;
+    this.render();
+  }
+
+  /**
+   * Render the matching items
+   */
+  render() {
+    this.listEl.innerHTML = '';
+
+    if (this.matches.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'command-palette-empty';
+      empty.textContent = this.emptyMessage;
+      this.listEl.appendChild(empty);
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.matches.forEach((item, index) => {
+      this.listEl.appendChild(this.createItem(item, index));
+    });
+    this.updateSelection();
+  }
+
+  /**
+   * Create the element of one item
+   * @param {Object} item - Item to render
+   * @param {number} index - Index in the matching items
+   * @returns {HTMLElement}
+   */
+  createItem(item, index) {
+    const element = document.createElement('div');
+    element.id = `command-palette-item-${index}`;
+    element.className = 'command-palette-item';
+    element.setAttribute('role', 'option');
+    element.setAttribute('data-testid', 'command-palette-item');
+
+    const title = document.createElement('span');
+    title.className = 'command-palette-title';
+    title.textContent = item.title;
+    element.appendChild(title);
+
+    if (item.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'command-palette-detail';
+      detail.textContent = item.detail;
+      element.appendChild(detail);
+    }
+
+    if (item.keybinding) {
+      const keybinding = document.createElement('kbd');
+      keybinding.className = 'command-palette-keybinding';
+      keybinding.textContent = formatKeybinding(item.keybinding);
+      element.appendChild(keybinding);
+    }
+
+    // Keep focus in the input while clicking
+    element.addEventListener('mousedown', (e) => e.preventDefault());
+    element.addEventListener('mousemove', () => {
+      if (this.selectedIndex !== index) {
+        this.selectedIndex = index;
+        this.updateSelection();
+      }
+    });
+    element.addEventListener('click', () => this.select(index));
+
+    return element;
+  }
+
+  /**
+   * Highlight the selected item and keep it in view
+   */
+  updateSelection() {
+    const elements = this.listEl.querySelectorAll('.command-palette-item');
+    elements.forEach((element, index) => {
+      const selected = index === this.selectedIndex;
+      element.classList.toggle('selected', selected);
+      element.setAttribute('aria-selected', String(selected));
+    });
+
+    const selected = elements[this.selectedIndex];
+    if (selected) {
+      this.input.setAttribute('aria-activedescendant', selected.id);
+      selected.scrollIntoView?.({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Move the selection with the arrow keys and choose with Enter
+   * @param {KeyboardEvent} e - Keydown event from the input
+   */
+  handleKeydown(e) {
+    const count = this.matches.length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (count > 0) {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.selectedIndex = (this.selectedIndex + step + count) % count;
+        this.updateSelection();
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.select(this.selectedIndex);
+    }
+  }
+
+  /**
+   * Choose a matching item and close the palette
+   * @param {number} index - Index in the matching items
+   */
+  async select(index) {
+    const item = this.matches[index];
+    if (!item) {
+      return;
+    }
+
+    const onSelect = this.onSelect;
+    this.onCancel = null;
+    this.close();
+
+    try {
+      await onSelect?.(item);
+    } catch (error) {
+      console.error('[CommandPalette] Command failed:', error);
+    }
+  }
+
+  /**
+   * Close the palette
+   * @param {Object} options - Close options
+   * @param {boolean} options.restoreFocus - Whether to focus the editor again
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) {
+      return;
+    }
+
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+
+    this.isOpen = false;
+
+    if (this.escHandler) {
+      document.removeEventListener('keydown', this.escHandler, true);
+      this.escHandler = null;
+    }
+
+    const onCancel = this.onCancel;
+    this.onSelect = null;
+    this.onCancel = null;
+    this.items = [];
+    this.matches = [];
+
+    // Restore focus to the editor; a chosen command may move it elsewhere afterwards
+    if (restoreFocus && this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.focus) {
+        editor.focus();
+      }
+    }
+
+    onCancel?.();
+  }
+
+  /**
+   * Destroy the palette
+   */
+  destroy() {
+    this.close();
+    this.panel = null;
+    this.overlay = null;
+    this.input = null;
+    this.listEl = null;
+  }
+}
@@ -0,0 +1,490 @@
+/**
+ * Content Search Panel
+ * Side panel for searching text across every file in the workspace
+ */
+
+import { searchFileContents, buildSearchPattern, createSnippet } from '../search/content-search.js';
+import { debounce } from '../utils/helpers.js';
+
+/**
+ * Create a span with highlighted ranges
+ * Built from text nodes so file content is never parsed as HTML
+ * @param {string} text - Text to display
+ * @param {Array<{start: number, end: number}>} ranges - Ranges to highlight
+ * @param {string} tagName - Element used for highlighted ranges
+ * @returns {HTMLSpanElement}
+ */
+export const createHighlightedText = (text, ranges, tagName = 'mark') => {
+  const span = document.createElement('span');
+
+  let cursor = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start > cursor) {
+      span.appendChild(document.createTextNode(text.slice(cursor, start)));
+    }
+    const highlight = document.createElement(tagName);
+    highlight.textContent = text.slice(start, end);
+    span.appendChild(highlight);
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    span.appendChild(document.createTextNode(text.slice(cursor)));
+  }
+
+  return span;
+};
+
+export class ContentSearchPanel {
+  constructor(options = {}) {
+    this.panel = null;
+    this.overlay = null;
+    this.input = null;
+    this.statusEl = null;
+    this.resultsEl = null;
+    this.isOpen = false;
+    this.getRootDirHandle = options.getRootDirHandle || null;
+    this.onSelectResult = options.onSelectResult || null;
+    this.getEditor = options.getEditor || null;
+    this.getSearchIndex = options.getSearchIndex || null;
+    this.onOpenReplace = options.onOpenReplace || null;
+    this.maxResults = options.maxResults || 500;
+
+    // Search options toggled from the panel
+    this.regex = false;
+    this.caseSensitive = false;
+
+    // Each search gets an id so results from a superseded search are discarded
+    this.searchId = 0;
+    this.abortController = null;
+
+    this.debouncedSearch = debounce(() => this.search(), 250);
+  }
+
+  /**
+   * Create the search panel DOM structure
+   */
+  create() {
+    // Create overlay
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'settings-overlay';
+    this.overlay.addEventListener('click', () => this.close());
+
+    // Create panel
+    this.panel = document.createElement('div');
+    this.panel.className = 'settings-panel content-search-panel';
+    this.panel.setAttribute('data-testid', 'content-search-panel');
+    this.panel.addEventListener('click', (e) => e.stopPropagation());
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Search in Files';
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'settings-close-button';
+    closeButton.innerHTML = '&times;';
+    closeButton.setAttribute('aria-label', 'Close search');
+    closeButton.addEventListener('click', () => this.close());
+
+    header.appendChild(title);
+    header.appendChild(closeButton);
+
+    // Query row
+    const queryRow = document.createElement('div');
+    queryRow.className = 'content-search-query';
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.className = 'content-search-input';
+    this.input.placeholder = 'Search text in workspace';
+    this.input.setAttribute('data-testid', 'content-search-input');
+    this.input.setAttribute('autocomplete', 'off');
+    this.input.setAttribute('spellcheck', 'false');
+    this.input.addEventListener('input', () => this.debouncedSearch());
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.search();
+      } else if (e.key === 'ArrowDown') {
+        const firstResult = this.resultsEl.querySelector('.content-search-line');
+        if (firstResult) {
+          e.preventDefault();
+          firstResult.focus();
+        }
+      }
+    });
+
+    queryRow.appendChild(this.input);
+    queryRow.appendChild(this.createToggle('caseSensitive', 'Aa', 'Match case'));
+    queryRow.appendChild(this.createToggle('regex', '.*', 'Use regular expression'));
+
+    if (this.onOpenReplace) {
+      const replaceButton = document.createElement('button');
+      replaceButton.type = 'button';
+      replaceButton.className = 'content-search-toggle';
+      replaceButton.title = 'Replace in files';
+      replaceButton.setAttribute('aria-label', 'Replace in files');
+      replaceButton.setAttribute('data-testid', 'content-search-open-replace');
+      replaceButton.innerHTML = '<span class="material-symbols-outlined">find_replace</span>';
+      replaceButton.addEventListener('click', () => {
+        const query = this.input.value;
+        this.close({ restoreFocus: false });
+        this.onOpenReplace(query);
+      });
+      queryRow.appendChild(replaceButton);
+    }
+
+    // Status line (result count, errors)
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'content-search-status';
+    this.statusEl.setAttribute('data-testid', 'content-search-status');
+
+    // Results
+    this.resultsEl = document.createElement('div');
+    this.resultsEl.className = 'content-search-results';
+    this.resultsEl.setAttribute('data-testid', 'content-search-results');
+    this.resultsEl.addEventListener('keydown', (e) => this.handleResultsKeydown(e));
+
+    // Assemble panel
+    this.panel.appendChild(header);
+    this.panel.appendChild(queryRow);
+    this.panel.appendChild(this.statusEl);
+    this.panel.appendChild(this.resultsEl);
+
+    return this;
+  }
+
+  /**
+   * Create a toggle button for a search option
+   * @param {string} name - Option property name on the panel
+   * @param {string} label - Button label
+   * @param {string} title - Tooltip text
+   */
+  createToggle(name, label, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'content-search-toggle';
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.setAttribute('aria-pressed', String(this[name]));
+    button.setAttribute('data-testid', `content-search-${name}`);
+    button.addEventListener('click', () => {
+      this[name] = !this[name];
+      button.setAttribute('aria-pressed', String(this[name]));
+      button.classList.toggle('active', this[name]);
+      this.search();
+      this.input.focus();
+    });
+    return button;
+  }
+
+  /**
+   * Run a search for the current query, streaming results into the panel
+   */
+  async search() {
+    if (!this.panel) {
+      return;
+    }
+
+    // Cancel any search still in flight
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+
+    const searchId = ++this.searchId;
+    const query = this.input.value;
+
+    this.resultsEl.innerHTML = '';
+    this.setStatus('');
+
+    if (!query) {
+      return;
+    }
+
+    const rootDirHandle = this.getRootDirHandle ? this.getRootDirHandle() : null;
+    if (!rootDirHandle) {
+      this.setStatus('Open a folder to search its files', true);
+      return;
+    }
+
+    // Validate the pattern up front so a typo shows an error instead of no results
+    try {
+      buildSearchPattern(query, { regex: this.regex, caseSensitive: this.caseSensitive });
+    } catch (err) {
+      this.setStatus(err.message, true);
+      return;
+    }
+
+    /* global AbortController */
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    // Let the search index narrow down candidate files once it has been built
+    const searchIndex = this.getSearchIndex ? this.getSearchIndex() : null;
+    const files = searchIndex?.isReady()
+      ? searchIndex.textFiles(query, { regex: this.regex, signal })
+      : null;
+
+    this.setStatus('Searching…');
+
+    const fileGroups = new Map();
+    let matchCount = 0;
+
+    try {
+      for await (const result of searchFileContents(rootDirHandle, query, {
+        regex: this.regex,
+        caseSensitive: this.caseSensitive,
+        maxResults: this.maxResults,
+        signal,
+        files,
+      })) {
+        if (searchId !== this.searchId) {
+          return;
+        }
+
+        let group = fileGroups.get(result.fullPath);
+        if (!group) {
+          group = this.createFileGroup(result);
+          fileGroups.set(result.fullPath, group);
+          this.resultsEl.appendChild(group);
+        }
+        group.querySelector('.content-search-lines').appendChild(this.createResultLine(result));
+        matchCount++;
+      }
+    } catch (err) {
+      console.error('[ContentSearch] Search failed:', err);
+      if (searchId === this.searchId) {
+        this.setStatus(`Search failed: ${err.message}`, true);
+      }
+      return;
+    }
+
+    if (searchId !== this.searchId) {
+      return;
+    }
+
+    if (matchCount === 0) {
+      this.setStatus('No results');
+    } else {
+      const lines = `${matchCount}${matchCount >= this.maxResults ? '+' : ''}`;
+      const files = fileGroups.size;
+      this.setStatus(
+        `${lines} matching line${matchCount === 1 ? '' : 's'} in ${files} file${files === 1 ? '' : 's'}`
+      );
+    }
+  }
+
+  /**
+   * Update the status line
+   * @param {string} message - Status message
+   * @param {boolean} isError - Whether to style the message as an error
+   */
+  setStatus(message, isError = false) {
+    this.statusEl.textContent = message;
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Create the container for all matches in one file
+   * @param {Object} result - First search result for the file
+   */
+  createFileGroup(result) {
+    const group = document.createElement('div');
+    group.className = 'content-search-file';
+    group.dataset.path = result.fullPath;
+
+    const header = document.createElement('div');
+    header.className = 'content-search-file-header';
+
+    const name = document.createElement('span');
+    name.className = 'content-search-file-name';
+    name.textContent = result.name;
+    header.appendChild(name);
+
+    if (result.path) {
+      const path = document.createElement('span');
+      path.className = 'content-search-file-path';
+      path.textContent = result.path;
+      header.appendChild(path);
+    }
+
+    const lines = document.createElement('div');
+    lines.className = 'content-search-lines';
+
+    group.appendChild(header);
+    group.appendChild(lines);
+    return group;
+  }
+
+  /**
+   * Create a clickable entry for a single matching line
+   * @param {Object} result - Search result
+   */
+  createResultLine(result) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'content-search-line';
+    button.setAttribute('data-testid', 'content-search-line');
+    button.title = `${result.fullPath}:${result.lineNumber}`;
+
+    const lineNumber = document.createElement('span');
+    lineNumber.className = 'content-search-line-number';
+    lineNumber.textContent = result.lineNumber;
+
+    const snippet = createSnippet(result.lineText, result.matches);
+    const text = createHighlightedText(snippet.text, snippet.matches);
+    text.className = 'content-search-line-text';
+
+    button.appendChild(lineNumber);
+    button.appendChild(text);
+    button.addEventListener('click', () => this.selectResult(result));
+
+    return button;
+  }
+
+  /**
+   * Move focus between results with the arrow keys
+   */
+  handleResultsKeydown(e) {
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') {
+      return;
+    }
+
+    const lines = Array.from(this.resultsEl.querySelectorAll('.content-search-line'));
+    const index = lines.indexOf(document.activeElement);
+    if (index === -1) {
+      return;
+    }
+
+    e.preventDefault();
+    if (e.key === 'ArrowDown' && index < lines.length - 1) {
+      lines[index + 1].focus();
+    } else if (e.key === 'ArrowUp') {
+      if (index === 0) {
+        this.input.focus();
+      } else {
+        lines[index - 1].focus();
+      }
+    }
+  }
+
+  /**
+   * Open a search result and close the panel
+   * @param {Object} result - Search result
+   */
+  async selectResult(result) {
+    this.close({ restoreFocus: false });
+    if (this.onSelectResult) {
+      await this.onSelectResult(result);
+    }
+  }
+
+  /**
+   * Open the search panel
+   * @param {string} initialQuery - Optional query to search for immediately
+   */
+  open(initialQuery = '') {
+    if (this.isOpen) {
+      this.input.focus();
+      return;
+    }
+
+    if (!this.panel) {
+      this.create();
+    }
+
+    // Blur the editor when search panel opens
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.getActiveEditor) {
+        const activeEditor = editor.getActiveEditor();
+        if (activeEditor && activeEditor.view && activeEditor.view.dom) {
+          activeEditor.view.dom.blur();
+        }
+      }
+    }
+
+    document.body.appendChild(this.overlay);
+    document.body.appendChild(this.panel);
+
+    this.isOpen = true;
+
+    // Pick up files changed since the index was last refreshed (runs in the background)
+    const searchIndex = this.getSearchIndex ? this.getSearchIndex() : null;
+    if (searchIndex) {
+      searchIndex.refreshIfStale();
+    }
+
+    if (initialQuery) {
+      this.input.value = initialQuery;
+      this.search();
+    }
+
+    this.input.focus();
+    this.input.select();
+
+    // Handle ESC key
+    this.escHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      }
+    };
+    document.addEventListener('keydown', this.escHandler, true);
+  }
+
+  /**
+   * Close the search panel
+   * @param {Object} options - Close options
+   * @param {boolean} options.restoreFocus - Whether to focus the editor again
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) {
+      return;
+    }
+
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+
+    this.isOpen = false;
+
+    // Remove ESC handler
+    if (this.escHandler) {
+      document.removeEventListener('keydown', this.escHandler, true);
+      this.escHandler = null;
+    }
+
+    // Restore focus to the editor when search panel closes
+    if (restoreFocus && this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.focus) {
+        editor.focus();
+      }
+    }
+  }
+
+  /**
+   * Destroy the panel
+   */
+  destroy() {
+    this.close();
+    this.panel = null;
+    this.overlay = null;
+    this.input = null;
+    this.statusEl = null;
+    this.resultsEl = null;
+  }
+}
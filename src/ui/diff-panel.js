@@ -0,0 +1,363 @@
+/**
+ * Diff Panel
+ * Full-height panel comparing two versions of a file, used to merge the editor buffer with
+ * changes made on disk and to compare two files from the file picker
+ */
+
+import { DiffView, DIFF_MODES } from '../editors/diff-view.js';
+
+const MODE_STORAGE_KEY = 'diffViewMode';
+
+const MODE_LABELS = {
+  'side-by-side': 'Side by side',
+  inline: 'Inline',
+};
+
+export class DiffPanel {
+  constructor(options = {}) {
+    this.panel = null;
+    this.overlay = null;
+    this.titleEl = null;
+    this.statusEl = null;
+    this.labelsEl = null;
+    this.diffEl = null;
+    this.cancelButton = null;
+    this.saveButton = null;
+    this.modeButtons = {};
+    this.diffView = null;
+    this.isOpen = false;
+    this.isSaving = false;
+    this.getEditor = options.getEditor || null;
+
+    // Comparison shown in the panel (see open)
+    this.request = null;
+
+    const storedMode = localStorage.getItem(MODE_STORAGE_KEY);
+    this.mode = DIFF_MODES.includes(storedMode) ? storedMode : 'side-by-side';
+  }
+
+  /**
+   * Create the diff panel DOM structure
+   */
+  create() {
+    // Create overlay
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'settings-overlay';
+    this.overlay.addEventListener('click', () => this.cancel());
+
+    // Create panel
+    this.panel = document.createElement('div');
+    this.panel.className = 'settings-panel diff-panel';
+    this.panel.setAttribute('data-testid', 'diff-panel');
+    this.panel.addEventListener('click', (e) => e.stopPropagation());
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+
+    this.titleEl = document.createElement('h2');
+
+    const modeToggle = document.createElement('div');
+    modeToggle.className = 'diff-mode-toggle';
+    DIFF_MODES.forEach((mode) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'content-search-toggle';
+      button.textContent = MODE_LABELS[mode];
+      button.setAttribute('data-testid', `diff-mode-${mode}`);
+      button.addEventListener('click', () => this.setMode(mode));
+      this.modeButtons[mode] = button;
+      modeToggle.appendChild(button);
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'settings-close-button';
+    closeButton.innerHTML = '&times;';
+    closeButton.setAttribute('aria-label', 'Close diff');
+    closeButton.addEventListener('click', () => this.cancel());
+
+    header.appendChild(this.titleEl);
+    header.appendChild(modeToggle);
+    header.appendChild(closeButton);
+
+    // Status line (description, remaining differences, errors)
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'content-search-status diff-status';
+    this.statusEl.setAttribute('data-testid', 'diff-status');
+
+    // Labels of the two sides
+    this.labelsEl = document.createElement('div');
+    this.labelsEl.className = 'diff-labels';
+
+    this.diffEl = document.createElement('div');
+    this.diffEl.className = 'diff-content';
+    this.diffEl.setAttribute('data-testid', 'diff-content');
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'settings-footer';
+
+    this.cancelButton = document.createElement('button');
+    this.cancelButton.className = 'settings-cancel-button';
+    this.cancelButton.setAttribute('data-testid', 'diff-cancel');
+    this.cancelButton.addEventListener('click', () => this.cancel());
+
+    this.saveButton = document.createElement('button');
+    this.saveButton.className = 'settings-save-button';
+    this.saveButton.setAttribute('data-testid', 'diff-save');
+    this.saveButton.addEventListener('click', () => this.save());
+
+    footer.appendChild(this.cancelButton);
+    footer.appendChild(this.saveButton);
+
+    // Assemble panel
+    this.panel.appendChild(header);
+    this.panel.appendChild(this.statusEl);
+    this.panel.appendChild(this.labelsEl);
+    this.panel.appendChild(this.diffEl);
+    this.panel.appendChild(footer);
+
+    return this;
+  }
+
+  /**
+   * Update the status line
+   * @param {string} message - Status message
+   * @param {boolean} isError - Whether to style the message as an error
+   */
+  setStatus(message, isError = false) {
+    this.statusEl.textContent = message;
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Show how many hunks still differ
+   */
+  updateStatus() {
+    const count = this.diffView.getChangeCount();
+    const changes = count === 0 ? 'No differences' : `${count} difference${count === 1 ? '' : 's'}`;
+    this.setStatus(this.request.description ? `${this.request.description} · ${changes}` : changes);
+  }
+
+  /**
+   * Show the labels of the two sides for the current mode
+   */
+  updateLabels() {
+    const { originalLabel, modifiedLabel } = this.request;
+    this.labelsEl.innerHTML = '';
+
+    if (this.mode === 'inline') {
+      const label = document.createElement('span');
+      label.textContent = `${modifiedLabel}, with changes from ${originalLabel} marked`;
+      this.labelsEl.appendChild(label);
+    } else {
+      [originalLabel, modifiedLabel].forEach((text) => {
+        const label = document.createElement('span');
+        label.textContent = text;
+        this.labelsEl.appendChild(label);
+      });
+    }
+    this.labelsEl.classList.toggle('side-by-side', this.mode !== 'inline');
+  }
+
+  /**
+   * Switch between side-by-side and inline, keeping any merged hunks
+   * @param {string} mode - 'side-by-side' or 'inline'
+   */
+  setMode(mode) {
+    this.mode = mode;
+    localStorage.setItem(MODE_STORAGE_KEY, mode);
+
+    Object.entries(this.modeButtons).forEach(([buttonMode, button]) => {
+      button.classList.toggle('active', buttonMode === mode);
+      button.setAttribute('aria-pressed', String(buttonMode === mode));
+    });
+
+    if (this.diffView) {
+      this.diffView.setMode(mode);
+      this.updateLabels();
+      this.updateStatus();
+    }
+  }
+
+  /**
+   * Open the panel comparing two versions of a file
+   * With onSave, hunks of the original can be taken into the modified side and the
+   * result saved; without it the comparison is read-only.
+   * @param {Object} request - What to compare
+   * @param {string} request.title - Panel title
+   * @param {string} request.description - Optional line shown above the diff
+   * @param {string} request.original - Original text (left side)
+   * @param {string} request.modified - Modified text (right side, the merge result)
+   * @param {string} request.originalLabel - Label of the original side
+   * @param {string} request.modifiedLabel - Label of the modified side
+   * @param {string} request.filename - File name used to pick syntax highlighting
+   * @param {string} request.saveLabel - Label of the save button
+   * @param {Function} request.onSave - Called with the merged text; the panel closes once it resolves
+   * @param {Function} request.onCancel - Called when the panel is closed without saving
+   */
+  open(request) {
+    if (this.isOpen) {
+      this.close();
+    }
+
+    if (!this.panel) {
+      this.create();
+    }
+
+    this.request = {
+      originalLabel: 'Original',
+      modifiedLabel: 'Modified',
+      saveLabel: 'Save',
+      ...request,
+    };
+    const canSave = typeof this.request.onSave === 'function';
+
+    this.titleEl.textContent = this.request.title || 'Compare';
+    this.cancelButton.textContent = canSave ? 'Cancel' : 'Close';
+    this.saveButton.textContent = this.request.saveLabel;
+    this.saveButton.classList.toggle('hidden', !canSave);
+    this.saveButton.disabled = false;
+
+    // Blur the editor when the panel opens
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.getActiveEditor) {
+        const activeEditor = editor.getActiveEditor();
+        if (activeEditor && activeEditor.view && activeEditor.view.dom) {
+          activeEditor.view.dom.blur();
+        }
+      }
+    }
+
+    document.body.appendChild(this.overlay);
+    document.body.appendChild(this.panel);
+
+    this.isOpen = true;
+
+    this.diffView = new DiffView({
+      parent: this.diffEl,
+      original: this.request.original,
+      modified: this.request.modified,
+      filename: this.request.filename,
+      mode: this.mode,
+      mergeControls: canSave,
+      readOnly: !canSave,
+      phrases: {
+        // Inline merge controls
+        Accept: `Keep ${this.request.modifiedLabel.toLowerCase()}`,
+        Reject: `Use ${this.request.originalLabel.toLowerCase()}`,
+        // Side-by-side merge control
+        'Revert this chunk': `Use ${this.request.originalLabel.toLowerCase()}`,
+      },
+      onChange: () => this.updateStatus(),
+    });
+    this.setMode(this.mode);
+
+    // Handle ESC key
+    this.escHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.cancel();
+      }
+    };
+    document.addEventListener('keydown', this.escHandler, true);
+  }
+
+  /**
+   * Save the merged text and close
+   */
+  async save() {
+    if (!this.isOpen || !this.request.onSave || this.isSaving) {
+      return;
+    }
+
+    this.isSaving = true;
+    this.saveButton.disabled = true;
+
+    try {
+      await this.request.onSave(this.diffView.getContent());
+    } catch (err) {
+      console.error('[Diff] Save failed:', err);
+      this.setStatus(`Save failed: ${err.message}`, true);
+      return;
+    } finally {
+      this.isSaving = false;
+      if (this.saveButton) {
+        this.saveButton.disabled = false;
+      }
+    }
+
+    this.close();
+  }
+
+  /**
+   * Close without saving
+   */
+  cancel() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    const { onCancel } = this.request;
+    this.close();
+    if (onCancel) {
+      onCancel();
+    }
+  }
+
+  /**
+   * Close the diff panel
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    if (this.diffView) {
+      this.diffView.destroy();
+      this.diffView = null;
+    }
+
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+
+    this.isOpen = false;
+    this.request = null;
+
+    // Remove ESC handler
+    if (this.escHandler) {
+      document.removeEventListener('keydown', this.escHandler, true);
+      this.escHandler = null;
+    }
+
+    // Restore focus to the editor when the panel closes
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.focus) {
+        editor.focus();
+      }
+    }
+  }
+
+  /**
+   * Destroy the panel
+   */
+  destroy() {
+    this.close();
+    this.panel = null;
+    this.overlay = null;
+    this.titleEl = null;
+    this.statusEl = null;
+    this.labelsEl = null;
+    this.diffEl = null;
+    this.cancelButton = null;
+    this.saveButton = null;
+    this.modeButtons = {};
+  }
+}
@@ -1,11 +1,18 @@
 import { appState } from '../state/app-state.js';
-import { FileSystemAdapter } from '../fs/filesystem-adapter.js';
-import { recursiveSearchFiles } from '../search/fuzzy-search.js';
+import { FileSystemAdapter, openFileByPath, listFolderPaths } from '../fs/filesystem-adapter.js';
+import { recursiveSearchFiles, fuzzyMatch } from '../search/fuzzy-search.js';
 import { addToHistory } from '../navigation/history-manager.js';
 import { updateBreadcrumb } from './breadcrumb.js';
 import { hasTempChanges, saveTempChanges, clearTempChanges } from '../../core.js';
-import { debounce } from '../utils/helpers.js';
+import { debounce, formatFileSize } from '../utils/helpers.js';
 import { URLParamManager } from '../navigation/url-param-manager.js';
+import {
+  loadSessionFile,
+  saveSessionFile,
+  getRecentFiles,
+  getRecentFile,
+  removeRecentFile,
+} from '../storage/session-manager.js';
 
 /**
  * Navigate to a specific line number in the editor
@@ -85,6 +92,409 @@ export const goToLine = (lineNumber) => {
   }
 };
 
+/**
+ * List the entries of a directory for the picker
+ * Directories come first, then files, alphabetically. The workspace trash is shown separately.
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory to list
+ * @returns {Promise<FileSystemHandle[]>}
+ */
+const listPickerEntries = async (dirHandle) => {
+  const entries = await FileSystemAdapter.listDirectory(dirHandle);
+  const isRoot = dirHandle === appState.rootDirHandle;
+
+  return entries
+    .filter((entry) => !(isRoot && entry.kind === 'directory' && entry.name === '.trash'))
+    .sort((a, b) => {
+      if (a.kind === 'directory' && b.kind === 'file') return -1;
+      if (a.kind === 'file' && b.kind === 'directory') return 1;
+      return a.name.localeCompare(b.name);
+    });
+};
+
+/**
+ * Add an entry opening the Trash view at the end of the workspace root listing
+ * @param {HTMLElement} fileList - File list element
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory being listed
+ */
+const appendTrashItem = async (fileList, dirHandle) => {
+  if (dirHandle !== appState.rootDirHandle || !window.trashManager?.listTrash) {
+    return;
+  }
+
+  let items;
+  try {
+    items = await window.trashManager.listTrash();
+  } catch (err) {
+    console.error('Error reading trash:', err);
+    return;
+  }
+  if (items.length === 0) {
+    return;
+  }
+
+  const item = document.createElement('div');
+  item.className = 'file-item is-trash';
+  item.setAttribute('data-testid', 'trash-item');
+
+  const icon = document.createElement('span');
+  icon.className = 'file-item-icon';
+  const iconSymbol = document.createElement('span');
+  iconSymbol.className = 'material-symbols-outlined';
+  iconSymbol.textContent = 'delete';
+  icon.appendChild(iconSymbol);
+
+  const name = document.createElement('span');
+  name.className = 'file-item-name';
+  name.textContent = 'Trash';
+
+  const metadata = document.createElement('span');
+  metadata.className = 'file-item-metadata';
+  metadata.textContent = items.length === 1 ? '1 item' : `${items.length} items`;
+
+  item.appendChild(icon);
+  item.appendChild(name);
+  item.appendChild(metadata);
+  item.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    await showTrash();
+  });
+  fileList.appendChild(item);
+};
+
+/**
+ * Read the recently viewed files of the workspace from its session
+ * @returns {Promise<Array<Object>>} Most recent first
+ */
+const loadRecentFiles = async () => {
+  if (!appState.rootDirHandle) {
+    return [];
+  }
+  return getRecentFiles(await loadSessionFile(appState.rootDirHandle));
+};
+
+/**
+ * Read where a file was left (cursor, scroll and editor mode) from the workspace session
+ * @param {string} relativePath - Path relative to the workspace root
+ * @returns {Promise<Object|null>}
+ */
+const loadRecentFile = async (relativePath) => {
+  if (!appState.rootDirHandle) {
+    return null;
+  }
+  return getRecentFile(await loadSessionFile(appState.rootDirHandle), relativePath);
+};
+
+/**
+ * Add an entry opening the Recent files view at the start of the workspace root listing
+ * @param {HTMLElement} fileList - File list element
+ * @param {FileSystemDirectoryHandle} dirHandle - Directory being listed
+ */
+const prependRecentItem = async (fileList, dirHandle) => {
+  if (dirHandle !== appState.rootDirHandle) {
+    return;
+  }
+
+  const recentFiles = await loadRecentFiles();
+  if (recentFiles.length === 0) {
+    return;
+  }
+
+  const item = document.createElement('div');
+  item.className = 'file-item is-recent';
+  item.setAttribute('data-testid', 'recent-files-item');
+
+  const icon = document.createElement('span');
+  icon.className = 'file-item-icon';
+  const iconSymbol = document.createElement('span');
+  iconSymbol.className = 'material-symbols-outlined';
+  iconSymbol.textContent = 'history';
+  icon.appendChild(iconSymbol);
+
+  const name = document.createElement('span');
+  name.className = 'file-item-name';
+  name.textContent = 'Recent files';
+
+  const metadata = document.createElement('span');
+  metadata.className = 'file-item-metadata';
+  metadata.textContent = recentFiles.length === 1 ? '1 file' : `${recentFiles.length} files`;
+
+  item.appendChild(icon);
+  item.appendChild(name);
+  item.appendChild(metadata);
+  item.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    await showRecentFiles();
+  });
+  fileList.insertBefore(item, fileList.firstChild);
+};
+
+/**
+ * Show the recently viewed files of the workspace in the picker, most recent first
+ * Opening one puts the cursor and scroll back where they were left.
+ */
+export const showRecentFiles = async () => {
+  const fileList = document.getElementById('file-list');
+  if (!fileList) {
+    return;
+  }
+
+  const recentFiles = await loadRecentFiles();
+
+  fileList.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'file-recent-header';
+
+  const backBtn = createItemButton('file-recent-back', 'arrow_back', 'Back to files');
+  backBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    await showFilePicker(appState.currentDirHandle);
+  });
+
+  const title = document.createElement('span');
+  title.className = 'file-recent-title';
+  title.textContent = 'Recent files';
+
+  header.appendChild(backBtn);
+  header.appendChild(title);
+  fileList.appendChild(header);
+
+  if (recentFiles.length === 0) {
+    const message = document.createElement('p');
+    message.className = 'file-recent-message';
+    message.textContent = 'No recent files';
+    fileList.appendChild(message);
+    return;
+  }
+
+  recentFiles.forEach((file) => {
+    fileList.appendChild(createRecentFileItem(file));
+  });
+};
+
+/**
+ * Create the entry for a recently viewed file
+ * @param {Object} file - Recent file with path and viewedAt
+ * @returns {HTMLElement}
+ */
+const createRecentFileItem = (file) => {
+  const filename = file.path.split('/').pop();
+
+  const item = document.createElement('div');
+  item.className = 'file-item is-recent-file';
+  item.title = file.path;
+  item.setAttribute('data-testid', 'recent-file');
+
+  const icon = document.createElement('span');
+  icon.className = 'file-item-icon';
+  const iconSymbol = document.createElement('span');
+  iconSymbol.className = 'material-symbols-outlined';
+  iconSymbol.textContent = getFileIcon(filename, false);
+  icon.appendChild(iconSymbol);
+
+  const name = document.createElement('span');
+  name.className = 'file-item-name';
+  name.textContent = file.path;
+
+  const metadata = document.createElement('span');
+  metadata.className = 'file-item-metadata';
+  if (file.viewedAt) {
+    metadata.textContent = new Date(file.viewedAt).toLocaleString();
+  }
+
+  item.appendChild(icon);
+  item.appendChild(name);
+  item.appendChild(metadata);
+  item.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    if (await openFileAtPath(file.path)) {
+      return;
+    }
+
+    // The file was deleted or moved outside the app
+    if (window.showFileReloadNotification) {
+      window.showFileReloadNotification(`Could not find: ${filename}`);
+    }
+    const sessionData = await loadSessionFile(appState.rootDirHandle);
+    if (sessionData && removeRecentFile(sessionData, file.path)) {
+      await saveSessionFile(appState.rootDirHandle, sessionData);
+    }
+    await showRecentFiles();
+  });
+
+  return item;
+};
+
+/**
+ * Show the trashed files and folders in the picker, most recently deleted first
+ * Items can be restored to where they were deleted from, or the trash emptied.
+ */
+export const showTrash = async () => {
+  const fileList = document.getElementById('file-list');
+  if (!fileList || !window.trashManager) {
+    return;
+  }
+
+  let items;
+  try {
+    items = await window.trashManager.listTrash();
+  } catch (err) {
+    console.error('Error reading trash:', err);
+    alert(err.message);
+    return;
+  }
+
+  fileList.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'file-trash-header';
+
+  const backBtn = createItemButton('file-trash-back', 'arrow_back', 'Back to files');
+  backBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    await showFilePicker(appState.currentDirHandle);
+  });
+
+  const title = document.createElement('span');
+  title.className = 'file-trash-title';
+  title.textContent = 'Trash';
+
+  const emptyBtn = document.createElement('button');
+  emptyBtn.className = 'file-trash-empty';
+  emptyBtn.textContent = 'Empty trash';
+  emptyBtn.disabled = items.length === 0;
+  emptyBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const count = items.length === 1 ? '1 item' : `${items.length} items`;
+    if (!window.confirm(`Permanently delete ${count} in the trash?`)) {
+      return;
+    }
+    try {
+      await window.trashManager.emptyTrash();
+    } catch (err) {
+      alert(err.message);
+    }
+    await showTrash();
+  });
+
+  header.appendChild(backBtn);
+  header.appendChild(title);
+  header.appendChild(emptyBtn);
+  fileList.appendChild(header);
+
+  if (items.length === 0) {
+    const message = document.createElement('p');
+    message.className = 'file-trash-message';
+    message.textContent = 'Trash is empty';
+    fileList.appendChild(message);
+    return;
+  }
+
+  items.forEach((trashed) => {
+    fileList.appendChild(createTrashedItem(trashed));
+  });
+};
+
+/**
+ * Create the entry for a trashed file or folder, or for the backup of files changed by a replace
+ * @param {Object} trashed - Trash item with name, path, kind and deletedAt
+ * @returns {HTMLElement}
+ */
+const createTrashedItem = (trashed) => {
+  const isBackup = trashed.kind === 'backup';
+  const item = document.createElement('div');
+  item.className = `file-item is-trashed ${trashed.kind === 'directory' ? 'is-directory' : ''}`;
+  item.title = isBackup ? trashed.files.join('\n') : trashed.path;
+
+  const icon = document.createElement('span');
+  icon.className = 'file-item-icon';
+  const iconSymbol = document.createElement('span');
+  iconSymbol.className = 'material-symbols-outlined';
+  iconSymbol.textContent = isBackup
+    ? 'history'
+    : getFileIcon(trashed.name, trashed.kind === 'directory');
+  icon.appendChild(iconSymbol);
+
+  const name = document.createElement('span');
+  name.className = 'file-item-name';
+  name.textContent = isBackup ? trashed.name : trashed.path;
+
+  const metadata = document.createElement('span');
+  metadata.className = 'file-item-metadata';
+  const deletedAt = new Date(trashed.deletedAt).toLocaleString();
+  metadata.textContent =
+    typeof trashed.size === 'number' ? `${formatFileSize(trashed.size)} · ${deletedAt}` : deletedAt;
+
+  const restoreBtn = createItemButton('file-item-restore', 'restore_from_trash', 'Restore');
+  restoreBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    try {
+      if (isBackup) {
+        // The backed up text is written over the files, losing changes made since the replace
+        const count = trashed.files.length === 1 ? '1 file' : `${trashed.files.length} files`;
+        if (!window.confirm(`Put back ${count} as they were before replacing?`)) {
+          return;
+        }
+        await window.trashManager.restoreBackup(appState.rootDirHandle, trashed.id);
+      } else {
+        await window.trashManager.restoreItem(appState.rootDirHandle, trashed.id, {
+          resolveConflict: () => showRestoreConflict(item, metadata, restoreBtn),
+        });
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+    await showTrash();
+  });
+
+  item.appendChild(icon);
+  item.appendChild(name);
+  item.appendChild(metadata);
+  item.appendChild(restoreBtn);
+  return item;
+};
+
+/**
+ * Ask what to do when a trashed item's original path is taken
+ * @param {HTMLElement} item - Trashed item element
+ * @param {HTMLElement} metadata - Metadata element
+ * @param {HTMLElement} restoreBtn - Restore button
+ * @returns {Promise<string>} 'rename', 'overwrite' or 'cancel'
+ */
+const showRestoreConflict = (item, metadata, restoreBtn) =>
+  new Promise((resolve) => {
+    metadata.style.display = 'none';
+    restoreBtn.style.display = 'none';
+
+    const container = document.createElement('div');
+    container.className = 'file-item-delete-confirm file-item-restore-conflict';
+
+    const text = document.createElement('span');
+    text.className = 'file-item-delete-confirm-text';
+    text.textContent = 'Already exists';
+    container.appendChild(text);
+
+    [
+      ['rename', 'Keep both'],
+      ['overwrite', 'Replace'],
+      ['cancel', 'Cancel'],
+    ].forEach(([choice, label]) => {
+      const button = document.createElement('button');
+      button.className = `file-item-conflict-btn ${choice}`;
+      button.textContent = label;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        container.remove();
+        metadata.style.display = '';
+        restoreBtn.style.display = '';
+        resolve(choice);
+      });
+      container.appendChild(button);
+    });
+
+    item.appendChild(container);
+  });
+
 /**
  * Show file picker with current directory contents
  * @param {FileSystemDirectoryHandle} dirHandle - Directory to show
@@ -107,19 +517,14 @@ export const showFilePicker = async (dirHandle) => {
     if (fileList) {
       fileList.innerHTML = ''; // Clear existing files
 
-      // Collect and sort entries
-      const entries = await FileSystemAdapter.listDirectory(dirHandle);
-      entries.sort((a, b) => {
-        if (a.kind === 'directory' && b.kind === 'file') return -1;
-        if (a.kind === 'file' && b.kind === 'directory') return 1;
-        return a.name.localeCompare(b.name);
-      });
-
       // Recreate file items using shared function
+      const entries = await listPickerEntries(dirHandle);
       for (const entry of entries) {
         const item = await createFileItem(entry);
         fileList.appendChild(item);
       }
+      await prependRecentItem(fileList, dirHandle);
+      await appendTrashItem(fileList, dirHandle);
     }
 
     // Update breadcrumb path without recreating input
@@ -172,21 +577,14 @@ export const showFilePicker = async (dirHandle) => {
 
   const fileList = document.getElementById('file-list');
 
-  // Collect all entries using the adapter
-  const entries = await FileSystemAdapter.listDirectory(dirHandle);
-
-  // Sort: directories first, then files, alphabetically
-  entries.sort((a, b) => {
-    if (a.kind === 'directory' && b.kind === 'file') return -1;
-    if (a.kind === 'file' && b.kind === 'directory') return 1;
-    return a.name.localeCompare(b.name);
-  });
-
   // Create file items using shared function
+  const entries = await listPickerEntries(dirHandle);
   for (const entry of entries) {
     const item = await createFileItem(entry);
     fileList.appendChild(item);
   }
+  await prependRecentItem(fileList, dirHandle);
+  await appendTrashItem(fileList, dirHandle);
 
   // Show filename input with autocomplete
   // Don't await - let it run in background while picker is shown
@@ -341,25 +739,22 @@ const createFileItem = async (entry) => {
   item.appendChild(icon);
   item.appendChild(name);
 
-  // Add metadata and delete button for files only
+  const entryPath = getEntryPath(entry);
+
+  // Add metadata for files only
+  let metadata = null;
+  let lockIcon = null;
   if (entry.kind === 'file') {
     // Get file metadata (size, permissions)
     const file = await entry.getFile();
-    const sizeKB =
-      file.size < 1024
-        ? file.size + ' B'
-        : file.size < 1024 * 1024
-          ? (file.size / 1024).toFixed(1) + ' KB'
-          : (file.size / (1024 * 1024)).toFixed(1) + ' MB';
 
     // Display file size
-    const metadata = document.createElement('span');
+    metadata = document.createElement('span');
     metadata.className = 'file-item-metadata';
-    metadata.textContent = sizeKB;
+    metadata.textContent = formatFileSize(file.size);
     item.appendChild(metadata);
 
     // Check if file is read-only
-    let lockIcon = null;
     try {
       const permission = await entry.queryPermission({ mode: 'readwrite' });
       if (permission !== 'granted') {
@@ -375,19 +770,59 @@ const createFileItem = async (entry) => {
     } catch {
       // Permission check not supported, ignore
     }
+  }
+
+  // Add delete button with confirmation
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'file-item-delete';
+  deleteBtn.title = 'Move to trash';
+  const deleteIcon = document.createElement('span');
+  deleteIcon.className = 'material-symbols-outlined';
+  deleteIcon.textContent = 'close';
+  deleteBtn.appendChild(deleteIcon);
+  deleteBtn.addEventListener('click', async (e) => {
+    e.stopPropagation(); // Prevent opening the file
+    showDeleteConfirmation(item, entry, metadata, lockIcon);
+  });
+  item.appendChild(deleteBtn);
+
+  // Add rename and move buttons
+  const renameBtn = createItemButton('file-item-rename', 'drive_file_rename_outline', 'Rename');
+  renameBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent opening the file
+    startInlineRename(item, entry);
+  });
+  const moveBtn = createItemButton('file-item-move', 'drive_file_move', 'Move to…');
+  moveBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent opening the file
+    startMoveTo(item, entry);
+  });
+  item.insertBefore(moveBtn, item.querySelector('.file-item-delete'));
+  item.insertBefore(renameBtn, moveBtn);
 
-    // Add delete button with confirmation
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'file-item-delete';
-    const deleteIcon = document.createElement('span');
-    deleteIcon.className = 'material-symbols-outlined';
-    deleteIcon.textContent = 'close';
-    deleteBtn.appendChild(deleteIcon);
-    deleteBtn.addEventListener('click', async (e) => {
+  // Files can be compared with another file picked the same way
+  if (entry.kind === 'file') {
+    const compareBtn = createItemButton('file-item-compare', 'difference', 'Compare…');
+    compareBtn.addEventListener('click', (e) => {
       e.stopPropagation(); // Prevent opening the file
-      showDeleteConfirmation(item, entry, metadata, lockIcon);
+      compareFromPicker(item, entryPath);
     });
-    item.appendChild(deleteBtn);
+    item.insertBefore(compareBtn, item.querySelector('.file-item-delete'));
+    item.classList.toggle('is-compare-source', compareSourcePath === entryPath);
+  }
+
+  // Drag files and folders onto a folder to move them into it
+  item.draggable = true;
+  item.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData(DRAG_PATH_TYPE, entryPath);
+    e.dataTransfer.effectAllowed = 'move';
+    item.classList.add('dragging');
+  });
+  item.addEventListener('dragend', () => {
+    item.classList.remove('dragging');
+  });
+  if (entry.kind === 'directory') {
+    addFolderDropTarget(item, entryPath);
   }
 
   item.addEventListener('click', async (e) => {
@@ -403,6 +838,302 @@ const createFileItem = async (entry) => {
   return item;
 };
 
+// Data type used to drag picker entries; the value is the entry path from the workspace root
+const DRAG_PATH_TYPE = 'application/x-hotnote-path';
+
+// Maximum number of folders suggested by "Move to…"
+const MAX_FOLDER_SUGGESTIONS = 8;
+
+/**
+ * Get the path of a picker entry relative to the workspace root
+ * @param {FileSystemHandle} entry - File or directory in the current folder
+ * @returns {string}
+ */
+const getEntryPath = (entry) =>
+  [...appState.currentPath.slice(1).map((p) => p.name), entry.name].join('/');
+
+// Path of the file picked first with "Compare…", waiting for the file to compare it with
+let compareSourcePath = null;
+
+/**
+ * Pick a file to compare; the second file picked opens the comparison
+ * Picking the first file again cancels the comparison.
+ * @param {HTMLElement} item - File item element
+ * @param {string} path - File path from the workspace root
+ */
+const compareFromPicker = async (item, path) => {
+  if (compareSourcePath === null || compareSourcePath === path) {
+    const isPicking = compareSourcePath === null;
+    compareSourcePath = isPicking ? path : null;
+    item.classList.toggle('is-compare-source', isPicking);
+    if (isPicking) {
+      window.showFileReloadNotification(`Pick a file to compare with ${path}`);
+    }
+    return;
+  }
+
+  const sourcePath = compareSourcePath;
+  compareSourcePath = null;
+  document
+    .querySelectorAll('.file-item.is-compare-source')
+    .forEach((el) => el.classList.remove('is-compare-source'));
+
+  try {
+    await window.compareWorkspaceFiles(sourcePath, path);
+  } catch (err) {
+    console.error('Error comparing files:', err);
+    alert(err.message);
+  }
+};
+
+/**
+ * Create an icon button for a file item
+ * @param {string} className - Button class
+ * @param {string} iconName - Material icon name
+ * @param {string} title - Tooltip
+ * @returns {HTMLButtonElement}
+ */
+const createItemButton = (className, iconName, title) => {
+  const button = document.createElement('button');
+  button.className = className;
+  button.title = title;
+  const icon = document.createElement('span');
+  icon.className = 'material-symbols-outlined';
+  icon.textContent = iconName;
+  button.appendChild(icon);
+  return button;
+};
+
+/**
+ * Move a file or folder, updating links to it across the workspace
+ * @param {string} oldPath - Current path from the workspace root
+ * @param {string} newPath - New path from the workspace root
+ */
+const moveFromPicker = async (oldPath, newPath) => {
+  if (!newPath || newPath === oldPath) {
+    return;
+  }
+
+  try {
+    await window.moveWorkspaceEntry(oldPath, newPath);
+  } catch (err) {
+    console.error('Error moving file:', err);
+    alert(err.message);
+  }
+};
+
+/**
+ * Replace the name of a file item with an input
+ * Keys typed in the input are kept from the picker's shortcuts and clicks don't open the entry.
+ * @param {HTMLElement} item - File item element
+ * @param {string} className - Input class
+ * @param {string} value - Initial value
+ * @param {Function} onFinish - Called once with (value, commit) when the input closes
+ * @returns {HTMLInputElement}
+ */
+const showItemInput = (item, className, value, onFinish) => {
+  const name = item.querySelector('.file-item-name');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = className;
+  input.value = value;
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+
+  let finished = false;
+  const finish = (commit) => {
+    if (finished) return;
+    finished = true;
+    input.replaceWith(name);
+    item.classList.remove('is-editing');
+    item.draggable = true;
+    onFinish(input.value.trim(), commit);
+  };
+
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(false);
+    }
+  });
+  input.addEventListener('click', (e) => e.stopPropagation());
+  input.addEventListener('blur', () => finish(false));
+
+  item.classList.add('is-editing');
+  item.draggable = false;
+  name.replaceWith(input);
+  input.focus();
+
+  input.finish = finish;
+  return input;
+};
+
+/**
+ * Rename a file or folder in place
+ * @param {HTMLElement} item - File item element
+ * @param {FileSystemHandle} entry - File or directory to rename
+ */
+const startInlineRename = (item, entry) => {
+  const oldPath = getEntryPath(entry);
+  const input = showItemInput(item, 'file-item-rename-input', entry.name, (newName, commit) => {
+    if (!commit || !newName || newName === entry.name) return;
+    if (newName.includes('/')) {
+      alert('Names cannot contain "/". Use "Move to…" to move it to another folder.');
+      return;
+    }
+
+    const folder = oldPath.slice(0, oldPath.length - entry.name.length);
+    moveFromPicker(oldPath, folder + newName);
+  });
+
+  // Select the name without its extension, like file managers do
+  const dot = entry.kind === 'file' ? entry.name.lastIndexOf('.') : -1;
+  input.setSelectionRange(0, dot > 0 ? dot : entry.name.length);
+};
+
+/**
+ * Move a file or folder to a folder typed in place, with folder path autocomplete
+ * @param {HTMLElement} item - File item element
+ * @param {FileSystemHandle} entry - File or directory to move
+ */
+const startMoveTo = (item, entry) => {
+  const oldPath = getEntryPath(entry);
+  const currentFolder = appState.currentPath
+    .slice(1)
+    .map((p) => p.name)
+    .join('/');
+
+  const dropdown = document.createElement('div');
+  dropdown.className = 'autocomplete-dropdown file-item-move-suggestions';
+  dropdown.setAttribute('data-testid', 'move-suggestions');
+  dropdown.style.display = 'none';
+
+  let folders = [];
+  let suggestions = [];
+  let selectedIndex = -1;
+
+  const input = showItemInput(
+    item,
+    'file-item-move-input',
+    currentFolder ? `${currentFolder}/` : '',
+    (value, commit) => {
+      dropdown.remove();
+      if (!commit) return;
+
+      const folder = (selectedIndex >= 0 ? suggestions[selectedIndex] : value).replace(
+        /^\/+|\/+$/g,
+        ''
+      );
+      moveFromPicker(oldPath, folder ? `${folder}/${entry.name}` : entry.name);
+    }
+  );
+  input.placeholder = 'Folder (empty for the workspace root)';
+
+  const renderSuggestions = () => {
+    const query = input.value.trim().replace(/\/+$/, '');
+    suggestions = folders
+      .filter((folder) => folder !== query && fuzzyMatch(folder, query))
+      .slice(0, MAX_FOLDER_SUGGESTIONS);
+    selectedIndex = -1;
+
+    dropdown.innerHTML = '';
+    suggestions.forEach((folder, index) => {
+      const option = document.createElement('div');
+      option.className = 'autocomplete-item';
+      option.dataset.index = index;
+
+      const label = document.createElement('div');
+      label.className = 'autocomplete-item-name';
+      const icon = document.createElement('span');
+      icon.className = 'material-symbols-outlined';
+      icon.textContent = 'folder';
+      label.appendChild(icon);
+      label.appendChild(document.createTextNode(folder));
+      option.appendChild(label);
+
+      option.addEventListener('mousedown', (e) => {
+        e.preventDefault(); // Keep focus in the input
+        selectedIndex = index;
+        input.finish(true);
+      });
+      dropdown.appendChild(option);
+    });
+    dropdown.style.display = suggestions.length > 0 ? 'block' : 'none';
+  };
+
+  const highlight = (index) => {
+    selectedIndex = index;
+    dropdown.querySelectorAll('.autocomplete-item').forEach((option, i) => {
+      option.classList.toggle('selected', i === index);
+    });
+  };
+
+  input.addEventListener('input', renderSuggestions);
+  input.addEventListener('keydown', (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      highlight((selectedIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      highlight(selectedIndex <= 0 ? suggestions.length - 1 : selectedIndex - 1);
+    } else if (e.key === 'Tab' && selectedIndex >= 0) {
+      e.preventDefault();
+      input.value = `${suggestions[selectedIndex]}/`;
+      renderSuggestions();
+    }
+  });
+  item.appendChild(dropdown);
+
+  if (!appState.rootDirHandle) return;
+
+  // A folder can't be moved into itself
+  listFolderPaths(appState.rootDirHandle)
+    .then((paths) => {
+      folders = paths.filter((path) => path !== oldPath && !path.startsWith(`${oldPath}/`));
+      if (document.activeElement === input) {
+        renderSuggestions();
+      }
+    })
+    .catch((err) => {
+      console.error('Error listing folders:', err);
+    });
+};
+
+/**
+ * Accept files and folders dragged from the picker onto a folder item
+ * @param {HTMLElement} item - Folder item element
+ * @param {string} folderPath - Path of the folder from the workspace root
+ */
+const addFolderDropTarget = (item, folderPath) => {
+  const canDrop = (e) => e.dataTransfer?.types?.includes(DRAG_PATH_TYPE);
+
+  item.addEventListener('dragover', (e) => {
+    if (!canDrop(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    item.classList.add('drop-target');
+  });
+  item.addEventListener('dragleave', () => {
+    item.classList.remove('drop-target');
+  });
+  item.addEventListener('drop', async (e) => {
+    item.classList.remove('drop-target');
+    if (!canDrop(e)) return;
+    e.preventDefault();
+
+    const oldPath = e.dataTransfer.getData(DRAG_PATH_TYPE);
+    if (!oldPath || oldPath === folderPath || folderPath.startsWith(`${oldPath}/`)) {
+      return;
+    }
+    await moveFromPicker(oldPath, `${folderPath}/${oldPath.split('/').pop()}`);
+  });
+};
+
 /**
  * Show delete confirmation UI
  * @param {HTMLElement} item - File item element
@@ -415,7 +1146,11 @@ const showDeleteConfirmation = (item, entry, metadata, lockIcon) => {
   if (metadata) metadata.style.display = 'none';
   if (lockIcon) lockIcon.style.display = 'none';
 
-  // Hide the delete button
+  // Hide the item action buttons
+  const actionBtns = item.querySelectorAll(
+    '.file-item-rename, .file-item-move, .file-item-compare'
+  );
+  actionBtns.forEach((btn) => (btn.style.display = 'none'));
   const deleteBtn = item.querySelector('.file-item-delete');
   if (deleteBtn) deleteBtn.style.display = 'none';
 
@@ -425,7 +1160,7 @@ const showDeleteConfirmation = (item, entry, metadata, lockIcon) => {
 
   const confirmText = document.createElement('span');
   confirmText.className = 'file-item-delete-confirm-text';
-  confirmText.textContent = 'Delete?';
+  confirmText.textContent = entry.kind === 'directory' ? 'Delete folder?' : 'Delete?';
 
   const confirmBtn = document.createElement('button');
   confirmBtn.className = 'file-item-delete-confirm-btn confirm';
@@ -436,8 +1171,14 @@ const showDeleteConfirmation = (item, entry, metadata, lockIcon) => {
   confirmBtn.addEventListener('click', async (e) => {
     e.stopPropagation();
     try {
-      await window.trashManager.moveToTrash(appState.currentDirHandle, entry);
-      window.trashManager.showUndoSnackbar(entry.name, appState.currentDirHandle);
+      const dirHandle = appState.currentDirHandle;
+      const trashItem = await window.trashManager.moveToTrash(dirHandle, entry, {
+        path: getEntryPath(entry),
+      });
+      // Undo restores this item by id; other deleted entries may have the same name
+      window.trashManager.showUndoSnackbar(entry.name, dirHandle, {
+        onAction: () => window.trashManager.restoreFromTrash(dirHandle, trashItem.id),
+      });
     } catch (err) {
       alert(err.message);
     }
@@ -454,6 +1195,7 @@ const showDeleteConfirmation = (item, entry, metadata, lockIcon) => {
     // Restore normal view
     if (metadata) metadata.style.display = '';
     if (lockIcon) lockIcon.style.display = '';
+    actionBtns.forEach((btn) => (btn.style.display = ''));
     if (deleteBtn) deleteBtn.style.display = '';
     confirmContainer.remove();
   });
@@ -487,9 +1229,21 @@ const navigateToDirectory = async (dirHandle) => {
 /**
  * Open a file from the file picker
  * @param {FileSystemFileHandle} fileHandle - File handle
+ * @param {Object} options - Open options
+ * @param {boolean} options.restoreState - Reopen the file where it was left (editor mode, cursor
+ *   and scroll), if the workspace session remembers it
  */
-export const openFileFromPicker = async (fileHandle) => {
+export const openFileFromPicker = async (fileHandle, { restoreState = true } = {}) => {
   try {
+    // A file that is already open in a tab is switched to, keeping its edits and undo history
+    const relativePath = [
+      ...appState.currentPath.slice(1).map((p) => p.name),
+      fileHandle.name,
+    ].join('/');
+    if (window.switchToTab && (await window.switchToTab(relativePath))) {
+      return;
+    }
+
     // Save temp changes for currently open file if dirty
     if (appState.isDirty && appState.currentFileHandle) {
       saveTempChanges();
@@ -506,13 +1260,26 @@ export const openFileFromPicker = async (fileHandle) => {
 
     // Always load the original file content from disk
     const fileContent = await FileSystemAdapter.readFile(fileHandle);
-
-    // Initialize file modification tracking
     const metadata = await FileSystemAdapter.getFileMetadata(fileHandle);
-    appState.lastModified = metadata.lastModified;
 
-    // Initialize the editor with the file content
-    await window.initEditor(fileContent, fileHandle.name);
+    const savedState = restoreState ? await loadRecentFile(relativePath) : null;
+
+    // Initialize the editor with the file content, in the mode it was left in
+    const wasRestoringSession = appState.isRestoringSession;
+    if (savedState?.editorMode) {
+      localStorage.setItem(`mode_${fileHandle.name}`, savedState.editorMode);
+      appState.isRestoringSession = true;
+    }
+    try {
+      await window.initEditor(fileContent, fileHandle.name);
+    } finally {
+      appState.isRestoringSession = wasRestoringSession;
+    }
+
+    // Initialize file modification tracking (the loaded content is the base of later merges)
+    if (window.fileSyncManager) {
+      window.fileSyncManager.trackFile(fileContent, metadata.lastModified);
+    }
 
     appState.isDirty = false;
     appState.originalContent = fileContent;
@@ -536,14 +1303,69 @@ export const openFileFromPicker = async (fileHandle) => {
     // Hide the file picker
     hideFilePicker();
 
-    // Focus the editor after a short delay
-    appState.focusManager.focusEditor({ delay: 100, reason: 'file-opened' });
+    if (savedState && window.restoreFileState) {
+      // Put the cursor and scroll back (this focuses the editor)
+      window.restoreFileState(savedState);
+    } else {
+      // Focus the editor after a short delay
+      appState.focusManager.focusEditor({ delay: 100, reason: 'file-opened' });
+    }
   } catch (err) {
     console.error('Error opening file:', err);
     alert('Error opening file: ' + err.message);
   }
 };
 
+/**
+ * Open a file by its path relative to the workspace root
+ * Rebuilds the breadcrumb path so the file opens in the context of its own folder
+ * @param {string} relativePath - Path relative to the workspace root (e.g. "notes/todo.md")
+ * @param {Object} options - Open options (see openFileFromPicker)
+ * @returns {Promise<boolean>} True if the file was found and opened (or is already open)
+ */
+export const openFileAtPath = async (relativePath, options = {}) => {
+  if (!appState.rootDirHandle) {
+    return false;
+  }
+
+  // The open file stays as it is; reading it from disk again would drop its unsaved edits
+  if (
+    appState.currentFileHandle &&
+    [...appState.currentPath.slice(1).map((p) => p.name), appState.currentFilename].join('/') ===
+      relativePath
+  ) {
+    return true;
+  }
+
+  const result = await openFileByPath(appState.rootDirHandle, relativePath);
+  if (!result) {
+    return false;
+  }
+
+  // Rebuild currentPath from the relative path
+  const pathParts = relativePath.split('/').filter((p) => p);
+  pathParts.pop(); // Remove filename
+
+  const newPath = [{ name: appState.rootDirHandle.name, handle: appState.rootDirHandle }];
+
+  let currentHandle = appState.rootDirHandle;
+  for (const dirName of pathParts) {
+    try {
+      currentHandle = await currentHandle.getDirectoryHandle(dirName);
+      newPath.push({ name: dirName, handle: currentHandle });
+    } catch (err) {
+      console.error('[FilePicker] Error navigating to directory:', dirName, err);
+      break;
+    }
+  }
+
+  appState.currentPath = newPath;
+  appState.currentDirHandle = result.dirHandle;
+
+  await openFileFromPicker(result.fileHandle, options);
+  return true;
+};
+
 /**
  * Get file icon based on filename
  * @param {string} filename - Filename
@@ -754,6 +1576,9 @@ const showFilenameInput = async (existingFilesOrPromise = [], initialValue = '')
     input.autocomplete = 'off';
     input.dataset.hasListeners = 'true'; // Mark that listeners are attached
 
+    // Pick up files added since the search index was last refreshed
+    window.searchIndex?.refreshIfStale();
+
     // Create custom block cursor
     cursor = document.createElement('span');
     cursor.className = 'breadcrumb-cursor';
@@ -814,8 +1639,19 @@ const showFilenameInput = async (existingFilesOrPromise = [], initialValue = '')
           const results = [];
           dropdown.innerHTML = '';
 
+          // Serve results from the workspace index when it's built, otherwise walk the folder
+          const searchIndex = window.searchIndex;
+          const source = searchIndex?.isReady()
+            ? searchIndex.searchFiles(searchQuery, {
+                basePath: appState.currentPath
+                  .slice(1)
+                  .map((p) => p.name)
+                  .join('/'),
+              })
+            : recursiveSearchFiles(appState.currentDirHandle, searchQuery);
+
           // Stream results as they're found
-          for await (const result of recursiveSearchFiles(appState.currentDirHandle, searchQuery)) {
+          for await (const result of source) {
             results.push(result);
 
             // Add to dropdown immediately for instant feedback
@@ -1273,6 +2109,9 @@ export const createOrOpenFile = async (filePathOrName) => {
     let fileExists = false;
     let actualFilename = filePathOrName;
 
+    // A trailing slash creates folders (e.g. "drafts/" or "notes/2024/")
+    const isFolder = filePathOrName.endsWith('/') && appState.currentDirHandle !== null;
+
     // Check if we have a path (contains /)
     if (filePathOrName.includes('/')) {
       const parts = filePathOrName.split('/');
@@ -1285,7 +2124,9 @@ export const createOrOpenFile = async (filePathOrName) => {
 
       for (const dirName of directories) {
         try {
-          const dirHandle = await targetDirHandle.getDirectoryHandle(dirName, { create: false });
+          const dirHandle = await targetDirHandle.getDirectoryHandle(dirName, {
+            create: isFolder,
+          });
           targetDirHandle = dirHandle;
           newPath.push({ name: dirName, handle: dirHandle });
         } catch (err) {
@@ -1300,6 +2141,13 @@ export const createOrOpenFile = async (filePathOrName) => {
       appState.currentPath = newPath;
     }
 
+    if (isFolder) {
+      // Show the new folder, keeping the open file like folder navigation does
+      updateBreadcrumb();
+      await showFilePicker(appState.currentDirHandle);
+      return;
+    }
+
     // Check if the target is a directory or file
     if (appState.currentDirHandle) {
       // First try to see if it's a directory
@@ -1355,7 +2203,11 @@ export const createOrOpenFile = async (filePathOrName) => {
     // If file exists, open it instead of creating new
     if (fileExists) {
       const content = await FileSystemAdapter.readFile(fileHandle);
+      const metadata = await FileSystemAdapter.getFileMetadata(fileHandle);
       await window.initEditor(content, actualFilename);
+      if (window.fileSyncManager) {
+        window.fileSyncManager.trackFile(content, metadata.lastModified);
+      }
       appState.isDirty = false;
       appState.originalContent = content;
 
@@ -1365,7 +2217,11 @@ export const createOrOpenFile = async (filePathOrName) => {
       }
     } else {
       await FileSystemAdapter.writeFile(fileHandle, '');
+      const metadata = await FileSystemAdapter.getFileMetadata(fileHandle);
       await window.initEditor('', actualFilename);
+      if (window.fileSyncManager) {
+        window.fileSyncManager.trackFile('', metadata.lastModified);
+      }
       appState.isDirty = false;
       appState.originalContent = '';
     }
@@ -0,0 +1,591 @@
+/**
+ * Find and Replace Panel
+ * Side panel for previewing and applying replacements across the workspace
+ */
+
+import { buildSearchPattern } from '../search/content-search.js';
+import { findInWorkspace, replaceInWorkspace, createMatchPreview } from '../search/find-replace.js';
+import { createHighlightedText } from './content-search-panel.js';
+import { debounce } from '../utils/helpers.js';
+
+export class FindReplacePanel {
+  constructor(options = {}) {
+    this.panel = null;
+    this.overlay = null;
+    this.findInput = null;
+    this.replaceInput = null;
+    this.statusEl = null;
+    this.resultsEl = null;
+    this.replaceButton = null;
+    this.isOpen = false;
+    this.getRootDirHandle = options.getRootDirHandle || null;
+    this.getOpenFile = options.getOpenFile || null;
+    this.getEditor = options.getEditor || null;
+    this.getSearchIndex = options.getSearchIndex || null;
+    this.backupFiles = options.backupFiles || null;
+    this.onReplaced = options.onReplaced || null;
+
+    // Search options toggled from the panel
+    this.regex = false;
+    this.caseSensitive = false;
+
+    // Current preview and the hits the user unchecked ("path:id")
+    this.fileResults = [];
+    this.excluded = new Set();
+
+    // Each search gets an id so results from a superseded search are discarded
+    this.searchId = 0;
+    this.abortController = null;
+    this.isApplying = false;
+
+    this.debouncedSearch = debounce(() => this.search(), 250);
+  }
+
+  /**
+   * Create the find and replace panel DOM structure
+   */
+  create() {
+    // Create overlay
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'settings-overlay';
+    this.overlay.addEventListener('click', () => this.close());
+
+    // Create panel
+    this.panel = document.createElement('div');
+    this.panel.className = 'settings-panel content-search-panel find-replace-panel';
+    this.panel.setAttribute('data-testid', 'find-replace-panel');
+    this.panel.addEventListener('click', (e) => e.stopPropagation());
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Replace in Files';
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'settings-close-button';
+    closeButton.innerHTML = '&times;';
+    closeButton.setAttribute('aria-label', 'Close replace');
+    closeButton.addEventListener('click', () => this.close());
+
+    header.appendChild(title);
+    header.appendChild(closeButton);
+
+    // Find row
+    const findRow = document.createElement('div');
+    findRow.className = 'content-search-query';
+
+    this.findInput = this.createInput('find', 'Find');
+    findRow.appendChild(this.findInput);
+    findRow.appendChild(this.createToggle('caseSensitive', 'Aa', 'Match case'));
+    findRow.appendChild(this.createToggle('regex', '.*', 'Use regular expression'));
+
+    // Replace row
+    const replaceRow = document.createElement('div');
+    replaceRow.className = 'content-search-query find-replace-replacement';
+
+    this.replaceInput = this.createInput('replace', 'Replace with');
+    replaceRow.appendChild(this.replaceInput);
+
+    // Status line (match count, errors)
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'content-search-status';
+    this.statusEl.setAttribute('data-testid', 'find-replace-status');
+
+    // Results
+    this.resultsEl = document.createElement('div');
+    this.resultsEl.className = 'content-search-results';
+    this.resultsEl.setAttribute('data-testid', 'find-replace-results');
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'settings-footer';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'settings-cancel-button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.close());
+
+    this.replaceButton = document.createElement('button');
+    this.replaceButton.className = 'settings-save-button';
+    this.replaceButton.textContent = 'Replace';
+    this.replaceButton.disabled = true;
+    this.replaceButton.setAttribute('data-testid', 'find-replace-apply');
+    this.replaceButton.addEventListener('click', () => this.apply());
+
+    footer.appendChild(cancelButton);
+    footer.appendChild(this.replaceButton);
+
+    // Assemble panel
+    this.panel.appendChild(header);
+    this.panel.appendChild(findRow);
+    this.panel.appendChild(replaceRow);
+    this.panel.appendChild(this.statusEl);
+    this.panel.appendChild(this.resultsEl);
+    this.panel.appendChild(footer);
+
+    return this;
+  }
+
+  /**
+   * Create a text input that refreshes the preview as the user types
+   * @param {string} name - Input name
+   * @param {string} placeholder - Placeholder text
+   */
+  createInput(name, placeholder) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'content-search-input';
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', placeholder);
+    input.setAttribute('data-testid', `find-replace-${name}`);
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('spellcheck', 'false');
+    input.addEventListener('input', () => this.debouncedSearch());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.search();
+      }
+    });
+    return input;
+  }
+
+  /**
+   * Create a toggle button for a search option
+   * @param {string} name - Option property name on the panel
+   * @param {string} label - Button label
+   * @param {string} title - Tooltip text
+   */
+  createToggle(name, label, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'content-search-toggle';
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.setAttribute('aria-pressed', String(this[name]));
+    button.setAttribute('data-testid', `find-replace-${name}`);
+    button.addEventListener('click', () => {
+      this[name] = !this[name];
+      button.setAttribute('aria-pressed', String(this[name]));
+      button.classList.toggle('active', this[name]);
+      this.search();
+      this.findInput.focus();
+    });
+    return button;
+  }
+
+  /**
+   * Search the workspace and rebuild the replacement preview
+   */
+  async search() {
+    if (!this.panel || this.isApplying) {
+      return;
+    }
+
+    // Cancel any search still in flight
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+
+    const searchId = ++this.searchId;
+    const query = this.findInput.value;
+    const replacement = this.replaceInput.value;
+
+    this.fileResults = [];
+    this.excluded.clear();
+    this.resultsEl.innerHTML = '';
+    this.setStatus('');
+    this.updateReplaceButton();
+
+    if (!query) {
+      return;
+    }
+
+    const rootDirHandle = this.getRootDirHandle ? this.getRootDirHandle() : null;
+    if (!rootDirHandle) {
+      this.setStatus('Open a folder to replace in its files', true);
+      return;
+    }
+
+    // Validate the pattern up front so a typo shows an error instead of no results
+    try {
+      buildSearchPattern(query, { regex: this.regex, caseSensitive: this.caseSensitive });
+    } catch (err) {
+      this.setStatus(err.message, true);
+      return;
+    }
+
+    /* global AbortController */
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    // Let the search index narrow down candidate files once it has been built
+    const searchIndex = this.getSearchIndex ? this.getSearchIndex() : null;
+    const files = searchIndex?.isReady()
+      ? searchIndex.textFiles(query, { regex: this.regex, signal })
+      : null;
+
+    this.setStatus('Searching…');
+
+    try {
+      for await (const result of findInWorkspace(rootDirHandle, query, replacement, {
+        regex: this.regex,
+        caseSensitive: this.caseSensitive,
+        openFile: this.getOpenFile ? this.getOpenFile() : null,
+        signal,
+        files,
+      })) {
+        if (searchId !== this.searchId) {
+          return;
+        }
+
+        this.fileResults.push(result);
+        this.resultsEl.appendChild(this.createFileGroup(result));
+        this.updateReplaceButton();
+      }
+    } catch (err) {
+      console.error('[FindReplace] Search failed:', err);
+      if (searchId === this.searchId) {
+        this.setStatus(`Search failed: ${err.message}`, true);
+      }
+      return;
+    }
+
+    if (searchId === this.searchId) {
+      this.updateStatus();
+    }
+  }
+
+  /**
+   * Update the status line
+   * @param {string} message - Status message
+   * @param {boolean} isError - Whether to style the message as an error
+   */
+  setStatus(message, isError = false) {
+    this.statusEl.textContent = message;
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Summarise the current preview in the status line
+   */
+  updateStatus() {
+    const total = this.fileResults.reduce((sum, r) => sum + r.matches.length, 0);
+    if (total === 0) {
+      this.setStatus('No results');
+      return;
+    }
+
+    const files = this.fileResults.length;
+    this.setStatus(
+      `${total} match${total === 1 ? '' : 'es'} in ${files} file${files === 1 ? '' : 's'}`
+    );
+  }
+
+  /**
+   * Get the results with excluded hits removed
+   * @returns {Array<Object>} File results containing only the selected matches
+   */
+  getSelectedResults() {
+    return this.fileResults
+      .map((result) => ({
+        ...result,
+        matches: result.matches.filter((m) => !this.excluded.has(`${result.fullPath}:${m.id}`)),
+      }))
+      .filter((result) => result.matches.length > 0);
+  }
+
+  /**
+   * Update the replace button label and enabled state
+   */
+  updateReplaceButton() {
+    const count = this.getSelectedResults().reduce((sum, r) => sum + r.matches.length, 0);
+    this.replaceButton.disabled = count === 0 || this.isApplying;
+    this.replaceButton.textContent = count > 0 ? `Replace ${count}` : 'Replace';
+  }
+
+  /**
+   * Create the preview for all matches in one file
+   * @param {Object} result - File result from findInWorkspace
+   */
+  createFileGroup(result) {
+    const group = document.createElement('div');
+    group.className = 'content-search-file';
+    group.dataset.path = result.fullPath;
+
+    const header = document.createElement('label');
+    header.className = 'content-search-file-header';
+
+    const fileCheckbox = document.createElement('input');
+    fileCheckbox.type = 'checkbox';
+    fileCheckbox.checked = true;
+    fileCheckbox.className = 'find-replace-file-checkbox';
+    fileCheckbox.setAttribute('aria-label', `Replace in ${result.fullPath}`);
+
+    const name = document.createElement('span');
+    name.className = 'content-search-file-name';
+    name.textContent = result.name;
+
+    header.appendChild(fileCheckbox);
+    header.appendChild(name);
+
+    if (result.path) {
+      const path = document.createElement('span');
+      path.className = 'content-search-file-path';
+      path.textContent = result.path;
+      header.appendChild(path);
+    }
+
+    if (result.isOpen) {
+      const openBadge = document.createElement('span');
+      openBadge.className = 'find-replace-open-badge';
+      openBadge.textContent = 'open';
+      openBadge.title = 'Changes are applied in the editor and can be undone there';
+      header.appendChild(openBadge);
+    }
+
+    const lines = document.createElement('div');
+    lines.className = 'content-search-lines';
+
+    const matchCheckboxes = result.matches.map((match) => {
+      const { row, checkbox } = this.createMatchRow(result, match);
+      lines.appendChild(row);
+      return checkbox;
+    });
+
+    // Keep the file checkbox in sync with its individual hits
+    const syncFileCheckbox = () => {
+      const checkedCount = matchCheckboxes.filter((cb) => cb.checked).length;
+      fileCheckbox.checked = checkedCount === matchCheckboxes.length;
+      fileCheckbox.indeterminate = checkedCount > 0 && checkedCount < matchCheckboxes.length;
+    };
+
+    matchCheckboxes.forEach((checkbox) => checkbox.addEventListener('change', syncFileCheckbox));
+
+    fileCheckbox.addEventListener('change', () => {
+      matchCheckboxes.forEach((checkbox) => {
+        checkbox.checked = fileCheckbox.checked;
+        checkbox.dispatchEvent(new Event('change'));
+      });
+    });
+
+    group.appendChild(header);
+    group.appendChild(lines);
+    return group;
+  }
+
+  /**
+   * Create the before/after preview for a single match
+   * @param {Object} result - File result
+   * @param {Object} match - Match within the file
+   * @returns {{row: HTMLElement, checkbox: HTMLInputElement}}
+   */
+  createMatchRow(result, match) {
+    const key = `${result.fullPath}:${match.id}`;
+
+    const row = document.createElement('label');
+    row.className = 'find-replace-match';
+    row.setAttribute('data-testid', 'find-replace-match');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !this.excluded.has(key);
+    checkbox.setAttribute('aria-label', `Replace on line ${match.lineNumber}`);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.excluded.delete(key);
+      } else {
+        this.excluded.add(key);
+      }
+      row.classList.toggle('excluded', !checkbox.checked);
+      this.updateReplaceButton();
+    });
+
+    const lineNumber = document.createElement('span');
+    lineNumber.className = 'content-search-line-number';
+    lineNumber.textContent = match.lineNumber;
+
+    const preview = createMatchPreview(match);
+
+    const diff = document.createElement('span');
+    diff.className = 'find-replace-diff';
+
+    const before = createHighlightedText(preview.before, [preview.removed], 'del');
+    before.className = 'find-replace-diff-line removed';
+
+    const after = createHighlightedText(preview.after, [preview.added], 'ins');
+    after.className = 'find-replace-diff-line added';
+
+    diff.appendChild(before);
+    diff.appendChild(after);
+
+    row.appendChild(checkbox);
+    row.appendChild(lineNumber);
+    row.appendChild(diff);
+
+    return { row, checkbox };
+  }
+
+  /**
+   * Apply the selected replacements in one batch
+   */
+  async apply() {
+    const selected = this.getSelectedResults();
+    if (selected.length === 0 || this.isApplying) {
+      return;
+    }
+
+    this.isApplying = true;
+    this.updateReplaceButton();
+    this.setStatus('Replacing…');
+
+    let summary;
+    try {
+      summary = await replaceInWorkspace(selected, {
+        openFile: this.getOpenFile ? this.getOpenFile() : null,
+        backupFiles: this.backupFiles,
+      });
+    } catch (err) {
+      console.error('[FindReplace] Replace failed:', err);
+      this.setStatus(`Replace failed: ${err.message}`, true);
+      return;
+    } finally {
+      this.isApplying = false;
+      this.updateReplaceButton();
+    }
+
+    if (this.onReplaced) {
+      await this.onReplaced(summary);
+    }
+
+    if (summary.skipped.length > 0 || summary.failed.length > 0) {
+      // Keep the panel open and show what is left so the user can retry
+      await this.search();
+      const problems = [];
+      if (summary.skipped.length > 0) {
+        problems.push(`${summary.skipped.length} changed since preview`);
+      }
+      if (summary.failed.length > 0) {
+        problems.push(`${summary.failed.length} could not be read or written`);
+      }
+      this.setStatus(
+        `Replaced ${summary.matchCount} in ${summary.fileCount} files; ${problems.join(', ')}`,
+        true
+      );
+      return;
+    }
+
+    this.close();
+  }
+
+  /**
+   * Open the find and replace panel
+   * @param {string} initialQuery - Optional query to preview immediately
+   */
+  open(initialQuery = '') {
+    if (this.isOpen) {
+      this.findInput.focus();
+      return;
+    }
+
+    if (!this.panel) {
+      this.create();
+    }
+
+    // Blur the editor when the panel opens
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.getActiveEditor) {
+        const activeEditor = editor.getActiveEditor();
+        if (activeEditor && activeEditor.view && activeEditor.view.dom) {
+          activeEditor.view.dom.blur();
+        }
+      }
+    }
+
+    document.body.appendChild(this.overlay);
+    document.body.appendChild(this.panel);
+
+    this.isOpen = true;
+
+    // Pick up files changed since the index was last refreshed (runs in the background)
+    const searchIndex = this.getSearchIndex ? this.getSearchIndex() : null;
+    if (searchIndex) {
+      searchIndex.refreshIfStale();
+    }
+
+    if (initialQuery) {
+      this.findInput.value = initialQuery;
+    }
+
+    // Always rebuild the preview, files may have changed since the panel was last open
+    this.search();
+
+    this.findInput.focus();
+    this.findInput.select();
+
+    // Handle ESC key
+    this.escHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      }
+    };
+    document.addEventListener('keydown', this.escHandler, true);
+  }
+
+  /**
+   * Close the find and replace panel
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+
+    this.isOpen = false;
+
+    // Remove ESC handler
+    if (this.escHandler) {
+      document.removeEventListener('keydown', this.escHandler, true);
+      this.escHandler = null;
+    }
+
+    // Restore focus to the editor when the panel closes
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.focus) {
+        editor.focus();
+      }
+    }
+  }
+
+  /**
+   * Destroy the panel
+   */
+  destroy() {
+    this.close();
+    this.panel = null;
+    this.overlay = null;
+    this.findInput = null;
+    this.replaceInput = null;
+    this.statusEl = null;
+    this.resultsEl = null;
+    this.replaceButton = null;
+  }
+}
@@ -0,0 +1,348 @@
+/**
+ * History Panel
+ * Side panel for browsing the saved versions of the open file,
+ * comparing them with the editor and restoring one
+ */
+
+import { DiffView } from '../editors/diff-view.js';
+import { formatFileSize } from '../utils/helpers.js';
+
+export class HistoryPanel {
+  constructor(options = {}) {
+    this.panel = null;
+    this.overlay = null;
+    this.statusEl = null;
+    this.listEl = null;
+    this.diffEl = null;
+    this.restoreButton = null;
+    this.diffView = null;
+    this.isOpen = false;
+    this.getVersionHistory = options.getVersionHistory || (() => null);
+    this.getFilePath = options.getFilePath || (() => null);
+    this.getContent = options.getContent || (() => '');
+    this.getEditor = options.getEditor || null;
+    this.onRestore = options.onRestore || null;
+
+    // Snapshots of the file shown in the panel, newest first
+    this.snapshots = [];
+    this.selectedSnapshot = null;
+
+    // Each load gets an id so a slow load can't replace a newer one
+    this.loadId = 0;
+  }
+
+  /**
+   * Create the history panel DOM structure
+   */
+  create() {
+    // Create overlay
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'settings-overlay';
+    this.overlay.addEventListener('click', () => this.close());
+
+    // Create panel
+    this.panel = document.createElement('div');
+    this.panel.className = 'settings-panel history-panel';
+    this.panel.setAttribute('data-testid', 'history-panel');
+    this.panel.addEventListener('click', (e) => e.stopPropagation());
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+
+    const title = document.createElement('h2');
+    title.textContent = 'File History';
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'settings-close-button';
+    closeButton.innerHTML = '&times;';
+    closeButton.setAttribute('aria-label', 'Close history');
+    closeButton.addEventListener('click', () => this.close());
+
+    header.appendChild(title);
+    header.appendChild(closeButton);
+
+    // Status line (file path, errors)
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'content-search-status history-status';
+    this.statusEl.setAttribute('data-testid', 'history-status');
+
+    // Snapshot list
+    this.listEl = document.createElement('div');
+    this.listEl.className = 'history-list';
+    this.listEl.setAttribute('data-testid', 'history-list');
+
+    // Diff of the selected snapshot against the current content
+    this.diffEl = document.createElement('div');
+    this.diffEl.className = 'history-diff';
+    this.diffEl.setAttribute('data-testid', 'history-diff');
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'settings-footer';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'settings-cancel-button';
+    cancelButton.textContent = 'Close';
+    cancelButton.addEventListener('click', () => this.close());
+
+    this.restoreButton = document.createElement('button');
+    this.restoreButton.className = 'settings-save-button';
+    this.restoreButton.textContent = 'Restore';
+    this.restoreButton.disabled = true;
+    this.restoreButton.setAttribute('data-testid', 'history-restore');
+    this.restoreButton.addEventListener('click', () => this.restore());
+
+    footer.appendChild(cancelButton);
+    footer.appendChild(this.restoreButton);
+
+    // Assemble panel
+    this.panel.appendChild(header);
+    this.panel.appendChild(this.statusEl);
+    this.panel.appendChild(this.listEl);
+    this.panel.appendChild(this.diffEl);
+    this.panel.appendChild(footer);
+
+    return this;
+  }
+
+  /**
+   * Update the status line
+   * @param {string} message - Status message
+   * @param {boolean} isError - Whether to style the message as an error
+   */
+  setStatus(message, isError = false) {
+    this.statusEl.textContent = message;
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Load the snapshots of the open file and select the newest one
+   */
+  async load() {
+    const loadId = ++this.loadId;
+    const path = this.getFilePath();
+    const versionHistory = this.getVersionHistory();
+
+    this.snapshots = [];
+    this.listEl.innerHTML = '';
+    this.select(null);
+
+    if (!path || !versionHistory?.workspace) {
+      this.setStatus('Open a file from a folder to see its history');
+      return;
+    }
+
+    let snapshots;
+    try {
+      snapshots = await versionHistory.list(path);
+    } catch (err) {
+      console.error('[History] Failed to load snapshots:', err);
+      if (loadId === this.loadId) {
+        this.setStatus(`Could not load history: ${err.message}`, true);
+      }
+      return;
+    }
+
+    if (loadId !== this.loadId) {
+      return;
+    }
+
+    this.snapshots = snapshots;
+    if (snapshots.length === 0) {
+      this.setStatus(`No saved versions of ${path} yet`);
+      return;
+    }
+
+    this.setStatus(
+      `${snapshots.length} saved version${snapshots.length === 1 ? '' : 's'} of ${path}`
+    );
+    snapshots.forEach((snapshot) => this.listEl.appendChild(this.createSnapshotItem(snapshot)));
+    this.select(snapshots[0]);
+  }
+
+  /**
+   * Create the list entry for a snapshot
+   * @param {Object} snapshot - Snapshot from the version history
+   */
+  createSnapshotItem(snapshot) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'history-item';
+    item.dataset.id = snapshot.id;
+    item.setAttribute('data-testid', 'history-item');
+
+    const time = document.createElement('span');
+    time.className = 'history-item-time';
+    time.textContent = new Date(snapshot.savedAt).toLocaleString();
+
+    const size = document.createElement('span');
+    size.className = 'history-item-size';
+    size.textContent = formatFileSize(snapshot.size);
+
+    item.appendChild(time);
+    item.appendChild(size);
+    item.addEventListener('click', () => this.select(snapshot));
+
+    return item;
+  }
+
+  /**
+   * Select a snapshot and show how it differs from the current content
+   * @param {Object|null} snapshot - Snapshot to select, or null to clear the selection
+   */
+  select(snapshot) {
+    this.selectedSnapshot = snapshot;
+    this.listEl.querySelectorAll('.history-item').forEach((item) => {
+      item.classList.toggle('selected', snapshot !== null && item.dataset.id === snapshot.id);
+    });
+    this.restoreButton.disabled = snapshot === null;
+
+    this.destroyDiffView();
+    if (!snapshot) {
+      return;
+    }
+
+    const content = this.getContent();
+    if (content === snapshot.content) {
+      const message = document.createElement('div');
+      message.className = 'history-diff-message';
+      message.textContent = 'Same as the current content';
+      this.diffEl.appendChild(message);
+      return;
+    }
+
+    // Show the current content with the changes since the snapshot marked inline
+    this.diffView = new DiffView({
+      parent: this.diffEl,
+      original: snapshot.content,
+      modified: content,
+      filename: snapshot.path,
+      mode: 'inline',
+      readOnly: true,
+    });
+  }
+
+  /**
+   * Destroy the diff of the previously selected snapshot
+   */
+  destroyDiffView() {
+    if (this.diffView) {
+      this.diffView.destroy();
+      this.diffView = null;
+    }
+    if (this.diffEl) {
+      this.diffEl.innerHTML = '';
+    }
+  }
+
+  /**
+   * Restore the selected snapshot
+   */
+  async restore() {
+    const snapshot = this.selectedSnapshot;
+    if (!snapshot || !this.onRestore) {
+      return;
+    }
+
+    try {
+      await this.onRestore(snapshot);
+    } catch (err) {
+      console.error('[History] Restore failed:', err);
+      this.setStatus(`Restore failed: ${err.message}`, true);
+      return;
+    }
+
+    this.close();
+  }
+
+  /**
+   * Open the history panel for the open file
+   */
+  open() {
+    if (this.isOpen) {
+      return;
+    }
+
+    if (!this.panel) {
+      this.create();
+    }
+
+    // Blur the editor when the panel opens
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.getActiveEditor) {
+        const activeEditor = editor.getActiveEditor();
+        if (activeEditor && activeEditor.view && activeEditor.view.dom) {
+          activeEditor.view.dom.blur();
+        }
+      }
+    }
+
+    document.body.appendChild(this.overlay);
+    document.body.appendChild(this.panel);
+
+    this.isOpen = true;
+
+    // Always reload, the file may have been saved since the panel was last open
+    this.load();
+
+    // Handle ESC key
+    this.escHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      }
+    };
+    document.addEventListener('keydown', this.escHandler, true);
+  }
+
+  /**
+   * Close the history panel
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.loadId++;
+    this.destroyDiffView();
+
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+
+    this.isOpen = false;
+
+    // Remove ESC handler
+    if (this.escHandler) {
+      document.removeEventListener('keydown', this.escHandler, true);
+      this.escHandler = null;
+    }
+
+    // Restore focus to the editor when the panel closes
+    if (this.getEditor) {
+      const editor = this.getEditor();
+      if (editor && editor.focus) {
+        editor.focus();
+      }
+    }
+  }
+
+  /**
+   * Destroy the panel
+   */
+  destroy() {
+    this.close();
+    this.panel = null;
+    this.overlay = null;
+    this.statusEl = null;
+    this.listEl = null;
+    this.diffEl = null;
+    this.restoreButton = null;
+  }
+}
@@ -3,24 +3,32 @@
  *
  * Manages global keyboard event handlers and shortcuts for the application.
  * Handles:
- * - Quick file creation/search (alphanumeric keys, /, .)
+ * - Shortcuts from the keybinding registry, which the user can rebind or disable:
+ *   - Quick file creation/search (by default, typing alphanumeric keys, / or .)
+ *   - Workspace content search and replace (Ctrl/Cmd+Shift+F, Ctrl/Cmd+Shift+H)
+ *   - Command palette (Ctrl/Cmd+Shift+P)
+ *   - App actions registered with registerShortcutHandler
  * - Editor focus (Enter key)
  * - Editor blur and file picker (Escape key)
  * - Visual blur state management
  */
 
 import { appState } from '../state/app-state.js';
+import { keybindingRegistry, TYPE_TO_TRIGGER } from '../state/keybinding-registry.js';
 
 // Store event listeners for cleanup
 let keydownListeners = [];
 let focusinListener = null;
 let focusoutListener = null;
 
+// Handlers of app actions by action id, registered by the app
+const shortcutHandlers = new Map();
+
 /**
  * Initialize keyboard manager with global event listeners
  */
 export function initKeyboardManager() {
-  setupQuickFileCreationListener();
+  setupShortcutListener();
   setupEnterKeyListener();
   setupEscapeKeyListener();
   setupFocusMonitoring();
@@ -48,46 +56,33 @@ export function cleanupKeyboardManager() {
 }
 
 /**
- * Setup global keyboard listener for quick file creation/search
- * Triggers on alphanumeric keys, forward slash, or period
+ * Register the handler of an app action's shortcut
+ * @param {string} id - Action id in the keybinding registry
+ * @param {Function} handler - Called with the keydown event; returns false when the action
+ *   doesn't apply, leaving the event to the browser and editor
  */
-function setupQuickFileCreationListener() {
-  const listener = async (e) => {
-    // Trigger on alphanumeric keys, forward slash, or period
-    if (!/^[a-zA-Z0-9\/\.]$/.test(e.key)) {
-      return;
-    }
-
-    // Don't trigger if user is typing in an input field or the editor
-    const activeElement = document.activeElement;
-    if (
-      activeElement &&
-      (activeElement.tagName === 'INPUT' ||
-        activeElement.tagName === 'TEXTAREA' ||
-        activeElement.classList.contains('cm-content') ||
-        activeElement.classList.contains('ProseMirror'))
-    ) {
-      return;
-    }
-
-    // Don't trigger if there's no directory context
-    if (!appState.currentDirHandle) {
-      return;
-    }
+export function registerShortcutHandler(id, handler) {
+  shortcutHandlers.set(id, handler);
+}
 
-    // Don't trigger if autocomplete is already showing
-    if (document.querySelector('.breadcrumb-input')) {
+/**
+ * Setup the global keyboard listener running the actions bound in the keybinding registry
+ */
+function setupShortcutListener() {
+  const listener = (e) => {
+    // Keys the editor already used stay with it (e.g. Ctrl+N moving down in Emacs mode)
+    if (e.defaultPrevented) {
       return;
     }
 
-    // Trigger quick file creation/search with the typed character
-    e.preventDefault();
-
-    // Call quickFileCreate - it should be available globally in app context
+    const ids = keybindingRegistry.match(e);
 
-    if (typeof quickFileCreate !== 'undefined') {
-      // eslint-disable-next-line no-undef
-      await quickFileCreate(e.key);
+    for (const id of ids) {
+      const handler = builtInHandlers[id] || shortcutHandlers.get(id);
+      if (handler && handler(e) !== false) {
+        e.preventDefault();
+        return;
+      }
     }
   };
 
@@ -95,6 +90,44 @@ function setupQuickFileCreationListener() {
   keydownListeners.push(listener);
 }
 
+/**
+ * Start quick file creation/search
+ * Typing a filename character starts it with that character, outside inputs and the editor
+ */
+function handleQuickFileCreate(e) {
+  const isTyping = keybindingRegistry.get('file.quickCreate') === TYPE_TO_TRIGGER;
+
+  // Don't trigger if user is typing in an input field or the editor
+  const activeElement = document.activeElement;
+  if (
+    isTyping &&
+    activeElement &&
+    (activeElement.tagName === 'INPUT' ||
+      activeElement.tagName === 'TEXTAREA' ||
+      activeElement.classList.contains('cm-content') ||
+      activeElement.classList.contains('ProseMirror'))
+  ) {
+    return false;
+  }
+
+  // Don't trigger if there's no directory context
+  if (!appState.currentDirHandle) {
+    return false;
+  }
+
+  // Don't trigger if autocomplete is already showing
+  if (document.querySelector('.breadcrumb-input')) {
+    return false;
+  }
+
+  // Call quickFileCreate - it should be available globally in app context
+
+  if (typeof quickFileCreate !== 'undefined') {
+    // eslint-disable-next-line no-undef
+    quickFileCreate(isTyping ? e.key : '');
+  }
+}
+
 /**
  * Setup global Enter key listener to focus editor
  */
@@ -141,6 +174,11 @@ function setupEscapeKeyListener() {
       return;
     }
 
+    // Escape the editor already used stays with it (e.g. leaving insert mode in Vim)
+    if (e.defaultPrevented) {
+      return;
+    }
+
     // Don't trigger if navbar input is showing
     if (document.querySelector('.breadcrumb-input')) {
       return;
@@ -175,6 +213,35 @@ function setupEscapeKeyListener() {
   keydownListeners.push(listener);
 }
 
+/**
+ * Open workspace search (Ctrl/Cmd+Shift+F) or replace (Ctrl/Cmd+Shift+H)
+ * @param {Object} panel - Panel to open
+ */
+function openWorkspaceSearch(panel) {
+  // Don't trigger if there's no workspace to search
+  if (!panel || !appState.rootDirHandle) {
+    return false;
+  }
+
+  // Seed the query with the current single-line selection, if any
+  const selection = window.getSelection?.()?.toString() || '';
+  const initialQuery = selection.includes('\n') ? '' : selection.trim();
+  panel.open(initialQuery);
+}
+
+// Shortcuts handled here; the other actions are registered by the app
+const builtInHandlers = {
+  'file.quickCreate': handleQuickFileCreate,
+  'search.inFiles': () => openWorkspaceSearch(window.contentSearchPanel),
+  'search.replaceInFiles': () => openWorkspaceSearch(window.findReplacePanel),
+  'app.commandPalette': () => {
+    if (!window.commandPalette) {
+      return false;
+    }
+    window.commandPalette.open();
+  },
+};
+
 /**
  * Setup focus monitoring to update editor blur state
  */
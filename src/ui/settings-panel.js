@@ -1,10 +1,62 @@
 /**
  * Settings Panel
- * GitHub-inspired settings UI for configuring Ollama settings
+ * GitHub-inspired settings UI for configuring the AI provider (Ollama or an OpenAI-compatible
+ * server), the editor keymap, the image folder and keyboard shortcuts
  */
 
 import { getSettings, updateSettings, validateEndpointUrl } from '../state/settings-manager.js';
+import {
+  keybindingRegistry,
+  eventToKeybinding,
+  formatKeybinding,
+  isValidKeybinding,
+} from '../state/keybinding-registry.js';
+import { KEYMAP_MODES } from '../editors/editor-keymap.js';
+import { getImageFolder, DEFAULT_IMAGE_FOLDER } from '../links/image-assets.js';
 import { isLocalEnvironment } from '../utils/environment.js';
+import { AI_PROVIDERS, fetchModels, getFallbackModels } from '../services/ai-service.js';
+import { OllamaProvider } from '../services/providers/ollama-provider.js';
+import { OpenAIProvider } from '../services/providers/openai-provider.js';
+
+// Form fields of each provider's server
+const MODEL_FIELDS = {
+  [OllamaProvider.PROVIDER_NAME]: { endpoint: 'endpoint', model: 'model' },
+  [OpenAIProvider.PROVIDER_NAME]: {
+    endpoint: 'openaiEndpoint',
+    apiKey: 'openaiApiKey',
+    model: 'openaiModel',
+  },
+};
+
+/**
+ * Describe the models a server listed, warning when the chosen model isn't among them
+ * @param {string} provider - Provider name
+ * @param {Array<{value: string}>} models - Listed models
+ * @param {string} model - Chosen model
+ * @returns {string}
+ */
+const describeModels = (provider, models, model) => {
+  const isOllama = provider === OllamaProvider.PROVIDER_NAME;
+  if (models.length === 0) {
+    return isOllama
+      ? 'Connected, but no models are installed. Install one with: ollama pull llama3'
+      : "Connected, but the server didn't list any models";
+  }
+
+  const count = `${models.length} model${models.length === 1 ? '' : 's'}`;
+  const text = isOllama
+    ? `Connected: ${count} installed`
+    : `Connected: ${count} available on the server`;
+
+  // Ollama names models name:tag and llama2 means llama2:latest
+  const names = models.map((listed) => listed.value);
+  if (!model || names.includes(model) || (isOllama && names.includes(`${model}:latest`))) {
+    return text;
+  }
+  return isOllama
+    ? `${text}. ${model} isn't installed; install it with: ollama pull ${model}`
+    : `${text}. ${model} isn't one of them`;
+};
 
 export class SettingsPanel {
   constructor(options = {}) {
@@ -12,6 +64,15 @@ export class SettingsPanel {
     this.overlay = null;
     this.isOpen = false;
     this.getEditor = options.getEditor || null;
+    this.onSave = options.onSave || null;
+
+    // Keybindings being edited, by action id, and errors of shortcuts that couldn't be set
+    this.keybindings = keybindingRegistry.getAll();
+    this.keybindingErrors = {};
+    this.keybindingList = null;
+
+    // Cancels loading the model list when the server settings change again
+    this.modelsController = null;
   }
 
   /**
@@ -130,8 +191,32 @@ export class SettingsPanel {
     form.className = 'settings-form';
     form.setAttribute('data-testid', 'settings-form');
 
+    // AI Provider Section
+    const providerSection = this.createSection('AI Provider');
+
+    const providerGroup = this.createFormGroup(
+      'provider',
+      'Provider',
+      'select',
+      settings.provider,
+      '',
+      { options: AI_PROVIDERS }
+    );
+    const providerHelp = document.createElement('p');
+    providerHelp.className = 'settings-help-text';
+    providerHelp.textContent =
+      'Ollama, or a server speaking the OpenAI chat completions API (/v1/chat/completions)';
+    providerGroup.appendChild(providerHelp);
+    providerGroup
+      .querySelector('select')
+      .addEventListener('change', () => this.updateProviderSections());
+    providerSection.appendChild(providerGroup);
+
+    form.appendChild(providerSection);
+
     // Ollama Configuration Section
     const configSection = this.createSection('Ollama Configuration');
+    configSection.setAttribute('data-provider', 'ollama');
 
     // Endpoint URL
     const endpointGroup = this.createFormGroup(
@@ -147,22 +232,27 @@ export class SettingsPanel {
     endpointGroup.appendChild(endpointHelp);
     configSection.appendChild(endpointGroup);
 
-    // Model (text input)
-    const modelGroup = this.createFormGroup(
-      'model',
-      'Model',
-      'text',
+    // Model (text input, suggesting the models installed on the server)
+    const modelGroup = this.createModelGroup(
+      OllamaProvider.PROVIDER_NAME,
       settings.model || 'llama2',
       'llama2'
     );
     const modelHelp = document.createElement('p');
     modelHelp.className = 'settings-help-text';
     modelHelp.textContent = 'Enter the model name (e.g., llama2, mistral, codellama)';
-    modelGroup.appendChild(modelHelp);
+    modelGroup.insertBefore(modelHelp, modelGroup.querySelector('.settings-models-status'));
     configSection.appendChild(modelGroup);
 
+    // Ask the server for its models again once its address changes
+    endpointGroup
+      .querySelector('input')
+      .addEventListener('change', () => this.loadModels(OllamaProvider.PROVIDER_NAME));
+
     form.appendChild(configSection);
 
+    form.appendChild(this.createOpenAISection(settings.openai || {}));
+
     // Model Settings Section
     const modelSection = this.createSection('Model Settings');
 
@@ -178,9 +268,404 @@ export class SettingsPanel {
 
     form.appendChild(modelSection);
 
+    // Editor Section
+    const editorSection = this.createSection('Editor');
+
+    const keymapGroup = this.createFormGroup('keymap', 'Keymap', 'select', settings.keymap, '', {
+      options: KEYMAP_MODES,
+    });
+    const keymapHelp = document.createElement('p');
+    keymapHelp.className = 'settings-help-text';
+    keymapHelp.textContent =
+      'Vim or Emacs bindings for the source and code editors; :w in Vim and C-x C-s in Emacs save the file';
+    keymapGroup.appendChild(keymapHelp);
+    editorSection.appendChild(keymapGroup);
+
+    const imageFolderGroup = this.createFormGroup(
+      'imageFolder',
+      'Image folder',
+      'text',
+      getImageFolder(),
+      DEFAULT_IMAGE_FOLDER
+    );
+    const imageFolderHelp = document.createElement('p');
+    imageFolderHelp.className = 'settings-help-text';
+    imageFolderHelp.textContent =
+      'Where pasted and dropped images are saved, relative to the note (start with / for the workspace root)';
+    imageFolderGroup.appendChild(imageFolderHelp);
+    editorSection.appendChild(imageFolderGroup);
+
+    form.appendChild(editorSection);
+
+    form.appendChild(this.createKeybindingsSection());
+
     return form;
   }
 
+  /**
+   * Create the keyboard shortcuts section
+   */
+  createKeybindingsSection() {
+    const section = this.createSection('Keyboard Shortcuts');
+
+    const help = document.createElement('p');
+    help.className = 'settings-help-text';
+    help.textContent =
+      'Click a shortcut and press the new keys. Quick create opens the file search when you start typing outside the editor; bind it to keys or disable it if that gets in the way.';
+    section.appendChild(help);
+
+    this.keybindingList = document.createElement('div');
+    this.keybindingList.className = 'settings-keybindings';
+    this.keybindingList.setAttribute('data-testid', 'settings-keybindings');
+    section.appendChild(this.keybindingList);
+
+    const errorEl = document.createElement('div');
+    errorEl.className = 'settings-error';
+    errorEl.id = 'settings-keybindings-error';
+    section.appendChild(errorEl);
+
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'settings-keybindings-reset';
+    resetButton.textContent = 'Reset all shortcuts';
+    resetButton.setAttribute('data-testid', 'settings-keybindings-reset');
+    resetButton.addEventListener('click', () => {
+      this.keybindings = {};
+      keybindingRegistry.getActions().forEach((action) => {
+        this.keybindings[action.id] = action.defaultKeybinding;
+      });
+      this.keybindingErrors = {};
+      this.renderKeybindings();
+    });
+    section.appendChild(resetButton);
+
+    this.renderKeybindings();
+
+    return section;
+  }
+
+  /**
+   * Render the shortcut of every action, marking shortcuts used by more than one action
+   */
+  renderKeybindings() {
+    if (!this.keybindingList) {
+      return;
+    }
+
+    this.keybindingList.innerHTML = '';
+
+    // Titles of the other actions sharing each action's shortcut
+    const sharedWith = {};
+    keybindingRegistry.findConflicts(this.keybindings).forEach((ids) => {
+      ids.forEach((id) => {
+        sharedWith[id] = ids
+          .filter((other) => other !== id)
+          .map((other) => keybindingRegistry.getAction(other).title);
+      });
+    });
+
+    keybindingRegistry.getActions().forEach((action) => {
+      const keybinding = this.keybindings[action.id] ?? null;
+      const conflict = sharedWith[action.id];
+
+      const row = document.createElement('div');
+      row.className = 'settings-keybinding';
+      row.classList.toggle('conflict', !!conflict);
+      row.dataset.id = action.id;
+      row.setAttribute('data-testid', 'settings-keybinding');
+
+      const title = document.createElement('span');
+      title.className = 'settings-keybinding-title';
+      title.textContent = action.title;
+
+      const keyButton = document.createElement('button');
+      keyButton.type = 'button';
+      keyButton.className = 'settings-keybinding-key';
+      keyButton.classList.toggle('disabled', keybinding === null);
+      keyButton.textContent = keybinding === null ? 'Disabled' : formatKeybinding(keybinding);
+      keyButton.title = 'Click and press the new shortcut';
+      keyButton.setAttribute('aria-label', `Change the shortcut of ${action.title}`);
+      keyButton.addEventListener('click', () => this.recordKeybinding(action.id, keyButton));
+
+      const resetButton = this.createKeybindingButton('restart_alt', 'Reset to default', () => {
+        this.setKeybinding(action.id, action.defaultKeybinding);
+      });
+      resetButton.disabled = keybinding === action.defaultKeybinding;
+
+      const disableButton = this.createKeybindingButton('block', 'Disable', () => {
+        this.setKeybinding(action.id, null);
+      });
+      disableButton.disabled = keybinding === null;
+
+      row.appendChild(title);
+      row.appendChild(keyButton);
+      row.appendChild(resetButton);
+      row.appendChild(disableButton);
+
+      const message =
+        this.keybindingErrors[action.id] || (conflict && `Also used by ${conflict.join(', ')}`);
+      if (message) {
+        const errorEl = document.createElement('div');
+        errorEl.className = 'settings-error';
+        errorEl.textContent = message;
+        row.appendChild(errorEl);
+      }
+
+      this.keybindingList.appendChild(row);
+    });
+  }
+
+  /**
+   * Create an icon button of a shortcut row
+   * @param {string} icon - Material symbol name
+   * @param {string} label - Accessible label and tooltip
+   * @param {Function} onClick - Click handler
+   */
+  createKeybindingButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'settings-keybinding-action';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<span class="material-symbols-outlined">${icon}</span>`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Set the shortcut of an action being edited
+   * @param {string} id - Action id
+   * @param {string|null} keybinding - New keybinding, or null to disable it
+   */
+  setKeybinding(id, keybinding) {
+    this.keybindings[id] = keybinding;
+    delete this.keybindingErrors[id];
+    this.renderKeybindings();
+  }
+
+  /**
+   * Wait for the next key combination pressed on a shortcut button and use it
+   * Escape cancels; the keys never reach the app's own shortcuts.
+   * @param {string} id - Action id
+   * @param {HTMLElement} button - Shortcut button of the action
+   */
+  recordKeybinding(id, button) {
+    button.textContent = 'Press keys…';
+    button.classList.add('recording');
+    button.focus();
+
+    const stop = () => {
+      button.removeEventListener('keydown', onKeydown);
+      button.removeEventListener('blur', stop);
+      this.renderKeybindings();
+    };
+
+    const onKeydown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (e.key === 'Escape' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
+        stop();
+        return;
+      }
+
+      const keybinding = eventToKeybinding(e);
+      if (!keybinding) {
+        // Only a modifier so far
+        return;
+      }
+
+      if (isValidKeybinding(keybinding)) {
+        this.keybindings[id] = keybinding;
+        delete this.keybindingErrors[id];
+      } else {
+        this.keybindingErrors[id] =
+          `${formatKeybinding(keybinding)} would fire while typing; add Ctrl, Alt or Cmd`;
+      }
+      stop();
+    };
+
+    button.addEventListener('keydown', onKeydown);
+    button.addEventListener('blur', stop);
+  }
+
+  /**
+   * Create the OpenAI-compatible server section
+   * @param {Object} config - Saved endpoint, API key and model
+   */
+  createOpenAISection(config) {
+    const section = this.createSection('OpenAI-Compatible Server');
+    section.setAttribute('data-provider', OpenAIProvider.PROVIDER_NAME);
+
+    const endpointGroup = this.createFormGroup(
+      'openaiEndpoint',
+      'Endpoint URL',
+      'text',
+      config.endpoint || OpenAIProvider.DEFAULT_ENDPOINT,
+      OpenAIProvider.DEFAULT_ENDPOINT
+    );
+    const endpointHelp = document.createElement('p');
+    endpointHelp.className = 'settings-help-text';
+    endpointHelp.textContent =
+      'e.g. http://localhost:8080 for llama.cpp, http://localhost:1234 for LM Studio or http://localhost:8000 for vLLM';
+    endpointGroup.appendChild(endpointHelp);
+    section.appendChild(endpointGroup);
+
+    const apiKeyGroup = this.createFormGroup(
+      'openaiApiKey',
+      'API Key',
+      'password',
+      config.apiKey || '',
+      'Optional',
+      { autocomplete: 'off' }
+    );
+    const apiKeyHelp = document.createElement('p');
+    apiKeyHelp.className = 'settings-help-text';
+    apiKeyHelp.textContent = 'Only needed if the server requires one';
+    apiKeyGroup.appendChild(apiKeyHelp);
+    section.appendChild(apiKeyGroup);
+
+    section.appendChild(
+      this.createModelGroup(OpenAIProvider.PROVIDER_NAME, config.model || '', '')
+    );
+
+    // Ask the server for its models again once its address or key changes
+    const reload = () => this.loadModels(OpenAIProvider.PROVIDER_NAME);
+    endpointGroup.querySelector('input').addEventListener('change', reload);
+    apiKeyGroup.querySelector('input').addEventListener('change', reload);
+
+    return section;
+  }
+
+  /**
+   * Create a provider's model field with suggestions from its server, a status line and a
+   * button to test the connection
+   * @param {string} provider - Provider name
+   * @param {string} value - Saved model
+   * @param {string} placeholder - Placeholder text
+   */
+  createModelGroup(provider, value, placeholder) {
+    const { model: name } = MODEL_FIELDS[provider];
+    const group = this.createFormGroup(name, 'Model', 'text', value, placeholder, {
+      list: `settings-${name}-options`,
+      autocomplete: 'off',
+    });
+
+    const options = document.createElement('datalist');
+    options.id = `settings-${name}-options`;
+    group.appendChild(options);
+
+    const status = document.createElement('p');
+    status.className = 'settings-help-text settings-models-status';
+    status.setAttribute('role', 'status');
+    group.appendChild(status);
+
+    const testButton = document.createElement('button');
+    testButton.type = 'button';
+    testButton.className = 'settings-test-connection';
+    testButton.textContent = 'Test connection';
+    testButton.addEventListener('click', () => this.loadModels(provider));
+    group.appendChild(testButton);
+
+    return group;
+  }
+
+  /**
+   * Show the settings of the selected provider only
+   */
+  updateProviderSections() {
+    const provider = this.panel.querySelector('[name="provider"]').value;
+    this.panel.querySelectorAll('.settings-section[data-provider]').forEach((section) => {
+      section.hidden = section.getAttribute('data-provider') !== provider;
+    });
+
+    this.loadModels(provider);
+  }
+
+  /**
+   * Ask a provider's server for its models and offer them as model suggestions
+   * This also tests the connection: the status line says whether the server answered, and
+   * why not. When Ollama can't be reached its common models are suggested instead.
+   * @param {string} provider - Provider name
+   * @returns {Promise<void>}
+   */
+  async loadModels(provider) {
+    const fields = MODEL_FIELDS[provider];
+    const section = this.panel.querySelector(`.settings-section[data-provider="${provider}"]`);
+    const endpoint = this.panel.querySelector(`[name="${fields.endpoint}"]`).value.trim();
+    const apiKey = fields.apiKey
+      ? this.panel.querySelector(`[name="${fields.apiKey}"]`).value.trim()
+      : '';
+    const modelInput = this.panel.querySelector(`[name="${fields.model}"]`);
+    const status = section.querySelector('.settings-models-status');
+
+    this.modelsController?.abort();
+    const showStatus = (text, isError = false) => {
+      status.textContent = text;
+      status.classList.toggle('error', isError);
+    };
+
+    if (!validateEndpointUrl(endpoint)) {
+      this.setModelOptions(provider, []);
+      showStatus('');
+      return;
+    }
+
+    /* global AbortController */
+    const controller = new AbortController();
+    this.modelsController = controller;
+    showStatus('Connecting…');
+
+    try {
+      const models = await fetchModels(provider, { endpoint, apiKey }, controller.signal);
+      if (controller.signal.aborted) {
+        return;
+      }
+
+      this.setModelOptions(provider, models);
+
+      // Servers running a single model need no choice
+      if (!modelInput.value && models.length === 1) {
+        modelInput.value = models[0].value;
+      }
+
+      showStatus(describeModels(provider, models, modelInput.value.trim()));
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+
+      const fallback = getFallbackModels(provider);
+      this.setModelOptions(provider, fallback);
+      showStatus(
+        fallback.length > 0
+          ? `${error.message} Suggesting common models instead.`
+          : `Could not load models: ${error.message}`,
+        true
+      );
+    }
+  }
+
+  /**
+   * Replace a provider's model suggestions
+   * @param {string} provider - Provider name
+   * @param {Array<{value: string, label: string, detail?: string}>} models - Models
+   */
+  setModelOptions(provider, models) {
+    const options = this.panel.querySelector(`#settings-${MODEL_FIELDS[provider].model}-options`);
+    options.innerHTML = '';
+    models.forEach((model) => {
+      const option = document.createElement('option');
+      option.value = model.value;
+      // Browsers show the label next to the value, e.g. the size of an installed model
+      const label = model.detail || model.label;
+      if (label && label !== model.value) {
+        option.label = label;
+      }
+      options.appendChild(option);
+    });
+  }
+
   /**
    * Create a form section
    */
@@ -214,6 +699,15 @@ export class SettingsPanel {
       input = document.createElement('textarea');
       input.rows = 4;
       input.value = value;
+    } else if (type === 'select') {
+      input = document.createElement('select');
+      (attrs.options || []).forEach((option) => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.value;
+        optionEl.textContent = option.label;
+        input.appendChild(optionEl);
+      });
+      input.value = value || input.options[0]?.value || '';
     } else {
       input = document.createElement('input');
       input.type = type;
@@ -227,7 +721,7 @@ export class SettingsPanel {
 
     input.id = `settings-${name}`;
     input.name = name;
-    input.className = 'settings-input';
+    input.className = type === 'select' ? 'settings-input settings-select' : 'settings-input';
     input.setAttribute('data-testid', `settings-${name}`);
 
     if (placeholder) {
@@ -261,19 +755,33 @@ export class SettingsPanel {
   }
 
   /**
-   * Validate Ollama form data
+   * Validate the form data of the selected provider
    */
   validate(data) {
     const errors = {};
 
-    // Validate endpoint URL
-    if (!data.endpoint || !validateEndpointUrl(data.endpoint)) {
-      errors.endpoint = 'Please enter a valid HTTP or HTTPS URL';
+    if (data.provider === OpenAIProvider.PROVIDER_NAME) {
+      if (!validateEndpointUrl(data.openai.endpoint)) {
+        errors.openaiEndpoint = 'Please enter a valid HTTP or HTTPS URL';
+      }
+      if (!data.openai.model || data.openai.model.trim() === '') {
+        errors.openaiModel = 'Model is required';
+      }
+    } else {
+      // Validate endpoint URL
+      if (!data.endpoint || !validateEndpointUrl(data.endpoint)) {
+        errors.endpoint = 'Please enter a valid HTTP or HTTPS URL';
+      }
+
+      // Validate model
+      if (!data.model || data.model.trim() === '') {
+        errors.model = 'Model is required';
+      }
     }
 
-    // Validate model
-    if (!data.model || data.model.trim() === '') {
-      errors.model = 'Model is required';
+    // Each shortcut can only run one action
+    if (keybindingRegistry.findConflicts(this.keybindings).size > 0) {
+      errors.keybindings = 'Some shortcuts are used by more than one action';
     }
 
     return errors;
@@ -297,7 +805,7 @@ export class SettingsPanel {
   }
 
   /**
-   * Save Ollama settings
+   * Save settings
    */
   save() {
     const form = this.panel.querySelector('.settings-form');
@@ -305,9 +813,17 @@ export class SettingsPanel {
     const formData = new FormData(form);
 
     const data = {
+      provider: formData.get('provider'),
       endpoint: formData.get('endpoint'),
       model: formData.get('model'),
       systemPrompt: formData.get('systemPrompt'),
+      keymap: formData.get('keymap'),
+      imageFolder: formData.get('imageFolder').trim(),
+      openai: {
+        endpoint: formData.get('openaiEndpoint').trim(),
+        apiKey: formData.get('openaiApiKey').trim(),
+        model: formData.get('openaiModel'),
+      },
     };
 
     // Validate
@@ -315,11 +831,18 @@ export class SettingsPanel {
 
     if (Object.keys(errors).length > 0) {
       this.showErrors(errors);
+      // Showing errors clears them all; bring back the messages of the shortcut rows
+      this.renderKeybindings();
       return;
     }
 
     // Update settings
     updateSettings(data);
+    keybindingRegistry.setBindings(this.keybindings);
+
+    if (this.onSave) {
+      this.onSave();
+    }
 
     this.close();
   }
@@ -332,9 +855,16 @@ export class SettingsPanel {
       return;
     }
 
+    // Start editing from the saved shortcuts
+    this.keybindings = keybindingRegistry.getAll();
+    this.keybindingErrors = {};
+
     if (!this.panel) {
       this.create();
+    } else {
+      this.renderKeybindings();
     }
+    this.updateProviderSections();
 
     // Blur the editor when settings panel opens
     if (this.getEditor) {
@@ -384,6 +914,7 @@ export class SettingsPanel {
     }
 
     this.isOpen = false;
+    this.modelsController?.abort();
 
     // Remove ESC handler
     if (this.escHandler) {
@@ -407,5 +938,6 @@ export class SettingsPanel {
     this.close();
     this.panel = null;
     this.overlay = null;
+    this.keybindingList = null;
   }
 }
@@ -0,0 +1,112 @@
+/**
+ * Tab Bar
+ * Shows the open files above the editor, with their unsaved state,
+ * and the button that splits the editor in two panes
+ */
+
+export class TabBar {
+  /**
+   * @param {Object} options - Tab bar options
+   * @param {HTMLElement} options.element - Element the tab bar renders into
+   * @param {Function} options.onSelect - Called with the id of a clicked tab
+   * @param {Function} options.onClose - Called with the id of a tab to close
+   * @param {Function} options.onToggleSplit - Called when the split button is clicked
+   */
+  constructor(options = {}) {
+    this.element = options.element;
+    this.onSelect = options.onSelect || (() => {});
+    this.onClose = options.onClose || (() => {});
+    this.onToggleSplit = options.onToggleSplit || (() => {});
+  }
+
+  /**
+   * Render the tabs
+   * @param {Object} view - What to show
+   * @param {Array<Object>} view.tabs - Tabs in order: {id, path, filename, isDirty, isActive, isVisible}
+   * @param {boolean} view.splitOpen - Whether the split pane is open
+   * @param {boolean} view.canSplit - Whether the split pane can be opened
+   */
+  render({ tabs, splitOpen = false, canSplit = false }) {
+    this.element.innerHTML = '';
+    this.element.classList.toggle('hidden', tabs.length === 0);
+    if (tabs.length === 0) {
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'tab-list';
+    list.setAttribute('role', 'tablist');
+    tabs.forEach((tab) => list.appendChild(this.createTab(tab)));
+
+    const splitButton = document.createElement('button');
+    splitButton.type = 'button';
+    splitButton.className = 'tab-split-button';
+    splitButton.setAttribute('data-testid', 'tab-split');
+    splitButton.setAttribute('aria-pressed', String(splitOpen));
+    splitButton.classList.toggle('active', splitOpen);
+    splitButton.disabled = !splitOpen && !canSplit;
+    splitButton.title = splitOpen
+      ? 'Close split view'
+      : canSplit
+        ? 'Split view'
+        : 'Open another file to split the view';
+
+    const icon = document.createElement('span');
+    icon.className = 'material-symbols-outlined';
+    icon.textContent = 'vertical_split';
+    splitButton.appendChild(icon);
+    splitButton.addEventListener('click', () => this.onToggleSplit());
+
+    this.element.appendChild(list);
+    this.element.appendChild(splitButton);
+
+    // Keep the active tab in view
+    list.querySelector('.tab.active')?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+  }
+
+  /**
+   * Create the element of one tab
+   * @param {Object} tab - Tab to render
+   * @returns {HTMLElement}
+   */
+  createTab(tab) {
+    const item = document.createElement('div');
+    item.className = 'tab';
+    item.classList.toggle('active', tab.isActive);
+    item.classList.toggle('visible', tab.isVisible);
+    item.classList.toggle('has-changes', tab.isDirty);
+    item.dataset.id = tab.id;
+    item.title = tab.path;
+    item.setAttribute('role', 'tab');
+    item.setAttribute('aria-selected', String(tab.isActive));
+    item.setAttribute('data-testid', 'tab');
+
+    const name = document.createElement('span');
+    name.className = 'tab-name';
+    name.textContent = tab.filename;
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'tab-close';
+    closeButton.innerHTML = '&times;';
+    closeButton.setAttribute('aria-label', `Close ${tab.filename}`);
+    closeButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.onClose(tab.id);
+    });
+
+    item.appendChild(name);
+    item.appendChild(closeButton);
+
+    item.addEventListener('click', () => this.onSelect(tab.id));
+    // Middle click closes, like browser tabs
+    item.addEventListener('auxclick', (e) => {
+      if (e.button === 1) {
+        e.preventDefault();
+        this.onClose(tab.id);
+      }
+    });
+
+    return item;
+  }
+}
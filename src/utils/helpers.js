@@ -22,3 +22,26 @@ export function debounce(func, wait) {
     timeout = setTimeout(later, wait);
   };
 }
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "12.3 KB"
+ */
+export const formatFileSize = (bytes) =>
+  bytes < 1024
+    ? bytes + ' B'
+    : bytes < 1024 * 1024
+      ? (bytes / 1024).toFixed(1) + ' KB'
+      : (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+
+/**
+ * Escape text for use in HTML markup and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+export const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
@@ -0,0 +1,216 @@
+/**
+ * Three-Way Merge Utility
+ *
+ * Merges two edited versions of a text against the version both started from.
+ * Changes that don't overlap are combined; overlapping changes are kept side by side
+ * between conflict markers, as git does.
+ */
+
+import { diff } from '@codemirror/merge';
+
+export const CONFLICT_MARKERS = {
+  start: '<<<<<<< Your changes',
+  separator: '=======',
+  end: '>>>>>>> On disk',
+};
+
+// Lines are diffed by mapping each distinct line to one character, starting above Latin-1
+const FIRST_LINE_CODE = 0x100;
+const SURROGATE_START = 0xd800;
+const SURROGATE_END = 0xdfff;
+const LAST_LINE_CODE = 0xffff;
+
+/**
+ * Split text into lines, keeping the line breaks
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines; the last one has no break if the text doesn't end with one
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Encode the lines of several texts as strings with one character per line
+ * @param {Array<Array<string>>} texts - Lines of each text
+ * @returns {Array<string>|null} Encoded texts, or null when there are too many distinct lines
+ */
+function encodeLines(texts) {
+  const codes = new Map();
+  let nextCode = FIRST_LINE_CODE;
+
+  const encoded = [];
+  for (const lines of texts) {
+    let result = '';
+    for (const line of lines) {
+      if (!codes.has(line)) {
+        if (nextCode === SURROGATE_START) {
+          nextCode = SURROGATE_END + 1;
+        }
+        if (nextCode > LAST_LINE_CODE) {
+          return null;
+        }
+        codes.set(line, String.fromCharCode(nextCode++));
+      }
+      result += codes.get(line);
+    }
+    encoded.push(result);
+  }
+  return encoded;
+}
+
+/**
+ * Make sure a conflict side ends with a line break, so the next marker starts its own line
+ * @param {string} text - Text of one side
+ * @returns {string}
+ */
+function terminate(text) {
+  return text === '' || text.endsWith('\n') ? text : `${text}\n`;
+}
+
+/**
+ * Format a conflict between the local and remote versions of a region
+ * @param {string} local - Local text of the region
+ * @param {string} remote - Remote text of the region
+ * @returns {string}
+ */
+function formatConflict(local, remote) {
+  return (
+    `${CONFLICT_MARKERS.start}\n${terminate(local)}` +
+    `${CONFLICT_MARKERS.separator}\n${terminate(remote)}` +
+    `${CONFLICT_MARKERS.end}\n`
+  );
+}
+
+/**
+ * Merge local and remote edits of the same base text
+ * @param {string} base - Text both versions started from
+ * @param {string} local - Text with the local edits (editor buffer)
+ * @param {string} remote - Text with the remote edits (file on disk)
+ * @returns {{content: string, conflicts: number}} Merged text and the number of conflicts in it
+ */
+export function mergeThreeWay(base, local, remote) {
+  if (local === remote || remote === base) {
+    return { content: local, conflicts: 0 };
+  }
+  if (local === base) {
+    return { content: remote, conflicts: 0 };
+  }
+
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const remoteLines = splitLines(remote);
+
+  const encoded = encodeLines([baseLines, localLines, remoteLines]);
+  if (!encoded) {
+    return { content: formatConflict(local, remote), conflicts: 1 };
+  }
+
+  const [baseCodes, localCodes, remoteCodes] = encoded;
+  const hunks = [
+    ...diff(baseCodes, localCodes).map((change) => ({ change, side: 'local' })),
+    ...diff(baseCodes, remoteCodes).map((change) => ({ change, side: 'remote' })),
+  ].sort((a, b) => a.change.fromA - b.change.fromA || a.change.toA - b.change.toA);
+
+  // Offset of the base positions in each side after the hunks merged so far
+  const offsets = { local: 0, remote: 0 };
+  const sideLines = { local: localLines, remote: remoteLines };
+
+  let content = '';
+  let conflicts = 0;
+  let basePos = 0;
+  let i = 0;
+
+  while (i < hunks.length) {
+    // Group hunks whose base ranges overlap into one region; insertions at the same
+    // position overlap too, since there's no telling which goes first
+    const region = [hunks[i]];
+    const from = hunks[i].change.fromA;
+    let to = hunks[i].change.toA;
+    i++;
+    while (
+      i < hunks.length &&
+      (hunks[i].change.fromA < to || (from === to && hunks[i].change.fromA === to))
+    ) {
+      region.push(hunks[i]);
+      to = Math.max(to, hunks[i].change.toA);
+      i++;
+    }
+
+    content += baseLines.slice(basePos, from).join('');
+
+    // Text of each side for the base range [from, to)
+    const texts = {};
+    for (const side of ['local', 'remote']) {
+      const sideHunks = region.filter((hunk) => hunk.side === side);
+      if (sideHunks.length === 0) {
+        texts[side] = null;
+        continue;
+      }
+      const last = sideHunks[sideHunks.length - 1].change;
+      const sideFrom = from + offsets[side];
+      offsets[side] = last.toB - last.toA;
+      texts[side] = sideLines[side].slice(sideFrom, to + offsets[side]).join('');
+    }
+
+    if (texts.remote === null) {
+      content += texts.local;
+    } else if (texts.local === null || texts.local === texts.remote) {
+      content += texts.remote;
+    } else {
+      content += formatConflict(texts.local, texts.remote);
+      conflicts++;
+    }
+    basePos = to;
+  }
+
+  content += baseLines.slice(basePos).join('');
+  return { content, conflicts };
+}
+
+/**
+ * Check whether text still contains conflict markers
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+export function hasConflictMarkers(text) {
+  return text.includes(CONFLICT_MARKERS.start) && findConflicts(text).length > 0;
+}
+
+/**
+ * Find the conflicts marked in a text
+ * @param {string} text - Text to search
+ * @returns {Array<{from: number, to: number, separator: number, end: number, local: string, remote: string}>}
+ *   Conflicts in order: from/to span the whole block, separator and end are the starts of
+ *   those marker lines, local and remote are the texts of each side
+ */
+export function findConflicts(text) {
+  const conflicts = [];
+  let current = null;
+  let pos = 0;
+
+  for (const line of splitLines(text)) {
+    const content = line.endsWith('\n') ? line.slice(0, -1) : line;
+
+    if (content === CONFLICT_MARKERS.start) {
+      current = { from: pos, separator: null };
+    } else if (current && current.separator === null && content === CONFLICT_MARKERS.separator) {
+      current.separator = pos;
+    } else if (current && current.separator !== null && content === CONFLICT_MARKERS.end) {
+      const localFrom = current.from + CONFLICT_MARKERS.start.length + 1;
+      const remoteFrom = current.separator + CONFLICT_MARKERS.separator.length + 1;
+      conflicts.push({
+        from: current.from,
+        to: pos + line.length,
+        separator: current.separator,
+        end: pos,
+        local: text.slice(localFrom, current.separator),
+        remote: text.slice(remoteFrom, pos),
+      });
+      current = null;
+    }
+
+    pos += line.length;
+  }
+
+  return conflicts;
+}
@@ -6,6 +6,7 @@ import {
   loadTempChanges,
   clearTempChanges,
   hasTempChanges,
+  moveTempChanges,
   getLanguageExtension,
   isFileSystemAccessSupported,
   buildBreadcrumbPath,
@@ -92,6 +93,21 @@ describe('Temp Storage Functions', () => {
       expect(hasTempChanges('nonexistent.js')).toBe(false);
     });
   });
+
+  describe('moveTempChanges', () => {
+    it('should move temp changes to their new keys', () => {
+      saveTempChanges('root/old.md', 'unsaved');
+      saveTempChanges('root/other.md', 'other');
+      localStorage.setItem('unrelated', 'value');
+
+      moveTempChanges((key) => (key === 'root/old.md' ? 'root/new.md' : key));
+
+      expect(loadTempChanges('root/new.md')).toBe('unsaved');
+      expect(hasTempChanges('root/old.md')).toBe(false);
+      expect(loadTempChanges('root/other.md')).toBe('other');
+      expect(localStorage.getItem('unrelated')).toBe('value');
+    });
+  });
 });
 
 describe('Language Detection', () => {
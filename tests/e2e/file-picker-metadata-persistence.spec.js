@@ -127,12 +127,12 @@ test.describe('File Picker - Metadata Persistence', () => {
     if (dirCount > 0) {
       const firstDir = directories.first();
 
-      // Directories should not have metadata or delete buttons
+      // Directories have no metadata, but can be moved to trash
       const metadata = firstDir.locator('.file-item-metadata');
       const deleteBtn = firstDir.locator('.file-item-delete');
 
       await expect(metadata).not.toBeVisible();
-      await expect(deleteBtn).not.toBeVisible();
+      await expect(deleteBtn).toHaveCount(1);
     }
   });
 
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { EditorState } from '@codemirror/state';
+import { getSymbols, hasSymbolOutline } from '../../src/editor/symbol-outline.js';
+import { getLanguageExtension } from '../../src/editor/language-support.js';
+
+const stateFor = (filename, doc) =>
+  EditorState.create({ doc, extensions: [getLanguageExtension(filename)] });
+
+const outline = (filename, doc) =>
+  getSymbols(stateFor(filename, doc)).map(({ name, kind, level }) => `${level} ${kind} ${name}`);
+
+describe('Symbol Outline', () => {
+  describe('hasSymbolOutline', () => {
+    it('should support code and data languages', () => {
+      ['a.js', 'a.ts', 'a.py', 'a.go', 'a.rs', 'a.json', 'a.yaml', 'a.css'].forEach((name) => {
+        expect(hasSymbolOutline(stateFor(name, ''))).toBe(true);
+      });
+    });
+
+    it('should not support other languages', () => {
+      expect(hasSymbolOutline(stateFor('a.sh', ''))).toBe(false);
+      expect(hasSymbolOutline(stateFor('a.txt', ''))).toBe(false);
+    });
+  });
+
+  describe('getSymbols', () => {
+    it('should list JavaScript functions, classes and methods', () => {
+      const doc = [
+        'export function load(path) {}',
+        'class Store {',
+        '  get size() {}',
+        '  save() {}',
+        '}',
+        'const format = (value) => value;',
+        'const limit = 10;',
+      ].join('\n');
+
+      expect(outline('a.js', doc)).toEqual([
+        '1 function load',
+        '1 class Store',
+        '2 method size',
+        '2 method save',
+        '1 function format',
+      ]);
+    });
+
+    it('should list TypeScript types', () => {
+      const doc = 'interface Point { x: number }\ntype Id = string;\nenum Color { Red }';
+
+      expect(outline('a.ts', doc)).toEqual(['1 interface Point', '1 type Id', '1 enum Color']);
+    });
+
+    it('should list Python classes and functions', () => {
+      const doc = 'def main():\n    pass\n\nclass Parser:\n    def parse(self):\n        pass\n';
+
+      expect(outline('a.py', doc)).toEqual([
+        '1 function main',
+        '1 class Parser',
+        '2 function parse',
+      ]);
+    });
+
+    it('should list Go functions, methods and types', () => {
+      const doc =
+        'package main\nfunc main() {}\nfunc (s *Server) Start() {}\ntype Server struct {}\n';
+
+      expect(outline('a.go', doc)).toEqual(['1 function main', '1 method Start', '1 type Server']);
+    });
+
+    it('should list Rust items', () => {
+      const doc =
+        'struct Point {}\nimpl Point {\n  fn new() {}\n}\nmod util {\n  fn helper() {}\n}\n';
+
+      expect(outline('a.rs', doc)).toEqual([
+        '1 struct Point',
+        '1 impl Point',
+        '2 function new',
+        '1 module util',
+        '2 function helper',
+      ]);
+    });
+
+    it('should list nested JSON and YAML keys', () => {
+      expect(outline('a.json', '{"name": "app", "scripts": {"test": "vitest"}}')).toEqual([
+        '1 key name',
+        '1 key scripts',
+        '2 key test',
+      ]);
+      expect(outline('a.yaml', 'jobs:\n  build:\n    runs-on: ubuntu\n')).toEqual([
+        '1 key jobs',
+        '2 key build',
+        '3 key runs-on',
+      ]);
+    });
+
+    it('should list CSS selectors', () => {
+      const doc =
+        'body,\n.card > p { color: red }\n@media (max-width: 600px) { .card { padding: 0 } }';
+
+      expect(outline('a.css', doc)).toEqual([
+        '1 selector body, .card > p',
+        '1 at-rule @media (max-width: 600px)',
+        '2 selector .card',
+      ]);
+    });
+
+    it('should return the position of each symbol', () => {
+      const doc = 'const a = 1;\nfunction b() {}';
+
+      expect(getSymbols(stateFor('a.js', doc))[0].pos).toBe(doc.indexOf('function'));
+    });
+
+    it('should return no symbols for other languages', () => {
+      expect(getSymbols(stateFor('a.sh', 'foo() { echo; }'))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/* global MouseEvent */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SourceView } from '../../src/editors/source-view.js';
+
+const text = 'a\n<<<<<<< Your changes\nmine\n=======\ntheirs\n>>>>>>> On disk\nb\n';
+
+describe('Conflict markers', () => {
+  let container;
+  let sourceView;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    sourceView = new SourceView(container, text);
+  });
+
+  afterEach(() => {
+    sourceView.destroy();
+    container.remove();
+  });
+
+  const clickAction = (label) => {
+    const button = [...container.querySelectorAll('.cm-conflict-action')].find(
+      (el) => el.textContent === label
+    );
+    button.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+  };
+
+  it('should highlight both sides of a conflict', () => {
+    expect(container.querySelectorAll('.cm-conflict-marker')).toHaveLength(3);
+    expect(container.querySelector('.cm-conflict-local').textContent).toBe('mine');
+    expect(container.querySelector('.cm-conflict-remote').textContent).toBe('theirs');
+  });
+
+  it('should keep your side', () => {
+    clickAction('Keep yours');
+
+    expect(sourceView.getContent()).toBe('a\nmine\nb\n');
+    expect(container.querySelector('.cm-conflict-marker')).toBeNull();
+  });
+
+  it('should keep the disk side', () => {
+    clickAction('Keep disk');
+
+    expect(sourceView.getContent()).toBe('a\ntheirs\nb\n');
+  });
+
+  it('should keep both sides', () => {
+    clickAction('Keep both');
+
+    expect(sourceView.getContent()).toBe('a\nmine\ntheirs\nb\n');
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DiffView } from '../../src/editors/diff-view.js';
+
+/* global MouseEvent */
+const press = (button) => button.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+
+// Let CodeMirror measure the layout and draw the merge controls
+const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe('DiffView', () => {
+  let parent;
+  let view;
+  let onChange;
+
+  beforeEach(() => {
+    parent = document.createElement('div');
+    document.body.appendChild(parent);
+    onChange = vi.fn();
+  });
+
+  afterEach(() => {
+    view.destroy();
+    parent.remove();
+  });
+
+  const createView = (options = {}) => {
+    view = new DiffView({
+      parent,
+      original: 'one\ntwo\nthree\n',
+      modified: 'one\nTWO\nthree\nfour\n',
+      filename: 'notes.md',
+      onChange,
+      ...options,
+    });
+    return view;
+  };
+
+  it('should show both versions side by side', () => {
+    createView();
+
+    expect(parent.querySelectorAll('.cm-mergeView .cm-editor')).toHaveLength(2);
+    expect(view.getChangeCount()).toBe(2);
+    expect(view.getContent()).toBe('one\nTWO\nthree\nfour\n');
+  });
+
+  it('should take a hunk from the original side by side', async () => {
+    createView({ mergeControls: true, phrases: { 'Revert this chunk': 'Use on disk' } });
+    await nextFrame();
+
+    const buttons = parent.querySelectorAll('.cm-merge-revert button');
+    expect(buttons[0].title).toBe('Use on disk');
+    press(buttons[0]);
+
+    expect(view.getContent()).toBe('one\ntwo\nthree\nfour\n');
+    expect(view.getChangeCount()).toBe(1);
+    expect(onChange).toHaveBeenCalledWith('one\ntwo\nthree\nfour\n');
+  });
+
+  it('should keep or reject hunks inline', async () => {
+    createView({ mode: 'inline', mergeControls: true });
+    await nextFrame();
+
+    press(parent.querySelector('button[name="accept"]'));
+    expect(view.getContent()).toBe('one\nTWO\nthree\nfour\n');
+    expect(view.getChangeCount()).toBe(1);
+
+    press(parent.querySelector('button[name="reject"]'));
+    expect(view.getContent()).toBe('one\nTWO\nthree\n');
+    expect(view.getChangeCount()).toBe(0);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep the merged text when switching modes', () => {
+    createView();
+    view.view.dispatch({ changes: { from: 0, to: 3, insert: 'ONE' } });
+
+    view.setMode('inline');
+
+    expect(parent.querySelector('.cm-mergeView')).toBeNull();
+    expect(view.getContent()).toBe('ONE\nTWO\nthree\nfour\n');
+  });
+
+  it('should not allow edits when read-only', () => {
+    createView({ readOnly: true });
+
+    expect(view.view.state.readOnly).toBe(true);
+    expect(parent.querySelector('.cm-merge-revert')).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+/* global KeyboardEvent */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Vim, getCM } from '@replit/codemirror-vim';
+import { SourceView } from '../../src/editors/source-view.js';
+import {
+  getKeymapMode,
+  applyKeymapMode,
+  setKeymapSaveHandler,
+} from '../../src/editors/editor-keymap.js';
+import { settingsManager } from '../../src/state/settings-manager.js';
+
+describe('Editor keymap', () => {
+  let container;
+  let sourceView;
+  let save;
+
+  const createView = () => {
+    sourceView = new SourceView(container, 'first line\nsecond line\n');
+    return sourceView.view;
+  };
+
+  const press = (view, key, options = {}) => {
+    view.contentDOM.dispatchEvent(
+      new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options })
+    );
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    save = vi.fn();
+    setKeymapSaveHandler(save);
+  });
+
+  afterEach(() => {
+    sourceView?.destroy();
+    sourceView = null;
+    container.remove();
+    setKeymapSaveHandler(null);
+  });
+
+  describe('getKeymapMode', () => {
+    it('should default to the standard keymap', () => {
+      expect(getKeymapMode()).toBe('default');
+
+      settingsManager.update({ keymap: 'nano' });
+      expect(getKeymapMode()).toBe('default');
+    });
+
+    it('should read the mode from settings', () => {
+      settingsManager.update({ keymap: 'vim' });
+
+      expect(getKeymapMode()).toBe('vim');
+    });
+  });
+
+  describe('Vim', () => {
+    beforeEach(() => {
+      settingsManager.update({ keymap: 'vim' });
+    });
+
+    it('should show the mode below the editor', () => {
+      const view = createView();
+
+      expect(container.querySelector('.cm-vim-panel').textContent).toContain('--NORMAL--');
+
+      press(view, 'i');
+      expect(container.querySelector('.cm-vim-panel').textContent).toContain('--INSERT--');
+    });
+
+    it('should save on :w', () => {
+      const view = createView();
+
+      Vim.handleEx(getCM(view), 'w');
+
+      expect(save).toHaveBeenCalled();
+    });
+
+    it('should not change the document from normal mode keys', () => {
+      const view = createView();
+
+      press(view, 'x');
+
+      expect(sourceView.getContent()).toBe('irst line\nsecond line\n');
+    });
+  });
+
+  describe('Emacs', () => {
+    beforeEach(() => {
+      settingsManager.update({ keymap: 'emacs' });
+    });
+
+    it('should move with Emacs keys', () => {
+      const view = createView();
+
+      press(view, 'n', { code: 'KeyN', ctrlKey: true });
+
+      expect(sourceView.getCursor().line).toBe(1);
+    });
+
+    it('should save on C-x C-s', () => {
+      const view = createView();
+
+      press(view, 'x', { code: 'KeyX', ctrlKey: true });
+      press(view, 's', { code: 'KeyS', ctrlKey: true });
+
+      expect(save).toHaveBeenCalled();
+    });
+  });
+
+  describe('applyKeymapMode', () => {
+    it('should switch open editors to the mode in settings', () => {
+      const view = createView();
+      expect(container.querySelector('.cm-vim-panel')).toBeNull();
+
+      settingsManager.update({ keymap: 'vim' });
+      applyKeymapMode();
+      expect(container.querySelector('.cm-vim-panel')).not.toBeNull();
+
+      settingsManager.update({ keymap: 'default' });
+      applyKeymapMode();
+      expect(container.querySelector('.cm-vim-panel')).toBeNull();
+
+      press(view, 'x');
+      expect(sourceView.getContent()).toBe('first line\nsecond line\n');
+    });
+  });
+});
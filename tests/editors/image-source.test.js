@@ -0,0 +1,50 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EditorView } from '@codemirror/view';
+import { EditorState } from '@codemirror/state';
+import { imagePasteExtension } from '../../src/editors/image-source.js';
+import { configureImageAssets } from '../../src/links/image-assets.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+
+/* global File, Event */
+describe('Source editor images', () => {
+  let view;
+  let root;
+
+  const paste = (files) => {
+    const event = new Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = { files, getData: () => '' };
+    view.contentDOM.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    root = createMockDirectoryHandle('workspace', { 'readme.md': '# Readme' });
+    configureImageAssets({ getRootHandle: () => root, getCurrentPath: () => 'readme.md' });
+    view = new EditorView({
+      state: EditorState.create({ doc: 'Intro\n', extensions: [imagePasteExtension()] }),
+      parent: document.body,
+    });
+    view.dispatch({ selection: { anchor: 6 } });
+  });
+
+  afterEach(() => {
+    view.destroy();
+    configureImageAssets({ getRootHandle: () => null, getCurrentPath: () => null });
+  });
+
+  it('should save pasted images and insert markdown links', async () => {
+    const event = paste([new File(['png'], 'shot one.png', { type: 'image/png' })]);
+
+    expect(event.defaultPrevented).toBe(true);
+    await vi.waitFor(() =>
+      expect(view.state.doc.toString()).toBe('Intro\n![shot-one](assets/shot-one.png)')
+    );
+  });
+
+  it('should leave pastes without images to the editor', async () => {
+    paste([new File(['a'], 'a.txt', { type: 'text/plain' })]);
+
+    await expect(root.getDirectoryHandle('assets')).rejects.toThrow();
+    expect(view.state.doc.toString()).toBe('Intro\n');
+  });
+});
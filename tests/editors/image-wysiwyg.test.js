@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { editorViewCtx } from '@milkdown/core';
+import { TextSelection } from '@milkdown/prose/state';
+import { getMarkdown } from '@milkdown/utils';
+import { WYSIWYGView } from '../../src/editors/wysiwyg-view.js';
+import { configureImageAssets, clearImageUrls } from '../../src/links/image-assets.js';
+import { openFileByPath } from '../../src/fs/filesystem-adapter.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+
+/* global File */
+describe('WYSIWYG images', () => {
+  let container;
+  let editorView;
+  let root;
+
+  const createView = async (markdown) => {
+    editorView = new WYSIWYGView(container, markdown);
+    await editorView.ready();
+    return editorView.editor.action((ctx) => ctx.get(editorViewCtx));
+  };
+
+  const serialize = () => editorView.editor.action(getMarkdown());
+
+  const paste = (view, files) => {
+    const event = { clipboardData: { files }, preventDefault: vi.fn() };
+    return view.someProp('handlePaste', (f) => f(view, event));
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createMockDirectoryHandle('workspace', {
+      notes: { 'todo.md': '# Todo', assets: { 'chart.png': 'chart' } },
+    });
+    configureImageAssets({ getRootHandle: () => root, getCurrentPath: () => 'notes/todo.md' });
+  });
+
+  afterEach(() => {
+    editorView.destroy();
+    container.remove();
+    clearImageUrls();
+    configureImageAssets({ getRootHandle: () => null, getCurrentPath: () => null });
+  });
+
+  it('should load relative images from the workspace', async () => {
+    await createView('![Chart](assets/chart.png)\n');
+
+    const img = container.querySelector('img');
+    expect(img.getAttribute('data-src')).toBe('assets/chart.png');
+    await vi.waitFor(() => expect(img.getAttribute('src')).toMatch(/^blob:/));
+    expect(img.alt).toBe('Chart');
+    expect(serialize().trim()).toBe('![Chart](assets/chart.png)');
+  });
+
+  it('should leave remote images as they are', async () => {
+    await createView('![Logo](https://example.com/logo.png)\n');
+
+    expect(container.querySelector('img').getAttribute('src')).toBe('https://example.com/logo.png');
+  });
+
+  it('should save pasted images and link them', async () => {
+    const view = await createView('Before\n');
+    const end = view.state.doc.firstChild.nodeSize - 1;
+    view.dispatch(view.state.tr.setSelection(TextSelection.create(view.state.doc, end)));
+
+    const image = new File(['png'], 'diagram.png', { type: 'image/png' });
+    expect(paste(view, [image])).toBe(true);
+
+    await vi.waitFor(() => expect(serialize().trim()).toBe('Before![diagram](assets/diagram.png)'));
+    expect(await openFileByPath(root, 'notes/assets/diagram.png')).not.toBeNull();
+  });
+
+  it('should leave pastes without images to the editor', async () => {
+    const view = await createView('Text\n');
+
+    expect(paste(view, [new File(['a'], 'a.txt', { type: 'text/plain' })])).toBeFalsy();
+  });
+
+  it('should leave pasted images to the editor without a workspace', async () => {
+    root = null;
+    const view = await createView('Text\n');
+
+    expect(paste(view, [new File(['png'], 'a.png', { type: 'image/png' })])).toBeFalsy();
+  });
+});
@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TabManager, createTabManager } from '../../src/editors/tab-manager.js';
+
+describe('Tab Manager', () => {
+  let manager;
+  let main;
+  let split;
+  // The app's state of the open file, moved in and out of tabs like app.js does
+  let current;
+  let applied;
+  let destroyed;
+  let onChange;
+
+  const open = (path) => {
+    const element = manager.prepareEditor(path, { path });
+    current = { content: path };
+    return element;
+  };
+
+  beforeEach(() => {
+    main = document.createElement('div');
+    split = document.createElement('div');
+    split.classList.add('hidden');
+    current = {};
+    applied = [];
+    destroyed = [];
+    onChange = vi.fn();
+
+    manager = createTabManager({
+      panes: { main, split },
+      captureState: () => current,
+      applyState: (slot) => {
+        applied.push(slot);
+        current = slot.state;
+      },
+      destroyState: (state) => destroyed.push(state),
+      onChange,
+    });
+  });
+
+  describe('createTabManager', () => {
+    it('should create a TabManager instance', () => {
+      expect(manager).toBeInstanceOf(TabManager);
+      expect(manager.getTabs()).toEqual([]);
+    });
+  });
+
+  describe('prepareEditor', () => {
+    it('should use the empty slot when no file is open', () => {
+      const element = manager.prepareEditor(null);
+
+      expect(manager.getTabs()).toEqual([]);
+      expect(manager.getActiveTab()).toBeNull();
+      expect(main.contains(element)).toBe(true);
+    });
+
+    it('should open a tab and show its element in the main pane', () => {
+      const element = open('notes/todo.md');
+
+      const tab = manager.getTab('notes/todo.md');
+      expect(tab.filename).toBe('todo.md');
+      expect(tab.loaded).toBe(true);
+      expect(tab.file).toEqual({ path: 'notes/todo.md' });
+      expect(tab.element).toBe(element);
+      expect(manager.getActiveTab()).toBe(tab);
+      expect(main.children).toHaveLength(1);
+      expect(main.firstChild).toBe(element);
+    });
+
+    it('should keep the previous file in its tab', () => {
+      open('a.md');
+      open('b.md');
+
+      expect(manager.getTab('a.md').state).toEqual({ content: 'a.md' });
+      expect(main.firstChild).toBe(manager.getTab('b.md').element);
+    });
+
+    it('should insert new tabs after the active one', () => {
+      open('a.md');
+      open('b.md');
+      manager.activate(manager.getTab('a.md'));
+      open('c.md');
+
+      expect(manager.getTabs().map((tab) => tab.path)).toEqual(['a.md', 'c.md', 'b.md']);
+    });
+
+    it('should reuse the tab of a file that is already open', () => {
+      open('a.md');
+      open('b.md');
+      open('a.md');
+
+      expect(manager.getTabs()).toHaveLength(2);
+      expect(manager.getActiveTab().path).toBe('a.md');
+    });
+  });
+
+  describe('activate', () => {
+    it('should capture the open file and apply the tab state', () => {
+      open('a.md');
+      open('b.md');
+
+      manager.activate(manager.getTab('a.md'));
+
+      expect(current).toEqual({ content: 'a.md' });
+      expect(manager.getTab('b.md').state).toEqual({ content: 'b.md' });
+      expect(applied.at(-1)).toBe(manager.getTab('a.md'));
+    });
+
+    it('should keep the scroll position of each tab', () => {
+      open('a.md');
+      main.scrollTop = 120;
+      open('b.md');
+      main.scrollTop = 0;
+
+      manager.activate(manager.getTab('a.md'));
+
+      expect(main.scrollTop).toBe(120);
+    });
+
+    it('should not capture or apply state for the tab that is already active', () => {
+      open('a.md');
+      applied = [];
+
+      manager.activate(manager.getTab('a.md'));
+
+      expect(applied).toEqual([]);
+      expect(onChange).toHaveBeenCalled();
+    });
+  });
+
+  describe('closeTab', () => {
+    it('should switch to the most recently used tab', () => {
+      vi.useFakeTimers();
+      open('a.md');
+      vi.advanceTimersByTime(10);
+      open('b.md');
+      vi.advanceTimersByTime(10);
+      open('c.md');
+      vi.advanceTimersByTime(10);
+      manager.activate(manager.getTab('a.md'));
+      vi.advanceTimersByTime(10);
+      open('c.md');
+      vi.useRealTimers();
+
+      manager.closeTab(manager.getTab('c.md').id);
+
+      expect(manager.getActiveTab().path).toBe('a.md');
+      expect(manager.getTabs().map((tab) => tab.path)).toEqual(['a.md', 'b.md']);
+    });
+
+    it('should destroy the editors of the closed tab', () => {
+      open('a.md');
+      open('b.md');
+
+      manager.closeTab(manager.getTab('a.md').id);
+
+      expect(destroyed).toEqual([{ content: 'a.md' }]);
+      expect(manager.getActiveTab().path).toBe('b.md');
+    });
+
+    it('should show the empty slot when the last tab closes', () => {
+      open('a.md');
+      const tab = manager.getTab('a.md');
+
+      expect(manager.closeTab(tab.id)).toBe(true);
+
+      expect(manager.getActiveTab()).toBeNull();
+      expect(main.contains(tab.element)).toBe(false);
+      expect(main.children).toHaveLength(1);
+    });
+
+    it('should ignore unknown tabs', () => {
+      expect(manager.closeTab('tab-404')).toBe(false);
+    });
+  });
+
+  describe('closeAll', () => {
+    it('should close every tab and leave the empty slot', () => {
+      open('a.md');
+      open('b.md');
+
+      manager.closeAll();
+
+      expect(manager.getTabs()).toEqual([]);
+      expect(manager.getActiveTab()).toBeNull();
+      expect(destroyed).toEqual([{ content: 'a.md' }, { content: 'b.md' }]);
+    });
+  });
+
+  describe('split', () => {
+    it('should need an active tab and another tab', () => {
+      open('a.md');
+      expect(manager.canSplit()).toBe(false);
+      expect(manager.openSplit()).toBe(false);
+
+      open('b.md');
+      expect(manager.canSplit()).toBe(true);
+    });
+
+    it('should show the active tab next to the tab used before it', () => {
+      open('a.md');
+      open('b.md');
+
+      expect(manager.openSplit()).toBe(true);
+
+      expect(split.classList.contains('hidden')).toBe(false);
+      expect(main.firstChild).toBe(manager.getTab('a.md').element);
+      expect(split.firstChild).toBe(manager.getTab('b.md').element);
+      expect(manager.activePane).toBe('split');
+      expect(current).toEqual({ content: 'b.md' });
+    });
+
+    it('should make a pane current when it gets focus', () => {
+      open('a.md');
+      open('b.md');
+      manager.openSplit();
+
+      manager.focusPane('main');
+
+      expect(manager.activePane).toBe('main');
+      expect(manager.getActiveTab().path).toBe('a.md');
+      expect(current).toEqual({ content: 'a.md' });
+    });
+
+    it('should move a tab that is shown in the other pane', () => {
+      open('a.md');
+      open('b.md');
+      manager.openSplit();
+
+      manager.activate(manager.getTab('b.md'), 'main');
+
+      expect(main.firstChild).toBe(manager.getTab('b.md').element);
+      expect(split.contains(manager.getTab('a.md').element)).toBe(false);
+      expect(split.children).toHaveLength(1);
+    });
+
+    it('should keep the main tab active when the split closes', () => {
+      open('a.md');
+      open('b.md');
+      manager.openSplit();
+
+      manager.closeSplit();
+
+      expect(split.classList.contains('hidden')).toBe(true);
+      expect(split.children).toHaveLength(0);
+      expect(manager.getActiveTab().path).toBe('a.md');
+      expect(manager.getTabs()).toHaveLength(2);
+    });
+
+    it('should close when too few tabs are left', () => {
+      open('a.md');
+      open('b.md');
+      manager.openSplit();
+
+      manager.closeTab(manager.getTab('b.md').id);
+
+      expect(manager.splitOpen).toBe(false);
+      expect(manager.getActiveTab().path).toBe('a.md');
+      expect(main.firstChild).toBe(manager.getTab('a.md').element);
+    });
+  });
+
+  describe('restoreTabs', () => {
+    it('should add unloaded tabs in the saved order', () => {
+      open('b.md');
+
+      manager.restoreTabs(['a.md', 'b.md', 'c.md', 'a.md']);
+
+      expect(manager.getTabs().map((tab) => tab.path)).toEqual(['a.md', 'b.md', 'c.md']);
+      expect(manager.getTab('a.md').loaded).toBe(false);
+      expect(manager.getTab('b.md').loaded).toBe(true);
+      expect(manager.getActiveTab().path).toBe('b.md');
+    });
+  });
+
+  describe('movePaths', () => {
+    it('should point tabs at the new paths', () => {
+      open('notes/a.md');
+      open('b.md');
+
+      const moved = manager.movePaths((path) =>
+        path.startsWith('notes/') ? `archive/${path.slice(6)}` : path
+      );
+
+      expect(moved).toBe(true);
+      expect(manager.getTab('archive/a.md').filename).toBe('a.md');
+      expect(manager.getTab('notes/a.md')).toBeNull();
+    });
+
+    it('should report when nothing moved', () => {
+      open('a.md');
+
+      expect(manager.movePaths((path) => path)).toBe(false);
+    });
+  });
+});
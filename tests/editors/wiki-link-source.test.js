@@ -0,0 +1,115 @@
+/* global MouseEvent */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EditorState } from '@codemirror/state';
+import { CompletionContext } from '@codemirror/autocomplete';
+import { SourceView } from '../../src/editors/source-view.js';
+import { wikiLinkCompletionSource } from '../../src/editors/wiki-link-source.js';
+import { configureWikiLinks } from '../../src/links/wiki-links.js';
+
+describe('Source view wiki links', () => {
+  let container;
+  let sourceView;
+  let onOpen;
+  let files;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    onOpen = vi.fn();
+    files = ['readme.md', 'notes/todo.md', 'notes/ideas.md'];
+    configureWikiLinks({
+      getFiles: () => files,
+      getCurrentPath: () => 'readme.md',
+      onOpen,
+    });
+  });
+
+  afterEach(() => {
+    sourceView?.destroy();
+    sourceView = null;
+    container.remove();
+    configureWikiLinks({ getFiles: () => null, getCurrentPath: () => null, onOpen: () => {} });
+  });
+
+  describe('decorations', () => {
+    it('should highlight links and flag unresolved ones', () => {
+      sourceView = new SourceView(container, 'See [[todo]] and [[missing|Missing note]]');
+
+      const links = container.querySelectorAll('.wiki-link');
+      expect(links).toHaveLength(2);
+      expect(links[0].textContent).toBe('[[todo]]');
+      expect(links[0].classList.contains('wiki-link-unresolved')).toBe(false);
+      expect(links[1].classList.contains('wiki-link-unresolved')).toBe(true);
+      expect(links[1].getAttribute('data-wiki-target')).toBe('missing');
+    });
+
+    it('should not flag links before the workspace files are known', () => {
+      files = null;
+      sourceView = new SourceView(container, '[[missing]]');
+
+      expect(container.querySelector('.wiki-link')).not.toBeNull();
+      expect(container.querySelector('.wiki-link-unresolved')).toBeNull();
+    });
+
+    it('should re-check links when refreshed', () => {
+      sourceView = new SourceView(container, '[[missing]]');
+      expect(container.querySelector('.wiki-link-unresolved')).not.toBeNull();
+
+      files = [...files, 'missing.md'];
+      sourceView.refreshWikiLinks();
+
+      expect(container.querySelector('.wiki-link-unresolved')).toBeNull();
+    });
+  });
+
+  describe('opening links', () => {
+    it('should open a link on Cmd/Ctrl+click', () => {
+      sourceView = new SourceView(container, 'Go to [[notes/todo]]');
+      const link = container.querySelector('.wiki-link');
+
+      link.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, ctrlKey: true }));
+
+      expect(onOpen).toHaveBeenCalledWith('notes/todo');
+    });
+
+    it('should keep plain clicks for editing', () => {
+      sourceView = new SourceView(container, 'Go to [[notes/todo]]');
+      const link = container.querySelector('.wiki-link');
+
+      link.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+
+      expect(onOpen).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completion', () => {
+    const complete = (doc) => {
+      const state = EditorState.create({ doc });
+      return wikiLinkCompletionSource(new CompletionContext(state, doc.length, false));
+    };
+
+    it('should complete workspace paths after [[', () => {
+      const result = complete('Link [[ide');
+
+      expect(result.from).toBe(7);
+      expect(result.options.map((o) => o.label)).toEqual(['notes/ideas']);
+      expect(result.options[0].detail).toBe('.md');
+    });
+
+    it('should not complete outside a link', () => {
+      expect(complete('Link [ide')).toBeNull();
+      expect(complete('Link [[todo|ali')).toBeNull();
+    });
+
+    it('should replace closing brackets inserted by closeBrackets', () => {
+      sourceView = new SourceView(container, '[[to]]');
+      const { view } = sourceView;
+
+      const option = complete('[[to').options[0];
+      option.apply(view, option, 2, 4);
+
+      expect(view.state.doc.toString()).toBe('[[notes/todo]]');
+      expect(view.state.selection.main.head).toBe(14);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/* global MouseEvent, KeyboardEvent */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { editorViewCtx } from '@milkdown/core';
+import { TextSelection } from '@milkdown/prose/state';
+import { getMarkdown } from '@milkdown/utils';
+import { WYSIWYGView } from '../../src/editors/wysiwyg-view.js';
+import { configureWikiLinks } from '../../src/links/wiki-links.js';
+
+describe('WYSIWYG wiki links', () => {
+  let container;
+  let editorView;
+  let onOpen;
+
+  const createView = async (markdown) => {
+    editorView = new WYSIWYGView(container, markdown);
+    await editorView.ready();
+    return editorView.editor.action((ctx) => ctx.get(editorViewCtx));
+  };
+
+  // Type at the end of the first paragraph
+  const typeText = (view, text) => {
+    const end = view.state.doc.firstChild.nodeSize - 1;
+    const tr = view.state.tr.setSelection(TextSelection.create(view.state.doc, end));
+    view.dispatch(tr.insertText(text));
+  };
+
+  const serialize = () => editorView.editor.action(getMarkdown());
+
+  const pressKey = (view, key) =>
+    view.someProp('handleKeyDown', (f) => f(view, new KeyboardEvent('keydown', { key })));
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    onOpen = vi.fn();
+    configureWikiLinks({
+      getFiles: () => ['readme.md', 'notes/todo.md', 'notes/ideas.md'],
+      getCurrentPath: () => 'readme.md',
+      onOpen,
+    });
+  });
+
+  afterEach(() => {
+    editorView.destroy();
+    container.remove();
+    configureWikiLinks({ getFiles: () => null, getCurrentPath: () => null, onOpen: () => {} });
+  });
+
+  it('should render links and write them back without escaping', async () => {
+    await createView('See [[notes/todo]] and [[ideas|Idea list]] here\n');
+
+    const links = container.querySelectorAll('.wiki-link');
+    expect([...links].map((link) => link.textContent)).toEqual(['notes/todo', 'Idea list']);
+    expect(serialize().trim()).toBe('See [[notes/todo]] and [[ideas|Idea list]] here');
+  });
+
+  it('should leave links inside code alone', async () => {
+    await createView('Use `[[todo]]` syntax\n');
+
+    expect(container.querySelector('.wiki-link')).toBeNull();
+    expect(serialize().trim()).toBe('Use `[[todo]]` syntax');
+  });
+
+  it('should mark links to missing files as unresolved', async () => {
+    await createView('[[todo]] and [[missing]]\n');
+
+    const links = container.querySelectorAll('.wiki-link');
+    expect(links[0].classList.contains('wiki-link-unresolved')).toBe(false);
+    expect(links[1].classList.contains('wiki-link-unresolved')).toBe(true);
+  });
+
+  it('should re-check links when refreshed', async () => {
+    let files = ['readme.md'];
+    configureWikiLinks({ getFiles: () => files });
+    await createView('[[todo]]\n');
+    expect(container.querySelector('.wiki-link-unresolved')).not.toBeNull();
+
+    files = ['readme.md', 'todo.md'];
+    editorView.refreshWikiLinks();
+
+    expect(container.querySelector('.wiki-link-unresolved')).toBeNull();
+  });
+
+  it('should open links on click', async () => {
+    const view = await createView('Go to [[notes/todo#Next]]\n');
+
+    let linkPos = null;
+    view.state.doc.descendants((node, pos) => {
+      if (node.type.name === 'wiki_link') linkPos = pos;
+    });
+    const node = view.state.doc.nodeAt(linkPos);
+    const event = new MouseEvent('click', { button: 0 });
+
+    const handled = view.someProp('handleClickOn', (f) =>
+      f(view, linkPos, node, linkPos, event, true)
+    );
+
+    expect(handled).toBe(true);
+    expect(onOpen).toHaveBeenCalledWith('notes/todo#Next');
+  });
+
+  it('should turn a typed link into a link node', async () => {
+    const view = await createView('Text\n');
+    typeText(view, ' [[todo]');
+
+    const pos = view.state.selection.from;
+    view.someProp('handleTextInput', (f) => f(view, pos, pos, ']', () => view.state.tr));
+
+    expect(container.querySelector('.wiki-link').textContent).toBe('todo');
+    expect(serialize().trim()).toBe('Text [[todo]]');
+  });
+
+  describe('autocomplete', () => {
+    const getSuggestions = () => document.querySelector('[data-testid="wiki-link-suggestions"]');
+
+    it('should suggest workspace files after [[ and insert the chosen one', async () => {
+      const view = await createView('Link\n');
+      typeText(view, ' [[ide');
+
+      const suggestions = getSuggestions();
+      expect(suggestions.classList.contains('hidden')).toBe(false);
+      expect(suggestions.querySelector('.wiki-link-suggestion.active').textContent).toBe(
+        'notes/ideas'
+      );
+
+      expect(pressKey(view, 'Enter')).toBe(true);
+
+      expect(suggestions.classList.contains('hidden')).toBe(true);
+      expect(serialize().trim()).toBe('Link [[notes/ideas]]');
+    });
+
+    it('should move the selection with the arrow keys', async () => {
+      const view = await createView('Link\n');
+      typeText(view, ' [[');
+
+      pressKey(view, 'ArrowDown');
+      const active = getSuggestions().querySelector('.wiki-link-suggestion.active');
+      expect(active.dataset.index).toBe('1');
+    });
+
+    it('should hide on Escape until a new link is started', async () => {
+      const view = await createView('Link\n');
+      typeText(view, ' [[to');
+
+      pressKey(view, 'Escape');
+      typeText(view, 'd');
+
+      expect(getSuggestions().classList.contains('hidden')).toBe(true);
+      pressKey(view, 'Enter');
+      expect(container.querySelector('.wiki-link')).toBeNull();
+    });
+
+    it('should not suggest anything outside a link', async () => {
+      const view = await createView('Link\n');
+      typeText(view, ' [todo');
+
+      expect(getSuggestions().classList.contains('hidden')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  renderMarkdown,
+  exportHtml,
+  saveHtmlFile,
+  printHtml,
+} from '../../src/export/html-export.js';
+import { FileSystemAdapter } from '../../src/fs/filesystem-adapter.js';
+
+/* global DOMParser, Blob, HTMLAnchorElement */
+const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+
+describe('HTML Export', () => {
+  describe('renderMarkdown', () => {
+    it('should render GFM tables and task lists', () => {
+      const html = renderMarkdown('| a | b |\n|---|---|\n| 1 | 2 |\n\n- [x] done\n- [ ] todo\n');
+
+      expect(html).toContain('<table>');
+      expect(html).toContain('<td>2</td>');
+      expect(html).toContain('<input type="checkbox" disabled="" checked="" /> done');
+    });
+
+    it('should escape raw HTML', () => {
+      expect(renderMarkdown('<script>alert(1)</script>')).not.toContain('<script>');
+    });
+  });
+
+  describe('exportHtml', () => {
+    it('should produce a standalone document with embedded styles', async () => {
+      const doc = parse(await exportHtml('# Plan\n\nText', { title: 'Plan <v2>' }));
+
+      expect(doc.title).toBe('Plan <v2>');
+      expect(doc.querySelector('style').textContent).toContain('@media print');
+      expect(doc.querySelector('link')).toBeNull();
+      expect(doc.querySelector('.note h1').textContent).toBe('Plan');
+    });
+
+    it('should use the current theme', async () => {
+      const html = await exportHtml('Text', { theme: 'dark' });
+
+      expect(parse(html).documentElement.getAttribute('data-theme')).toBe('dark');
+    });
+
+    it('should highlight code blocks in known languages', async () => {
+      const doc = parse(await exportHtml('```javascript\nconst answer = 42;\n```\n'));
+
+      const code = doc.querySelector('pre code');
+      expect(code.querySelector('.tok-keyword').textContent).toBe('const');
+      expect(code.querySelector('.tok-number').textContent).toBe('42');
+      expect(code.textContent).toBe('const answer = 42;\n');
+    });
+
+    it('should leave code in unknown languages as it is', async () => {
+      const doc = parse(await exportHtml('```nothing\n<a> & b\n```\n'));
+
+      expect(doc.querySelector('pre code').innerHTML).toBe('&lt;a&gt; &amp; b\n');
+    });
+
+    it('should add a table of contents linking to the headings', async () => {
+      const doc = parse(await exportHtml('# Intro\n\n## Setup\n\n## Setup\n\n# Usage\n'));
+
+      const links = [...doc.querySelectorAll('.toc a')].map((a) => a.getAttribute('href'));
+      expect(links).toEqual(['#intro', '#setup', '#setup-1', '#usage']);
+      expect(doc.querySelectorAll('.toc > ol > li')).toHaveLength(2);
+      expect(doc.querySelectorAll('.toc ol ol > li')).toHaveLength(2);
+      expect(doc.getElementById('setup-1').textContent).toBe('Setup');
+    });
+
+    it('should not add a table of contents for a single heading', async () => {
+      const doc = parse(await exportHtml('# Only\n\nText'));
+
+      expect(doc.querySelector('.toc')).toBeNull();
+    });
+
+    it('should embed resolved images', async () => {
+      const resolveImage = vi.fn(async (src) =>
+        src === 'images/a.png' ? new Blob(['png'], { type: 'image/png' }) : null
+      );
+
+      const doc = parse(
+        await exportHtml('![a](images/a.png) ![b](https://example.com/b.png)', { resolveImage })
+      );
+
+      const [local, remote] = doc.querySelectorAll('img');
+      expect(local.getAttribute('src')).toMatch(/^data:image\/png;base64,/);
+      expect(remote.getAttribute('src')).toBe('https://example.com/b.png');
+    });
+  });
+
+  describe('saveHtmlFile', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should save where the user picks', async () => {
+      const fileHandle = {};
+      vi.spyOn(FileSystemAdapter, 'saveFilePicker').mockResolvedValue(fileHandle);
+      const writeSpy = vi.spyOn(FileSystemAdapter, 'writeFile').mockResolvedValue();
+
+      await saveHtmlFile('note.html', '<html></html>');
+
+      expect(FileSystemAdapter.saveFilePicker).toHaveBeenCalledWith('note.html');
+      expect(writeSpy).toHaveBeenCalledWith(fileHandle, '<html></html>');
+    });
+
+    it('should download the file without the save picker', async () => {
+      delete window.showSaveFilePicker;
+      const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      await saveHtmlFile('note.html', '<html></html>');
+
+      expect(clickSpy).toHaveBeenCalled();
+      expect(clickSpy.mock.contexts[0].download).toBe('note.html');
+    });
+  });
+
+  describe('printHtml', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '';
+    });
+
+    it('should print the document from a hidden frame', async () => {
+      const printing = printHtml('<p>Hello</p>');
+
+      const frame = document.querySelector('.print-frame');
+      expect(frame.getAttribute('srcdoc')).toBe('<p>Hello</p>');
+
+      const print = vi.fn();
+      frame.contentWindow.print = print;
+      frame.dispatchEvent(new Event('load'));
+      await printing;
+
+      expect(print).toHaveBeenCalled();
+
+      frame.contentWindow.dispatchEvent(new Event('afterprint'));
+      expect(document.querySelector('.print-frame')).toBeNull();
+    });
+  });
+});
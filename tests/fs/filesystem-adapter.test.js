@@ -3,6 +3,11 @@ import {
   FileSystemAdapter,
   isFileSystemAccessSupported,
   openFileByPath,
+  getEntryByPath,
+  copyEntry,
+  moveEntry,
+  listFolderPaths,
+  listFilePaths,
   navigateToDirectory,
 } from '../../src/fs/filesystem-adapter.js';
 import {
@@ -385,6 +390,170 @@ describe('openFileByPath', () => {
   });
 });
 
+describe('getEntryByPath', () => {
+  it('should find files and folders with their parent', async () => {
+    const mockProject = createMockProject({ notes: { 'todo.md': '# Todo' } });
+
+    const folder = await getEntryByPath(mockProject, 'notes');
+    const file = await getEntryByPath(mockProject, 'notes/todo.md');
+
+    expect(folder.handle.kind).toBe('directory');
+    expect(folder.parentHandle).toBe(mockProject);
+    expect(file.handle.name).toBe('todo.md');
+    expect(file.parentHandle).toBe(folder.handle);
+  });
+
+  it('should return null for missing paths', async () => {
+    const mockProject = createMockProject({ notes: {} });
+
+    expect(await getEntryByPath(mockProject, 'notes/missing.md')).toBeNull();
+    expect(await getEntryByPath(mockProject, 'missing/todo.md')).toBeNull();
+  });
+});
+
+describe('copyEntry', () => {
+  it('should copy a folder with everything in it', async () => {
+    const mockProject = createMockProject({
+      notes: { 'todo.md': '# Todo', drafts: { 'idea.md': 'Idea' } },
+      archive: {},
+    });
+    const { handle: notes } = await getEntryByPath(mockProject, 'notes');
+    const { handle: archive } = await getEntryByPath(mockProject, 'archive');
+
+    const copy = await copyEntry(notes, archive, 'old-notes');
+
+    expect(copy.name).toBe('old-notes');
+    const idea = await openFileByPath(mockProject, 'archive/old-notes/drafts/idea.md');
+    expect(await FileSystemAdapter.readFile(idea.fileHandle)).toBe('Idea');
+    expect(await getEntryByPath(mockProject, 'notes/todo.md')).not.toBeNull();
+  });
+});
+
+describe('moveEntry', () => {
+  // Resolve names like a case-insensitive file system (e.g. on macOS or Windows)
+  const makeCaseInsensitive = (dirHandle) => {
+    const resolveName = (name) =>
+      [...dirHandle._entries.keys()].find((key) => key.toLowerCase() === name.toLowerCase()) ??
+      name;
+    for (const method of ['getFileHandle', 'getDirectoryHandle', 'removeEntry']) {
+      const original = dirHandle[method].bind(dirHandle);
+      dirHandle[method] = (name, options) => original(resolveName(name), options);
+    }
+  };
+
+  it('should move a file into a new folder and remove the original', async () => {
+    const mockProject = createMockProject({
+      notes: { 'todo.md': '# Todo' },
+    });
+
+    const handle = await moveEntry(mockProject, 'notes/todo.md', 'archive/2024/todo.md');
+
+    expect(handle.name).toBe('todo.md');
+    expect(await FileSystemAdapter.readFile(handle)).toBe('# Todo');
+    expect(await getEntryByPath(mockProject, 'archive/2024/todo.md')).not.toBeNull();
+    expect(await getEntryByPath(mockProject, 'notes/todo.md')).toBeNull();
+  });
+
+  it('should move a folder with everything in it', async () => {
+    const mockProject = createMockProject({
+      notes: { 'todo.md': '# Todo', drafts: { 'idea.md': 'Idea' } },
+    });
+
+    await moveEntry(mockProject, 'notes', 'archive/notes');
+
+    const moved = await openFileByPath(mockProject, 'archive/notes/drafts/idea.md');
+    expect(await FileSystemAdapter.readFile(moved.fileHandle)).toBe('Idea');
+    expect(await getEntryByPath(mockProject, 'archive/notes/todo.md')).not.toBeNull();
+    expect(await getEntryByPath(mockProject, 'notes')).toBeNull();
+  });
+
+  it('should not move a folder into itself', async () => {
+    const mockProject = createMockProject({ notes: { 'todo.md': '' } });
+
+    await expect(moveEntry(mockProject, 'notes', 'notes/sub/notes')).rejects.toThrow(
+      'A folder cannot be moved into itself'
+    );
+  });
+
+  it('should use FileSystemHandle.move() when available', async () => {
+    const mockProject = createMockProject({ 'a.md': 'A' });
+    const { fileHandle } = await openFileByPath(mockProject, 'a.md');
+    fileHandle.move = vi.fn().mockResolvedValue(undefined);
+
+    const handle = await moveEntry(mockProject, 'a.md', 'b.md');
+
+    expect(fileHandle.move).toHaveBeenCalledWith(mockProject, 'b.md');
+    expect(handle).toBe(fileHandle);
+  });
+
+  it('should not overwrite an existing entry', async () => {
+    const mockProject = createMockProject({ 'a.md': 'A', 'b.md': 'B' });
+
+    await expect(moveEntry(mockProject, 'a.md', 'b.md')).rejects.toThrow('b.md already exists');
+    const { fileHandle } = await openFileByPath(mockProject, 'b.md');
+    expect(await FileSystemAdapter.readFile(fileHandle)).toBe('B');
+  });
+
+  it('should change only the case of a name by copying and removing the original', async () => {
+    const mockProject = createMockProject({ 'Note.md': 'Keep me' });
+    makeCaseInsensitive(mockProject);
+
+    const handle = await moveEntry(mockProject, 'Note.md', 'note.md');
+
+    expect([...mockProject._entries.keys()]).toEqual(['note.md']);
+    expect(handle.name).toBe('note.md');
+    expect(await FileSystemAdapter.readFile(handle)).toBe('Keep me');
+  });
+
+  it('should not overwrite an entry whose name differs only in case', async () => {
+    const mockProject = createMockProject({ 'a.md': 'A', 'b.md': 'B' });
+    makeCaseInsensitive(mockProject);
+
+    await expect(moveEntry(mockProject, 'a.md', 'B.md')).rejects.toThrow('B.md already exists');
+    const { fileHandle } = await openFileByPath(mockProject, 'b.md');
+    expect(await FileSystemAdapter.readFile(fileHandle)).toBe('B');
+    expect(await getEntryByPath(mockProject, 'a.md')).not.toBeNull();
+  });
+
+  it('should reject missing entries', async () => {
+    const mockProject = createMockProject({});
+
+    await expect(moveEntry(mockProject, 'missing.md', 'b.md')).rejects.toThrow(
+      'Not found: missing.md'
+    );
+  });
+});
+
+describe('listFilePaths', () => {
+  it('should list files of any type and depth and skip hidden folders', async () => {
+    const mockProject = createMockProject({
+      'readme.md': '',
+      img: { 'logo.png': 'binary' },
+      a: { b: { c: { d: { e: { f: { g: { h: { i: { j: { k: { 'deep.md': '' } } } } } } } } } } },
+      '.trash': { 'old.md': '' },
+    });
+
+    expect(await listFilePaths(mockProject)).toEqual([
+      'a/b/c/d/e/f/g/h/i/j/k/deep.md',
+      'img/logo.png',
+      'readme.md',
+    ]);
+  });
+});
+
+describe('listFolderPaths', () => {
+  it('should list nested folders and skip hidden ones', async () => {
+    const mockProject = createMockProject({
+      'readme.md': '',
+      notes: { drafts: {} },
+      archive: {},
+      '.trash': { old: {} },
+    });
+
+    expect(await listFolderPaths(mockProject)).toEqual(['archive', 'notes', 'notes/drafts']);
+  });
+});
+
 describe('navigateToDirectory', () => {
   it('should navigate to subdirectory', async () => {
     const mockProject = createMockProject({
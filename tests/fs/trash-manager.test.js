@@ -1,6 +1,10 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { TrashManager, createTrashManager } from '../../src/fs/trash-manager.js';
-import { createMockFileHandle, createMockDirectoryHandle } from '../mocks/filesystem.js';
+import {
+  createMockFileHandle,
+  createMockDirectoryHandle,
+  MockFileSystemWritableFileStream,
+} from '../mocks/filesystem.js';
 
 describe('TrashManager', () => {
   let trashManager;
@@ -30,6 +34,10 @@ describe('TrashManager', () => {
     document.querySelectorAll('.snackbar').forEach((el) => el.remove());
   });
 
+  // Trashed entries are kept in a folder named after their id
+  const getTrashedEntry = (item) =>
+    trashManager.trashDirHandle._getEntry(item.id)._getEntry(item.name);
+
   describe('constructor', () => {
     it('should initialize with null trash handle', () => {
       expect(trashManager.trashDirHandle).toBeNull();
@@ -63,10 +71,9 @@ describe('TrashManager', () => {
     });
 
     it('should copy file to trash before deleting', async () => {
-      await trashManager.moveToTrash(mockDirHandle, mockFileHandle);
+      const item = await trashManager.moveToTrash(mockDirHandle, mockFileHandle);
 
-      const trashDir = trashManager.trashDirHandle;
-      const trashedFile = await trashDir.getFileHandle('file.txt');
+      const trashedFile = getTrashedEntry(item);
       const file = await trashedFile.getFile();
       const content = await file.text();
 
@@ -111,10 +118,9 @@ describe('TrashManager', () => {
       );
 
       const specialFile = mockDirHandle._getEntry('special-file (copy).txt');
-      await trashManager.moveToTrash(mockDirHandle, specialFile);
+      const item = await trashManager.moveToTrash(mockDirHandle, specialFile);
 
-      const trashDir = trashManager.trashDirHandle;
-      const trashedFile = await trashDir.getFileHandle('special-file (copy).txt');
+      const trashedFile = getTrashedEntry(item);
       expect(trashedFile.name).toBe('special-file (copy).txt');
     });
 
@@ -122,10 +128,9 @@ describe('TrashManager', () => {
       mockDirHandle._addEntry('empty.txt', createMockFileHandle('empty.txt', ''));
 
       const emptyFile = mockDirHandle._getEntry('empty.txt');
-      await trashManager.moveToTrash(mockDirHandle, emptyFile);
+      const item = await trashManager.moveToTrash(mockDirHandle, emptyFile);
 
-      const trashDir = trashManager.trashDirHandle;
-      const trashedFile = await trashDir.getFileHandle('empty.txt');
+      const trashedFile = getTrashedEntry(item);
       const file = await trashedFile.getFile();
       const content = await file.text();
 
@@ -137,10 +142,9 @@ describe('TrashManager', () => {
       mockDirHandle._addEntry('large.txt', createMockFileHandle('large.txt', largeContent));
 
       const largeFile = mockDirHandle._getEntry('large.txt');
-      await trashManager.moveToTrash(mockDirHandle, largeFile);
+      const item = await trashManager.moveToTrash(mockDirHandle, largeFile);
 
-      const trashDir = trashManager.trashDirHandle;
-      const trashedFile = await trashDir.getFileHandle('large.txt');
+      const trashedFile = getTrashedEntry(item);
       const file = await trashedFile.getFile();
       const content = await file.text();
 
@@ -193,8 +197,21 @@ describe('TrashManager', () => {
     it('should remove file from trash after restoring', async () => {
       await trashManager.restoreFromTrash(mockDirHandle, 'file.txt');
 
+      expect(await trashManager.listTrash()).toEqual([]);
       const trashDir = trashManager.trashDirHandle;
-      expect(trashDir._hasEntry('file.txt')).toBe(false);
+      expect([...trashDir._entries.keys()]).toEqual(['.manifest.json']);
+    });
+
+    it('should restore the latest of several items with the same name', async () => {
+      mockDirHandle._addEntry('file.txt', createMockFileHandle('file.txt', 'second version'));
+      vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 1000);
+      await trashManager.moveToTrash(mockDirHandle, mockDirHandle._getEntry('file.txt'));
+      vi.restoreAllMocks();
+
+      await trashManager.restoreFromTrash(mockDirHandle, 'file.txt');
+
+      expect(mockDirHandle._getEntry('file.txt')._getContent()).toBe('second version');
+      expect(await trashManager.listTrash()).toHaveLength(1);
     });
 
     it('should call onFileRestored callback', async () => {
@@ -236,6 +253,250 @@ describe('TrashManager', () => {
     });
   });
 
+  describe('folders and the manifest', () => {
+    let rootDir;
+
+    const readManifest = async () =>
+      JSON.parse(rootDir._getEntry('.trash')._getEntry('.manifest.json')._getContent());
+
+    beforeEach(() => {
+      rootDir = createMockDirectoryHandle('workspace', {
+        'readme.md': 'readme',
+        notes: { 'todo.md': 'todo', drafts: { 'idea.md': 'idea' } },
+      });
+      trashManager = new TrashManager({ ...callbacks, getRootDirHandle: () => rootDir });
+    });
+
+    it('should move a folder and everything in it to the workspace trash', async () => {
+      const notesDir = rootDir._getEntry('notes');
+
+      const item = await trashManager.moveToTrash(notesDir, notesDir._getEntry('drafts'), {
+        path: 'notes/drafts',
+      });
+
+      expect(notesDir._hasEntry('drafts')).toBe(false);
+      const trashed = rootDir._getEntry('.trash')._getEntry(item.id)._getEntry('drafts');
+      expect(trashed._getEntry('idea.md')._getContent()).toBe('idea');
+      expect(item.size).toBe(4);
+    });
+
+    it('should copy file contents as Blobs', async () => {
+      const writeSpy = vi.spyOn(MockFileSystemWritableFileStream.prototype, 'write');
+
+      await trashManager.moveToTrash(rootDir, rootDir._getEntry('readme.md'));
+
+      expect(writeSpy.mock.calls[0][0]).toBeInstanceOf(Blob);
+      writeSpy.mockRestore();
+    });
+
+    it('should record the original path and deletion time', async () => {
+      vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      const notesDir = rootDir._getEntry('notes');
+
+      const item = await trashManager.moveToTrash(notesDir, notesDir._getEntry('todo.md'), {
+        path: 'notes/todo.md',
+      });
+      vi.restoreAllMocks();
+
+      expect((await readManifest()).items).toEqual([
+        {
+          id: item.id,
+          name: 'todo.md',
+          path: 'notes/todo.md',
+          kind: 'file',
+          size: 4,
+          deletedAt: 1700000000000,
+        },
+      ]);
+    });
+
+    it('should list trashed items, most recent first', async () => {
+      const notesDir = rootDir._getEntry('notes');
+      const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+      await trashManager.moveToTrash(rootDir, rootDir._getEntry('readme.md'));
+      now.mockReturnValue(2000);
+      await trashManager.moveToTrash(notesDir, notesDir._getEntry('drafts'), {
+        path: 'notes/drafts',
+      });
+      vi.restoreAllMocks();
+
+      const items = await trashManager.listTrash();
+      expect(items.map((item) => item.path)).toEqual(['notes/drafts', 'readme.md']);
+      expect(items[0].kind).toBe('directory');
+    });
+
+    it('should keep every item when deletes and backups run at the same time', async () => {
+      const notesDir = rootDir._getEntry('notes');
+
+      const [readme, todo, backupId] = await Promise.all([
+        trashManager.moveToTrash(rootDir, rootDir._getEntry('readme.md')),
+        trashManager.moveToTrash(notesDir, notesDir._getEntry('todo.md'), {
+          path: 'notes/todo.md',
+        }),
+        trashManager.backupFiles(rootDir, [{ path: 'a.md', content: 'a' }]),
+      ]);
+
+      const ids = (await trashManager.listTrash()).map((item) => item.id);
+      expect(ids.sort()).toEqual([readme.id, todo.id, backupId].sort());
+    });
+
+    it('should list nothing when there is no trash', async () => {
+      expect(await trashManager.listTrash()).toEqual([]);
+    });
+
+    it('should restore a folder to where it was deleted from', async () => {
+      const notesDir = rootDir._getEntry('notes');
+      const item = await trashManager.moveToTrash(rootDir, notesDir, { path: 'notes' });
+
+      const path = await trashManager.restoreItem(rootDir, item.id);
+
+      expect(path).toBe('notes');
+      expect(
+        rootDir._getEntry('notes')._getEntry('drafts')._getEntry('idea.md')._getContent()
+      ).toBe('idea');
+      expect(rootDir._getEntry('.trash')._hasEntry(item.id)).toBe(false);
+      expect((await readManifest()).items).toEqual([]);
+      expect(callbacks.onFileRestored).toHaveBeenCalledWith('notes');
+    });
+
+    it('should recreate missing parent folders when restoring', async () => {
+      const draftsDir = rootDir._getEntry('notes')._getEntry('drafts');
+      const item = await trashManager.moveToTrash(draftsDir, draftsDir._getEntry('idea.md'), {
+        path: 'notes/drafts/idea.md',
+      });
+      await rootDir.removeEntry('notes', { recursive: true });
+
+      await trashManager.restoreItem(rootDir, item.id);
+
+      const restored = rootDir._getEntry('notes')._getEntry('drafts')._getEntry('idea.md');
+      expect(restored._getContent()).toBe('idea');
+    });
+
+    it('should keep items with the same name apart', async () => {
+      const notesDir = rootDir._getEntry('notes');
+      notesDir._addEntry('readme.md', createMockFileHandle('readme.md', 'notes readme'));
+
+      await trashManager.moveToTrash(rootDir, rootDir._getEntry('readme.md'));
+      await trashManager.moveToTrash(notesDir, notesDir._getEntry('readme.md'), {
+        path: 'notes/readme.md',
+      });
+
+      const items = await trashManager.listTrash();
+      expect(items.map((item) => item.path).sort()).toEqual(['notes/readme.md', 'readme.md']);
+      expect(new Set(items.map((item) => item.id)).size).toBe(2);
+
+      const notesItem = items.find((item) => item.path === 'notes/readme.md');
+      await trashManager.restoreItem(rootDir, notesItem.id);
+      expect(notesDir._getEntry('readme.md')._getContent()).toBe('notes readme');
+    });
+
+    describe('when the original path is taken', () => {
+      let item;
+
+      beforeEach(async () => {
+        item = await trashManager.moveToTrash(rootDir, rootDir._getEntry('readme.md'));
+        rootDir._addEntry('readme.md', createMockFileHandle('readme.md', 'new readme'));
+      });
+
+      it('should fail without a way to resolve the conflict', async () => {
+        await expect(trashManager.restoreItem(rootDir, item.id)).rejects.toThrow(
+          'readme.md already exists'
+        );
+        expect(rootDir._getEntry('readme.md')._getContent()).toBe('new readme');
+      });
+
+      it('should restore under a new name when asked to keep both', async () => {
+        const resolveConflict = vi.fn().mockResolvedValue('rename');
+
+        const path = await trashManager.restoreItem(rootDir, item.id, { resolveConflict });
+
+        expect(resolveConflict).toHaveBeenCalledWith(expect.objectContaining({ id: item.id }));
+        expect(path).toBe('readme (2).md');
+        expect(rootDir._getEntry('readme (2).md')._getContent()).toBe('readme');
+        expect(rootDir._getEntry('readme.md')._getContent()).toBe('new readme');
+      });
+
+      it('should replace the existing file when asked to overwrite', async () => {
+        const path = await trashManager.restoreItem(rootDir, item.id, {
+          resolveConflict: () => 'overwrite',
+        });
+
+        expect(path).toBe('readme.md');
+        expect(rootDir._getEntry('readme.md')._getContent()).toBe('readme');
+        expect([...rootDir._entries.keys()].filter((name) => name.endsWith('.restoring'))).toEqual(
+          []
+        );
+        expect(await trashManager.listTrash()).toEqual([]);
+      });
+
+      it('should keep the existing file when the overwriting copy fails', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        getTrashedEntry(item).getFile = vi.fn().mockRejectedValue(new Error('Read failed'));
+
+        await expect(
+          trashManager.restoreItem(rootDir, item.id, { resolveConflict: () => 'overwrite' })
+        ).rejects.toThrow('Read failed');
+
+        expect(rootDir._getEntry('readme.md')._getContent()).toBe('new readme');
+        expect([...rootDir._entries.keys()].filter((name) => name.endsWith('.restoring'))).toEqual(
+          []
+        );
+        expect(await trashManager.listTrash()).toHaveLength(1);
+        vi.restoreAllMocks();
+      });
+
+      it('should leave everything in place when cancelled', async () => {
+        const path = await trashManager.restoreItem(rootDir, item.id, {
+          resolveConflict: () => 'cancel',
+        });
+
+        expect(path).toBeNull();
+        expect(rootDir._getEntry('readme.md')._getContent()).toBe('new readme');
+        expect(await trashManager.listTrash()).toHaveLength(1);
+      });
+    });
+
+    it('should reject items that are not in the trash', async () => {
+      await expect(trashManager.restoreItem(rootDir, 'missing.md')).rejects.toThrow(
+        'missing.md is not in the trash'
+      );
+    });
+
+    it('should list backups with the files they hold', async () => {
+      vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      const backupId = await trashManager.backupFiles(rootDir, [
+        { path: 'readme.md', content: 'readme' },
+        { path: 'notes/todo.md', content: 'todo' },
+      ]);
+      vi.restoreAllMocks();
+
+      expect(await trashManager.listTrash()).toEqual([
+        {
+          id: backupId,
+          name: 'Before replacing in 2 files',
+          path: 'readme.md, notes/todo.md',
+          kind: 'backup',
+          files: ['readme.md', 'notes/todo.md'],
+          size: 10,
+          deletedAt: 1700000000000,
+        },
+      ]);
+    });
+
+    it('should empty the trash including backups', async () => {
+      const item = await trashManager.moveToTrash(rootDir, rootDir._getEntry('readme.md'));
+      const backupId = await trashManager.backupFiles(rootDir, [{ path: 'a.md', content: 'a' }]);
+
+      const count = await trashManager.emptyTrash();
+
+      const trashDir = rootDir._getEntry('.trash');
+      expect(count).toBe(2);
+      expect(trashDir._hasEntry(item.id)).toBe(false);
+      expect(trashDir._hasEntry(backupId)).toBe(false);
+      expect(await trashManager.listTrash()).toEqual([]);
+    });
+  });
+
   describe('showUndoSnackbar', () => {
     it('should create snackbar element', () => {
       trashManager.showUndoSnackbar('file.txt', mockDirHandle);
@@ -339,6 +600,17 @@ describe('TrashManager', () => {
       expect(snackbar).toBeNull();
     });
 
+    it('should run a custom action when undo is clicked', async () => {
+      const onAction = vi.fn();
+      trashManager.showUndoSnackbar(null, mockDirHandle, { message: 'Replaced', onAction });
+
+      document.querySelector('.snackbar-action').click();
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(onAction).toHaveBeenCalled();
+      expect(document.querySelector('.snackbar')).toBeNull();
+    });
+
     it('should add data-testid attribute', () => {
       trashManager.showUndoSnackbar('file.txt', mockDirHandle);
 
@@ -347,6 +619,73 @@ describe('TrashManager', () => {
     });
   });
 
+  describe('backupFiles', () => {
+    it('should copy files into a backup folder in .trash, mirroring their paths', async () => {
+      const backupId = await trashManager.backupFiles(mockDirHandle, [
+        { path: 'file.txt', content: 'original' },
+        { path: 'docs/notes.md', content: 'nested original' },
+      ]);
+
+      const trashDir = mockDirHandle._getEntry('.trash');
+      const backupDir = trashDir._getEntry(backupId);
+      expect(backupDir._getEntry('file.txt')._getContent()).toBe('original');
+      expect(backupDir._getEntry('docs')._getEntry('notes.md')._getContent()).toBe(
+        'nested original'
+      );
+    });
+
+    it('should leave the original files in place', async () => {
+      await trashManager.backupFiles(mockDirHandle, [{ path: 'file.txt', content: 'original' }]);
+
+      expect(mockDirHandle._getEntry('file.txt')._getContent()).toBe('test content');
+    });
+
+    it('should throw error if root handle is missing', async () => {
+      await expect(trashManager.backupFiles(null, [])).rejects.toThrow(
+        'Root directory handle and files are required'
+      );
+    });
+  });
+
+  describe('restoreBackup', () => {
+    it('should write backed up content over the current files', async () => {
+      const rootDir = createMockDirectoryHandle('root', {
+        'a.md': 'changed',
+        docs: { 'b.md': 'changed too' },
+      });
+      const backupId = await trashManager.backupFiles(rootDir, [
+        { path: 'a.md', content: 'original a' },
+        { path: 'docs/b.md', content: 'original b' },
+      ]);
+
+      const restored = await trashManager.restoreBackup(rootDir, backupId);
+
+      expect(restored.sort()).toEqual(['a.md', 'docs/b.md']);
+      expect(rootDir._getEntry('a.md')._getContent()).toBe('original a');
+      expect(rootDir._getEntry('docs')._getEntry('b.md')._getContent()).toBe('original b');
+    });
+
+    it('should remove the backup after restoring', async () => {
+      const backupId = await trashManager.backupFiles(mockDirHandle, [
+        { path: 'file.txt', content: 'original' },
+      ]);
+
+      await trashManager.restoreBackup(mockDirHandle, backupId);
+
+      const trashDir = mockDirHandle._getEntry('.trash');
+      expect(trashDir._hasEntry(backupId)).toBe(false);
+      expect(JSON.parse(trashDir._getEntry('.manifest.json')._getContent()).items).toEqual([]);
+    });
+
+    it('should throw error for an unknown backup', async () => {
+      await trashManager.backupFiles(mockDirHandle, [{ path: 'file.txt', content: 'x' }]);
+
+      await expect(trashManager.restoreBackup(mockDirHandle, 'missing')).rejects.toThrow(
+        'Error restoring backup'
+      );
+    });
+  });
+
   describe('cleanup', () => {
     it('should remove trash directory', async () => {
       await trashManager.moveToTrash(mockDirHandle, mockFileHandle);
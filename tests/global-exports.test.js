@@ -96,11 +96,13 @@ describe('Global Function Exports Contract', () => {
           { name: 'showFileReloadNotification', occurrences: 2, purpose: 'Show reload message' },
           { name: 'openFolder', occurrences: 3, purpose: 'Open folder picker' },
           { name: 'isFileSystemAccessSupported', occurrences: 1, purpose: 'Check API support' },
+          { name: 'moveWorkspaceEntry', occurrences: 1, purpose: 'Rename or move an entry' },
+          { name: 'compareWorkspaceFiles', occurrences: 1, purpose: 'Compare two files' },
         ],
         nativeAPIs: ['window.confirm', 'window.getComputedStyle'],
       };
 
-      expect(requirements.globalFunctionsRequired).toHaveLength(5);
+      expect(requirements.globalFunctionsRequired).toHaveLength(7);
       expect(requirements.nativeAPIs).toHaveLength(2);
     });
 
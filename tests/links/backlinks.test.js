@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findMarkdownLinks,
+  resolveMarkdownHref,
+  getReferenceContext,
+  findReferences,
+  findBacklinks,
+  getBacklinkKeyword,
+} from '../../src/links/backlinks.js';
+
+const filePaths = new Set(['readme.md', 'notes/todo.md', 'notes/ideas.md', 'archive/ideas.md']);
+
+const toFiles = async function* (files) {
+  for (const [fullPath, content] of Object.entries(files)) {
+    const parts = fullPath.split('/');
+    const name = parts.pop();
+    yield { name, path: parts.join('/'), fullPath, content };
+  }
+};
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('Backlinks', () => {
+  describe('findMarkdownLinks', () => {
+    it('should find links with offsets and skip images', () => {
+      const text = 'See [todo](notes/todo.md) and ![logo](img/logo.png)';
+      const links = findMarkdownLinks(text);
+
+      expect(links).toHaveLength(1);
+      expect(links[0].href).toBe('notes/todo.md');
+      expect(text.slice(links[0].from, links[0].to)).toBe('[todo](notes/todo.md)');
+    });
+
+    it('should include images and reference definitions when asked', () => {
+      const text = '![logo](img/logo.png)\n\n[todo]: notes/todo.md "Tasks"';
+      const links = findMarkdownLinks(text, { images: true });
+
+      expect(links.map((link) => link.href)).toEqual(['img/logo.png', 'notes/todo.md']);
+      expect(text.slice(links[1].hrefFrom, links[1].hrefTo)).toBe('notes/todo.md');
+    });
+
+    it('should unwrap angle-bracket destinations and ignore titles', () => {
+      const links = findMarkdownLinks('[a](<my notes/a b.md> "Title")');
+
+      expect(links[0].href).toBe('my notes/a b.md');
+    });
+  });
+
+  describe('resolveMarkdownHref', () => {
+    it('should resolve relative to the linking note', () => {
+      expect(resolveMarkdownHref('ideas.md', 'notes/todo.md')).toBe('notes/ideas.md');
+      expect(resolveMarkdownHref('../readme.md#Intro', 'notes/todo.md')).toBe('readme.md');
+      expect(resolveMarkdownHref('/notes/todo.md', 'archive/ideas.md')).toBe('notes/todo.md');
+    });
+
+    it('should decode escaped characters', () => {
+      expect(resolveMarkdownHref('my%20note.md', 'readme.md')).toBe('my note.md');
+    });
+
+    it('should ignore external and in-page links', () => {
+      expect(resolveMarkdownHref('https://example.com/todo.md', 'readme.md')).toBeNull();
+      expect(resolveMarkdownHref('mailto:me@example.com', 'readme.md')).toBeNull();
+      expect(resolveMarkdownHref('#heading', 'readme.md')).toBeNull();
+    });
+  });
+
+  describe('getReferenceContext', () => {
+    it('should return the sentence containing the link', () => {
+      const content = 'First sentence. Read [[todo]] before starting! Last one.';
+      const from = content.indexOf('[[');
+      const context = getReferenceContext(content, from, from + 8);
+
+      expect(context.text).toBe('Read [[todo]] before starting!');
+      expect(context.matches).toEqual([{ start: 5, end: 13 }]);
+    });
+
+    it('should leave out list markers', () => {
+      const content = 'Intro\n- [ ] finish [[todo]]\nOutro';
+      const from = content.indexOf('[[');
+
+      expect(getReferenceContext(content, from, from + 8).text).toBe('finish [[todo]]');
+    });
+  });
+
+  describe('findReferences', () => {
+    it('should find wiki and markdown links to the target in document order', () => {
+      const content = '# Plan\nSee [list](todo.md).\n\nAlso [[todo|the list]] and [[ideas]].';
+      const references = findReferences(content, 'notes/plan.md', 'notes/todo.md', filePaths);
+
+      expect(references).toHaveLength(2);
+      expect(references[0]).toMatchObject({ lineNumber: 2 });
+      expect(content.slice(references[1].from, references[1].to)).toBe('[[todo|the list]]');
+      expect(references[1].lineNumber).toBe(4);
+    });
+  });
+
+  describe('findBacklinks', () => {
+    it('should yield linking notes except the target itself', async () => {
+      const notes = await collect(
+        findBacklinks(
+          toFiles({
+            'readme.md': 'Start with [[notes/todo]].',
+            'notes/todo.md': 'Self link [[todo]]',
+            'notes/ideas.md': 'Nothing here',
+            'notes/links.txt': '[[todo]]',
+          }),
+          'notes/todo.md',
+          { filePaths }
+        )
+      );
+
+      expect(notes.map((note) => note.fullPath)).toEqual(['readme.md']);
+      expect(notes[0].references[0].context.text).toBe('Start with [[notes/todo]].');
+    });
+
+    it('should stop when aborted', async () => {
+      /* global AbortController */
+      const controller = new AbortController();
+      controller.abort();
+
+      const notes = await collect(
+        findBacklinks(toFiles({ 'readme.md': '[[todo]]' }), 'todo.md', {
+          signal: controller.signal,
+        })
+      );
+
+      expect(notes).toEqual([]);
+    });
+  });
+
+  describe('getBacklinkKeyword', () => {
+    it('should pick the longest word of the file name', () => {
+      expect(getBacklinkKeyword('notes/meeting-2024 notes.md')).toBe('meeting');
+      expect(getBacklinkKeyword('notes/.md')).toBe('');
+    });
+  });
+});
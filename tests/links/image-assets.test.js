@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  configureImageAssets,
+  getImageFolder,
+  getImageFiles,
+  canSaveImages,
+  getImageName,
+  saveImage,
+  formatImageMarkdown,
+  isLocalImage,
+  resolveImageUrl,
+  clearImageUrls,
+} from '../../src/links/image-assets.js';
+import { openFileByPath } from '../../src/fs/filesystem-adapter.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+
+/* global File */
+const png = (name = 'image.png') => new File(['png-data'], name, { type: 'image/png' });
+
+describe('Image assets', () => {
+  let root;
+  let currentPath;
+
+  beforeEach(() => {
+    root = createMockDirectoryHandle('workspace', {
+      'readme.md': '# Readme',
+      notes: { 'todo.md': '# Todo', assets: { 'chart.png': 'chart' } },
+    });
+    currentPath = 'notes/todo.md';
+    configureImageAssets({ getRootHandle: () => root, getCurrentPath: () => currentPath });
+  });
+
+  afterEach(() => {
+    clearImageUrls();
+    configureImageAssets({ getRootHandle: () => null, getCurrentPath: () => null });
+    localStorage.clear();
+  });
+
+  describe('getImageFolder', () => {
+    it('should default to assets', () => {
+      expect(getImageFolder()).toBe('assets');
+    });
+
+    it('should use the folder from settings without trailing slashes', () => {
+      localStorage.setItem('hotnote_settings', JSON.stringify({ imageFolder: ' img/ ' }));
+
+      expect(getImageFolder()).toBe('img');
+    });
+  });
+
+  it('should only pick image files from a paste or drop', () => {
+    const text = new File(['text'], 'notes.txt', { type: 'text/plain' });
+
+    expect(getImageFiles({ files: [png(), text] })).toHaveLength(1);
+    expect(getImageFiles(null)).toEqual([]);
+  });
+
+  it('should need a workspace and a saved note to save images', () => {
+    expect(canSaveImages()).toBe(true);
+
+    currentPath = null;
+    expect(canSaveImages()).toBe(false);
+  });
+
+  describe('getImageName', () => {
+    it('should name pasted screenshots after the time', () => {
+      const date = new Date(2024, 2, 5, 9, 7, 3);
+
+      expect(getImageName(png(), date)).toBe('image-20240305-090703.png');
+      expect(getImageName(new File(['x'], '', { type: 'image/jpeg' }), date)).toBe(
+        'image-20240305-090703.jpg'
+      );
+    });
+
+    it('should keep the names of dropped files, without unsafe characters', () => {
+      expect(getImageName(png('My Chart (final).png'))).toBe('My-Chart-final.png');
+    });
+  });
+
+  describe('saveImage', () => {
+    it('should save into the assets folder next to the note', async () => {
+      const image = await saveImage(png('diagram.png'));
+
+      expect(image).toEqual({
+        path: 'notes/assets/diagram.png',
+        href: 'assets/diagram.png',
+        alt: 'diagram',
+      });
+      expect(formatImageMarkdown(image)).toBe('![diagram](assets/diagram.png)');
+      const opened = await openFileByPath(root, 'notes/assets/diagram.png');
+      expect(await (await opened.fileHandle.getFile()).text()).toBe('png-data');
+    });
+
+    it('should not overwrite existing images', async () => {
+      const image = await saveImage(png('chart.png'));
+
+      expect(image.path).toBe('notes/assets/chart-1.png');
+      const original = await openFileByPath(root, 'notes/assets/chart.png');
+      expect(await (await original.fileHandle.getFile()).text()).toBe('chart');
+    });
+
+    it('should create the configured folder', async () => {
+      localStorage.setItem('hotnote_settings', JSON.stringify({ imageFolder: '../media/My Pics' }));
+
+      const image = await saveImage(png('a.png'));
+
+      expect(image.path).toBe('media/My Pics/a.png');
+      expect(image.href).toBe('../media/My%20Pics/a.png');
+    });
+
+    it('should save relative to the workspace root with a leading slash', async () => {
+      localStorage.setItem('hotnote_settings', JSON.stringify({ imageFolder: '/images' }));
+
+      const image = await saveImage(png('a.png'));
+
+      expect(image.path).toBe('images/a.png');
+      expect(image.href).toBe('/images/a.png');
+    });
+
+    it('should reject folders outside the workspace', async () => {
+      localStorage.setItem('hotnote_settings', JSON.stringify({ imageFolder: '../../up' }));
+
+      await expect(saveImage(png())).rejects.toThrow('outside the workspace');
+    });
+
+    it('should reject images without a workspace', async () => {
+      root = null;
+
+      await expect(saveImage(png())).rejects.toThrow('Open a folder');
+    });
+  });
+
+  describe('resolveImageUrl', () => {
+    it('should tell local images from remote ones', () => {
+      expect(isLocalImage('assets/a.png')).toBe(true);
+      expect(isLocalImage('/a.png')).toBe(true);
+      expect(isLocalImage('https://example.com/a.png')).toBe(false);
+      expect(isLocalImage('data:image/png;base64,AA')).toBe(false);
+      expect(isLocalImage('//cdn.example.com/a.png')).toBe(false);
+    });
+
+    it('should load images relative to the note from the workspace', async () => {
+      const url = await resolveImageUrl('assets/chart.png');
+
+      expect(url).toMatch(/^blob:/);
+      expect(await resolveImageUrl('./assets/chart.png')).toBe(url);
+    });
+
+    it('should not resolve missing or remote images', async () => {
+      expect(await resolveImageUrl('assets/missing.png')).toBeNull();
+      expect(await resolveImageUrl('https://example.com/a.png')).toBeNull();
+    });
+
+    it('should not resolve images without a workspace', async () => {
+      root = null;
+
+      expect(await resolveImageUrl('assets/chart.png')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  applyMoves,
+  revertMoves,
+  getRelativeLinkPath,
+  findLinkRewrites,
+  rewriteLinksAfterMove,
+} from '../../src/links/link-rewriter.js';
+import { applyReplacements } from '../../src/search/find-replace.js';
+import { FileSystemAdapter, openFileByPath } from '../../src/fs/filesystem-adapter.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+
+const moves = [{ from: 'notes/todo.md', to: 'archive/todo.md' }];
+const newFiles = ['readme.md', 'archive/todo.md', 'notes/ideas.md', 'img/logo.png'];
+const oldFiles = newFiles.map((path) => revertMoves(path, moves));
+
+const rewrite = (content, sourcePath, oldSourcePath = sourcePath) =>
+  applyReplacements(
+    content,
+    findLinkRewrites(content, { sourcePath, oldSourcePath, moves, oldFiles, newFiles })
+  );
+
+describe('Link Rewriter', () => {
+  describe('path helpers', () => {
+    it('should map paths through moves in both directions', () => {
+      expect(applyMoves('notes/todo.md', moves)).toBe('archive/todo.md');
+      expect(applyMoves('readme.md', moves)).toBe('readme.md');
+      expect(revertMoves('archive/todo.md', moves)).toBe('notes/todo.md');
+    });
+
+    it('should move everything inside a moved folder', () => {
+      const folderMoves = [{ from: 'notes', to: 'archive/notes' }];
+
+      expect(applyMoves('notes/a/todo.md', folderMoves)).toBe('archive/notes/a/todo.md');
+      expect(applyMoves('notes-old/todo.md', folderMoves)).toBe('notes-old/todo.md');
+      expect(revertMoves('archive/notes/todo.md', folderMoves)).toBe('notes/todo.md');
+    });
+
+    it('should build relative links between files', () => {
+      expect(getRelativeLinkPath('notes/ideas.md', 'notes/todo.md')).toBe('todo.md');
+      expect(getRelativeLinkPath('notes/ideas.md', 'img/logo.png')).toBe('../img/logo.png');
+      expect(getRelativeLinkPath('readme.md', 'a/b/c.md')).toBe('a/b/c.md');
+      expect(getRelativeLinkPath('a/b/c.md', 'a/d.md')).toBe('../d.md');
+    });
+  });
+
+  describe('findLinkRewrites', () => {
+    it('should update markdown links to the moved file', () => {
+      expect(rewrite('See [todo](notes/todo.md#next).', 'readme.md')).toBe(
+        'See [todo](archive/todo.md#next).'
+      );
+      expect(rewrite('See [todo](./todo.md "Tasks")', 'notes/ideas.md')).toBe(
+        'See [todo](../archive/todo.md "Tasks")'
+      );
+    });
+
+    it('should keep root-relative and bracketed styles', () => {
+      expect(rewrite('[a](/notes/todo.md) [b](<todo.md>)', 'notes/ideas.md')).toBe(
+        '[a](/archive/todo.md) [b](<../archive/todo.md>)'
+      );
+    });
+
+    it('should update reference definitions', () => {
+      expect(rewrite('[todo]\n\n[todo]: notes/todo.md', 'readme.md')).toBe(
+        '[todo]\n\n[todo]: archive/todo.md'
+      );
+    });
+
+    it('should escape paths that need it', () => {
+      const spaced = [{ from: 'todo.md', to: 'my notes/todo list.md' }];
+      const content = '[todo](todo.md)';
+      const rewrites = findLinkRewrites(content, { sourcePath: 'readme.md', moves: spaced });
+
+      expect(applyReplacements(content, rewrites)).toBe('[todo](my%20notes/todo%20list.md)');
+    });
+
+    it('should fix the relative links inside a note that moved', () => {
+      const content =
+        '![logo](../img/logo.png) and [ideas](ideas.md) and [web](https://x.org/a.md)';
+
+      expect(rewrite(content, 'archive/todo.md', 'notes/todo.md')).toBe(
+        '![logo](../img/logo.png) and [ideas](../notes/ideas.md) and [web](https://x.org/a.md)'
+      );
+    });
+
+    it('should update wiki links, keeping headings and aliases', () => {
+      expect(rewrite('Read [[notes/todo#Next|the list]]', 'readme.md')).toBe(
+        'Read [[archive/todo#Next|the list]]'
+      );
+      expect(rewrite('Read [[todo]]', 'notes/ideas.md')).toBe('Read [[todo]]');
+    });
+
+    it('should fix wiki links that resolve differently from a moved note', () => {
+      const files = [...newFiles, 'archive/ideas.md'];
+      const content = 'See [[ideas]]';
+      const rewrites = findLinkRewrites(content, {
+        sourcePath: 'archive/todo.md',
+        oldSourcePath: 'notes/todo.md',
+        moves,
+        oldFiles: files.map((path) => revertMoves(path, moves)),
+        newFiles: files,
+      });
+
+      expect(applyReplacements(content, rewrites)).toBe('See [[notes/ideas]]');
+    });
+
+    it('should update links into and out of a moved folder', () => {
+      const folderMoves = [{ from: 'notes', to: 'archive/notes' }];
+      const files = ['readme.md', 'archive/notes/todo.md', 'archive/notes/ideas.md'];
+      const options = {
+        moves: folderMoves,
+        oldFiles: files.map((path) => revertMoves(path, folderMoves)),
+        newFiles: files,
+      };
+
+      const readme = '[todo](notes/todo.md)';
+      expect(
+        applyReplacements(readme, findLinkRewrites(readme, { ...options, sourcePath: 'readme.md' }))
+      ).toBe('[todo](archive/notes/todo.md)');
+
+      const todo = '[ideas](ideas.md) [home](../readme.md)';
+      const rewrites = findLinkRewrites(todo, {
+        ...options,
+        sourcePath: 'archive/notes/todo.md',
+        oldSourcePath: 'notes/todo.md',
+      });
+      expect(applyReplacements(todo, rewrites)).toBe('[ideas](ideas.md) [home](../../readme.md)');
+    });
+
+    it('should leave unrelated links alone', () => {
+      const content = '[readme](readme.md) [[ideas]] [[missing]] [top](#top)';
+
+      expect(
+        findLinkRewrites(content, { sourcePath: 'notes/ideas.md', moves, oldFiles, newFiles })
+      ).toEqual([]);
+    });
+  });
+
+  describe('rewriteLinksAfterMove', () => {
+    const createWorkspace = () =>
+      createMockDirectoryHandle('workspace', {
+        'readme.md': 'Start with [todo](notes/todo.md) and [[notes/todo]].',
+        'script.js': '// see notes/todo.md',
+        archive: { 'todo.md': '[back](../readme.md)' },
+        notes: { 'ideas.md': 'Nothing to change' },
+      });
+
+    const readPath = async (root, path) => {
+      const { fileHandle } = await openFileByPath(root, path);
+      return FileSystemAdapter.readFile(fileHandle);
+    };
+
+    it('should rewrite notes on disk and summarize the changes', async () => {
+      const root = createWorkspace();
+
+      const summary = await rewriteLinksAfterMove(root, moves);
+
+      expect(await readPath(root, 'readme.md')).toBe(
+        'Start with [todo](archive/todo.md) and [[archive/todo]].'
+      );
+      expect(await readPath(root, 'archive/todo.md')).toBe('[back](../readme.md)');
+      expect(summary).toMatchObject({ fileCount: 1, matchCount: 2, files: ['readme.md'] });
+    });
+
+    it('should edit the open file through its editor', async () => {
+      const root = createWorkspace();
+      let content = 'Unsaved [todo](../notes/todo.md)';
+      const openFile = {
+        path: 'notes/ideas.md',
+        getContent: () => content,
+        replaceRange: vi.fn((from, to, text) => {
+          content = content.slice(0, from) + text + content.slice(to);
+        }),
+      };
+
+      const summary = await rewriteLinksAfterMove(root, moves, { openFile });
+
+      expect(content).toBe('Unsaved [todo](../archive/todo.md)');
+      expect(await readPath(root, 'notes/ideas.md')).toBe('Nothing to change');
+      expect(summary.files).toEqual(['readme.md', 'notes/ideas.md']);
+    });
+
+    it('should rewrite links to moved images and in deeply nested notes', async () => {
+      const deepPath = Array.from({ length: 12 }, (_, i) => `d${i}`);
+      const deepNote = deepPath.reduceRight((dir, name) => ({ [name]: dir }), {
+        'deep.md': `![logo](${'../'.repeat(12)}media/logo.png)`,
+      });
+      const root = createMockDirectoryHandle('workspace', {
+        'readme.md': '![logo](img/logo.png)',
+        media: { 'logo.png': 'binary' },
+        ...deepNote,
+      });
+
+      const summary = await rewriteLinksAfterMove(root, [{ from: 'img', to: 'media' }]);
+
+      expect(await readPath(root, 'readme.md')).toBe('![logo](media/logo.png)');
+      expect(summary.files).toEqual(['readme.md']);
+
+      const deepSummary = await rewriteLinksAfterMove(root, [
+        { from: 'media/logo.png', to: 'media/brand.png' },
+      ]);
+      expect(deepSummary.files).toContain(`${deepPath.join('/')}/deep.md`);
+    });
+  });
+});
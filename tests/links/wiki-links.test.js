@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  parseWikiLink,
+  findWikiLinks,
+  formatWikiLink,
+  toWikiLinkTarget,
+  toWikiLinkFilePath,
+  resolveWikiLink,
+  configureWikiLinks,
+  createWikiLinkResolver,
+  openWikiLink,
+  getWikiLinkCompletions,
+  getWorkspaceLinkCompletions,
+} from '../../src/links/wiki-links.js';
+
+const files = ['readme.md', 'notes/todo.md', 'notes/ideas.md', 'archive/ideas.md', 'img/logo.png'];
+
+describe('Wiki Links', () => {
+  afterEach(() => {
+    configureWikiLinks({
+      getFiles: () => null,
+      getCurrentPath: () => null,
+      onOpen: () => {},
+    });
+  });
+
+  describe('parseWikiLink', () => {
+    it('should split the heading from the path', () => {
+      expect(parseWikiLink(' notes/todo#Next steps ')).toEqual({
+        target: 'notes/todo#Next steps',
+        path: 'notes/todo',
+        heading: 'Next steps',
+        alias: '',
+      });
+    });
+
+    it('should keep the alias', () => {
+      expect(parseWikiLink('todo', ' My list ').alias).toBe('My list');
+    });
+  });
+
+  describe('findWikiLinks', () => {
+    it('should find links with offsets', () => {
+      const text = 'See [[todo]] and [[notes/ideas|Ideas]].';
+      const links = findWikiLinks(text);
+
+      expect(links).toHaveLength(2);
+      expect(text.slice(links[0].from, links[0].to)).toBe('[[todo]]');
+      expect(links[1]).toMatchObject({ path: 'notes/ideas', alias: 'Ideas' });
+    });
+
+    it('should ignore unterminated and multi-line links', () => {
+      expect(findWikiLinks('[[todo\n]] and [[open')).toEqual([]);
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format links with and without an alias', () => {
+      expect(formatWikiLink('todo')).toBe('[[todo]]');
+      expect(formatWikiLink('todo', 'Tasks')).toBe('[[todo|Tasks]]');
+      expect(formatWikiLink('todo', 'todo')).toBe('[[todo]]');
+    });
+
+    it('should leave out markdown extensions in targets', () => {
+      expect(toWikiLinkTarget('notes/todo.md')).toBe('notes/todo');
+      expect(toWikiLinkTarget('img/logo.png')).toBe('img/logo.png');
+    });
+
+    it('should add .md to targets without an extension', () => {
+      expect(toWikiLinkFilePath('notes/todo')).toBe('notes/todo.md');
+      expect(toWikiLinkFilePath('img/logo.png')).toBe('img/logo.png');
+    });
+  });
+
+  describe('resolveWikiLink', () => {
+    it('should prefer the folder of the current file', () => {
+      expect(resolveWikiLink('ideas', files, 'notes/todo.md')).toBe('notes/ideas.md');
+      expect(resolveWikiLink('ideas', files, 'archive/old.md')).toBe('archive/ideas.md');
+    });
+
+    it('should resolve paths from the workspace root', () => {
+      expect(resolveWikiLink('readme', files, 'notes/todo.md')).toBe('readme.md');
+      expect(resolveWikiLink('img/logo.png', files, 'notes/todo.md')).toBe('img/logo.png');
+    });
+
+    it('should resolve relative segments', () => {
+      expect(resolveWikiLink('../readme', files, 'notes/todo.md')).toBe('readme.md');
+      expect(resolveWikiLink('../readme', files, 'readme.md')).toBeNull();
+    });
+
+    it('should fall back to a unique filename match', () => {
+      expect(resolveWikiLink('todo', files, 'readme.md')).toBe('notes/todo.md');
+      expect(resolveWikiLink('ideas', files, 'readme.md')).toBeNull();
+    });
+
+    it('should return null for missing files', () => {
+      expect(resolveWikiLink('missing', files, 'readme.md')).toBeNull();
+    });
+  });
+
+  describe('workspace hooks', () => {
+    it('should not resolve anything when no workspace is open', () => {
+      expect(createWikiLinkResolver()).toBeNull();
+      expect(getWorkspaceLinkCompletions('todo')).toEqual([]);
+    });
+
+    it('should resolve against the configured files and current path', () => {
+      configureWikiLinks({ getFiles: () => files, getCurrentPath: () => 'archive/old.md' });
+
+      const resolve = createWikiLinkResolver();
+
+      expect(resolve('ideas')).toBe('archive/ideas.md');
+      expect(resolve('missing')).toBeNull();
+    });
+
+    it('should pass clicked links to onOpen', () => {
+      const onOpen = vi.fn();
+      configureWikiLinks({ onOpen });
+
+      openWikiLink('notes/todo#Next');
+
+      expect(onOpen).toHaveBeenCalledWith('notes/todo#Next');
+    });
+  });
+
+  describe('getWikiLinkCompletions', () => {
+    it('should rank filename matches first and drop markdown extensions', () => {
+      const completions = getWikiLinkCompletions('ide', files);
+
+      expect(completions.map((c) => c.target)).toEqual(['archive/ideas', 'notes/ideas']);
+      expect(completions[0].path).toBe('archive/ideas.md');
+    });
+
+    it('should list notes before other files for an empty query', () => {
+      const completions = getWikiLinkCompletions('', files);
+
+      expect(completions).toHaveLength(files.length);
+      expect(completions[completions.length - 1].path).toBe('img/logo.png');
+    });
+
+    it('should limit the number of completions', () => {
+      expect(getWikiLinkCompletions('', files, 2)).toHaveLength(2);
+    });
+  });
+});
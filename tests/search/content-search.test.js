@@ -0,0 +1,225 @@
+/* global AbortController */
+import { describe, it, expect } from 'vitest';
+import {
+  isSearchableFile,
+  buildSearchPattern,
+  findMatchesInLine,
+  searchTextContent,
+  createSnippet,
+  searchFileContents,
+  MAX_SEARCHABLE_FILE_SIZE,
+} from '../../src/search/content-search.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+
+const collect = async (generator) => {
+  const results = [];
+  for await (const result of generator) {
+    results.push(result);
+  }
+  return results;
+};
+
+describe('Content Search', () => {
+  describe('isSearchableFile', () => {
+    it('should accept text files', () => {
+      expect(isSearchableFile('notes.md')).toBe(true);
+      expect(isSearchableFile('app.js')).toBe(true);
+      expect(isSearchableFile('Makefile')).toBe(true);
+    });
+
+    it('should reject binary files by extension', () => {
+      expect(isSearchableFile('photo.PNG')).toBe(false);
+      expect(isSearchableFile('archive.zip')).toBe(false);
+      expect(isSearchableFile('doc.pdf')).toBe(false);
+    });
+
+    it('should reject hidden files', () => {
+      expect(isSearchableFile('.session_properties.HN')).toBe(false);
+      expect(isSearchableFile('')).toBe(false);
+    });
+  });
+
+  describe('buildSearchPattern', () => {
+    it('should escape special characters for literal queries', () => {
+      const pattern = buildSearchPattern('a.b(c)');
+      expect(pattern.test('xa.b(c)x')).toBe(true);
+      pattern.lastIndex = 0;
+      expect(pattern.test('aXb(c)')).toBe(false);
+    });
+
+    it('should be case-insensitive by default', () => {
+      expect(buildSearchPattern('todo').flags).toBe('gi');
+    });
+
+    it('should respect case sensitivity', () => {
+      expect(buildSearchPattern('todo', { caseSensitive: true }).flags).toBe('g');
+    });
+
+    it('should support regular expressions', () => {
+      const pattern = buildSearchPattern('fo+\\d', { regex: true });
+      expect(pattern.test('fooo1')).toBe(true);
+    });
+
+    it('should throw a readable error for invalid regular expressions', () => {
+      expect(() => buildSearchPattern('(unclosed', { regex: true })).toThrow(
+        /Invalid regular expression/
+      );
+    });
+  });
+
+  describe('findMatchesInLine', () => {
+    it('should find every match in a line', () => {
+      const matches = findMatchesInLine('foo bar foo', buildSearchPattern('foo'));
+      expect(matches).toEqual([
+        { start: 0, end: 3 },
+        { start: 8, end: 11 },
+      ]);
+    });
+
+    it('should not loop forever on zero-length matches', () => {
+      const matches = findMatchesInLine('abc', buildSearchPattern('x*', { regex: true }));
+      expect(matches).toEqual([]);
+    });
+  });
+
+  describe('searchTextContent', () => {
+    it('should return 1-based line numbers for matching lines', () => {
+      const results = searchTextContent(
+        'one\ntwo TODO\nthree\nTODO four',
+        buildSearchPattern('todo')
+      );
+      expect(results.map((r) => r.lineNumber)).toEqual([2, 4]);
+      expect(results[0].lineText).toBe('two TODO');
+      expect(results[0].matches).toEqual([{ start: 4, end: 8 }]);
+    });
+
+    it('should handle CRLF line endings', () => {
+      const results = searchTextContent('a\r\nmatch\r\n', buildSearchPattern('match'));
+      expect(results).toHaveLength(1);
+      expect(results[0].lineNumber).toBe(2);
+      expect(results[0].lineText).toBe('match');
+    });
+  });
+
+  describe('createSnippet', () => {
+    it('should trim leading whitespace and shift match ranges', () => {
+      const snippet = createSnippet('    const x = 1;', [{ start: 10, end: 11 }]);
+      expect(snippet.text).toBe('const x = 1;');
+      expect(snippet.matches).toEqual([{ start: 6, end: 7 }]);
+    });
+
+    it('should trim long lines around the first match', () => {
+      const line = 'a'.repeat(300) + 'needle' + 'b'.repeat(300);
+      const snippet = createSnippet(line, [{ start: 300, end: 306 }], 100);
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      const [match] = snippet.matches;
+      expect(snippet.text.slice(match.start, match.end)).toBe('needle');
+    });
+  });
+
+  describe('searchFileContents', () => {
+    it('should stream matching lines with file information', async () => {
+      const mockDir = createMockDirectoryHandle('root', {
+        'readme.md': '# Title\nSome TODO here',
+        'other.md': 'nothing to see',
+      });
+
+      const results = await collect(searchFileContents(mockDir, 'todo'));
+
+      expect(results).toHaveLength(1);
+      expect(results[0].name).toBe('readme.md');
+      expect(results[0].fullPath).toBe('readme.md');
+      expect(results[0].lineNumber).toBe(2);
+      expect(results[0].handle).toBeDefined();
+    });
+
+    it('should search subdirectories and report relative paths', async () => {
+      const mockDir = createMockDirectoryHandle('root', {
+        docs: {
+          guides: {
+            'setup.md': 'install the thing',
+          },
+        },
+      });
+
+      const results = await collect(searchFileContents(mockDir, 'install'));
+
+      expect(results).toHaveLength(1);
+      expect(results[0].path).toBe('docs/guides');
+      expect(results[0].fullPath).toBe('docs/guides/setup.md');
+    });
+
+    it('should skip hidden directories and binary files', async () => {
+      const mockDir = createMockDirectoryHandle('root', {
+        '.trash': { 'deleted.md': 'match' },
+        'image.png': 'match',
+        'binary.dat': 'match\u0000\u0001',
+        'notes.md': 'match',
+      });
+
+      const results = await collect(searchFileContents(mockDir, 'match'));
+
+      expect(results.map((r) => r.fullPath)).toEqual(['notes.md']);
+    });
+
+    it('should skip files larger than the size limit', async () => {
+      const mockDir = createMockDirectoryHandle('root', {
+        'huge.txt': 'match ' + 'x'.repeat(MAX_SEARCHABLE_FILE_SIZE),
+        'small.txt': 'match',
+      });
+
+      const results = await collect(searchFileContents(mockDir, 'match'));
+
+      expect(results.map((r) => r.name)).toEqual(['small.txt']);
+    });
+
+    it('should respect case sensitivity', async () => {
+      const mockDir = createMockDirectoryHandle('root', {
+        'a.txt': 'Hello\nhello',
+      });
+
+      const results = await collect(searchFileContents(mockDir, 'Hello', { caseSensitive: true }));
+
+      expect(results).toHaveLength(1);
+      expect(results[0].lineNumber).toBe(1);
+    });
+
+    it('should respect result limit', async () => {
+      const mockDir = createMockDirectoryHandle('root', {
+        'a.txt': 'x\nx\nx\nx\nx',
+      });
+
+      const results = await collect(searchFileContents(mockDir, 'x', { maxResults: 3 }));
+
+      expect(results).toHaveLength(3);
+    });
+
+    it('should stop when the signal is aborted', async () => {
+      const mockDir = createMockDirectoryHandle('root', {
+        'a.txt': 'x',
+        'b.txt': 'x',
+      });
+      const controller = new AbortController();
+
+      const results = [];
+      for await (const result of searchFileContents(mockDir, 'x', {
+        signal: controller.signal,
+      })) {
+        results.push(result);
+        controller.abort();
+      }
+
+      expect(results).toHaveLength(1);
+    });
+
+    it('should yield nothing for an empty query', async () => {
+      const mockDir = createMockDirectoryHandle('root', { 'a.txt': 'content' });
+
+      const results = await collect(searchFileContents(mockDir, ''));
+
+      expect(results).toHaveLength(0);
+    });
+  });
+});
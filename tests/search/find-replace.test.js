@@ -0,0 +1,241 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  expandReplacement,
+  findReplaceMatches,
+  applyReplacements,
+  createMatchPreview,
+  findInWorkspace,
+  replaceInWorkspace,
+} from '../../src/search/find-replace.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+
+const collect = async (generator) => {
+  const results = [];
+  for await (const result of generator) {
+    results.push(result);
+  }
+  return results;
+};
+
+describe('Find and Replace', () => {
+  describe('expandReplacement', () => {
+    const match = Object.assign(['foo-bar', 'foo', 'bar'], { index: 0, groups: { second: 'bar' } });
+
+    it('should expand numbered groups', () => {
+      expect(expandReplacement('$2-$1', match)).toBe('bar-foo');
+    });
+
+    it('should expand the whole match and named groups', () => {
+      expect(expandReplacement('[$&] $<second>', match)).toBe('[foo-bar] bar');
+    });
+
+    it('should keep escaped dollars and unknown groups literal', () => {
+      expect(expandReplacement('$$1 $9', match)).toBe('$1 $9');
+    });
+  });
+
+  describe('findReplaceMatches', () => {
+    it('should locate every match with line information', () => {
+      const matches = findReplaceMatches('alpha\nbeta alpha', 'alpha', 'omega');
+
+      expect(matches).toHaveLength(2);
+      expect(matches[1]).toMatchObject({
+        id: 1,
+        from: 11,
+        to: 16,
+        lineNumber: 2,
+        lineText: 'beta alpha',
+        column: 5,
+        matchText: 'alpha',
+        replacementText: 'omega',
+      });
+    });
+
+    it('should use capture groups in regex mode', () => {
+      const matches = findReplaceMatches('John Smith', '(\\w+) (\\w+)', '$2, $1', {
+        regex: true,
+      });
+
+      expect(matches[0].replacementText).toBe('Smith, John');
+    });
+
+    it('should treat the replacement literally outside regex mode', () => {
+      const matches = findReplaceMatches('cost', 'cost', '$1');
+
+      expect(matches[0].replacementText).toBe('$1');
+    });
+
+    it('should anchor regular expressions to each line like content search', () => {
+      const content = 'todo: one\r\ndone: two\ntodo: three';
+      const matches = findReplaceMatches(content, '^todo: (\\w+)$', '$1', { regex: true });
+
+      expect(matches.map((m) => [m.lineNumber, m.matchText, m.replacementText])).toEqual([
+        [1, 'todo: one', 'one'],
+        [3, 'todo: three', 'three'],
+      ]);
+      expect(applyReplacements(content, matches)).toBe('one\r\ndone: two\nthree');
+    });
+
+    it('should return no matches for an empty query', () => {
+      expect(findReplaceMatches('text', '', 'x')).toEqual([]);
+    });
+  });
+
+  describe('applyReplacements', () => {
+    it('should apply only the given matches', () => {
+      const content = 'cat cat cat';
+      const matches = findReplaceMatches(content, 'cat', 'dog');
+
+      expect(applyReplacements(content, [matches[0], matches[2]])).toBe('dog cat dog');
+    });
+
+    it('should handle replacements that change length', () => {
+      const content = 'a b a';
+      const matches = findReplaceMatches(content, 'a', 'long');
+
+      expect(applyReplacements(content, matches)).toBe('long b long');
+    });
+  });
+
+  describe('createMatchPreview', () => {
+    it('should produce before and after lines with changed ranges', () => {
+      const [match] = findReplaceMatches('say hello world', 'hello', 'goodbye');
+      const preview = createMatchPreview(match);
+
+      expect(preview.before).toBe('say hello world');
+      expect(preview.after).toBe('say goodbye world');
+      expect(preview.removed).toEqual({ start: 4, end: 9 });
+      expect(preview.added).toEqual({ start: 4, end: 11 });
+    });
+  });
+
+  describe('findInWorkspace', () => {
+    it('should yield one result per file with matches', async () => {
+      const rootDir = createMockDirectoryHandle('root', {
+        'a.md': 'term and term',
+        'b.md': 'nothing',
+        notes: { 'c.md': 'term' },
+      });
+
+      const results = await collect(findInWorkspace(rootDir, 'term', 'word'));
+
+      expect(results.map((r) => r.fullPath)).toEqual(['a.md', 'notes/c.md']);
+      expect(results[0].matches).toHaveLength(2);
+      expect(results[0].isOpen).toBe(false);
+    });
+
+    it('should search the open file through the editor content', async () => {
+      const rootDir = createMockDirectoryHandle('root', { 'a.md': 'saved text' });
+      const openFile = { path: 'a.md', getContent: () => 'unsaved term' };
+
+      const results = await collect(findInWorkspace(rootDir, 'term', 'word', { openFile }));
+
+      expect(results).toHaveLength(1);
+      expect(results[0].isOpen).toBe(true);
+      expect(results[0].content).toBe('unsaved term');
+    });
+
+    it('should throw for an invalid regular expression', async () => {
+      const rootDir = createMockDirectoryHandle('root', { 'a.md': 'x' });
+
+      await expect(collect(findInWorkspace(rootDir, '(', '', { regex: true }))).rejects.toThrow(
+        /Invalid regular expression/
+      );
+    });
+  });
+
+  describe('replaceInWorkspace', () => {
+    it('should write replacements to disk after backing files up', async () => {
+      const rootDir = createMockDirectoryHandle('root', {
+        'a.md': 'old old',
+        notes: { 'b.md': 'old' },
+      });
+      const results = await collect(findInWorkspace(rootDir, 'old', 'new'));
+      const backupFiles = vi.fn(async () => 'backup-1');
+
+      const summary = await replaceInWorkspace(results, { backupFiles });
+
+      expect(backupFiles).toHaveBeenCalledWith([
+        { path: 'a.md', content: 'old old' },
+        { path: 'notes/b.md', content: 'old' },
+      ]);
+      expect(rootDir._getEntry('a.md')._getContent()).toBe('new new');
+      expect(rootDir._getEntry('notes')._getEntry('b.md')._getContent()).toBe('new');
+      expect(summary).toMatchObject({ fileCount: 2, matchCount: 3, backupId: 'backup-1' });
+    });
+
+    it('should only apply the selected matches', async () => {
+      const rootDir = createMockDirectoryHandle('root', { 'a.md': 'old old' });
+      const [result] = await collect(findInWorkspace(rootDir, 'old', 'new'));
+
+      await replaceInWorkspace([{ ...result, matches: [result.matches[1]] }], {});
+
+      expect(rootDir._getEntry('a.md')._getContent()).toBe('old new');
+    });
+
+    it('should skip files that changed since the preview', async () => {
+      const rootDir = createMockDirectoryHandle('root', { 'a.md': 'old' });
+      const results = await collect(findInWorkspace(rootDir, 'old', 'new'));
+      rootDir._getEntry('a.md')._setContent('old, edited elsewhere');
+
+      const summary = await replaceInWorkspace(results, {});
+
+      expect(summary.skipped).toEqual(['a.md']);
+      expect(summary.fileCount).toBe(0);
+      expect(rootDir._getEntry('a.md')._getContent()).toBe('old, edited elsewhere');
+    });
+
+    it('should report files that can no longer be read and replace in the others', async () => {
+      const rootDir = createMockDirectoryHandle('root', { 'a.md': 'old', 'b.md': 'old' });
+      const results = await collect(findInWorkspace(rootDir, 'old', 'new'));
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      rootDir._getEntry('a.md').getFile = vi.fn().mockRejectedValue(new Error('Not found'));
+
+      const summary = await replaceInWorkspace(results, {});
+
+      expect(summary.failed).toEqual(['a.md']);
+      expect(summary.fileCount).toBe(1);
+      expect(rootDir._getEntry('b.md')._getContent()).toBe('new');
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should leave the open file untouched when the backup fails', async () => {
+      const rootDir = createMockDirectoryHandle('root', { 'a.md': 'disk', 'b.md': 'old' });
+      const openFile = {
+        path: 'a.md',
+        getContent: () => 'old',
+        replaceRange: vi.fn(),
+      };
+      const results = await collect(findInWorkspace(rootDir, 'old', 'new', { openFile }));
+      const backupFiles = vi.fn().mockRejectedValue(new Error('Disk full'));
+
+      await expect(replaceInWorkspace(results, { openFile, backupFiles })).rejects.toThrow(
+        'Disk full'
+      );
+      expect(openFile.replaceRange).not.toHaveBeenCalled();
+      expect(rootDir._getEntry('b.md')._getContent()).toBe('old');
+    });
+
+    it('should edit the open file through the editor from the end backwards', async () => {
+      const rootDir = createMockDirectoryHandle('root', { 'a.md': 'disk' });
+      let editorText = 'old and old';
+      const openFile = {
+        path: 'a.md',
+        getContent: () => editorText,
+        replaceRange: vi.fn((from, to, text) => {
+          editorText = editorText.slice(0, from) + text + editorText.slice(to);
+        }),
+      };
+      const results = await collect(findInWorkspace(rootDir, 'old', 'new', { openFile }));
+      const backupFiles = vi.fn();
+
+      const summary = await replaceInWorkspace(results, { openFile, backupFiles });
+
+      expect(editorText).toBe('new and new');
+      expect(openFile.replaceRange.mock.calls.map((call) => call[0])).toEqual([8, 0]);
+      expect(rootDir._getEntry('a.md')._getContent()).toBe('disk');
+      expect(backupFiles).not.toHaveBeenCalled();
+      expect(summary.matchCount).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,316 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  tokenize,
+  couldContainQuery,
+  createMemoryStore,
+  createSearchIndex,
+} from '../../src/search/search-index.js';
+import { searchFileContents } from '../../src/search/content-search.js';
+import { FileSystemAdapter } from '../../src/fs/filesystem-adapter.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+
+const collect = async (generator) => {
+  const results = [];
+  for await (const result of generator) {
+    results.push(result);
+  }
+  return results;
+};
+
+describe('Search Index', () => {
+  describe('tokenize', () => {
+    it('should return unique lowercase words', () => {
+      expect(tokenize('Hello world, hello_there 42!')).toEqual([
+        'hello',
+        'world',
+        'hello_there',
+        '42',
+      ]);
+    });
+
+    it('should skip overly long tokens', () => {
+      expect(tokenize(`short ${'x'.repeat(65)}`)).toEqual(['short']);
+    });
+  });
+
+  describe('couldContainQuery', () => {
+    const tokens = new Set(['const', 'searchindex', 'refresh', 'await']);
+
+    it('should match a single word anywhere inside a token', () => {
+      expect(couldContainQuery(tokens, 'index')).toBe(true);
+      expect(couldContainQuery(tokens, 'missing')).toBe(false);
+    });
+
+    it('should allow partial words only at the edges of a phrase', () => {
+      expect(couldContainQuery(tokens, 'index refr')).toBe(true);
+      expect(couldContainQuery(tokens, 'st searchindex aw')).toBe(true);
+      expect(couldContainQuery(tokens, 'const index await')).toBe(false);
+    });
+
+    it('should not rule out queries without words', () => {
+      expect(couldContainQuery(tokens, '=>')).toBe(true);
+    });
+  });
+
+  describe('SearchIndex', () => {
+    let rootDir;
+    let store;
+    let index;
+
+    beforeEach(async () => {
+      rootDir = createMockDirectoryHandle('workspace', {
+        'readme.md': '# Readme\nWelcome to the project',
+        'image.png': 'binary',
+        '.git': { config: 'hidden' },
+        src: {
+          'app.js': 'const greeting = "hello";',
+          lib: {
+            'util.js': 'export const helper = () => greeting;',
+          },
+        },
+      });
+      store = createMemoryStore();
+      index = createSearchIndex({ store });
+      await index.open(rootDir);
+      await index.refresh();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should index files and directories but skip hidden entries', () => {
+      expect([...index.records.keys()].sort()).toEqual([
+        'image.png',
+        'readme.md',
+        'src',
+        'src/app.js',
+        'src/lib',
+        'src/lib/util.js',
+      ]);
+      expect(index.records.get('image.png').tokens).toBeNull();
+      expect(index.records.get('src/app.js').tokens).toContain('greeting');
+      expect(index.isReady()).toBe(true);
+    });
+
+    it('should not be ready until the persisted index is refreshed', async () => {
+      const readSpy = vi.spyOn(FileSystemAdapter, 'readFile');
+      const reopened = createSearchIndex({ store });
+      const refreshSpy = vi.spyOn(reopened, 'refresh').mockResolvedValue();
+
+      await reopened.open(rootDir);
+
+      expect(reopened.isReady()).toBe(false);
+      expect(reopened.records.has('src/lib/util.js')).toBe(true);
+      expect(refreshSpy).toHaveBeenCalled();
+
+      refreshSpy.mockRestore();
+      await reopened.refresh();
+
+      expect(reopened.isReady()).toBe(true);
+      expect(readSpy).not.toHaveBeenCalled();
+    });
+
+    it('should keep separate indexes for folders with the same name', async () => {
+      const otherDir = createMockDirectoryHandle('workspace', { 'notes.md': 'other notes' });
+      const other = createSearchIndex({ store });
+      await other.open(otherDir, 'workspace-other');
+      await other.refresh();
+
+      const reopened = createSearchIndex({ store });
+      vi.spyOn(reopened, 'refresh').mockResolvedValue();
+      await reopened.open(otherDir, 'workspace-other');
+
+      expect([...reopened.records.keys()]).toEqual(['notes.md']);
+    });
+
+    it('should only re-read files that changed since the last refresh', async () => {
+      const readSpy = vi.spyOn(FileSystemAdapter, 'readFile');
+      const appFile = rootDir._getEntry('src')._getEntry('app.js');
+      appFile._setContent('const farewell = "goodbye";');
+
+      await index.refresh();
+
+      expect(readSpy).toHaveBeenCalledTimes(1);
+      expect(readSpy).toHaveBeenCalledWith(appFile);
+      expect(index.records.get('src/app.js').tokens).toContain('farewell');
+    });
+
+    it('should drop deleted files from memory and the store', async () => {
+      const onUpdated = vi.fn();
+      index.callbacks.onUpdated = onUpdated;
+      rootDir._getEntry('src')._removeEntry('lib');
+
+      await index.refresh();
+
+      expect(index.records.has('src/lib')).toBe(false);
+      expect(index.records.has('src/lib/util.js')).toBe(false);
+      const stored = await store.getAll('workspace');
+      expect(stored.map((r) => r.path)).not.toContain('src/lib/util.js');
+      expect(onUpdated).toHaveBeenCalledWith({ changed: 0, removed: 2 });
+    });
+
+    it('should list indexed file paths', () => {
+      expect(index.getFilePaths().sort()).toEqual([
+        'image.png',
+        'readme.md',
+        'src/app.js',
+        'src/lib/util.js',
+      ]);
+    });
+
+    it('should report the first refresh even if nothing changed', async () => {
+      const onUpdated = vi.fn();
+      const reopened = createSearchIndex({ store, onUpdated });
+      vi.spyOn(reopened, 'refresh').mockResolvedValue();
+      await reopened.open(rootDir);
+
+      await reopened.performRefresh(reopened.generation);
+      await reopened.performRefresh(reopened.generation);
+
+      expect(onUpdated).toHaveBeenCalledTimes(1);
+      expect(onUpdated).toHaveBeenCalledWith({ changed: 0, removed: 0 });
+    });
+
+    it('should share concurrent refreshes', async () => {
+      const first = index.refresh();
+      const second = index.refresh();
+      expect(first).toBe(second);
+      await first;
+    });
+
+    it('should skip refreshing when the index is fresh', () => {
+      const refreshSpy = vi.spyOn(index, 'refresh');
+
+      index.refreshIfStale();
+      expect(refreshSpy).not.toHaveBeenCalled();
+
+      index.refreshIfStale(0);
+      expect(refreshSpy).toHaveBeenCalled();
+    });
+
+    it('should re-index a single saved file', async () => {
+      const appFile = rootDir._getEntry('src')._getEntry('app.js');
+      appFile._setContent('const renamedVariable = 1;');
+
+      await index.updateFile('src/app.js', appFile);
+
+      const record = index.records.get('src/app.js');
+      expect(record.tokens).toContain('renamedvariable');
+      expect(record.depth).toBe(1);
+      const stored = await store.getAll('workspace');
+      expect(stored.find((r) => r.path === 'src/app.js').tokens).toContain('renamedvariable');
+    });
+
+    it('should discard work for a workspace that was closed', async () => {
+      const refresh = index.refresh();
+      index.close();
+      await refresh;
+
+      expect(index.records.size).toBe(0);
+      expect(index.isReady()).toBe(false);
+    });
+
+    describe('searchFiles', () => {
+      it('should return results shaped like recursive file search', () => {
+        const results = index.searchFiles('app');
+
+        expect(results).toEqual([
+          expect.objectContaining({
+            name: 'app.js',
+            path: 'src',
+            fullPath: 'src/app.js',
+            kind: 'file',
+            depth: 1,
+          }),
+        ]);
+        expect(results[0].relevance).toBeGreaterThan(0);
+      });
+
+      it('should search relative to a base path', () => {
+        const results = index.searchFiles('util', { basePath: 'src' });
+
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ path: 'lib', fullPath: 'lib/util.js', depth: 1 });
+        expect(index.searchFiles('readme', { basePath: 'src' })).toEqual([]);
+      });
+
+      it('should respect maxDepth and maxResults', () => {
+        expect(index.searchFiles('util', { maxDepth: 1 })).toEqual([]);
+        expect(index.searchFiles('s', { maxResults: 2 })).toHaveLength(2);
+      });
+    });
+
+    describe('textFiles', () => {
+      it('should only read files whose tokens could match a literal query', async () => {
+        const readSpy = vi.spyOn(FileSystemAdapter, 'readFile');
+
+        const files = await collect(index.textFiles('greeting'));
+
+        expect(files.map((f) => f.fullPath)).toEqual(['src/app.js', 'src/lib/util.js']);
+        expect(readSpy).toHaveBeenCalledTimes(2);
+        expect(files[0]).toMatchObject({ name: 'app.js', path: 'src' });
+        expect(files[0].content).toBe('const greeting = "hello";');
+      });
+
+      it('should consider every text file for regular expressions', async () => {
+        const files = await collect(index.textFiles('gre+t', { regex: true }));
+
+        expect(files.map((f) => f.fullPath)).toEqual([
+          'readme.md',
+          'src/app.js',
+          'src/lib/util.js',
+        ]);
+      });
+
+      it('should stop when aborted', async () => {
+        const controller = { signal: { aborted: true } };
+        expect(await collect(index.textFiles('greeting', controller))).toEqual([]);
+      });
+
+      it('should feed content search, reading only the candidate files', async () => {
+        const readSpy = vi.spyOn(FileSystemAdapter, 'readFile');
+
+        const results = await collect(
+          searchFileContents(rootDir, 'welcome', { files: index.textFiles('welcome') })
+        );
+
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ fullPath: 'readme.md', lineNumber: 2 });
+        expect(readSpy).toHaveBeenCalledTimes(1);
+      });
+
+      it('should find files changed or added outside the app since the last refresh', async () => {
+        rootDir._getEntry('readme.md')._setContent('# Readme\nA greeting for everyone');
+        await rootDir.getFileHandle('notes.md', { create: true });
+        rootDir._getEntry('notes.md')._setContent('greeting notes');
+
+        const files = await collect(index.textFiles('greeting'));
+
+        expect(files.map((f) => f.fullPath)).toEqual([
+          'notes.md',
+          'readme.md',
+          'src/app.js',
+          'src/lib/util.js',
+        ]);
+      });
+
+      it('should list the files of a folder before those of its subfolders', async () => {
+        const dir = createMockDirectoryHandle('ordered', {
+          a: { 'x.md': 'word', z: { 'y.md': 'word' } },
+          'a-b': { 'w.md': 'word' },
+          'root.md': 'word',
+        });
+        const ordered = createSearchIndex({ store: createMemoryStore() });
+        await ordered.open(dir);
+        await ordered.refresh();
+
+        const files = await collect(ordered.textFiles('word'));
+        const walked = await collect(searchFileContents(dir, 'word'));
+
+        expect(files.map((f) => f.fullPath)).toEqual(walked.map((r) => r.fullPath));
+        expect(files.map((f) => f.fullPath)).toEqual(['root.md', 'a/x.md', 'a/z/y.md', 'a-b/w.md']);
+      });
+    });
+  });
+});
@@ -5,10 +5,32 @@ import {
   buildPrompt,
   improveText,
   parseStreamingResponse,
+  fetchModels,
+  getFallbackModels,
+  buildChatMessages,
+  chat,
+  CHAT_CONTEXT_LIMIT,
 } from '../../src/services/ai-service.js';
 import * as settingsManager from '../../src/state/settings-manager.js';
 import * as environment from '../../src/utils/environment.js';
 
+/* global ReadableStream, TextEncoder */
+// Response streaming newline-delimited JSON, like Ollama's /api/generate
+const streamResponse = (messages) => {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    body: new ReadableStream({
+      start(controller) {
+        messages.forEach((message) => {
+          controller.enqueue(encoder.encode(`${JSON.stringify(message)}\n`));
+        });
+        controller.close();
+      },
+    }),
+  };
+};
+
 describe('AI Service', () => {
   beforeEach(() => {
     // Mock fetch
@@ -313,12 +335,11 @@ Another paragraph.`;
     });
 
     it('should improve text without comments using default instruction', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({
+      const mockResponse = streamResponse([
+        {
           response: 'This text has been improved.',
-        }),
-      };
+        },
+      ]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -336,12 +357,11 @@ Another paragraph.`;
     });
 
     it('should extract comments and use as instructions', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({
+      const mockResponse = streamResponse([
+        {
           response: 'Improved text.',
-        }),
-      };
+        },
+      ]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -360,10 +380,7 @@ This is a long paragraph that could be shorter.`;
     });
 
     it('should use settings from SettingsManager', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({ response: 'Result' }),
-      };
+      const mockResponse = streamResponse([{ response: 'Result' }]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -388,11 +405,37 @@ This is a long paragraph that could be shorter.`;
       await expect(improveText('Test text')).rejects.toThrow('Connection refused');
     });
 
-    it('should handle empty text input', async () => {
-      const mockResponse = {
+    it('should use the OpenAI-compatible server when it is selected', async () => {
+      settingsManager.getSettings.mockReturnValue({
+        provider: 'openai',
+        systemPrompt: 'Be brief.',
+        openai: { endpoint: 'http://localhost:8080', apiKey: '', model: 'local-model' },
+      });
+      const encoder = new TextEncoder();
+      global.fetch.mockResolvedValue({
         ok: true,
-        json: vi.fn().mockResolvedValue({ response: '' }),
-      };
+        body: new ReadableStream({
+          start(controller) {
+            controller.enqueue(
+              encoder.encode(
+                `data: ${JSON.stringify({ choices: [{ delta: { content: 'Better' } }] })}\n\ndata: [DONE]\n\n`
+              )
+            );
+            controller.close();
+          },
+        }),
+      });
+
+      const result = await improveText('Text');
+
+      expect(result).toBe('Better');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:8080/v1/chat/completions');
+      expect(JSON.parse(options.body).model).toBe('local-model');
+    });
+
+    it('should handle empty text input', async () => {
+      const mockResponse = streamResponse([{ response: '' }]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -401,6 +444,80 @@ This is a long paragraph that could be shorter.`;
     });
   });
 
+  describe('fetchModels', () => {
+    it('should ask Ollama for its installed models', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: vi.fn().mockResolvedValue({ models: [{ name: 'llama3:latest' }] }),
+      });
+
+      const models = await fetchModels('ollama', { endpoint: 'http://localhost:11434' });
+
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/tags');
+      expect(models.map((model) => model.value)).toEqual(['llama3:latest']);
+    });
+
+    it('should only fall back to common models for Ollama', () => {
+      expect(getFallbackModels('ollama').map((model) => model.value)).toContain('llama2');
+      expect(getFallbackModels('openai')).toEqual([]);
+    });
+  });
+
+  describe('chat', () => {
+    it('should start the conversation with the note', () => {
+      const messages = buildChatMessages([{ role: 'user', content: 'Summarize' }], {
+        path: 'notes/todo.md',
+        text: '- write tests',
+        isSelection: false,
+      });
+
+      expect(messages).toHaveLength(2);
+      expect(messages[0].role).toBe('system');
+      expect(messages[0].content).toContain('Contents of notes/todo.md:\n\n- write tests');
+      expect(messages[1]).toEqual({ role: 'user', content: 'Summarize' });
+    });
+
+    it('should say when the context is a selection', () => {
+      const [system] = buildChatMessages([], {
+        path: 'a.md',
+        text: 'selected',
+        isSelection: true,
+      });
+
+      expect(system.content).toContain('Text selected in a.md:\n\nselected');
+    });
+
+    it('should cut off long notes', () => {
+      const [system] = buildChatMessages([], {
+        path: 'long.md',
+        text: 'x'.repeat(CHAT_CONTEXT_LIMIT + 10),
+        isSelection: false,
+      });
+
+      expect(system.content).toContain('Contents of long.md (cut off):');
+      expect(system.content).not.toContain('x'.repeat(CHAT_CONTEXT_LIMIT + 1));
+    });
+
+    it('should chat without a note', () => {
+      const [system] = buildChatMessages([], null);
+
+      expect(system.content).not.toContain('Contents of');
+    });
+
+    it("should send the conversation to Ollama's chat API", async () => {
+      global.fetch.mockResolvedValue(
+        streamResponse([{ message: { role: 'assistant', content: 'Done' }, done: true }])
+      );
+
+      const answer = await chat([{ role: 'user', content: 'Hi' }], null);
+
+      expect(answer).toBe('Done');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/api/chat');
+      expect(JSON.parse(options.body).messages[1]).toEqual({ role: 'user', content: 'Hi' });
+    });
+  });
+
   describe('parseStreamingResponse', () => {
     it('should parse newline-delimited JSON chunks', () => {
       const chunks = ['{"response": "Hello"}\n', '{"response": " world"}\n', '{"response": "!"}\n'];
@@ -440,12 +557,11 @@ This is a long paragraph that could be shorter.`;
 
   describe('Integration scenarios', () => {
     it('should handle complete AI improvement workflow', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({
+      const mockResponse = streamResponse([
+        {
           response: 'The quick brown fox jumps over the lazy dog.',
-        }),
-      };
+        },
+      ]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -466,10 +582,7 @@ The fox jumped over the dog.`;
     });
 
     it('should handle multiple comment types in one text', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({ response: 'Improved' }),
-      };
+      const mockResponse = streamResponse([{ response: 'Improved' }]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -491,12 +604,11 @@ Some text to improve`;
 
   describe('Text replacement behavior', () => {
     it('should return only the improved text without comments', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({
+      const mockResponse = streamResponse([
+        {
           response: 'The improved sentence.',
-        }),
-      };
+        },
+      ]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -512,12 +624,11 @@ This is a very long and wordy sentence that could be much shorter.`;
     });
 
     it('should handle text with multiple inline comments', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({
+      const mockResponse = streamResponse([
+        {
           response: 'First paragraph improved.\n\nSecond paragraph improved.',
-        }),
-      };
+        },
+      ]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -545,12 +656,11 @@ Second paragraph is too complex.`;
     });
 
     it('should preserve structure when only text content changes', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({
+      const mockResponse = streamResponse([
+        {
           response: 'This is improved text.',
-        }),
-      };
+        },
+      ]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -564,12 +674,11 @@ Second paragraph is too complex.`;
     });
 
     it('should handle empty result from AI', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({
+      const mockResponse = streamResponse([
+        {
           response: '',
-        }),
-      };
+        },
+      ]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
@@ -580,12 +689,11 @@ Second paragraph is too complex.`;
     });
 
     it('should preserve whitespace and formatting in response', async () => {
-      const mockResponse = {
-        ok: true,
-        json: vi.fn().mockResolvedValue({
+      const mockResponse = streamResponse([
+        {
           response: 'Line one.\n\nLine two.\n  Indented line.',
-        }),
-      };
+        },
+      ]);
 
       global.fetch.mockResolvedValue(mockResponse);
 
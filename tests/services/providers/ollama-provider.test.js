@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { OllamaProvider } from '../../../src/services/providers/ollama-provider.js';
+
+/* global ReadableStream, TextEncoder, AbortController, DOMException */
+const encoder = new TextEncoder();
+const line = (message) => `${JSON.stringify(message)}\n`;
+
+/**
+ * Fetch mock streaming the chunks it is given, until the stream is closed or the request aborted
+ * @returns {{fetch: Function, push: Function, close: Function}}
+ */
+const createStreamingFetch = () => {
+  let streamController;
+  const fetch = vi.fn(async (_url, { signal }) => {
+    const body = new ReadableStream({
+      start(controller) {
+        streamController = controller;
+      },
+    });
+    signal.addEventListener('abort', () =>
+      streamController.error(new DOMException('The operation was aborted.', 'AbortError'))
+    );
+    return { ok: true, body };
+  });
+
+  return {
+    fetch,
+    push: (text) => streamController.enqueue(encoder.encode(text)),
+    close: () => streamController.close(),
+  };
+};
+
+describe('OllamaProvider', () => {
+  let provider;
+  let stream;
+
+  beforeEach(() => {
+    provider = new OllamaProvider({ endpoint: 'http://localhost:11434/', model: 'llama3' });
+    stream = createStreamingFetch();
+    global.fetch = stream.fetch;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should request a streamed answer', async () => {
+    const result = provider.improveText('Text', [], null, new AbortController().signal);
+    await vi.waitFor(() => expect(stream.fetch).toHaveBeenCalled());
+    stream.close();
+    await result;
+
+    const [url, options] = stream.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/api/generate');
+    expect(JSON.parse(options.body).stream).toBe(true);
+  });
+
+  it('should pass each piece of the answer on as it arrives', async () => {
+    const onChunk = vi.fn();
+    const result = provider.improveText('Text', [], onChunk, new AbortController().signal);
+    await vi.waitFor(() => expect(stream.fetch).toHaveBeenCalled());
+
+    stream.push(line({ response: 'Hello' }));
+    await vi.waitFor(() => expect(onChunk).toHaveBeenCalledWith('Hello'));
+
+    stream.push(line({ response: ' world' }) + line({ response: '', done: true }));
+    stream.close();
+
+    expect(await result).toBe('Hello world');
+    expect(onChunk.mock.calls).toEqual([['Hello'], [' world']]);
+  });
+
+  it('should join lines split across chunks', async () => {
+    const onChunk = vi.fn();
+    const result = provider.improveText('Text', [], onChunk, new AbortController().signal);
+    await vi.waitFor(() => expect(stream.fetch).toHaveBeenCalled());
+
+    const text = line({ response: 'Split ✓' }) + line({ response: ' answer' }).trim();
+    stream.push(text.slice(0, 10));
+    stream.push(text.slice(10));
+    stream.close();
+
+    expect(await result).toBe('Split ✓ answer');
+    expect(onChunk.mock.calls).toEqual([['Split ✓'], [' answer']]);
+  });
+
+  it('should report errors sent in the stream', async () => {
+    const result = provider.improveText('Text', [], null, new AbortController().signal);
+    await vi.waitFor(() => expect(stream.fetch).toHaveBeenCalled());
+
+    stream.push(line({ error: 'model ran out of memory' }));
+
+    await expect(result).rejects.toThrow('Ollama error: model ran out of memory');
+  });
+
+  it('should close the response when the stream reports an error', async () => {
+    const result = provider.improveText('Text', [], null, new AbortController().signal);
+    await vi.waitFor(() => expect(stream.fetch).toHaveBeenCalled());
+
+    stream.push(line({ error: 'model ran out of memory' }));
+
+    await expect(result).rejects.toThrow('Ollama error: model ran out of memory');
+    expect(stream.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it('should report missing models', async () => {
+    global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+
+    await expect(
+      provider.improveText('Text', [], null, new AbortController().signal)
+    ).rejects.toThrow('Model "llama3" not found');
+  });
+
+  it('should stop when the request is cancelled', async () => {
+    const controller = new AbortController();
+    const onChunk = vi.fn();
+    const result = provider.improveText('Text', [], onChunk, controller.signal);
+    await vi.waitFor(() => expect(stream.fetch).toHaveBeenCalled());
+
+    stream.push(line({ response: 'Partial' }));
+    await vi.waitFor(() => expect(onChunk).toHaveBeenCalled());
+    controller.abort();
+
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('should only time out when the server goes quiet', async () => {
+    vi.useFakeTimers();
+    const onChunk = vi.fn();
+    const result = provider.improveText('Text', [], onChunk, new AbortController().signal);
+    result.catch(() => {});
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Chunks keep arriving, so the whole answer may take longer than the timeout
+    for (let i = 0; i < 3; i++) {
+      await vi.advanceTimersByTimeAsync(OllamaProvider.TIMEOUT - 1000);
+      stream.push(line({ response: `${i}` }));
+      await vi.advanceTimersByTimeAsync(0);
+    }
+    expect(onChunk).toHaveBeenCalledTimes(3);
+
+    await vi.advanceTimersByTimeAsync(OllamaProvider.TIMEOUT);
+
+    await expect(result).rejects.toThrow('Request timeout');
+  });
+
+  it('should chat through /api/chat and stream the answer', async () => {
+    const onChunk = vi.fn();
+    const messages = [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+    ];
+    const result = provider.chat(messages, onChunk, new AbortController().signal);
+    await vi.waitFor(() => expect(stream.fetch).toHaveBeenCalled());
+
+    stream.push(line({ message: { role: 'assistant', content: 'Hel' }, done: false }));
+    stream.push(line({ message: { role: 'assistant', content: 'lo' }, done: false }));
+    stream.push(line({ message: { role: 'assistant', content: '' }, done: true }));
+    stream.close();
+
+    await expect(result).resolves.toBe('Hello');
+    expect(onChunk.mock.calls.map(([chunk]) => chunk)).toEqual(['Hel', 'lo']);
+    const [url, options] = stream.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(JSON.parse(options.body)).toMatchObject({ model: 'llama3', messages, stream: true });
+  });
+
+  describe('fetchModels', () => {
+    it('should list the installed models with their size and quantization', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: vi.fn().mockResolvedValue({
+          models: [
+            {
+              name: 'mistral:latest',
+              size: 4109865159,
+              details: { parameter_size: '7.2B', quantization_level: 'Q4_0' },
+            },
+            { name: 'llama3.1:8b', size: 4920753328, details: {} },
+          ],
+        }),
+      });
+
+      const models = await OllamaProvider.fetchModels({ endpoint: 'http://localhost:11434/' });
+
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/tags');
+      expect(models).toEqual([
+        { value: 'llama3.1:8b', label: 'llama3.1:8b', detail: '4.9 GB' },
+        { value: 'mistral:latest', label: 'mistral:latest', detail: '7.2B · Q4_0 · 4.1 GB' },
+      ]);
+    });
+
+    it('should explain refused requests', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 403 });
+
+      await expect(
+        OllamaProvider.fetchModels({ endpoint: 'http://localhost:11434' })
+      ).rejects.toThrow('OLLAMA_ORIGINS');
+    });
+
+    it('should say when the server cannot be reached', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await expect(
+        OllamaProvider.fetchModels({ endpoint: 'http://localhost:11434' })
+      ).rejects.toThrow('Cannot connect to Ollama server at http://localhost:11434');
+    });
+
+    it('should give up on servers that do not answer', async () => {
+      vi.useFakeTimers();
+      global.fetch = vi.fn(
+        (_url, { signal }) =>
+          new Promise((_resolve, reject) =>
+            signal.addEventListener('abort', () =>
+              reject(new DOMException('The operation was aborted.', 'AbortError'))
+            )
+          )
+      );
+      const result = OllamaProvider.fetchModels({ endpoint: 'http://localhost:11434' });
+      result.catch(() => {});
+
+      await vi.advanceTimersByTimeAsync(OllamaProvider.LIST_TIMEOUT);
+
+      await expect(result).rejects.toThrow("didn't answer in time");
+    });
+  });
+
+  it('should format model sizes', () => {
+    expect(OllamaProvider.formatSize(512)).toBe('512 B');
+    expect(OllamaProvider.formatSize(1500000)).toBe('1.5 MB');
+    expect(OllamaProvider.formatSize(4920753328)).toBe('4.9 GB');
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { OpenAIProvider } from '../../../src/services/providers/openai-provider.js';
+
+/* global ReadableStream, TextEncoder, AbortController */
+// Response streaming server-sent events, like /v1/chat/completions
+const sseResponse = (events) => {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    body: new ReadableStream({
+      start(controller) {
+        events.forEach((event) => controller.enqueue(encoder.encode(event)));
+        controller.close();
+      },
+    }),
+  };
+};
+
+const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+describe('OpenAIProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new OpenAIProvider({
+      endpoint: 'http://localhost:1234/',
+      model: 'qwen2.5-7b-instruct',
+      systemPrompt: 'Be concise.',
+      temperature: 0.2,
+      topP: 0.8,
+    });
+    global.fetch = vi.fn();
+  });
+
+  it('should send chat messages with a system role', async () => {
+    global.fetch.mockResolvedValue(sseResponse(['data: [DONE]\n\n']));
+
+    await provider.improveText('Some text', ['Fix typos'], null, new AbortController().signal);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:1234/v1/chat/completions');
+    const body = JSON.parse(options.body);
+    expect(body).toMatchObject({
+      model: 'qwen2.5-7b-instruct',
+      stream: true,
+      temperature: 0.2,
+      top_p: 0.8,
+    });
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'Be concise.' });
+    expect(body.messages[1].role).toBe('user');
+    expect(body.messages[1].content).toContain('1. Fix typos');
+    expect(body.messages[1].content).toContain('Some text');
+  });
+
+  it('should accept endpoints that already end in /v1', () => {
+    expect(OpenAIProvider.getApiUrl('http://localhost:8000/v1/')).toBe('http://localhost:8000/v1');
+    expect(OpenAIProvider.getApiUrl('http://localhost:8000')).toBe('http://localhost:8000/v1');
+  });
+
+  it('should stream the answer from server-sent events', async () => {
+    global.fetch.mockResolvedValue(
+      sseResponse([
+        ': keep-alive\n\n',
+        `data: ${JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] })}\n\n`,
+        delta('Hello'),
+        delta(' world'),
+        'data: [DONE]\n\n',
+      ])
+    );
+    const onChunk = vi.fn();
+
+    const result = await provider.improveText('Text', [], onChunk, new AbortController().signal);
+
+    expect(result).toBe('Hello world');
+    expect(onChunk.mock.calls).toEqual([['Hello'], [' world']]);
+  });
+
+  it('should stream events framed with CRLF line endings', async () => {
+    const crlf = (event) => event.replace(/\n/g, '\r\n');
+    global.fetch.mockResolvedValue(
+      sseResponse([
+        crlf(delta('Hello')),
+        // A chunk can end between \r and \n
+        crlf(delta(' world')).slice(0, -1),
+        '\n',
+        crlf('data: [DONE]\n\n'),
+      ])
+    );
+    const onChunk = vi.fn();
+
+    const result = await provider.improveText('Text', [], onChunk, new AbortController().signal);
+
+    expect(result).toBe('Hello world');
+    expect(onChunk.mock.calls).toEqual([['Hello'], [' world']]);
+  });
+
+  it('should only send an API key when one is set', async () => {
+    global.fetch.mockResolvedValue(sseResponse(['data: [DONE]\n\n']));
+    await provider.improveText('Text', [], null, new AbortController().signal);
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+
+    global.fetch.mockResolvedValue(sseResponse(['data: [DONE]\n\n']));
+    provider.config.apiKey = 'secret';
+    await provider.improveText('Text', [], null, new AbortController().signal);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer secret');
+  });
+
+  it('should explain rejected API keys', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 401 });
+
+    await expect(
+      provider.improveText('Text', [], null, new AbortController().signal)
+    ).rejects.toThrow('rejected the API key');
+  });
+
+  it('should report errors sent in the stream', async () => {
+    global.fetch.mockResolvedValue(
+      sseResponse([`data: ${JSON.stringify({ error: { message: 'context too long' } })}\n\n`])
+    );
+
+    await expect(
+      provider.improveText('Text', [], null, new AbortController().signal)
+    ).rejects.toThrow('Server error: context too long');
+  });
+
+  it('should report unreachable servers', async () => {
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(
+      provider.improveText('Text', [], null, new AbortController().signal)
+    ).rejects.toThrow('Cannot connect to OpenAI-compatible server at http://localhost:1234/v1');
+  });
+
+  describe('fetchModels', () => {
+    it('should list the models from /v1/models', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: vi.fn().mockResolvedValue({
+          object: 'list',
+          data: [{ id: 'mistral-7b' }, { id: 'llama-3.1-8b' }],
+        }),
+      });
+
+      const models = await OpenAIProvider.fetchModels({
+        endpoint: 'http://localhost:8080',
+        apiKey: 'secret',
+      });
+
+      expect(models).toEqual([
+        { value: 'llama-3.1-8b', label: 'llama-3.1-8b' },
+        { value: 'mistral-7b', label: 'mistral-7b' },
+      ]);
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:8080/v1/models');
+      expect(options.headers.Authorization).toBe('Bearer secret');
+    });
+
+    it('should fail on error responses', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500 });
+
+      await expect(
+        OpenAIProvider.fetchModels({ endpoint: 'http://localhost:8080' })
+      ).rejects.toThrow(
+        'Unexpected response from OpenAI-compatible server at http://localhost:8080/v1 (HTTP 500).'
+      );
+    });
+
+    it('should say when the API key is rejected', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 401 });
+
+      await expect(
+        OpenAIProvider.fetchModels({ endpoint: 'http://localhost:8080', apiKey: 'wrong' })
+      ).rejects.toThrow('The server rejected the API key');
+    });
+  });
+
+  it('should validate its configuration', () => {
+    expect(
+      OpenAIProvider.validateConfig({ endpoint: 'http://localhost:8080', model: 'm' }).valid
+    ).toBe(true);
+    expect(OpenAIProvider.validateConfig({ endpoint: 'ftp://x', model: '' }).errors).toEqual([
+      'Endpoint URL must use HTTP or HTTPS',
+      'Model is required',
+    ]);
+  });
+});
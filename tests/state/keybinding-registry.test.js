@@ -0,0 +1,187 @@
+/* global KeyboardEvent */
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  KeybindingRegistry,
+  createKeybindingRegistry,
+  TYPE_TO_TRIGGER,
+  normalizeKeybinding,
+  eventToKeybinding,
+  isValidKeybinding,
+  formatKeybinding,
+} from '../../src/state/keybinding-registry.js';
+import { getSettings } from '../../src/state/settings-manager.js';
+
+describe('Keybinding Registry', () => {
+  let registry;
+
+  const keydown = (key, options = {}) => new KeyboardEvent('keydown', { key, ...options });
+
+  beforeEach(() => {
+    localStorage.clear();
+    registry = createKeybindingRegistry({ isMac: false });
+  });
+
+  describe('createKeybindingRegistry', () => {
+    it('should create a KeybindingRegistry instance', () => {
+      expect(registry).toBeInstanceOf(KeybindingRegistry);
+    });
+  });
+
+  describe('normalizeKeybinding', () => {
+    it('should sort modifiers and lowercase the key', () => {
+      expect(normalizeKeybinding('Shift-Mod-P', false)).toBe('Mod-Shift-p');
+    });
+
+    it('should treat Ctrl as Mod outside macOS and Cmd as Mod on macOS', () => {
+      expect(normalizeKeybinding('Ctrl-s', false)).toBe('Mod-s');
+      expect(normalizeKeybinding('Cmd-s', true)).toBe('Mod-s');
+      expect(normalizeKeybinding('Ctrl-s', true)).toBe('Ctrl-s');
+    });
+
+    it('should keep null and the typing trigger', () => {
+      expect(normalizeKeybinding(null)).toBeNull();
+      expect(normalizeKeybinding(TYPE_TO_TRIGGER)).toBe(TYPE_TO_TRIGGER);
+    });
+  });
+
+  describe('eventToKeybinding', () => {
+    it('should describe a keydown event', () => {
+      expect(eventToKeybinding(keydown('P', { ctrlKey: true, shiftKey: true }), false)).toBe(
+        'Mod-Shift-p'
+      );
+      expect(eventToKeybinding(keydown('p', { metaKey: true }), true)).toBe('Mod-p');
+      expect(eventToKeybinding(keydown(' ', { altKey: true }), false)).toBe('Alt-Space');
+    });
+
+    it('should use the physical key when Alt changes the character', () => {
+      expect(eventToKeybinding(keydown('π', { altKey: true, code: 'KeyP' }), true)).toBe('Alt-p');
+    });
+
+    it('should ignore a modifier on its own', () => {
+      expect(eventToKeybinding(keydown('Control', { ctrlKey: true }), false)).toBeNull();
+    });
+  });
+
+  describe('isValidKeybinding', () => {
+    it('should need a modifier other than Shift, except for function keys', () => {
+      expect(isValidKeybinding('Mod-k')).toBe(true);
+      expect(isValidKeybinding('Alt-1')).toBe(true);
+      expect(isValidKeybinding('F2')).toBe(true);
+      expect(isValidKeybinding('k')).toBe(false);
+      expect(isValidKeybinding('Shift-k')).toBe(false);
+    });
+  });
+
+  describe('formatKeybinding', () => {
+    it('should format keybindings for other platforms', () => {
+      expect(formatKeybinding('Mod-Shift-p', false)).toBe('Ctrl+Shift+P');
+      expect(formatKeybinding('Alt-ArrowUp', false)).toBe('Alt+ArrowUp');
+    });
+
+    it('should use modifier symbols on macOS', () => {
+      expect(formatKeybinding('Mod-Shift-p', true)).toBe('⌘⇧P');
+    });
+
+    it('should keep a dash key', () => {
+      expect(formatKeybinding('Mod--', false)).toBe('Ctrl+-');
+    });
+
+    it('should describe the typing trigger', () => {
+      expect(formatKeybinding(TYPE_TO_TRIGGER)).toBe('Start typing');
+    });
+  });
+
+  describe('get', () => {
+    it('should return the defaults', () => {
+      expect(registry.get('file.save')).toBe('Mod-s');
+      expect(registry.get('view.toggleTheme')).toBeNull();
+      expect(registry.get('file.quickCreate')).toBe(TYPE_TO_TRIGGER);
+    });
+
+    it('should return the keybindings stored in settings', () => {
+      localStorage.setItem(
+        'hotnote_settings',
+        JSON.stringify({ keybindings: { 'view.toggleTheme': 'Mod-j', 'file.save': null } })
+      );
+
+      expect(registry.get('view.toggleTheme')).toBe('Mod-j');
+      expect(registry.get('file.save')).toBeNull();
+    });
+  });
+
+  describe('setBindings', () => {
+    it('should store only the keybindings that differ from the defaults', () => {
+      registry.setBindings({
+        'file.save': 'Mod-s',
+        'file.quickCreate': null,
+        'view.toggleTheme': 'Alt-t',
+      });
+
+      expect(getSettings().keybindings).toEqual({
+        'file.quickCreate': null,
+        'view.toggleTheme': 'Alt-t',
+      });
+      expect(registry.get('view.toggleTheme')).toBe('Alt-t');
+      expect(createKeybindingRegistry().get('file.quickCreate')).toBeNull();
+    });
+
+    it('should keep the other settings', () => {
+      localStorage.setItem('hotnote_settings', JSON.stringify({ model: 'mistral' }));
+
+      registry.setBindings({ 'view.toggleTheme': 'Alt-t' });
+
+      expect(getSettings().model).toBe('mistral');
+    });
+
+    it('should forget overrides reset to the default', () => {
+      registry.setBindings({ 'view.toggleTheme': 'Alt-t' });
+
+      registry.reset();
+
+      expect(getSettings().keybindings).toEqual({});
+      expect(createKeybindingRegistry().get('view.toggleTheme')).toBeNull();
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('should find keybindings used by more than one action', () => {
+      const conflicts = registry.findConflicts({
+        ...registry.getAll(),
+        'view.toggleTheme': 'Ctrl-S',
+      });
+
+      expect([...conflicts]).toEqual([['Mod-s', ['file.save', 'view.toggleTheme']]]);
+    });
+
+    it('should not report the defaults', () => {
+      expect(registry.findConflicts().size).toBe(0);
+    });
+  });
+
+  describe('match', () => {
+    it('should find the action of a shortcut', () => {
+      expect(registry.match(keydown('F', { ctrlKey: true, shiftKey: true }))).toEqual([
+        'search.inFiles',
+      ]);
+      expect(registry.match(keydown('f', { ctrlKey: true }))).toEqual([]);
+    });
+
+    it('should accept Cmd as well as Ctrl for Mod', () => {
+      expect(registry.match(keydown('s', { metaKey: true }))).toEqual(['file.save']);
+    });
+
+    it('should match typing to quick file creation', () => {
+      expect(registry.match(keydown('a'))).toEqual(['file.quickCreate']);
+      expect(registry.match(keydown('/'))).toEqual(['file.quickCreate']);
+      expect(registry.match(keydown('-'))).toEqual([]);
+    });
+
+    it('should follow rebound and disabled shortcuts', () => {
+      registry.setBindings({ 'file.quickCreate': 'Mod-p', 'search.inFiles': null });
+
+      expect(registry.match(keydown('a'))).toEqual([]);
+      expect(registry.match(keydown('p', { ctrlKey: true }))).toEqual(['file.quickCreate']);
+      expect(registry.match(keydown('F', { ctrlKey: true, shiftKey: true }))).toEqual([]);
+    });
+  });
+});
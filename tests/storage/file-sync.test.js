@@ -330,6 +330,23 @@ describe('FileSyncManager', () => {
       expect(callbacks.readFile).toHaveBeenCalledWith(fileHandle);
     });
 
+    it('should reconcile right away when forced, even while active and paused', async () => {
+      callbacks.getFileMetadata = vi.fn(async () => ({ lastModified: 2000 }));
+      callbacks.readFile = vi.fn(async () => 'written while in the background');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile('before', 1000);
+      manager.updateUserActivity();
+      manager.pause();
+
+      await manager.checkForExternalChanges({ force: true });
+
+      expect(callbacks.updateEditorContent).toHaveBeenCalledWith(
+        'written while in the background',
+        expect.any(Object)
+      );
+      expect(manager.lastKnownModified).toBe(2000);
+    });
+
     it('should handle errors gracefully', async () => {
       const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
       callbacks.getFileMetadata = vi.fn().mockRejectedValue(new Error('Test error'));
@@ -513,6 +530,249 @@ describe('FileSyncManager', () => {
     });
   });
 
+  describe('conflicts with unsaved edits', () => {
+    it('should hand the disk content to onConflict instead of reloading', async () => {
+      callbacks.readFile = vi.fn(async () => 'disk content');
+      callbacks.onConflict = vi.fn(async () => {});
+      manager = new FileSyncManager(callbacks);
+      manager.lastModifiedLocal = 3000;
+
+      await manager.reconcileChanges(2000);
+
+      expect(callbacks.onConflict).toHaveBeenCalledWith('disk content');
+      expect(callbacks.updateEditorContent).not.toHaveBeenCalled();
+      expect(manager.lastKnownModified).toBe(2000);
+      expect(manager.lastModifiedLocal).toBe(3000);
+    });
+
+    it('should reload as usual without unsaved edits', async () => {
+      callbacks.onConflict = vi.fn();
+      manager = new FileSyncManager(callbacks);
+
+      await manager.reconcileChanges(2000);
+
+      expect(callbacks.onConflict).not.toHaveBeenCalled();
+      expect(callbacks.updateEditorContent).toHaveBeenCalled();
+    });
+
+    it('should report errors while reading the disk content', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      callbacks.readFile = vi.fn().mockRejectedValue(new Error('Read error'));
+      callbacks.onConflict = vi.fn();
+      manager = new FileSyncManager(callbacks);
+      manager.lastModifiedLocal = 1000;
+
+      await manager.reconcileChanges(2000);
+
+      expect(callbacks.onConflict).not.toHaveBeenCalled();
+      expect(callbacks.onSyncError).toHaveBeenCalled();
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('three-way merge of unsaved edits', () => {
+    const base = 'one\ntwo\nthree\n';
+
+    beforeEach(() => {
+      callbacks.getLocalContent = vi.fn(() => 'ONE\ntwo\nthree\n');
+      callbacks.applyMerge = vi.fn(async () => {});
+      callbacks.onFileMerged = vi.fn();
+      callbacks.onConflict = vi.fn();
+    });
+
+    it('should merge non-overlapping changes from disk into the editor', async () => {
+      callbacks.readFile = vi.fn(async () => 'one\ntwo\nTHREE\n');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile(base, 1000);
+
+      const result = await manager.reconcileChanges(2000);
+
+      expect(result).toEqual({
+        content: 'ONE\ntwo\nTHREE\n',
+        conflicts: 0,
+        remote: 'one\ntwo\nTHREE\n',
+      });
+      expect(callbacks.applyMerge).toHaveBeenCalledWith(result, expect.any(Object));
+      expect(callbacks.onFileMerged).toHaveBeenCalledWith(result);
+      expect(callbacks.updateEditorContent).not.toHaveBeenCalled();
+      expect(callbacks.onConflict).not.toHaveBeenCalled();
+      expect(manager.baseContent).toBe('one\ntwo\nTHREE\n');
+      expect(manager.lastKnownModified).toBe(2000);
+    });
+
+    it('should hand overlapping changes to onConflict without touching the editor', async () => {
+      callbacks.readFile = vi.fn(async () => 'uno\ntwo\nthree\n');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile(base, 1000);
+
+      const result = await manager.reconcileChanges(2000);
+
+      expect(result.conflicts).toBe(1);
+      expect(callbacks.onConflict).toHaveBeenCalledWith('uno\ntwo\nthree\n');
+      expect(callbacks.applyMerge).not.toHaveBeenCalled();
+      expect(callbacks.onFileMerged).not.toHaveBeenCalled();
+      expect(callbacks.onSyncEnd).toHaveBeenCalled();
+      expect(manager.baseContent).toBe('uno\ntwo\nthree\n');
+      expect(manager.lastKnownModified).toBe(2000);
+    });
+
+    it('should mark overlapping changes as conflicts without onConflict', async () => {
+      callbacks.readFile = vi.fn(async () => 'uno\ntwo\nthree\n');
+      delete callbacks.onConflict;
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile(base, 1000);
+
+      const result = await manager.reconcileChanges(2000);
+
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toContain('<<<<<<< Your changes\nONE\n=======\nuno\n');
+      expect(callbacks.applyMerge).toHaveBeenCalledWith(result, expect.any(Object));
+    });
+
+    it('should merge even when the local edit timestamp is older than the disk change', async () => {
+      callbacks.readFile = vi.fn(async () => 'one\ntwo\nTHREE\n');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile(base, 1000);
+      manager.lastModifiedLocal = 1500;
+
+      const result = await manager.reconcileChanges(2000);
+
+      expect(result.content).toBe('ONE\ntwo\nTHREE\n');
+      expect(callbacks.updateEditorContent).not.toHaveBeenCalled();
+    });
+
+    it('should reload when the editor matches the base content', async () => {
+      callbacks.getLocalContent = vi.fn(() => base);
+      callbacks.readFile = vi.fn(async () => 'disk content');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile(base, 1000);
+
+      await manager.reconcileChanges(2000);
+
+      expect(callbacks.applyMerge).not.toHaveBeenCalled();
+      expect(callbacks.updateEditorContent).toHaveBeenCalledWith(
+        'disk content',
+        expect.any(Object)
+      );
+      expect(manager.baseContent).toBe('disk content');
+    });
+
+    it('should not notify when the disk already has the local edits', async () => {
+      callbacks.readFile = vi.fn(async () => 'ONE\ntwo\nthree\n');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile(base, 1000);
+      manager.lastModifiedLocal = 1500;
+
+      await manager.reconcileChanges(2000);
+
+      expect(callbacks.applyMerge).toHaveBeenCalled();
+      expect(callbacks.onFileMerged).not.toHaveBeenCalled();
+      expect(manager.lastModifiedLocal).toBeNull();
+    });
+
+    it('should fall back to onConflict when the base content is unknown', async () => {
+      callbacks.readFile = vi.fn(async () => 'disk content');
+      manager = new FileSyncManager(callbacks);
+      manager.lastModifiedLocal = 3000;
+
+      await manager.reconcileChanges(2000);
+
+      expect(callbacks.applyMerge).not.toHaveBeenCalled();
+      expect(callbacks.onConflict).toHaveBeenCalledWith('disk content');
+    });
+
+    it('should report merge errors', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      callbacks.applyMerge = vi.fn().mockRejectedValue(new Error('Apply error'));
+      callbacks.readFile = vi.fn(async () => 'one\ntwo\nTHREE\n');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile(base, 1000);
+
+      const result = await manager.reconcileChanges(2000);
+
+      expect(result).toBeUndefined();
+      expect(callbacks.onSyncError).toHaveBeenCalled();
+      expect(manager.baseContent).toBe(base);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('syncBeforeSave', () => {
+    beforeEach(() => {
+      callbacks.getLocalContent = vi.fn(() => 'local\n');
+      callbacks.applyMerge = vi.fn(async () => {});
+    });
+
+    it('should allow saving when the file is unchanged on disk', async () => {
+      callbacks.getFileMetadata = vi.fn(async () => ({ lastModified: 1000 }));
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile('base\n', 1000);
+
+      expect(await manager.syncBeforeSave()).toBe(true);
+      expect(callbacks.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should merge disk changes before saving, even while the user is active', async () => {
+      callbacks.getLocalContent = vi.fn(() => 'one\nTWO\n');
+      callbacks.getFileMetadata = vi.fn(async () => ({ lastModified: 2000 }));
+      callbacks.readFile = vi.fn(async () => 'uno\ntwo\n');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile('one\ntwo\n', 1000);
+      manager.updateUserActivity();
+
+      expect(await manager.syncBeforeSave()).toBe(true);
+      expect(callbacks.applyMerge).toHaveBeenCalledWith(
+        expect.objectContaining({ content: 'uno\nTWO\n', conflicts: 0 }),
+        expect.any(Object)
+      );
+    });
+
+    it('should block saving while the merge leaves conflicts', async () => {
+      callbacks.getFileMetadata = vi.fn(async () => ({ lastModified: 2000 }));
+      callbacks.readFile = vi.fn(async () => 'remote\n');
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile('base\n', 1000);
+
+      expect(await manager.syncBeforeSave()).toBe(false);
+    });
+
+    it('should block saving and hand overlapping changes to onConflict', async () => {
+      callbacks.getFileMetadata = vi.fn(async () => ({ lastModified: 2000 }));
+      callbacks.readFile = vi.fn(async () => 'remote\n');
+      callbacks.onConflict = vi.fn(async () => {});
+      manager = new FileSyncManager(callbacks);
+      manager.trackFile('base\n', 1000);
+
+      expect(await manager.syncBeforeSave()).toBe(false);
+      expect(callbacks.onConflict).toHaveBeenCalledWith('remote\n');
+      expect(callbacks.applyMerge).not.toHaveBeenCalled();
+
+      // The panel's save goes through once the user has seen the disk version
+      expect(await manager.syncBeforeSave()).toBe(true);
+    });
+
+    it('should allow saving when the base content is unknown', async () => {
+      manager = new FileSyncManager(callbacks);
+      manager.updateLastKnownModified(1000);
+
+      expect(await manager.syncBeforeSave()).toBe(true);
+      expect(callbacks.getFileMetadata).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('trackFile', () => {
+    it('should set the base content and clear local edits', () => {
+      manager = new FileSyncManager();
+      manager.lastModifiedLocal = 500;
+
+      manager.trackFile('content', 1000);
+
+      expect(manager.baseContent).toBe('content');
+      expect(manager.lastKnownModified).toBe(1000);
+      expect(manager.lastModifiedLocal).toBeNull();
+    });
+  });
+
   describe('updateLastKnownModified', () => {
     it('should update last known modified timestamp', () => {
       manager = new FileSyncManager();
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   createSessionFileName,
   createEmptySession,
@@ -9,7 +9,20 @@ import {
   updateCommentInSession,
   deleteCommentFromSession,
   getCommentsForFile,
+  movePathsInSession,
+  saveOpenTabsToSession,
+  recordRecentFile,
+  getRecentFiles,
+  getRecentFile,
+  removeRecentFile,
+  MAX_RECENT_FILES,
+  getChatsFromSession,
+  saveChatToSession,
+  deleteChatFromSession,
+  MAX_CHATS,
+  getWorkspaceId,
 } from '../../src/storage/session-manager.js';
+import { appState } from '../../src/state/app-state.js';
 
 describe('Session Manager', () => {
   let mockFileSystemAdapter;
@@ -39,6 +52,148 @@ describe('Session Manager', () => {
     });
   });
 
+  describe('recent files', () => {
+    let sessionData;
+
+    beforeEach(() => {
+      sessionData = createEmptySession('test-project');
+    });
+
+    it('should record files most recent first, keeping where each was left', () => {
+      recordRecentFile(sessionData, { path: 'a.md', cursorLine: 1 }, 1000);
+      recordRecentFile(sessionData, { path: 'b.js', cursorLine: 2, scrollLeft: 40 }, 2000);
+
+      expect(getRecentFiles(sessionData)).toEqual([
+        { path: 'b.js', cursorLine: 2, scrollLeft: 40, viewedAt: 2000 },
+        { path: 'a.md', cursorLine: 1, viewedAt: 1000 },
+      ]);
+      expect(getRecentFile(sessionData, 'a.md')).toEqual({
+        path: 'a.md',
+        cursorLine: 1,
+        viewedAt: 1000,
+      });
+    });
+
+    it('should move a file viewed again to the front', () => {
+      recordRecentFile(sessionData, { path: 'a.md', cursorLine: 1 }, 1000);
+      recordRecentFile(sessionData, { path: 'b.md' }, 2000);
+      recordRecentFile(sessionData, { path: 'a.md', cursorLine: 9 }, 3000);
+
+      expect(getRecentFiles(sessionData).map((file) => file.path)).toEqual(['a.md', 'b.md']);
+      expect(getRecentFile(sessionData, 'a.md').cursorLine).toBe(9);
+    });
+
+    it('should keep only the most recent files', () => {
+      for (let i = 0; i <= MAX_RECENT_FILES; i++) {
+        recordRecentFile(sessionData, { path: `file-${i}.md` }, i);
+      }
+
+      const recentFiles = getRecentFiles(sessionData);
+      expect(recentFiles).toHaveLength(MAX_RECENT_FILES);
+      expect(recentFiles[0].path).toBe(`file-${MAX_RECENT_FILES}.md`);
+      expect(getRecentFile(sessionData, 'file-0.md')).toBeNull();
+    });
+
+    it('should fall back to the last open file of older sessions', () => {
+      sessionData.session.lastOpenFile = { path: 'a.md', cursorLine: 3 };
+
+      expect(getRecentFiles(sessionData)).toEqual([{ path: 'a.md', cursorLine: 3 }]);
+      expect(getRecentFiles(null)).toEqual([]);
+    });
+
+    it('should forget a file', () => {
+      recordRecentFile(sessionData, { path: 'a.md' }, 1000);
+
+      expect(removeRecentFile(sessionData, 'a.md')).toBe(true);
+      expect(removeRecentFile(sessionData, 'a.md')).toBe(false);
+      expect(getRecentFiles(sessionData)).toEqual([]);
+    });
+  });
+
+  describe('AI chats', () => {
+    let sessionData;
+    const chat = (id, updatedAt) => ({ id, title: id, updatedAt, messages: [] });
+
+    beforeEach(() => {
+      sessionData = createEmptySession('test-project');
+    });
+
+    it('should keep conversations most recently updated first', () => {
+      saveChatToSession(sessionData, chat('a', 1000));
+      saveChatToSession(sessionData, chat('b', 2000));
+      saveChatToSession(sessionData, chat('a', 3000));
+
+      expect(getChatsFromSession(sessionData).map((c) => [c.id, c.updatedAt])).toEqual([
+        ['a', 3000],
+        ['b', 2000],
+      ]);
+      expect(getChatsFromSession(null)).toEqual([]);
+    });
+
+    it('should keep only the most recent conversations', () => {
+      for (let i = 0; i <= MAX_CHATS; i++) {
+        saveChatToSession(sessionData, chat(`chat-${i}`, i));
+      }
+
+      const chats = getChatsFromSession(sessionData);
+      expect(chats).toHaveLength(MAX_CHATS);
+      expect(chats[0].id).toBe(`chat-${MAX_CHATS}`);
+    });
+
+    it('should delete a conversation', () => {
+      saveChatToSession(sessionData, chat('a', 1000));
+
+      expect(deleteChatFromSession(sessionData, 'a')).toBe(true);
+      expect(deleteChatFromSession(sessionData, 'a')).toBe(false);
+      expect(getChatsFromSession(sessionData)).toEqual([]);
+    });
+  });
+
+  describe('saveOpenTabsToSession', () => {
+    afterEach(() => {
+      appState.rootDirHandle = null;
+    });
+
+    it('should save the open tabs into the existing session', async () => {
+      appState.rootDirHandle = mockDirHandle;
+      const sessionData = {
+        version: '1.0',
+        folderName: 'test-project',
+        session: { lastOpenFile: { path: 'notes/todo.md' } },
+        comments: [],
+      };
+      mockDirHandle.getFileHandle.mockResolvedValue({});
+      mockFileSystemAdapter.readFile.mockResolvedValue(JSON.stringify(sessionData));
+
+      await saveOpenTabsToSession(['notes/todo.md', 'README.md']);
+
+      const saved = JSON.parse(mockFileSystemAdapter.writeFile.mock.calls[0][1]);
+      expect(saved.session).toEqual({
+        lastOpenFile: { path: 'notes/todo.md' },
+        openTabs: ['notes/todo.md', 'README.md'],
+      });
+    });
+
+    it('should create a session when there is none', async () => {
+      appState.rootDirHandle = mockDirHandle;
+      mockDirHandle.getFileHandle.mockImplementation((name, { create }) =>
+        create ? Promise.resolve({}) : Promise.reject(new Error('NotFoundError'))
+      );
+
+      await saveOpenTabsToSession(['README.md']);
+
+      const saved = JSON.parse(mockFileSystemAdapter.writeFile.mock.calls[0][1]);
+      expect(saved.folderName).toBe('test-project');
+      expect(saved.session.openTabs).toEqual(['README.md']);
+    });
+
+    it('should do nothing without a workspace', async () => {
+      await saveOpenTabsToSession(['README.md']);
+
+      expect(mockFileSystemAdapter.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
   describe('createEmptySession', () => {
     it('should create empty session object with correct structure', () => {
       const session = createEmptySession('my-project');
@@ -106,6 +261,37 @@ describe('Session Manager', () => {
     });
   });
 
+  describe('getWorkspaceId', () => {
+    it('should create an id once and keep it in the session file', async () => {
+      let saved = null;
+      mockDirHandle.getFileHandle.mockResolvedValue({});
+      mockFileSystemAdapter.readFile.mockImplementation(async () => {
+        if (!saved) throw new Error('NotFoundError');
+        return saved;
+      });
+      mockFileSystemAdapter.writeFile.mockImplementation(async (_handle, content) => {
+        saved = content;
+      });
+
+      const id = await getWorkspaceId(mockDirHandle);
+
+      expect(id).toMatch(/^workspace-/);
+      expect(JSON.parse(saved)).toMatchObject({ folderName: 'test-project', workspaceId: id });
+      expect(await getWorkspaceId(mockDirHandle)).toBe(id);
+      expect(mockFileSystemAdapter.writeFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give folders with the same name their own id', async () => {
+      mockDirHandle.getFileHandle.mockResolvedValue({});
+      mockFileSystemAdapter.readFile.mockRejectedValue(new Error('NotFoundError'));
+
+      const first = await getWorkspaceId(mockDirHandle);
+      const second = await getWorkspaceId({ ...mockDirHandle });
+
+      expect(first).not.toBe(second);
+    });
+  });
+
   describe('saveSessionFile', () => {
     it('should save session data to file', async () => {
       const sessionData = {
@@ -557,6 +743,54 @@ describe('Session Manager', () => {
       });
     });
 
+    describe('movePathsInSession', () => {
+      const mapPath = (path) => (path.startsWith('src/') ? `lib/${path.slice(4)}` : path);
+
+      it('should move comments and the last open file to their new paths', () => {
+        sessionData.comments = [
+          { id: 'comment-1', fileRelativePath: 'src/index.js' },
+          { id: 'comment-2', fileRelativePath: 'README.md' },
+        ];
+        sessionData.session.lastOpenFile = { path: 'src/index.js', cursorLine: 3 };
+
+        expect(movePathsInSession(sessionData, mapPath)).toBe(true);
+
+        expect(sessionData.comments.map((c) => c.fileRelativePath)).toEqual([
+          'lib/index.js',
+          'README.md',
+        ]);
+        expect(sessionData.session.lastOpenFile).toEqual({ path: 'lib/index.js', cursorLine: 3 });
+      });
+
+      it('should move recent files to their new paths', () => {
+        sessionData.session.recentFiles = [
+          { path: 'src/index.js', cursorLine: 3 },
+          { path: 'README.md', cursorLine: 0 },
+        ];
+
+        expect(movePathsInSession(sessionData, mapPath)).toBe(true);
+
+        expect(sessionData.session.recentFiles).toEqual([
+          { path: 'lib/index.js', cursorLine: 3 },
+          { path: 'README.md', cursorLine: 0 },
+        ]);
+      });
+
+      it('should move open tabs to their new paths', () => {
+        sessionData.session.openTabs = ['README.md', 'src/index.js'];
+
+        expect(movePathsInSession(sessionData, mapPath)).toBe(true);
+
+        expect(sessionData.session.openTabs).toEqual(['README.md', 'lib/index.js']);
+      });
+
+      it('should report when nothing changed', () => {
+        sessionData.comments = [{ id: 'comment-1', fileRelativePath: 'README.md' }];
+
+        expect(movePathsInSession(sessionData, mapPath)).toBe(false);
+      });
+    });
+
     describe('integration scenarios', () => {
       it('should handle complete comment lifecycle', () => {
         // Add comment
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createVersionHistory,
+  createMemoryHistoryStore,
+} from '../../src/storage/version-history.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('VersionHistory', () => {
+  let now;
+  let history;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    history = createVersionHistory({
+      store: createMemoryHistoryStore(),
+      minInterval: 5 * MINUTE,
+      maxSnapshots: 3,
+      maxAge: 30 * DAY,
+      now: () => now,
+    });
+    history.open('workspace');
+  });
+
+  const captureAt = (time, content, path = 'notes/todo.md') => {
+    now = time;
+    return history.capture(path, content);
+  };
+
+  it('should list snapshots of a file newest first', async () => {
+    await captureAt(0, 'one');
+    await captureAt(10 * MINUTE, 'two');
+
+    const snapshots = await history.list('notes/todo.md');
+
+    expect(snapshots.map((s) => s.content)).toEqual(['two', 'one']);
+    expect(snapshots[0]).toMatchObject({ path: 'notes/todo.md', size: 3, savedAt: 10 * MINUTE });
+    expect(await history.list('readme.md')).toEqual([]);
+  });
+
+  it('should skip saves that did not change the content', async () => {
+    await captureAt(0, 'one');
+
+    expect(await captureAt(10 * MINUTE, 'one')).toBeNull();
+    expect(await history.list('notes/todo.md')).toHaveLength(1);
+  });
+
+  it('should fold saves within the minimum interval into the latest snapshot', async () => {
+    await captureAt(0, 'one');
+    await captureAt(2 * MINUTE, 'one and');
+    await captureAt(4 * MINUTE, 'one and two');
+    await captureAt(6 * MINUTE, 'one and two and three');
+
+    const snapshots = await history.list('notes/todo.md');
+
+    expect(snapshots.map((s) => s.content)).toEqual(['one and two and three', 'one and two']);
+    expect(snapshots[1].savedAt).toBe(4 * MINUTE);
+  });
+
+  it('should keep at most maxSnapshots per file', async () => {
+    for (let i = 0; i < 5; i++) {
+      await captureAt(i * 10 * MINUTE, `version ${i}`);
+    }
+
+    const snapshots = await history.list('notes/todo.md');
+
+    expect(snapshots.map((s) => s.content)).toEqual(['version 4', 'version 3', 'version 2']);
+  });
+
+  it('should drop snapshots older than maxAge but keep the latest', async () => {
+    await captureAt(0, 'old');
+    await captureAt(40 * DAY, 'new');
+
+    expect((await history.list('notes/todo.md')).map((s) => s.content)).toEqual(['new']);
+  });
+
+  it('should record the content a save replaced when the history does not have it', async () => {
+    now = 10 * MINUTE;
+    await history.capture('notes/todo.md', 'edited', 'as on disk');
+
+    const snapshots = await history.list('notes/todo.md');
+    expect(snapshots.map((s) => s.content)).toEqual(['edited', 'as on disk']);
+
+    // The next save within the interval updates the latest snapshot, not the recorded one
+    now = 11 * MINUTE;
+    await history.capture('notes/todo.md', 'edited again', 'edited');
+    expect((await history.list('notes/todo.md')).map((s) => s.content)).toEqual([
+      'edited again',
+      'as on disk',
+    ]);
+  });
+
+  it('should not record an empty file before its first save', async () => {
+    await history.capture('notes/new.md', 'first text', '');
+
+    expect((await history.list('notes/new.md')).map((s) => s.content)).toEqual(['first text']);
+  });
+
+  it('should move the history of moved and renamed files', async () => {
+    await captureAt(0, 'todo');
+    await captureAt(0, 'idea', 'notes/drafts/idea.md');
+    await captureAt(0, 'readme', 'readme.md');
+
+    const moved = await history.movePaths((path) =>
+      path.startsWith('notes/') ? `archive/${path.slice('notes/'.length)}` : path
+    );
+
+    expect(moved).toBe(2);
+    expect(await history.list('notes/todo.md')).toEqual([]);
+    expect((await history.list('archive/todo.md')).map((s) => s.content)).toEqual(['todo']);
+    expect((await history.list('archive/drafts/idea.md'))[0]).toMatchObject({
+      path: 'archive/drafts/idea.md',
+      content: 'idea',
+    });
+    expect(await history.list('readme.md')).toHaveLength(1);
+  });
+
+  it('should keep the history of each workspace apart', async () => {
+    await captureAt(0, 'one');
+
+    history.open('other');
+    expect(await history.list('notes/todo.md')).toEqual([]);
+
+    history.close();
+    expect(await captureAt(10 * MINUTE, 'two')).toBeNull();
+  });
+});
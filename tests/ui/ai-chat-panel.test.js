@@ -0,0 +1,248 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AIChatPanel, createChatTitle } from '../../src/ui/ai-chat-panel.js';
+
+/* global DOMException */
+describe('AI Chat Panel', () => {
+  let panel;
+  let context;
+  let savedChats;
+  let sendMessage;
+  let onInsert;
+
+  beforeEach(() => {
+    context = { path: 'notes/todo.md', text: '# Todo\n- write tests\n', isSelection: false };
+    savedChats = [];
+    sendMessage = vi.fn(async (_messages, _context, onChunk) => {
+      onChunk('Write ');
+      onChunk('the tests.');
+      return 'Write the tests.';
+    });
+    onInsert = vi.fn(() => true);
+
+    panel = new AIChatPanel({
+      getContext: () => context,
+      sendMessage,
+      loadChats: async () => savedChats,
+      saveChat: vi.fn(async (chat) => {
+        savedChats = [chat, ...savedChats.filter((saved) => saved.id !== chat.id)];
+      }),
+      deleteChat: vi.fn(async (chatId) => {
+        savedChats = savedChats.filter((saved) => saved.id !== chatId);
+      }),
+      canInsert: () => true,
+      onInsert,
+    });
+  });
+
+  afterEach(() => {
+    panel.destroy();
+  });
+
+  const byTestId = (id) => document.querySelector(`[data-testid="${id}"]`);
+  const getMessages = () =>
+    [...document.querySelectorAll('[data-testid="ai-chat-message"]')].map((message) => [
+      message.classList.contains('user') ? 'user' : 'assistant',
+      message.querySelector('.ai-chat-message-text').textContent,
+    ]);
+  const ask = async (question) => {
+    byTestId('ai-chat-input').value = question;
+    await panel.send();
+  };
+
+  it('should say which note the chat is about', () => {
+    panel.open();
+
+    expect(byTestId('ai-chat-status').textContent).toBe('About notes/todo.md');
+  });
+
+  it('should say when the chat is about a selection', () => {
+    context = { path: 'notes/todo.md', text: 'write tests', isSelection: true };
+    panel.open();
+
+    expect(byTestId('ai-chat-status').textContent).toBe('About the selection in notes/todo.md');
+  });
+
+  it('should send the question with the note and show the answer', async () => {
+    panel.open();
+    await ask('What is left to do?');
+
+    expect(sendMessage).toHaveBeenCalledWith(
+      [{ role: 'user', content: 'What is left to do?' }],
+      context,
+      expect.any(Function),
+      expect.anything()
+    );
+    expect(getMessages()).toEqual([
+      ['user', 'What is left to do?'],
+      ['assistant', 'Write the tests.'],
+    ]);
+    expect(byTestId('ai-chat-input').value).toBe('');
+  });
+
+  it('should send the conversation so far with follow-up questions', async () => {
+    panel.open();
+    await ask('What is left to do?');
+    await ask('Anything else?');
+
+    expect(sendMessage.mock.calls[1][0]).toEqual([
+      { role: 'user', content: 'What is left to do?' },
+      { role: 'assistant', content: 'Write the tests.' },
+      { role: 'user', content: 'Anything else?' },
+    ]);
+  });
+
+  it('should save the conversation in the workspace and list it', async () => {
+    panel.open();
+    await ask('What is left to do?');
+
+    expect(savedChats).toHaveLength(1);
+    expect(savedChats[0]).toMatchObject({
+      title: 'What is left to do?',
+      messages: [
+        { role: 'user', content: 'What is left to do?' },
+        { role: 'assistant', content: 'Write the tests.' },
+      ],
+    });
+    const options = [...byTestId('ai-chat-conversations').options];
+    expect(options.map((option) => option.textContent)).toEqual(['What is left to do?']);
+  });
+
+  it('should come back to a saved conversation', async () => {
+    savedChats = [
+      {
+        id: 'chat-1',
+        title: 'Earlier',
+        updatedAt: 1000,
+        messages: [
+          { role: 'user', content: 'Earlier question' },
+          { role: 'assistant', content: 'Earlier answer' },
+        ],
+      },
+    ];
+    panel.open();
+    await panel.load();
+
+    const select = byTestId('ai-chat-conversations');
+    expect([...select.options].map((option) => option.textContent)).toEqual([
+      'New conversation',
+      'Earlier',
+    ]);
+
+    select.value = 'chat-1';
+    select.dispatchEvent(new Event('change'));
+
+    expect(getMessages()).toEqual([
+      ['user', 'Earlier question'],
+      ['assistant', 'Earlier answer'],
+    ]);
+  });
+
+  it('should delete the conversation shown', async () => {
+    panel.open();
+    await ask('What is left to do?');
+
+    document.querySelector('[aria-label="Delete conversation"]').click();
+    await vi.waitFor(() => expect(savedChats).toEqual([]));
+
+    expect(getMessages()).toEqual([]);
+  });
+
+  it('should insert an answer at the cursor and close', async () => {
+    panel.open();
+    await ask('Write a summary');
+
+    const buttons = [...document.querySelectorAll('.ai-chat-insert')];
+    expect(buttons.map((button) => button.textContent)).toEqual(['Insert at cursor']);
+    buttons[0].click();
+
+    expect(onInsert).toHaveBeenCalledWith('Write the tests.', { replace: false });
+    expect(panel.isOpen).toBe(false);
+  });
+
+  it('should offer to replace the selection', async () => {
+    context = { path: 'notes/todo.md', text: 'write tests', isSelection: true };
+    panel.open();
+    await ask('Rewrite this');
+
+    const replace = [...document.querySelectorAll('.ai-chat-insert')].find(
+      (button) => button.textContent === 'Replace selection'
+    );
+    replace.click();
+
+    expect(onInsert).toHaveBeenCalledWith('Write the tests.', { replace: true });
+  });
+
+  it('should show errors and keep the question', async () => {
+    sendMessage.mockRejectedValue(new Error('Cannot connect to Ollama server'));
+    panel.open();
+    await ask('What is left to do?');
+
+    expect(byTestId('ai-chat-status').textContent).toBe('Cannot connect to Ollama server');
+    expect(byTestId('ai-chat-status').classList.contains('error')).toBe(true);
+    expect(getMessages()).toEqual([['user', 'What is left to do?']]);
+  });
+
+  it('should keep the part of an answer received before it was stopped', async () => {
+    sendMessage.mockImplementation(
+      (_messages, _context, onChunk, signal) =>
+        new Promise((_resolve, reject) => {
+          onChunk('Partial');
+          signal.addEventListener('abort', () =>
+            reject(new DOMException('The operation was aborted.', 'AbortError'))
+          );
+        })
+    );
+    panel.open();
+    byTestId('ai-chat-input').value = 'What is left to do?';
+    const sent = panel.send();
+
+    expect(byTestId('ai-chat-send').textContent).toBe('Stop');
+    byTestId('ai-chat-send').click();
+    await sent;
+
+    expect(getMessages()).toEqual([
+      ['user', 'What is left to do?'],
+      ['assistant', 'Partial'],
+    ]);
+    expect(byTestId('ai-chat-status').classList.contains('error')).toBe(false);
+    expect(byTestId('ai-chat-send').textContent).toBe('Send');
+  });
+
+  it('should start over when the workspace changes', async () => {
+    panel.open();
+    await ask('What is left to do?');
+    panel.close();
+
+    panel.reset();
+    savedChats = [];
+    panel.open();
+
+    expect(getMessages()).toEqual([]);
+  });
+
+  it('should not save an answer into a workspace opened while it arrived', async () => {
+    sendMessage.mockImplementation(
+      (_messages, _context, onChunk, signal) =>
+        new Promise((_resolve, reject) => {
+          onChunk('Partial');
+          signal.addEventListener('abort', () =>
+            reject(new DOMException('The operation was aborted.', 'AbortError'))
+          );
+        })
+    );
+    panel.open();
+    byTestId('ai-chat-input').value = 'What is left to do?';
+    const sent = panel.send();
+
+    panel.reset();
+    await sent;
+
+    expect(panel.saveChat).not.toHaveBeenCalled();
+    expect(savedChats).toEqual([]);
+  });
+
+  it('should title conversations after their first question', () => {
+    expect(createChatTitle('  Summarize this\nin three bullets')).toBe('Summarize this');
+    expect(createChatTitle('a'.repeat(80))).toBe(`${'a'.repeat(59)}…`);
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AISuggestion, getTextDiff } from '../../src/ui/ai-suggestion.js';
+
+/* global DOMException */
+describe('AI Suggestion', () => {
+  let suggestion;
+  let editor;
+  let improve;
+  let onAccept;
+  let doc;
+
+  const selection = { from: 6, to: 24, text: 'The quick red fox.' };
+
+  beforeEach(() => {
+    doc = 'Hello The quick red fox. Bye';
+    editor = {
+      getTextRange: vi.fn((from, to) => doc.slice(from, to)),
+      getSelection: vi.fn(() => null),
+      replaceRange: vi.fn(() => true),
+      addAILoadingDecoration: vi.fn(),
+      removeAILoadingDecoration: vi.fn(),
+      focus: vi.fn(),
+    };
+    improve = vi.fn(async (_text, onChunk) => {
+      onChunk('The quick ');
+      onChunk('brown fox.');
+      return 'The quick brown fox.';
+    });
+    onAccept = vi.fn();
+
+    suggestion = new AISuggestion({ improve, getEditor: () => editor, onAccept });
+  });
+
+  afterEach(() => {
+    suggestion.destroy();
+  });
+
+  const byTestId = (id) => document.querySelector(`[data-testid="${id}"]`);
+  const getParts = () =>
+    [...byTestId('ai-suggestion-diff').childNodes].map((node) => [
+      node.nodeName.toLowerCase(),
+      node.textContent,
+    ]);
+
+  it('should show the rewrite as a diff without changing the text', async () => {
+    suggestion.start(selection, { x: 20, y: 40 });
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+
+    expect(improve).toHaveBeenCalledWith(selection.text, expect.any(Function), expect.anything());
+    expect(getParts()).toEqual([
+      ['span', 'The quick '],
+      ['del', 'red'],
+      ['ins', 'brown'],
+      ['span', ' fox.'],
+    ]);
+    expect(editor.addAILoadingDecoration).toHaveBeenCalledWith(6, 24);
+    expect(editor.replaceRange).not.toHaveBeenCalled();
+  });
+
+  it('should stream the rewrite into the card', async () => {
+    let finish;
+    improve.mockImplementation(
+      (_text, onChunk) =>
+        new Promise((resolve) => {
+          onChunk('The quick ');
+          finish = resolve;
+        })
+    );
+    suggestion.start(selection);
+
+    expect(getParts()).toEqual([['ins', 'The quick ']]);
+    expect(byTestId('ai-suggestion-accept').disabled).toBe(true);
+    expect(byTestId('ai-suggestion-retry').disabled).toBe(true);
+
+    finish('The quick brown fox.');
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+  });
+
+  it('should replace the selection when accepted', async () => {
+    suggestion.start(selection);
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+
+    byTestId('ai-suggestion-accept').click();
+
+    expect(editor.replaceRange).toHaveBeenCalledWith(6, 24, 'The quick brown fox.');
+    expect(editor.removeAILoadingDecoration).toHaveBeenCalled();
+    expect(onAccept).toHaveBeenCalledWith('The quick brown fox.');
+    expect(byTestId('ai-suggestion')).toBeNull();
+    expect(suggestion.isActive()).toBe(false);
+  });
+
+  it('should not replace text that changed while the suggestion was written', async () => {
+    suggestion.start(selection);
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+
+    doc = 'Hi! Hello The quick red fox. Bye';
+    byTestId('ai-suggestion-accept').click();
+
+    expect(editor.replaceRange).not.toHaveBeenCalled();
+    expect(onAccept).not.toHaveBeenCalled();
+    expect(byTestId('ai-suggestion-status').textContent).toBe('The text changed; retry');
+    expect(byTestId('ai-suggestion-status').classList.contains('error')).toBe(true);
+    expect(byTestId('ai-suggestion-accept').disabled).toBe(true);
+    expect(suggestion.isActive()).toBe(true);
+  });
+
+  it('should rewrite the text selected now when retried after a change', async () => {
+    suggestion.start(selection);
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+
+    doc = 'Hi! Hello The quick red fox. Bye';
+    byTestId('ai-suggestion-accept').click();
+    editor.getSelection.mockReturnValue({ from: 10, to: 28, text: 'The quick red fox.' });
+    byTestId('ai-suggestion-retry').click();
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+
+    expect(editor.addAILoadingDecoration).toHaveBeenLastCalledWith(10, 28);
+    byTestId('ai-suggestion-accept').click();
+    expect(editor.replaceRange).toHaveBeenCalledWith(10, 28, 'The quick brown fox.');
+  });
+
+  it('should leave the text as it was when rejected', async () => {
+    suggestion.start(selection);
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+
+    byTestId('ai-suggestion-reject').click();
+
+    expect(editor.replaceRange).not.toHaveBeenCalled();
+    expect(editor.removeAILoadingDecoration).toHaveBeenCalled();
+    expect(onAccept).not.toHaveBeenCalled();
+    expect(byTestId('ai-suggestion')).toBeNull();
+  });
+
+  it('should reject with Escape', async () => {
+    suggestion.start(selection);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(byTestId('ai-suggestion')).toBeNull();
+    expect(editor.replaceRange).not.toHaveBeenCalled();
+  });
+
+  it('should cancel the request when rejected while streaming', () => {
+    let signal;
+    improve.mockImplementation((_text, _onChunk, requestSignal) => {
+      signal = requestSignal;
+      return new Promise((_resolve, reject) =>
+        requestSignal.addEventListener('abort', () =>
+          reject(new DOMException('The operation was aborted.', 'AbortError'))
+        )
+      );
+    });
+    suggestion.start(selection);
+
+    byTestId('ai-suggestion-reject').click();
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should ask again on retry', async () => {
+    suggestion.start(selection);
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+
+    improve.mockResolvedValue('A fast red fox.');
+    byTestId('ai-suggestion-retry').click();
+    await vi.waitFor(() =>
+      expect(
+        getParts()
+          .map(([, text]) => text)
+          .join('')
+      ).toContain('fast')
+    );
+
+    expect(improve).toHaveBeenCalledTimes(2);
+    byTestId('ai-suggestion-accept').click();
+    expect(editor.replaceRange).toHaveBeenCalledWith(6, 24, 'A fast red fox.');
+  });
+
+  it('should show errors and allow a retry', async () => {
+    improve.mockRejectedValue(new Error('Cannot connect to Ollama server'));
+    suggestion.start(selection);
+
+    await vi.waitFor(() =>
+      expect(byTestId('ai-suggestion-status').classList.contains('error')).toBe(true)
+    );
+    expect(byTestId('ai-suggestion-status').textContent).toContain(
+      'Cannot connect to Ollama server'
+    );
+    expect(byTestId('ai-suggestion-accept').disabled).toBe(true);
+    expect(byTestId('ai-suggestion-retry').disabled).toBe(false);
+  });
+
+  it('should say when nothing would change', async () => {
+    improve.mockResolvedValue(selection.text);
+    suggestion.start(selection);
+
+    await vi.waitFor(() =>
+      expect(byTestId('ai-suggestion-status').textContent).toBe('No changes suggested')
+    );
+  });
+
+  it('should reject an open suggestion when another one starts', async () => {
+    suggestion.start(selection);
+    await vi.waitFor(() => expect(byTestId('ai-suggestion-accept').disabled).toBe(false));
+
+    suggestion.start({ from: 0, to: 5, text: 'Hello' });
+
+    expect(editor.removeAILoadingDecoration).toHaveBeenCalledTimes(1);
+    expect(editor.addAILoadingDecoration).toHaveBeenLastCalledWith(0, 5);
+    expect(document.querySelectorAll('[data-testid="ai-suggestion"]')).toHaveLength(1);
+  });
+
+  describe('getTextDiff', () => {
+    it('should split a change into kept, deleted and inserted text', () => {
+      expect(getTextDiff('one two three', 'one 2 three')).toEqual([
+        { type: 'equal', text: 'one ' },
+        { type: 'delete', text: 'two' },
+        { type: 'insert', text: '2' },
+        { type: 'equal', text: ' three' },
+      ]);
+    });
+
+    it('should handle identical and empty texts', () => {
+      expect(getTextDiff('same', 'same')).toEqual([{ type: 'equal', text: 'same' }]);
+      expect(getTextDiff('', 'new')).toEqual([{ type: 'insert', text: 'new' }]);
+    });
+  });
+});
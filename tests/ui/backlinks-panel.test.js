@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BacklinksPanel } from '../../src/ui/backlinks-panel.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+import { createSearchIndex, createMemoryStore } from '../../src/search/search-index.js';
+
+describe('Backlinks Panel', () => {
+  let panel;
+  let container;
+  let rootDir;
+  let onSelect;
+
+  beforeEach(() => {
+    rootDir = createMockDirectoryHandle('workspace', {
+      'readme.md': '# Project\nStart with the [task list](notes/todo.md). Then relax.',
+      notes: {
+        'todo.md': '- write tests',
+        'ideas.md': 'Move items to [[todo]] when ready',
+        'other.md': 'No links here',
+      },
+    });
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    onSelect = vi.fn();
+
+    panel = new BacklinksPanel({
+      container,
+      getRootDirHandle: () => rootDir,
+      onSelect,
+    });
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  const getNotePaths = () =>
+    [...container.querySelectorAll('.backlink-note')].map((note) => note.dataset.path);
+
+  it('should list the notes linking to the file with their context', async () => {
+    await panel.update('notes/todo.md');
+
+    expect(getNotePaths()).toEqual(['readme.md', 'notes/ideas.md']);
+    const backlinks = container.querySelectorAll('[data-testid="backlink"]');
+    expect(backlinks[0].textContent).toBe('Start with the [task list](notes/todo.md).');
+    expect(backlinks[0].querySelector('mark').textContent).toBe('[task list](notes/todo.md)');
+    expect(backlinks[1].textContent).toBe('Move items to [[todo]] when ready');
+  });
+
+  it('should pass the reference location to onSelect', async () => {
+    await panel.update('notes/todo.md');
+
+    container.querySelector('[data-testid="backlink"]').click();
+
+    expect(onSelect).toHaveBeenCalledWith(
+      expect.objectContaining({ fullPath: 'readme.md', from: 25, lineNumber: 2 })
+    );
+  });
+
+  it('should say when nothing links to the file', async () => {
+    await panel.update('notes/other.md');
+
+    expect(container.textContent).toBe('No backlinks');
+  });
+
+  it('should ask for a folder when no workspace is open', async () => {
+    rootDir = null;
+    await panel.update('notes/todo.md');
+
+    expect(container.textContent).toBe('Open a folder to see backlinks');
+  });
+
+  it('should only show the results of the latest update', async () => {
+    const first = panel.update('notes/todo.md');
+    const second = panel.update('notes/other.md');
+    await Promise.all([first, second]);
+
+    expect(container.textContent).toBe('No backlinks');
+  });
+
+  it('should empty the panel when cleared', async () => {
+    await panel.update('notes/todo.md');
+
+    panel.clear();
+
+    expect(container.childElementCount).toBe(0);
+  });
+
+  it('should search the files provided by a ready search index', async () => {
+    const searchIndex = createSearchIndex({ store: createMemoryStore() });
+    await searchIndex.open(rootDir);
+    await searchIndex.refresh();
+    const textFilesSpy = vi.spyOn(searchIndex, 'textFiles');
+    panel.getSearchIndex = () => searchIndex;
+
+    await panel.update('notes/todo.md');
+
+    expect(textFilesSpy).toHaveBeenCalledWith('todo', expect.objectContaining({ regex: false }));
+    expect(getNotePaths()).toEqual(['readme.md', 'notes/ideas.md']);
+  });
+});
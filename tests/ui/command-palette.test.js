@@ -0,0 +1,190 @@
+/* global KeyboardEvent */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CommandPalette } from '../../src/ui/command-palette.js';
+import { formatKeybinding } from '../../src/state/keybinding-registry.js';
+
+describe('Command Palette', () => {
+  let palette;
+  let commands;
+  let mockEditor;
+
+  const press = (key) => {
+    palette.input.dispatchEvent(new KeyboardEvent('keydown', { key, cancelable: true }));
+  };
+
+  const type = (query) => {
+    palette.input.value = query;
+    palette.input.dispatchEvent(new Event('input'));
+  };
+
+  const titles = () =>
+    Array.from(document.querySelectorAll('[data-testid="command-palette-item"]')).map(
+      (item) => item.querySelector('.command-palette-title').textContent
+    );
+
+  beforeEach(() => {
+    mockEditor = { focus: vi.fn() };
+    commands = [
+      { id: 'file.new', title: 'New File', keybinding: 'Mod-n', run: vi.fn() },
+      { id: 'view.toggleTheme', title: 'Toggle Theme', run: vi.fn() },
+      { id: 'view.toggleRichMode', title: 'Toggle Rich Mode', run: vi.fn() },
+      { id: 'editor.addComment', title: 'Add Comment', isEnabled: () => false, run: vi.fn() },
+    ];
+
+    palette = new CommandPalette({
+      getCommands: () => commands,
+      getEditor: () => mockEditor,
+    });
+  });
+
+  afterEach(() => {
+    palette.destroy();
+  });
+
+  describe('Opening and closing', () => {
+    it('should list the enabled commands and focus the input', () => {
+      palette.open();
+
+      expect(document.querySelector('[data-testid="command-palette"]')).not.toBeNull();
+      expect(document.activeElement).toBe(palette.input);
+      expect(titles()).toEqual(['New File', 'Toggle Theme', 'Toggle Rich Mode']);
+    });
+
+    it("should show each command's keybinding", () => {
+      palette.open();
+
+      const items = document.querySelectorAll('[data-testid="command-palette-item"]');
+      expect(items[0].querySelector('kbd').textContent).toBe(formatKeybinding('Mod-n'));
+      expect(items[1].querySelector('kbd')).toBeNull();
+    });
+
+    it('should close on Escape and restore editor focus', () => {
+      palette.open();
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      expect(palette.isOpen).toBe(false);
+      expect(document.querySelector('[data-testid="command-palette"]')).toBeNull();
+      expect(mockEditor.focus).toHaveBeenCalled();
+    });
+
+    it('should close when the overlay is clicked', () => {
+      palette.open();
+
+      palette.overlay.click();
+
+      expect(palette.isOpen).toBe(false);
+    });
+  });
+
+  describe('Filtering', () => {
+    beforeEach(() => {
+      palette.open();
+    });
+
+    it('should fuzzy match command titles', () => {
+      type('toggle');
+      expect(titles()).toEqual(['Toggle Theme', 'Toggle Rich Mode']);
+
+      type('rich mode');
+      expect(titles()).toEqual(['Toggle Rich Mode']);
+    });
+
+    it('should show a message when nothing matches', () => {
+      type('nothing like this');
+
+      expect(titles()).toEqual([]);
+      expect(palette.listEl.textContent).toBe('No matching commands');
+    });
+  });
+
+  describe('Running commands', () => {
+    beforeEach(() => {
+      palette.open();
+    });
+
+    it('should run the first match on Enter', async () => {
+      type('theme');
+      press('Enter');
+      await Promise.resolve();
+
+      expect(commands[1].run).toHaveBeenCalled();
+      expect(palette.isOpen).toBe(false);
+    });
+
+    it('should move the selection with the arrow keys', async () => {
+      press('ArrowDown');
+      press('ArrowDown');
+      expect(palette.listEl.querySelector('.selected').textContent).toBe('Toggle Rich Mode');
+
+      press('ArrowDown');
+      expect(palette.listEl.querySelector('.selected').textContent).toContain('New File');
+
+      press('ArrowUp');
+      press('Enter');
+      await Promise.resolve();
+
+      expect(commands[2].run).toHaveBeenCalled();
+    });
+
+    it('should run a clicked command', async () => {
+      document.querySelectorAll('[data-testid="command-palette-item"]')[1].click();
+      await Promise.resolve();
+
+      expect(commands[1].run).toHaveBeenCalled();
+    });
+
+    it('should keep working when a command fails', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      commands[0].run.mockRejectedValue(new Error('boom'));
+
+      await palette.select(0);
+
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('pick', () => {
+    const headings = [
+      { title: 'Introduction', detail: 'H1', pos: 0 },
+      { title: 'Install steps', detail: 'H2', pos: 40 },
+    ];
+
+    it('should resolve with the chosen item', async () => {
+      const picked = palette.pick(headings, { placeholder: 'Go to heading' });
+
+      expect(palette.input.placeholder).toBe('Go to heading');
+      expect(palette.listEl.querySelector('.command-palette-detail').textContent).toBe('H1');
+
+      type('install');
+      press('Enter');
+
+      await expect(picked).resolves.toBe(headings[1]);
+    });
+
+    it('should resolve with null when dismissed', async () => {
+      const picked = palette.pick(headings);
+
+      palette.close();
+
+      await expect(picked).resolves.toBeNull();
+    });
+
+    it('should open from a running command', async () => {
+      let picked;
+      commands[0].run = () => {
+        picked = palette.pick(headings, { emptyMessage: 'No headings found' });
+      };
+
+      palette.open();
+      await palette.select(0);
+
+      expect(palette.isOpen).toBe(true);
+      type('zzz');
+      expect(palette.listEl.textContent).toBe('No headings found');
+      palette.close();
+      await expect(picked).resolves.toBeNull();
+    });
+  });
+});
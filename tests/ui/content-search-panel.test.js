@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ContentSearchPanel } from '../../src/ui/content-search-panel.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+import { createSearchIndex, createMemoryStore } from '../../src/search/search-index.js';
+
+describe('Content Search Panel', () => {
+  let panel;
+  let rootDir;
+  let onSelectResult;
+  let mockEditor;
+
+  beforeEach(() => {
+    rootDir = createMockDirectoryHandle('workspace', {
+      'readme.md': '# Project\nSee the <b>TODO</b> list',
+      notes: {
+        'ideas.md': 'first idea\nanother todo item',
+      },
+    });
+    onSelectResult = vi.fn();
+    mockEditor = { focus: vi.fn() };
+
+    panel = new ContentSearchPanel({
+      getRootDirHandle: () => rootDir,
+      getEditor: () => mockEditor,
+      onSelectResult,
+    });
+  });
+
+  afterEach(() => {
+    panel.destroy();
+  });
+
+  const searchFor = async (query) => {
+    panel.input.value = query;
+    await panel.search();
+  };
+
+  describe('Opening and closing', () => {
+    it('should add the panel to the document and focus the input', () => {
+      panel.open();
+
+      expect(document.querySelector('[data-testid="content-search-panel"]')).not.toBeNull();
+      expect(document.activeElement).toBe(panel.input);
+      expect(panel.isOpen).toBe(true);
+    });
+
+    it('should close on Escape and restore editor focus', () => {
+      panel.open();
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      expect(panel.isOpen).toBe(false);
+      expect(document.querySelector('[data-testid="content-search-panel"]')).toBeNull();
+      expect(mockEditor.focus).toHaveBeenCalled();
+    });
+
+    it('should close when the overlay is clicked', () => {
+      panel.open();
+
+      panel.overlay.click();
+
+      expect(panel.isOpen).toBe(false);
+    });
+  });
+
+  describe('Searching', () => {
+    beforeEach(() => {
+      panel.open();
+    });
+
+    it('should group matching lines by file', async () => {
+      await searchFor('todo');
+
+      const files = panel.resultsEl.querySelectorAll('.content-search-file');
+      expect(files).toHaveLength(2);
+      expect(files[0].dataset.path).toBe('readme.md');
+      expect(files[1].dataset.path).toBe('notes/ideas.md');
+      expect(panel.statusEl.textContent).toBe('2 matching lines in 2 files');
+    });
+
+    it('should highlight matches without interpreting file content as HTML', async () => {
+      await searchFor('todo');
+
+      const line = panel.resultsEl.querySelector('[data-testid="content-search-line"]');
+      expect(line.querySelector('.content-search-line-number').textContent).toBe('2');
+      expect(line.querySelector('mark').textContent).toBe('TODO');
+      expect(line.querySelector('b')).toBeNull();
+      expect(line.textContent).toContain('<b>');
+    });
+
+    it('should toggle case-sensitive matching', async () => {
+      panel.input.value = 'TODO';
+      panel.panel.querySelector('[data-testid="content-search-caseSensitive"]').click();
+      await panel.search();
+
+      expect(panel.caseSensitive).toBe(true);
+      expect(panel.resultsEl.querySelectorAll('.content-search-line')).toHaveLength(1);
+    });
+
+    it('should show an error for invalid regular expressions', async () => {
+      panel.regex = true;
+      await searchFor('(todo');
+
+      expect(panel.statusEl.textContent).toMatch(/Invalid regular expression/);
+      expect(panel.statusEl.classList.contains('error')).toBe(true);
+    });
+
+    it('should report when nothing matches', async () => {
+      await searchFor('nonexistent');
+
+      expect(panel.statusEl.textContent).toBe('No results');
+    });
+
+    it('should ask for a folder when no workspace is open', async () => {
+      rootDir = null;
+      await searchFor('todo');
+
+      expect(panel.statusEl.textContent).toBe('Open a folder to search its files');
+    });
+
+    it('should search the files provided by a ready search index', async () => {
+      const searchIndex = createSearchIndex({ store: createMemoryStore() });
+      await searchIndex.open(rootDir);
+      await searchIndex.refresh();
+      const textFilesSpy = vi.spyOn(searchIndex, 'textFiles');
+      panel.getSearchIndex = () => searchIndex;
+
+      await searchFor('idea');
+
+      expect(textFilesSpy).toHaveBeenCalledWith('idea', expect.objectContaining({ regex: false }));
+      expect(panel.statusEl.textContent).toBe('1 matching line in 1 file');
+    });
+  });
+
+  describe('Selecting results', () => {
+    it('should close the panel and pass the result to the callback', async () => {
+      panel.open();
+      await searchFor('idea');
+
+      panel.resultsEl.querySelector('.content-search-line').click();
+      await Promise.resolve();
+
+      expect(panel.isOpen).toBe(false);
+      expect(mockEditor.focus).not.toHaveBeenCalled();
+      expect(onSelectResult).toHaveBeenCalledWith(
+        expect.objectContaining({ fullPath: 'notes/ideas.md', lineNumber: 1 })
+      );
+    });
+  });
+});
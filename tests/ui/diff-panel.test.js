@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DiffPanel } from '../../src/ui/diff-panel.js';
+
+describe('Diff Panel', () => {
+  let panel;
+  let onSave;
+  let onCancel;
+
+  beforeEach(() => {
+    localStorage.clear();
+    onSave = vi.fn();
+    onCancel = vi.fn();
+    panel = new DiffPanel();
+  });
+
+  afterEach(() => {
+    panel.destroy();
+  });
+
+  const openMerge = () =>
+    panel.open({
+      title: 'File changed on disk',
+      description: 'notes.md was changed outside hotnote',
+      original: 'one\ntwo\n',
+      modified: 'one\nTWO\n',
+      originalLabel: 'On disk',
+      modifiedLabel: 'Your changes',
+      filename: 'notes.md',
+      saveLabel: 'Save merged',
+      onSave,
+      onCancel,
+    });
+
+  const getStatus = () => document.querySelector('[data-testid="diff-status"]').textContent;
+
+  it('should show the comparison with its labels and differences', () => {
+    openMerge();
+
+    expect(document.querySelector('[data-testid="diff-panel"] h2').textContent).toBe(
+      'File changed on disk'
+    );
+    expect(getStatus()).toBe('notes.md was changed outside hotnote · 1 difference');
+    expect(panel.labelsEl.textContent).toBe('On diskYour changes');
+    expect(document.querySelector('[data-testid="diff-save"]').textContent).toBe('Save merged');
+  });
+
+  it('should save the merged text and close', async () => {
+    openMerge();
+    panel.diffView.view.dispatch({ changes: { from: 4, to: 7, insert: 'two' } });
+    expect(getStatus()).toBe('notes.md was changed outside hotnote · No differences');
+
+    document.querySelector('[data-testid="diff-save"]').click();
+    await vi.waitFor(() => expect(panel.isOpen).toBe(false));
+
+    expect(onSave).toHaveBeenCalledWith('one\ntwo\n');
+    expect(onCancel).not.toHaveBeenCalled();
+  });
+
+  it('should stay open and show the error when saving fails', async () => {
+    onSave.mockRejectedValue(new Error('notes.md is no longer open'));
+    openMerge();
+
+    await panel.save();
+
+    expect(panel.isOpen).toBe(true);
+    expect(getStatus()).toBe('Save failed: notes.md is no longer open');
+  });
+
+  it('should call onCancel when closed with Escape', () => {
+    openMerge();
+
+    /* global KeyboardEvent */
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(panel.isOpen).toBe(false);
+    expect(onCancel).toHaveBeenCalled();
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('should switch to inline and remember the mode', () => {
+    openMerge();
+
+    document.querySelector('[data-testid="diff-mode-inline"]').click();
+
+    expect(document.querySelector('.cm-mergeView')).toBeNull();
+    expect(panel.labelsEl.textContent).toBe('Your changes, with changes from On disk marked');
+    expect(localStorage.getItem('diffViewMode')).toBe('inline');
+    expect(new DiffPanel().mode).toBe('inline');
+  });
+
+  it('should compare read-only without a save handler', () => {
+    panel.open({
+      title: 'Compare Files',
+      original: 'a',
+      modified: 'b',
+      originalLabel: 'a.md',
+      modifiedLabel: 'b.md',
+    });
+
+    expect(document.querySelector('[data-testid="diff-save"]').classList.contains('hidden')).toBe(
+      true
+    );
+    expect(document.querySelector('[data-testid="diff-cancel"]').textContent).toBe('Close');
+    expect(panel.diffView.view.state.readOnly).toBe(true);
+  });
+});
@@ -1,4 +1,4 @@
-/* global MouseEvent, KeyboardEvent */
+/* global MouseEvent, KeyboardEvent, Event */
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import {
   showFilePicker,
@@ -8,8 +8,10 @@ import {
   createOrOpenFile,
   newFile,
   setupFilePickerClickAway,
+  openFileAtPath,
 } from '../../src/ui/file-picker.js';
 import { appState } from '../../src/state/app-state.js';
+import { initSessionManager } from '../../src/storage/session-manager.js';
 import { FileSystemAdapter } from '../../src/fs/filesystem-adapter.js';
 import { createMockFileHandle, createMockDirectoryHandle } from '../mocks/filesystem.js';
 
@@ -60,6 +62,7 @@ describe('File Picker', () => {
     window.fileSyncManager = {
       pause: vi.fn(),
       resume: vi.fn(),
+      trackFile: vi.fn(),
     };
 
     // Mock trash manager
@@ -180,14 +183,14 @@ describe('File Picker', () => {
       expect(deleteBtn).toBeTruthy();
     });
 
-    it('should not show delete button for directories', async () => {
+    it('should show delete button but no metadata for directories', async () => {
       const mockDirHandle = createMockDirectoryHandle('test-dir', []);
       FileSystemAdapter.listDirectory.mockResolvedValue([{ kind: 'directory', name: 'subdir' }]);
 
       await showFilePicker(mockDirHandle);
 
-      const deleteBtn = filePickerElement.querySelector('.file-item-delete');
-      expect(deleteBtn).toBeFalsy();
+      expect(filePickerElement.querySelector('.file-item-delete')).toBeTruthy();
+      expect(filePickerElement.querySelector('.file-item-metadata')).toBeNull();
     });
 
     it('should handle empty directory', async () => {
@@ -791,6 +794,20 @@ describe('File Picker', () => {
       expect(window.initEditor).toHaveBeenCalledWith('existing content', 'existing.txt');
     });
 
+    it('should create folders for a path ending with a slash', async () => {
+      const mockRootDir = createMockDirectoryHandle('root', {});
+      appState.currentDirHandle = mockRootDir;
+      appState.currentPath = [{ name: 'root', handle: mockRootDir }];
+
+      await createOrOpenFile('notes/2024/');
+
+      const created = mockRootDir._getEntry('notes')._getEntry('2024');
+      expect(created.kind).toBe('directory');
+      expect(appState.currentDirHandle).toBe(created);
+      expect(appState.currentPath.map((p) => p.name)).toEqual(['root', 'notes', '2024']);
+      expect(window.initEditor).not.toHaveBeenCalled();
+    });
+
     it('should handle paths with subdirectories', async () => {
       const mockRootDir = createMockDirectoryHandle('root', []);
       const mockSubDir = createMockDirectoryHandle('subdir', []);
@@ -1081,5 +1098,553 @@ describe('File Picker', () => {
 
       expect(window.trashManager.moveToTrash).toHaveBeenCalled();
     });
+
+    it('should undo the delete by restoring the trashed item by id', async () => {
+      const mockDirHandle = createMockDirectoryHandle('notes', []);
+      const readmeEntry = { kind: 'file', name: 'readme.md', getFile: async () => ({ size: 10 }) };
+      appState.currentPath = [{ name: 'notes', handle: mockDirHandle }];
+      appState.currentDirHandle = mockDirHandle;
+      window.trashManager.moveToTrash.mockResolvedValue({ id: 'trash-2', name: 'readme.md' });
+      window.trashManager.restoreFromTrash = vi.fn().mockResolvedValue(undefined);
+
+      FileSystemAdapter.listDirectory.mockResolvedValue([readmeEntry]);
+      await showFilePicker(mockDirHandle);
+
+      filePickerElement.querySelector('.file-item-delete').click();
+      await filePickerElement.querySelector('.file-item-delete-confirm .confirm').click();
+      await vi.waitFor(() => expect(window.trashManager.showUndoSnackbar).toHaveBeenCalled());
+
+      const [name, dirHandle, { onAction }] = window.trashManager.showUndoSnackbar.mock.calls[0];
+      expect(name).toBe('readme.md');
+      expect(dirHandle).toBe(mockDirHandle);
+      await onAction();
+      expect(window.trashManager.restoreFromTrash).toHaveBeenCalledWith(mockDirHandle, 'trash-2');
+    });
+
+    it('should move a folder to trash with its workspace path', async () => {
+      const mockDirHandle = createMockDirectoryHandle('notes', []);
+      const draftsEntry = { kind: 'directory', name: 'drafts' };
+      appState.currentPath = [
+        { name: 'workspace', handle: createMockDirectoryHandle('workspace', []) },
+        { name: 'notes', handle: mockDirHandle },
+      ];
+      appState.currentDirHandle = mockDirHandle;
+
+      FileSystemAdapter.listDirectory.mockResolvedValue([draftsEntry]);
+      await showFilePicker(mockDirHandle);
+
+      filePickerElement.querySelector('.file-item-delete').click();
+      const confirmUI = filePickerElement.querySelector('.file-item-delete-confirm');
+      expect(confirmUI.textContent).toContain('Delete folder?');
+      await confirmUI.querySelector('.confirm').click();
+
+      expect(window.trashManager.moveToTrash).toHaveBeenCalledWith(mockDirHandle, draftsEntry, {
+        path: 'notes/drafts',
+      });
+    });
+
+    describe('trash view', () => {
+      let rootDir;
+
+      const trashedItems = [
+        { id: 'trash-2', name: 'drafts', path: 'notes/drafts', kind: 'directory', deletedAt: 2000 },
+        { id: 'trash-1', name: 'todo.md', path: 'notes/todo.md', kind: 'file', deletedAt: 1000 },
+      ];
+
+      const openTrash = async () => {
+        await showFilePicker(rootDir);
+        filePickerElement.querySelector('[data-testid="trash-item"]').click();
+        await vi.waitFor(() => {
+          expect(filePickerElement.querySelector('.file-trash-header')).toBeTruthy();
+        });
+      };
+
+      beforeEach(() => {
+        rootDir = createMockDirectoryHandle('workspace', []);
+        appState.rootDirHandle = rootDir;
+        appState.currentDirHandle = rootDir;
+        appState.currentPath = [{ name: 'workspace', handle: rootDir }];
+        FileSystemAdapter.listDirectory.mockResolvedValue([
+          { kind: 'directory', name: '.trash' },
+          { kind: 'directory', name: 'notes' },
+        ]);
+        window.trashManager.listTrash = vi.fn().mockResolvedValue(trashedItems);
+        window.trashManager.restoreItem = vi.fn().mockResolvedValue('notes/todo.md');
+        window.trashManager.emptyTrash = vi.fn().mockResolvedValue(2);
+      });
+
+      afterEach(() => {
+        appState.rootDirHandle = null;
+      });
+
+      it('should show the trash instead of the .trash folder at the workspace root', async () => {
+        await showFilePicker(rootDir);
+
+        const names = [...filePickerElement.querySelectorAll('.file-item-name')].map(
+          (name) => name.textContent
+        );
+        expect(names).toEqual(['notes', 'Trash']);
+        expect(
+          filePickerElement.querySelector('[data-testid="trash-item"] .file-item-metadata')
+            .textContent
+        ).toBe('2 items');
+      });
+
+      it('should not show the trash when it is empty', async () => {
+        window.trashManager.listTrash.mockResolvedValue([]);
+
+        await showFilePicker(rootDir);
+
+        expect(filePickerElement.querySelector('[data-testid="trash-item"]')).toBeNull();
+      });
+
+      it('should list trashed items with their original paths', async () => {
+        await openTrash();
+
+        const names = [...filePickerElement.querySelectorAll('.is-trashed .file-item-name')].map(
+          (name) => name.textContent
+        );
+        expect(names).toEqual(['notes/drafts', 'notes/todo.md']);
+      });
+
+      it('should restore an item to its original location', async () => {
+        await openTrash();
+
+        filePickerElement.querySelectorAll('.file-item-restore')[1].click();
+
+        await vi.waitFor(() => {
+          expect(window.trashManager.restoreItem).toHaveBeenCalledWith(
+            rootDir,
+            'trash-1',
+            expect.any(Object)
+          );
+        });
+      });
+
+      it('should ask whether to keep both when the original path is taken', async () => {
+        let conflictChoice;
+        window.trashManager.restoreItem = vi.fn(async (root, id, { resolveConflict }) => {
+          conflictChoice = await resolveConflict(trashedItems[1]);
+          return 'notes/todo (2).md';
+        });
+        await openTrash();
+
+        filePickerElement.querySelectorAll('.file-item-restore')[1].click();
+        const conflict = filePickerElement.querySelector('.file-item-restore-conflict');
+        expect(conflict.textContent).toContain('Already exists');
+        conflict.querySelector('.file-item-conflict-btn.rename').click();
+
+        await vi.waitFor(() => {
+          expect(conflictChoice).toBe('rename');
+        });
+      });
+
+      it('should put back files backed up by a replace after confirmation', async () => {
+        window.trashManager.listTrash.mockResolvedValue([
+          {
+            id: 'backup-1',
+            name: 'Before replacing in 2 files',
+            path: 'a.md, notes/b.md',
+            kind: 'backup',
+            files: ['a.md', 'notes/b.md'],
+            deletedAt: 3000,
+          },
+        ]);
+        window.trashManager.restoreBackup = vi.fn().mockResolvedValue(['a.md', 'notes/b.md']);
+        window.confirm.mockReturnValue(true);
+        await openTrash();
+
+        const backup = filePickerElement.querySelector('.is-trashed');
+        expect(backup.querySelector('.file-item-name').textContent).toBe(
+          'Before replacing in 2 files'
+        );
+        expect(backup.title).toBe('a.md\nnotes/b.md');
+        backup.querySelector('.file-item-restore').click();
+
+        await vi.waitFor(() => {
+          expect(window.trashManager.restoreBackup).toHaveBeenCalledWith(rootDir, 'backup-1');
+        });
+        expect(window.confirm).toHaveBeenCalledWith(
+          'Put back 2 files as they were before replacing?'
+        );
+        expect(window.trashManager.restoreItem).not.toHaveBeenCalled();
+      });
+
+      it('should show the size and deletion time of trashed items', async () => {
+        window.trashManager.listTrash.mockResolvedValue([{ ...trashedItems[1], size: 2048 }]);
+        await openTrash();
+
+        const metadata = filePickerElement.querySelector('.is-trashed .file-item-metadata');
+        expect(metadata.textContent).toBe(`2.0 KB · ${new Date(1000).toLocaleString()}`);
+      });
+
+      it('should empty the trash after confirmation', async () => {
+        await openTrash();
+        window.confirm.mockReturnValue(true);
+
+        filePickerElement.querySelector('.file-trash-empty').click();
+
+        await vi.waitFor(() => {
+          expect(window.trashManager.emptyTrash).toHaveBeenCalled();
+        });
+        expect(window.confirm).toHaveBeenCalledWith('Permanently delete 2 items in the trash?');
+      });
+
+      it('should keep the trash when emptying is cancelled', async () => {
+        await openTrash();
+        window.confirm.mockReturnValue(false);
+
+        filePickerElement.querySelector('.file-trash-empty').click();
+
+        expect(window.trashManager.emptyTrash).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('recent files', () => {
+      let rootDir;
+
+      const recentFiles = [
+        {
+          path: 'notes/todo.md',
+          cursorLine: 4,
+          cursorColumn: 2,
+          editorMode: 'source',
+          viewedAt: 2000,
+        },
+        { path: 'README.md', cursorLine: 0, cursorColumn: 0, viewedAt: 1000 },
+      ];
+
+      const openRecentFiles = async () => {
+        await showFilePicker(rootDir);
+        filePickerElement.querySelector('[data-testid="recent-files-item"]').click();
+        await vi.waitFor(() => {
+          expect(filePickerElement.querySelector('.file-recent-header')).toBeTruthy();
+        });
+      };
+
+      beforeEach(() => {
+        rootDir = createMockDirectoryHandle('workspace', {
+          '.session_properties.HN': JSON.stringify({ session: { recentFiles } }),
+          'README.md': '# Readme',
+          notes: { 'todo.md': '# Todo' },
+        });
+        initSessionManager({
+          readFile: async (fileHandle) => (await fileHandle.getFile()).text(),
+          writeFile: async (fileHandle, content) => {
+            const writable = await fileHandle.createWritable();
+            await writable.write(content);
+            await writable.close();
+          },
+        });
+        appState.rootDirHandle = rootDir;
+        appState.currentDirHandle = rootDir;
+        appState.currentPath = [{ name: 'workspace', handle: rootDir }];
+        FileSystemAdapter.listDirectory.mockResolvedValue([{ kind: 'directory', name: 'notes' }]);
+        window.trashManager.listTrash = vi.fn().mockResolvedValue([]);
+        window.restoreFileState = vi.fn();
+        window.showFileReloadNotification = vi.fn();
+      });
+
+      afterEach(() => {
+        appState.rootDirHandle = null;
+        delete window.restoreFileState;
+        delete window.showFileReloadNotification;
+      });
+
+      it('should show recent files first at the workspace root', async () => {
+        await showFilePicker(rootDir);
+
+        const names = [...filePickerElement.querySelectorAll('.file-item-name')].map(
+          (name) => name.textContent
+        );
+        expect(names).toEqual(['Recent files', 'notes']);
+        expect(
+          filePickerElement.querySelector('[data-testid="recent-files-item"] .file-item-metadata')
+            .textContent
+        ).toBe('2 files');
+      });
+
+      it('should list recent files with their paths, most recent first', async () => {
+        await openRecentFiles();
+
+        const items = [...filePickerElement.querySelectorAll('[data-testid="recent-file"]')];
+        expect(items.map((item) => item.querySelector('.file-item-name').textContent)).toEqual([
+          'notes/todo.md',
+          'README.md',
+        ]);
+        expect(items[0].querySelector('.file-item-metadata').textContent).toBe(
+          new Date(2000).toLocaleString()
+        );
+      });
+
+      it('should reopen a recent file where it was left', async () => {
+        FileSystemAdapter.readFile.mockResolvedValue('# Todo');
+        await openRecentFiles();
+
+        filePickerElement.querySelector('[data-testid="recent-file"]').click();
+
+        await vi.waitFor(() => {
+          expect(window.restoreFileState).toHaveBeenCalledWith(recentFiles[0]);
+        });
+        expect(window.initEditor).toHaveBeenCalledWith('# Todo', 'todo.md');
+        expect(localStorage.getItem('mode_todo.md')).toBe('source');
+        expect(appState.currentPath.map((p) => p.name)).toEqual(['workspace', 'notes']);
+      });
+
+      it('should forget recent files that no longer exist', async () => {
+        await rootDir.removeEntry('README.md');
+        await openRecentFiles();
+
+        filePickerElement.querySelectorAll('[data-testid="recent-file"]')[1].click();
+
+        await vi.waitFor(() => {
+          expect(filePickerElement.querySelectorAll('[data-testid="recent-file"]')).toHaveLength(1);
+        });
+        expect(window.showFileReloadNotification).toHaveBeenCalledWith('Could not find: README.md');
+      });
+
+      it('should keep unsaved edits when the open file is opened again by path', async () => {
+        const notesDir = await rootDir.getDirectoryHandle('notes');
+        appState.currentPath = [
+          { name: 'workspace', handle: rootDir },
+          { name: 'notes', handle: notesDir },
+        ];
+        appState.currentFileHandle = await notesDir.getFileHandle('todo.md');
+        appState.currentFilename = 'todo.md';
+        appState.isDirty = true;
+
+        // e.g. a content search hit, backlink or wiki link in the same note
+        const opened = await openFileAtPath('notes/todo.md', { restoreState: false });
+
+        expect(opened).toBe(true);
+        expect(FileSystemAdapter.readFile).not.toHaveBeenCalled();
+        expect(window.initEditor).not.toHaveBeenCalled();
+        expect(appState.isDirty).toBe(true);
+      });
+    });
+
+    describe('rename and move', () => {
+      let notesDir;
+
+      const showNotesFolder = async (entries) => {
+        notesDir = createMockDirectoryHandle('notes', []);
+        appState.rootDirHandle = null;
+        appState.currentPath = [
+          { name: 'workspace', handle: createMockDirectoryHandle('workspace', []) },
+          { name: 'notes', handle: notesDir },
+        ];
+        appState.currentDirHandle = notesDir;
+        FileSystemAdapter.listDirectory.mockResolvedValue(entries);
+        await showFilePicker(notesDir);
+      };
+
+      const todoEntry = { kind: 'file', name: 'todo.md', getFile: async () => ({ size: 100 }) };
+      const draftsEntry = { kind: 'directory', name: 'drafts' };
+
+      const pressKey = (element, key) => {
+        element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+      };
+
+      beforeEach(() => {
+        window.moveWorkspaceEntry = vi.fn().mockResolvedValue({});
+      });
+
+      it('should show rename and move buttons for files and folders', async () => {
+        await showNotesFolder([draftsEntry, todoEntry]);
+
+        expect(filePickerElement.querySelectorAll('.file-item-rename')).toHaveLength(2);
+        expect(filePickerElement.querySelectorAll('.file-item-move')).toHaveLength(2);
+      });
+
+      it('should rename a file in place', async () => {
+        await showNotesFolder([todoEntry]);
+
+        filePickerElement.querySelector('.file-item-rename').click();
+        const input = filePickerElement.querySelector('.file-item-rename-input');
+        expect(input.value).toBe('todo.md');
+        expect(input.selectionEnd).toBe(4);
+
+        input.value = 'done.md';
+        pressKey(input, 'Enter');
+
+        expect(window.moveWorkspaceEntry).toHaveBeenCalledWith('notes/todo.md', 'notes/done.md');
+        expect(filePickerElement.querySelector('.file-item-rename-input')).toBeNull();
+      });
+
+      it('should cancel the rename with Escape', async () => {
+        await showNotesFolder([todoEntry]);
+
+        filePickerElement.querySelector('.file-item-rename').click();
+        const input = filePickerElement.querySelector('.file-item-rename-input');
+        input.value = 'done.md';
+        pressKey(input, 'Escape');
+
+        expect(window.moveWorkspaceEntry).not.toHaveBeenCalled();
+        expect(filePickerElement.querySelector('.file-item-name').textContent).toBe('todo.md');
+      });
+
+      it('should move an entry to the folder typed in "Move to…"', async () => {
+        await showNotesFolder([draftsEntry]);
+
+        filePickerElement.querySelector('.file-item-move').click();
+        const input = filePickerElement.querySelector('.file-item-move-input');
+        expect(input.value).toBe('notes/');
+
+        input.value = 'archive/2024/';
+        pressKey(input, 'Enter');
+
+        expect(window.moveWorkspaceEntry).toHaveBeenCalledWith(
+          'notes/drafts',
+          'archive/2024/drafts'
+        );
+      });
+
+      it('should suggest folders when moving', async () => {
+        await showNotesFolder([todoEntry]);
+        appState.rootDirHandle = createMockDirectoryHandle('workspace', {
+          notes: { 'todo.md': '' },
+          archive: {},
+        });
+        FileSystemAdapter.listDirectory.mockImplementation(async (dirHandle) => {
+          const entries = [];
+          for await (const entry of dirHandle.values()) entries.push(entry);
+          return entries;
+        });
+
+        filePickerElement.querySelector('.file-item-move').click();
+        const input = filePickerElement.querySelector('.file-item-move-input');
+        input.value = 'arch';
+        input.dispatchEvent(new Event('input'));
+
+        const suggestions = filePickerElement.querySelector('[data-testid="move-suggestions"]');
+        await vi.waitFor(() => {
+          expect(suggestions.querySelectorAll('.autocomplete-item')).toHaveLength(1);
+        });
+        suggestions.querySelector('.autocomplete-item').dispatchEvent(new MouseEvent('mousedown'));
+
+        expect(window.moveWorkspaceEntry).toHaveBeenCalledWith('notes/todo.md', 'archive/todo.md');
+      });
+
+      it('should move an entry dropped onto a folder', async () => {
+        await showNotesFolder([draftsEntry, todoEntry]);
+        const folderItem = filePickerElement.querySelector('.file-item.is-directory');
+
+        const drop = new Event('drop', { bubbles: true, cancelable: true });
+        drop.dataTransfer = {
+          types: ['application/x-hotnote-path'],
+          getData: () => 'notes/todo.md',
+        };
+        folderItem.dispatchEvent(drop);
+
+        await vi.waitFor(() => {
+          expect(window.moveWorkspaceEntry).toHaveBeenCalledWith(
+            'notes/todo.md',
+            'notes/drafts/todo.md'
+          );
+        });
+      });
+
+      it('should show an error when an entry cannot be moved', async () => {
+        window.moveWorkspaceEntry = vi
+          .fn()
+          .mockRejectedValue(new Error('notes/done.md already exists'));
+        await showNotesFolder([todoEntry]);
+
+        filePickerElement.querySelector('.file-item-rename').click();
+        const input = filePickerElement.querySelector('.file-item-rename-input');
+        input.value = 'done.md';
+        pressKey(input, 'Enter');
+
+        await vi.waitFor(() => {
+          expect(window.alert).toHaveBeenCalledWith('notes/done.md already exists');
+        });
+      });
+    });
+
+    describe('compare', () => {
+      const todoEntry = { kind: 'file', name: 'todo.md', getFile: async () => ({ size: 100 }) };
+      const ideasEntry = { kind: 'file', name: 'ideas.md', getFile: async () => ({ size: 50 }) };
+
+      const showNotesFolder = async (entries) => {
+        const notesDir = createMockDirectoryHandle('notes', []);
+        appState.currentPath = [
+          { name: 'workspace', handle: createMockDirectoryHandle('workspace', []) },
+          { name: 'notes', handle: notesDir },
+        ];
+        appState.currentDirHandle = notesDir;
+        FileSystemAdapter.listDirectory.mockResolvedValue(entries);
+        await showFilePicker(notesDir);
+      };
+
+      const getCompareButton = (name) =>
+        [...filePickerElement.querySelectorAll('.file-item')]
+          .find((item) => item.querySelector('.file-item-name').textContent === name)
+          .querySelector('.file-item-compare');
+
+      beforeEach(() => {
+        window.compareWorkspaceFiles = vi.fn().mockResolvedValue();
+        window.showFileReloadNotification = vi.fn();
+      });
+
+      afterEach(() => {
+        delete window.compareWorkspaceFiles;
+        delete window.showFileReloadNotification;
+      });
+
+      it('should only show the compare button for files', async () => {
+        await showNotesFolder([{ kind: 'directory', name: 'drafts' }, todoEntry]);
+
+        expect(filePickerElement.querySelectorAll('.file-item-compare')).toHaveLength(1);
+      });
+
+      it('should compare the first picked file with the second', async () => {
+        await showNotesFolder([todoEntry, ideasEntry]);
+
+        getCompareButton('todo.md').click();
+        expect(window.showFileReloadNotification).toHaveBeenCalledWith(
+          'Pick a file to compare with notes/todo.md'
+        );
+        expect(filePickerElement.querySelector('.is-compare-source').textContent).toContain(
+          'todo.md'
+        );
+
+        getCompareButton('ideas.md').click();
+
+        expect(window.compareWorkspaceFiles).toHaveBeenCalledWith(
+          'notes/todo.md',
+          'notes/ideas.md'
+        );
+        expect(filePickerElement.querySelector('.is-compare-source')).toBeNull();
+      });
+
+      it('should keep the first pick while browsing and cancel when picked again', async () => {
+        await showNotesFolder([todoEntry, ideasEntry]);
+        getCompareButton('todo.md').click();
+
+        await showNotesFolder([todoEntry, ideasEntry]);
+        expect(filePickerElement.querySelectorAll('.is-compare-source')).toHaveLength(1);
+
+        getCompareButton('todo.md').click();
+        getCompareButton('ideas.md').click();
+
+        expect(window.compareWorkspaceFiles).not.toHaveBeenCalled();
+        expect(filePickerElement.querySelectorAll('.is-compare-source')).toHaveLength(1);
+
+        // Leave nothing picked for the next test
+        getCompareButton('ideas.md').click();
+      });
+
+      it('should show an error when the files cannot be compared', async () => {
+        window.compareWorkspaceFiles.mockRejectedValue(new Error('Could not find: notes/todo.md'));
+        await showNotesFolder([todoEntry, ideasEntry]);
+
+        getCompareButton('todo.md').click();
+        getCompareButton('ideas.md').click();
+
+        await vi.waitFor(() => {
+          expect(window.alert).toHaveBeenCalledWith('Could not find: notes/todo.md');
+        });
+      });
+    });
   });
 });
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FindReplacePanel } from '../../src/ui/find-replace-panel.js';
+import { createMockDirectoryHandle } from '../mocks/filesystem.js';
+
+describe('Find and Replace Panel', () => {
+  let panel;
+  let rootDir;
+  let backupFiles;
+  let onReplaced;
+
+  beforeEach(() => {
+    rootDir = createMockDirectoryHandle('workspace', {
+      'a.md': 'draft one\ndraft two',
+      notes: {
+        'b.md': 'final draft',
+      },
+    });
+    backupFiles = vi.fn(async () => 'backup-1');
+    onReplaced = vi.fn();
+
+    panel = new FindReplacePanel({
+      getRootDirHandle: () => rootDir,
+      backupFiles,
+      onReplaced,
+    });
+    panel.open();
+  });
+
+  afterEach(() => {
+    panel.destroy();
+  });
+
+  const preview = async (query, replacement) => {
+    panel.findInput.value = query;
+    panel.replaceInput.value = replacement;
+    await panel.search();
+  };
+
+  describe('Preview', () => {
+    it('should list every match with a before/after diff', async () => {
+      await preview('draft', 'version');
+
+      const rows = panel.resultsEl.querySelectorAll('[data-testid="find-replace-match"]');
+      expect(rows).toHaveLength(3);
+      expect(rows[0].querySelector('del').textContent).toBe('draft');
+      expect(rows[0].querySelector('ins').textContent).toBe('version');
+      expect(rows[0].querySelector('.added').textContent).toBe('version one');
+      expect(panel.statusEl.textContent).toBe('3 matches in 2 files');
+      expect(panel.replaceButton.textContent).toBe('Replace 3');
+    });
+
+    it('should show an error for invalid regular expressions', async () => {
+      panel.regex = true;
+      await preview('(draft', 'x');
+
+      expect(panel.statusEl.textContent).toMatch(/Invalid regular expression/);
+      expect(panel.replaceButton.disabled).toBe(true);
+    });
+  });
+
+  describe('Including and excluding hits', () => {
+    it('should exclude an individual hit', async () => {
+      await preview('draft', 'version');
+
+      const checkbox = panel.resultsEl.querySelector('.find-replace-match input');
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new Event('change'));
+
+      expect(panel.replaceButton.textContent).toBe('Replace 2');
+      const fileCheckbox = panel.resultsEl.querySelector('.find-replace-file-checkbox');
+      expect(fileCheckbox.indeterminate).toBe(true);
+    });
+
+    it('should exclude every hit in a file from the file checkbox', async () => {
+      await preview('draft', 'version');
+
+      const fileCheckbox = panel.resultsEl.querySelector('.find-replace-file-checkbox');
+      fileCheckbox.checked = false;
+      fileCheckbox.dispatchEvent(new Event('change'));
+
+      expect(panel.replaceButton.textContent).toBe('Replace 1');
+      expect(panel.getSelectedResults().map((r) => r.fullPath)).toEqual(['notes/b.md']);
+    });
+  });
+
+  describe('Applying', () => {
+    it('should replace the selected hits and report the result', async () => {
+      await preview('draft', 'version');
+
+      const checkbox = panel.resultsEl.querySelector('.find-replace-match input');
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new Event('change'));
+
+      await panel.apply();
+
+      expect(rootDir._getEntry('a.md')._getContent()).toBe('draft one\nversion two');
+      expect(rootDir._getEntry('notes')._getEntry('b.md')._getContent()).toBe('final version');
+      expect(backupFiles).toHaveBeenCalled();
+      expect(onReplaced).toHaveBeenCalledWith(
+        expect.objectContaining({ fileCount: 2, matchCount: 2, backupId: 'backup-1' })
+      );
+      expect(panel.isOpen).toBe(false);
+    });
+
+    it('should stay open and explain skipped files', async () => {
+      await preview('draft', 'version');
+      rootDir._getEntry('a.md')._setContent('rewritten elsewhere');
+
+      await panel.apply();
+
+      expect(panel.isOpen).toBe(true);
+      expect(panel.statusEl.textContent).toContain('1 changed since preview');
+      expect(rootDir._getEntry('notes')._getEntry('b.md')._getContent()).toBe('final version');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HistoryPanel } from '../../src/ui/history-panel.js';
+import {
+  createVersionHistory,
+  createMemoryHistoryStore,
+} from '../../src/storage/version-history.js';
+
+describe('History Panel', () => {
+  let panel;
+  let versionHistory;
+  let content;
+  let onRestore;
+  let now;
+
+  beforeEach(async () => {
+    now = 0;
+    versionHistory = createVersionHistory({
+      store: createMemoryHistoryStore(),
+      minInterval: 0,
+      now: () => now,
+    });
+    versionHistory.open('workspace');
+    await versionHistory.capture('notes/todo.md', 'first line\n');
+    now = 60 * 1000;
+    await versionHistory.capture('notes/todo.md', 'first line\nsecond line\n');
+
+    content = 'first line\nsecond line\nthird line\n';
+    onRestore = vi.fn();
+
+    panel = new HistoryPanel({
+      getVersionHistory: () => versionHistory,
+      getFilePath: () => 'notes/todo.md',
+      getContent: () => content,
+      onRestore,
+    });
+  });
+
+  afterEach(() => {
+    panel.destroy();
+  });
+
+  const getItems = () => [...document.querySelectorAll('[data-testid="history-item"]')];
+
+  it('should list the saved versions and diff the newest one', async () => {
+    panel.open();
+    await panel.load();
+
+    expect(getItems()).toHaveLength(2);
+    expect(getItems()[0].classList.contains('selected')).toBe(true);
+    expect(document.querySelector('[data-testid="history-status"]').textContent).toBe(
+      '2 saved versions of notes/todo.md'
+    );
+    expect(document.querySelector('[data-testid="history-diff"] .cm-editor')).not.toBeNull();
+  });
+
+  it('should restore the selected version and close', async () => {
+    panel.open();
+    await panel.load();
+
+    getItems()[1].click();
+    document.querySelector('[data-testid="history-restore"]').click();
+    await vi.waitFor(() => expect(panel.isOpen).toBe(false));
+
+    expect(onRestore).toHaveBeenCalledWith(expect.objectContaining({ content: 'first line\n' }));
+  });
+
+  it('should stay open and show the error when restoring fails', async () => {
+    onRestore.mockRejectedValue(new Error('notes/todo.md is no longer open'));
+    panel.open();
+    await panel.load();
+
+    await panel.restore();
+
+    expect(panel.isOpen).toBe(true);
+    expect(document.querySelector('[data-testid="history-status"]').textContent).toBe(
+      'Restore failed: notes/todo.md is no longer open'
+    );
+  });
+
+  it('should say when the selected version matches the current content', async () => {
+    content = 'first line\nsecond line\n';
+    panel.open();
+    await panel.load();
+
+    expect(document.querySelector('[data-testid="history-diff"]').textContent).toBe(
+      'Same as the current content'
+    );
+  });
+
+  it('should explain when there is nothing to show', async () => {
+    panel.getFilePath = () => 'readme.md';
+    panel.open();
+    await panel.load();
+
+    expect(getItems()).toHaveLength(0);
+    expect(document.querySelector('[data-testid="history-restore"]').disabled).toBe(true);
+    expect(document.querySelector('[data-testid="history-status"]').textContent).toBe(
+      'No saved versions of readme.md yet'
+    );
+
+    versionHistory.close();
+    await panel.load();
+    expect(document.querySelector('[data-testid="history-status"]').textContent).toBe(
+      'Open a file from a folder to see its history'
+    );
+  });
+
+  it('should close on Escape', () => {
+    panel.open();
+
+    /* global KeyboardEvent */
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(panel.isOpen).toBe(false);
+    expect(document.querySelector('[data-testid="history-panel"]')).toBeNull();
+  });
+});
@@ -3,9 +3,13 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   initKeyboardManager,
   cleanupKeyboardManager,
+  registerShortcutHandler,
   updateEditorBlurState,
 } from '../../src/ui/keyboard-manager.js';
 import { appState } from '../../src/state/app-state.js';
+import { keybindingRegistry } from '../../src/state/keybinding-registry.js';
+import { settingsManager } from '../../src/state/settings-manager.js';
+import { SourceView } from '../../src/editors/source-view.js';
 
 describe('Keyboard Manager', () => {
   let focusManagerMock;
@@ -316,6 +320,219 @@ describe('Keyboard Manager', () => {
 
       expect(globalThis.showFilePicker).not.toHaveBeenCalled();
     });
+
+    it('should leave Escape to the editor when the editor handled it', async () => {
+      focusManagerMock.hasEditorFocus.mockReturnValue(true);
+      editorElement.addEventListener('keydown', (e) => e.preventDefault());
+
+      editorElement.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true })
+      );
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(globalThis.showFilePicker).not.toHaveBeenCalled();
+    });
+
+    it('should stay in the editor when Escape leaves Vim insert mode', async () => {
+      settingsManager.update({ keymap: 'vim' });
+      const sourceView = new SourceView(editorElement, 'first line\n');
+      const { contentDOM } = sourceView.view;
+      const press = (key) =>
+        contentDOM.dispatchEvent(
+          new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+        );
+      focusManagerMock.hasEditorFocus.mockReturnValue(true);
+
+      try {
+        press('i');
+        press('Escape');
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        expect(editorElement.querySelector('.cm-vim-panel').textContent).toContain('--NORMAL--');
+        expect(globalThis.showFilePicker).not.toHaveBeenCalled();
+      } finally {
+        sourceView.destroy();
+        settingsManager.update({ keymap: 'default' });
+      }
+    });
+  });
+
+  describe('Workspace search shortcuts', () => {
+    beforeEach(() => {
+      initKeyboardManager();
+      appState.rootDirHandle = { kind: 'directory' };
+      window.contentSearchPanel = { open: vi.fn() };
+    });
+
+    afterEach(() => {
+      appState.rootDirHandle = null;
+      delete window.contentSearchPanel;
+    });
+
+    it('should open content search on Ctrl+Shift+F', () => {
+      const event = new KeyboardEvent('keydown', {
+        key: 'F',
+        ctrlKey: true,
+        shiftKey: true,
+        cancelable: true,
+      });
+
+      document.dispatchEvent(event);
+
+      expect(window.contentSearchPanel.open).toHaveBeenCalled();
+      expect(event.defaultPrevented).toBe(true);
+      expect(globalThis.quickFileCreate).not.toHaveBeenCalled();
+    });
+
+    it('should open content search on Cmd+Shift+F', () => {
+      document.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'f', metaKey: true, shiftKey: true })
+      );
+
+      expect(window.contentSearchPanel.open).toHaveBeenCalled();
+    });
+
+    it('should open find and replace on Ctrl+Shift+H', () => {
+      window.findReplacePanel = { open: vi.fn() };
+
+      document.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'H', ctrlKey: true, shiftKey: true })
+      );
+
+      expect(window.findReplacePanel.open).toHaveBeenCalled();
+      expect(window.contentSearchPanel.open).not.toHaveBeenCalled();
+      delete window.findReplacePanel;
+    });
+
+    it('should not open content search without a workspace', () => {
+      appState.rootDirHandle = null;
+
+      document.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'F', ctrlKey: true, shiftKey: true })
+      );
+
+      expect(window.contentSearchPanel.open).not.toHaveBeenCalled();
+    });
+
+    it('should not open content search on Ctrl+F', () => {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'f', ctrlKey: true }));
+
+      expect(window.contentSearchPanel.open).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Command palette shortcut', () => {
+    beforeEach(() => {
+      initKeyboardManager();
+      window.commandPalette = { open: vi.fn() };
+    });
+
+    afterEach(() => {
+      delete window.commandPalette;
+    });
+
+    it('should open the command palette on Ctrl+Shift+P', () => {
+      const event = new KeyboardEvent('keydown', {
+        key: 'P',
+        ctrlKey: true,
+        shiftKey: true,
+        cancelable: true,
+      });
+
+      document.dispatchEvent(event);
+
+      expect(window.commandPalette.open).toHaveBeenCalled();
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should open the command palette on Cmd+Shift+P', () => {
+      document.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'p', metaKey: true, shiftKey: true })
+      );
+
+      expect(window.commandPalette.open).toHaveBeenCalled();
+    });
+
+    it('should not open the command palette on Ctrl+P', () => {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'p', ctrlKey: true }));
+
+      expect(window.commandPalette.open).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Configured shortcuts', () => {
+    beforeEach(() => {
+      initKeyboardManager();
+    });
+
+    afterEach(() => {
+      keybindingRegistry.reset();
+      localStorage.clear();
+    });
+
+    it('should run a registered action from its shortcut', () => {
+      const handler = vi.fn();
+      registerShortcutHandler('view.toggleTheme', handler);
+      keybindingRegistry.setBindings({ 'view.toggleTheme': 'Alt-t' });
+
+      const event = new KeyboardEvent('keydown', { key: 't', altKey: true, cancelable: true });
+      document.dispatchEvent(event);
+
+      expect(handler).toHaveBeenCalled();
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should leave the event alone when the action does not apply', () => {
+      registerShortcutHandler('file.save', () => false);
+
+      const event = new KeyboardEvent('keydown', { key: 's', ctrlKey: true, cancelable: true });
+      document.dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(false);
+    });
+
+    it('should leave keys the editor already used to it', () => {
+      const handler = vi.fn();
+      registerShortcutHandler('file.new', handler);
+
+      const event = new KeyboardEvent('keydown', { key: 'n', ctrlKey: true, cancelable: true });
+      event.preventDefault();
+      document.dispatchEvent(event);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should not start quick file creation on typing when it is disabled', () => {
+      keybindingRegistry.setBindings({ 'file.quickCreate': null });
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', cancelable: true }));
+
+      expect(globalThis.quickFileCreate).not.toHaveBeenCalled();
+    });
+
+    it('should start quick file creation from its rebound shortcut', () => {
+      keybindingRegistry.setBindings({ 'file.quickCreate': 'Mod-p' });
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', cancelable: true }));
+      expect(globalThis.quickFileCreate).not.toHaveBeenCalled();
+
+      document.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'p', ctrlKey: true, cancelable: true })
+      );
+      expect(globalThis.quickFileCreate).toHaveBeenCalledWith('');
+    });
+
+    it('should not open a disabled shortcut', () => {
+      window.commandPalette = { open: vi.fn() };
+      keybindingRegistry.setBindings({ 'app.commandPalette': null });
+
+      document.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'P', ctrlKey: true, shiftKey: true })
+      );
+
+      expect(window.commandPalette.open).not.toHaveBeenCalled();
+      delete window.commandPalette;
+    });
   });
 
   describe('updateEditorBlurState', () => {
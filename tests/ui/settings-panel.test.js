@@ -1,6 +1,8 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { SettingsPanel } from '../../src/ui/settings-panel.js';
 import * as environment from '../../src/utils/environment.js';
+import { keybindingRegistry } from '../../src/state/keybinding-registry.js';
+import { getSettings } from '../../src/state/settings-manager.js';
 
 describe('Settings Panel', () => {
   let settingsPanel;
@@ -15,6 +17,9 @@ describe('Settings Panel', () => {
     // This ensures the privacy banner is shown in tests (shown when hosted)
     vi.spyOn(environment, 'isLocalEnvironment').mockReturnValue(false);
 
+    // No AI server to ask for models
+    global.fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
     // Create mock active editor with blur/focus capabilities
     mockActiveEditor = {
       view: {
@@ -35,6 +40,7 @@ describe('Settings Panel', () => {
     if (settingsPanel) {
       settingsPanel.destroy();
     }
+    keybindingRegistry.reload();
   });
 
   describe('Editor focus management', () => {
@@ -239,4 +245,339 @@ describe('Settings Panel', () => {
       expect(mockEditor.focus).not.toHaveBeenCalled();
     });
   });
+
+  describe('Editor keymap', () => {
+    it('should default to the standard keymap', () => {
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      const select = settingsPanel.panel.querySelector('[data-testid="settings-keymap"]');
+      expect(select.tagName).toBe('SELECT');
+      expect(select.value).toBe('default');
+    });
+
+    it('should save the keymap and let the app apply it', () => {
+      const onSave = vi.fn();
+      settingsPanel = new SettingsPanel({ onSave });
+      settingsPanel.open();
+
+      settingsPanel.panel.querySelector('[data-testid="settings-keymap"]').value = 'vim';
+      settingsPanel.save();
+
+      expect(getSettings().keymap).toBe('vim');
+      expect(onSave).toHaveBeenCalled();
+    });
+
+    it('should show the saved keymap', () => {
+      localStorage.setItem('hotnote_settings', JSON.stringify({ keymap: 'emacs' }));
+
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      expect(settingsPanel.panel.querySelector('[data-testid="settings-keymap"]').value).toBe(
+        'emacs'
+      );
+    });
+  });
+
+  describe('AI provider', () => {
+    const field = (name) => settingsPanel.panel.querySelector(`[name="${name}"]`);
+    const section = (provider) =>
+      settingsPanel.panel.querySelector(`.settings-section[data-provider="${provider}"]`);
+
+    const selectProvider = (provider) => {
+      field('provider').value = provider;
+      field('provider').dispatchEvent(new Event('change'));
+    };
+
+    const status = (provider) => section(provider).querySelector('.settings-models-status');
+    const options = (name) =>
+      [...settingsPanel.panel.querySelectorAll(`#settings-${name}-options option`)].map(
+        (option) => [option.value, option.label]
+      );
+
+    beforeEach(() => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: vi.fn().mockResolvedValue({ data: [{ id: 'qwen2.5-7b' }, { id: 'llama-3.1-8b' }] }),
+      });
+    });
+
+    it('should default to Ollama and only show its settings', () => {
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      expect(field('provider').value).toBe('ollama');
+      expect(section('ollama').hidden).toBe(false);
+      expect(section('openai').hidden).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/tags');
+    });
+
+    it('should suggest the models installed on the Ollama server', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: vi.fn().mockResolvedValue({
+          models: [
+            {
+              name: 'llama2:latest',
+              size: 3826793677,
+              details: { parameter_size: '7B', quantization_level: 'Q4_0' },
+            },
+            { name: 'mistral:7b', size: 4109865159, details: {} },
+          ],
+        }),
+      });
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      await vi.waitFor(() => expect(options('model')).toHaveLength(2));
+      expect(options('model')).toEqual([
+        ['llama2:latest', '7B · Q4_0 · 3.8 GB'],
+        ['mistral:7b', '4.1 GB'],
+      ]);
+      expect(status('ollama').textContent).toBe('Connected: 2 models installed');
+      expect(status('ollama').classList.contains('error')).toBe(false);
+    });
+
+    it('should warn when the chosen Ollama model is not installed', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: vi.fn().mockResolvedValue({ models: [{ name: 'mistral:7b' }] }),
+      });
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      await vi.waitFor(() =>
+        expect(status('ollama').textContent).toBe(
+          "Connected: 1 model installed. llama2 isn't installed; install it with: ollama pull llama2"
+        )
+      );
+    });
+
+    it('should fall back to common models when Ollama cannot be reached', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      await vi.waitFor(() => expect(status('ollama').classList.contains('error')).toBe(true));
+      expect(status('ollama').textContent).toBe(
+        'Cannot connect to Ollama server at http://localhost:11434. Please verify the server is running and the endpoint URL is correct. Suggesting common models instead.'
+      );
+      expect(options('model').map(([value]) => value)).toContain('mistral');
+    });
+
+    it('should test the connection again on request', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+      await vi.waitFor(() => expect(status('ollama').classList.contains('error')).toBe(true));
+
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: vi.fn().mockResolvedValue({ models: [{ name: 'llama2:latest' }] }),
+      });
+      section('ollama').querySelector('.settings-test-connection').click();
+
+      await vi.waitFor(() =>
+        expect(status('ollama').textContent).toBe('Connected: 1 model installed')
+      );
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should show the OpenAI-compatible settings and load its models', async () => {
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      selectProvider('openai');
+
+      expect(section('ollama').hidden).toBe(true);
+      expect(section('openai').hidden).toBe(false);
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost:8080/v1/models',
+        expect.anything()
+      );
+      await vi.waitFor(() => expect(options('openaiModel')).toHaveLength(2));
+      expect(status('openai').textContent).toBe('Connected: 2 models available on the server');
+    });
+
+    it('should reload the models when the endpoint changes', async () => {
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+      selectProvider('openai');
+
+      field('openaiEndpoint').value = 'http://localhost:1234/v1';
+      field('openaiEndpoint').dispatchEvent(new Event('change'));
+
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        'http://localhost:1234/v1/models',
+        expect.anything()
+      );
+    });
+
+    it('should say when the models could not be loaded', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      selectProvider('openai');
+
+      await vi.waitFor(() =>
+        expect(status('openai').textContent).toBe(
+          'Could not load models: Cannot connect to OpenAI-compatible server at http://localhost:8080/v1. Please verify the server is running and the endpoint URL is correct.'
+        )
+      );
+      expect(options('openaiModel')).toEqual([]);
+    });
+
+    it('should save the OpenAI-compatible server', () => {
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+      selectProvider('openai');
+
+      field('openaiEndpoint').value = 'http://localhost:8000/';
+      field('openaiApiKey').value = 'secret';
+      field('openaiModel').value = 'llama-3.1-8b';
+      settingsPanel.save();
+
+      expect(getSettings()).toMatchObject({
+        provider: 'openai',
+        openai: { endpoint: 'http://localhost:8000', apiKey: 'secret', model: 'llama-3.1-8b' },
+      });
+    });
+
+    it('should require a model for the OpenAI-compatible server', () => {
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+      selectProvider('openai');
+
+      field('openaiModel').value = '';
+      settingsPanel.save();
+
+      expect(settingsPanel.isOpen).toBe(true);
+      expect(settingsPanel.panel.querySelector('#settings-openaiModel-error').textContent).toBe(
+        'Model is required'
+      );
+    });
+  });
+
+  describe('Image folder', () => {
+    it('should default to assets', () => {
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      expect(settingsPanel.panel.querySelector('[data-testid="settings-imageFolder"]').value).toBe(
+        'assets'
+      );
+    });
+
+    it('should save the image folder', () => {
+      settingsPanel = new SettingsPanel();
+      settingsPanel.open();
+
+      settingsPanel.panel.querySelector('[data-testid="settings-imageFolder"]').value = ' images ';
+      settingsPanel.save();
+
+      expect(getSettings().imageFolder).toBe('images');
+    });
+  });
+
+  describe('Keyboard shortcuts', () => {
+    const row = (id) => settingsPanel.panel.querySelector(`.settings-keybinding[data-id="${id}"]`);
+
+    const record = (id, key, options = {}) => {
+      const button = row(id).querySelector('.settings-keybinding-key');
+      button.click();
+      button.dispatchEvent(
+        new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options })
+      );
+    };
+
+    beforeEach(() => {
+      keybindingRegistry.reload();
+      settingsPanel = new SettingsPanel({ getEditor: () => mockEditor });
+      settingsPanel.open();
+    });
+
+    it('should list every action with its shortcut', () => {
+      const rows = settingsPanel.panel.querySelectorAll('[data-testid="settings-keybinding"]');
+
+      expect(rows).toHaveLength(keybindingRegistry.getActions().length);
+      expect(row('file.quickCreate').textContent).toContain('Start typing');
+      expect(row('view.toggleTheme').textContent).toContain('Disabled');
+    });
+
+    it('should rebind a shortcut from the keys pressed', () => {
+      record('view.toggleTheme', 'j', { altKey: true });
+
+      expect(settingsPanel.keybindings['view.toggleTheme']).toBe('Alt-j');
+      expect(row('view.toggleTheme').querySelector('.settings-keybinding-key').textContent).toBe(
+        'Alt+J'
+      );
+    });
+
+    it('should not let the keys pressed close the panel', () => {
+      record('view.toggleTheme', 'Escape');
+
+      expect(settingsPanel.isOpen).toBe(true);
+      expect(settingsPanel.keybindings['view.toggleTheme']).toBeNull();
+    });
+
+    it('should refuse shortcuts that would fire while typing', () => {
+      record('view.toggleTheme', 'j');
+
+      expect(settingsPanel.keybindings['view.toggleTheme']).toBeNull();
+      expect(row('view.toggleTheme').querySelector('.settings-error').textContent).toContain(
+        'add Ctrl, Alt or Cmd'
+      );
+    });
+
+    it('should disable and reset a shortcut', () => {
+      row('file.quickCreate').querySelector('[aria-label="Disable"]').click();
+      expect(settingsPanel.keybindings['file.quickCreate']).toBeNull();
+
+      row('file.quickCreate').querySelector('[aria-label="Reset to default"]').click();
+      expect(settingsPanel.keybindings['file.quickCreate']).toBe('Typing');
+    });
+
+    it('should mark conflicting shortcuts and not save them', () => {
+      record('view.toggleTheme', 's', { ctrlKey: true });
+
+      expect(row('view.toggleTheme').classList.contains('conflict')).toBe(true);
+      expect(row('file.save').textContent).toContain('Also used by Toggle Theme');
+
+      settingsPanel.save();
+
+      expect(settingsPanel.isOpen).toBe(true);
+      expect(document.getElementById('settings-keybindings-error').textContent).toBe(
+        'Some shortcuts are used by more than one action'
+      );
+      expect(row('file.save').classList.contains('conflict')).toBe(true);
+      expect(keybindingRegistry.get('view.toggleTheme')).toBeNull();
+    });
+
+    it('should save shortcuts with the other settings', () => {
+      record('view.toggleTheme', 'j', { altKey: true });
+      row('file.quickCreate').querySelector('[aria-label="Disable"]').click();
+
+      settingsPanel.save();
+
+      expect(settingsPanel.isOpen).toBe(false);
+      expect(keybindingRegistry.get('view.toggleTheme')).toBe('Alt-j');
+      expect(getSettings().keybindings).toEqual({
+        'file.quickCreate': null,
+        'view.toggleTheme': 'Alt-j',
+      });
+    });
+
+    it('should discard unsaved changes when reopened', () => {
+      record('view.toggleTheme', 'j', { altKey: true });
+      settingsPanel.close();
+
+      settingsPanel.open();
+
+      expect(settingsPanel.keybindings['view.toggleTheme']).toBeNull();
+      expect(row('view.toggleTheme').textContent).toContain('Disabled');
+    });
+  });
 });
@@ -0,0 +1,92 @@
+/* global MouseEvent */
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TabBar } from '../../src/ui/tab-bar.js';
+
+describe('Tab Bar', () => {
+  let element;
+  let tabBar;
+  let onSelect;
+  let onClose;
+  let onToggleSplit;
+
+  const tabs = [
+    { id: 'tab-1', path: 'notes/todo.md', filename: 'todo.md', isDirty: true, isActive: false },
+    { id: 'tab-2', path: 'README.md', filename: 'README.md', isDirty: false, isActive: true },
+  ];
+
+  beforeEach(() => {
+    element = document.createElement('div');
+    onSelect = vi.fn();
+    onClose = vi.fn();
+    onToggleSplit = vi.fn();
+    tabBar = new TabBar({ element, onSelect, onClose, onToggleSplit });
+  });
+
+  it('should hide when no tabs are open', () => {
+    tabBar.render({ tabs: [] });
+
+    expect(element.classList.contains('hidden')).toBe(true);
+    expect(element.children).toHaveLength(0);
+  });
+
+  it('should render the tabs with their state', () => {
+    tabBar.render({ tabs });
+
+    const items = element.querySelectorAll('[data-testid="tab"]');
+    expect(element.classList.contains('hidden')).toBe(false);
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain('todo.md');
+    expect(items[0].title).toBe('notes/todo.md');
+    expect(items[0].classList.contains('has-changes')).toBe(true);
+    expect(items[1].classList.contains('active')).toBe(true);
+    expect(items[1].getAttribute('aria-selected')).toBe('true');
+  });
+
+  it('should select a tab when clicked', () => {
+    tabBar.render({ tabs });
+
+    element.querySelectorAll('.tab')[0].click();
+
+    expect(onSelect).toHaveBeenCalledWith('tab-1');
+  });
+
+  it('should close a tab from its close button without selecting it', () => {
+    tabBar.render({ tabs });
+
+    const closeButton = element.querySelector('.tab-close');
+    expect(closeButton.getAttribute('aria-label')).toBe('Close todo.md');
+    closeButton.click();
+
+    expect(onClose).toHaveBeenCalledWith('tab-1');
+    expect(onSelect).not.toHaveBeenCalled();
+  });
+
+  it('should close a tab on middle click', () => {
+    tabBar.render({ tabs });
+
+    element.querySelectorAll('.tab')[1].dispatchEvent(new MouseEvent('auxclick', { button: 1 }));
+
+    expect(onClose).toHaveBeenCalledWith('tab-2');
+  });
+
+  it('should disable the split button until the view can be split', () => {
+    tabBar.render({ tabs, canSplit: false });
+    expect(element.querySelector('[data-testid="tab-split"]').disabled).toBe(true);
+
+    tabBar.render({ tabs, canSplit: true });
+    const splitButton = element.querySelector('[data-testid="tab-split"]');
+    expect(splitButton.disabled).toBe(false);
+
+    splitButton.click();
+    expect(onToggleSplit).toHaveBeenCalled();
+  });
+
+  it('should show when the split is open', () => {
+    tabBar.render({ tabs, splitOpen: true });
+
+    const splitButton = element.querySelector('[data-testid="tab-split"]');
+    expect(splitButton.disabled).toBe(false);
+    expect(splitButton.getAttribute('aria-pressed')).toBe('true');
+    expect(splitButton.title).toBe('Close split view');
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { debounce } from '../../src/utils/helpers.js';
+import { debounce, escapeHtml } from '../../src/utils/helpers.js';
 
 describe('helpers', () => {
   beforeEach(() => {
@@ -165,4 +165,12 @@ describe('helpers', () => {
       expect(func2).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe('escapeHtml', () => {
+    it('should escape markup and quotes', () => {
+      expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>')).toBe(
+        '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;'
+      );
+    });
+  });
 });
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  mergeThreeWay,
+  findConflicts,
+  hasConflictMarkers,
+} from '../../src/utils/three-way-merge.js';
+
+const base = 'one\ntwo\nthree\nfour\nfive\n';
+
+describe('Three-Way Merge', () => {
+  describe('mergeThreeWay', () => {
+    it('should take the remote text when only the disk changed', () => {
+      const remote = 'one\ntwo\nTHREE\nfour\nfive\n';
+
+      expect(mergeThreeWay(base, base, remote)).toEqual({ content: remote, conflicts: 0 });
+    });
+
+    it('should keep the local text when only the editor changed', () => {
+      const local = 'one\nTWO\nthree\nfour\nfive\n';
+
+      expect(mergeThreeWay(base, local, base)).toEqual({ content: local, conflicts: 0 });
+    });
+
+    it('should combine changes to different lines', () => {
+      const local = 'ONE\ntwo\nthree\nfour\nfive\n';
+      const remote = 'one\ntwo\nthree\nfour\nFIVE\n';
+
+      expect(mergeThreeWay(base, local, remote)).toEqual({
+        content: 'ONE\ntwo\nthree\nfour\nFIVE\n',
+        conflicts: 0,
+      });
+    });
+
+    it('should combine changes to adjacent lines', () => {
+      const local = 'one\nTWO\nthree\nfour\nfive\n';
+      const remote = 'one\ntwo\nTHREE\nfour\nfive\n';
+
+      expect(mergeThreeWay(base, local, remote).content).toBe('one\nTWO\nTHREE\nfour\nfive\n');
+    });
+
+    it('should mark insertions at the same position as conflicts', () => {
+      const local = 'one\ntwo\nmine\nthree\nfour\nfive\n';
+      const remote = 'one\ntwo\ntheirs\nthree\nfour\nfive\n';
+
+      expect(mergeThreeWay(base, local, remote).conflicts).toBe(1);
+    });
+
+    it('should combine insertions and deletions', () => {
+      const local = 'one\nthree\nfour\nfive\nsix\n';
+      const remote = 'zero\none\ntwo\nthree\nfour\nfive\n';
+
+      expect(mergeThreeWay(base, local, remote).content).toBe(
+        'zero\none\nthree\nfour\nfive\nsix\n'
+      );
+    });
+
+    it('should take identical changes once', () => {
+      const local = 'one\ntwo\n3\nfour\nFIVE\n';
+      const remote = 'one\ntwo\n3\nfour\nfive\n';
+
+      expect(mergeThreeWay(base, local, remote)).toEqual({
+        content: 'one\ntwo\n3\nfour\nFIVE\n',
+        conflicts: 0,
+      });
+    });
+
+    it('should mark overlapping changes as conflicts', () => {
+      const local = 'one\nmine\nthree\nfour\nFIVE\n';
+      const remote = 'one\ntheirs\nthree\nfour\nfive\n';
+
+      expect(mergeThreeWay(base, local, remote)).toEqual({
+        content:
+          'one\n<<<<<<< Your changes\nmine\n=======\ntheirs\n>>>>>>> On disk\nthree\nfour\nFIVE\n',
+        conflicts: 1,
+      });
+    });
+
+    it('should count each conflicting region', () => {
+      const local = 'ONE\ntwo\nthree\nfour\nFIVE\n';
+      const remote = '1\ntwo\nthree\nfour\n5\n';
+
+      expect(mergeThreeWay(base, local, remote).conflicts).toBe(2);
+    });
+
+    it('should end conflict sides with a line break', () => {
+      const result = mergeThreeWay('a\nb', 'a\nlocal', 'a\nremote');
+
+      expect(result.content).toBe(
+        'a\n<<<<<<< Your changes\nlocal\n=======\nremote\n>>>>>>> On disk\n'
+      );
+    });
+
+    it('should handle empty texts', () => {
+      expect(mergeThreeWay('', 'local\n', '')).toEqual({ content: 'local\n', conflicts: 0 });
+      expect(mergeThreeWay('', 'local\n', 'remote\n').conflicts).toBe(1);
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('should locate each side of a conflict', () => {
+      const text = 'a\n<<<<<<< Your changes\nmine\n=======\ntheirs\n>>>>>>> On disk\nb\n';
+
+      const [conflict] = findConflicts(text);
+
+      expect(conflict.local).toBe('mine\n');
+      expect(conflict.remote).toBe('theirs\n');
+      expect(text.slice(conflict.from, conflict.to)).toBe(
+        '<<<<<<< Your changes\nmine\n=======\ntheirs\n>>>>>>> On disk\n'
+      );
+      expect(text.slice(conflict.separator).startsWith('=======\n')).toBe(true);
+      expect(text.slice(conflict.end).startsWith('>>>>>>> On disk')).toBe(true);
+    });
+
+    it('should ignore incomplete conflicts', () => {
+      expect(findConflicts('<<<<<<< Your changes\nmine\n=======\ntheirs\n')).toEqual([]);
+    });
+  });
+
+  describe('hasConflictMarkers', () => {
+    it('should detect merged conflicts', () => {
+      expect(hasConflictMarkers(mergeThreeWay('a\n', 'b\n', 'c\n').content)).toBe(true);
+    });
+
+    it('should not flag text without complete markers', () => {
+      expect(hasConflictMarkers('a\n=======\nb\n')).toBe(false);
+    });
+  });
+});